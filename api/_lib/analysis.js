@@ -0,0 +1,255 @@
+// Shared analysis pipeline used by /api/analyze
+// Builds the per-type prompt, routes it to the engine's provider adapter
+// and validates the reply against the per-type schema in ./schema.
+
+const { resolveProvider } = require("./providers");
+const { withRateLimit } = require("./ratelimit");
+const { validateResult } = require("./schema");
+const { dedupeCitations, attachCitations } = require("./citations");
+const { withCache } = require("./cache");
+const { recordAnthropicUsage } = require("./usage");
+
+// Prompt focus + expected JSON structure for each analysis type
+function getPromptParts(analysisType) {
+  let promptAddition = "";
+  let jsonStructure = "";
+
+  if (analysisType === "press") {
+    promptAddition = "Focus on finding press opportunities, media outlets, industry publications, speaking engagements, and places where this person could contribute articles or be featured.";
+    jsonStructure = `{
+  "summary": "2-3 sentence summary of press/media opportunities",
+  "entityFound": true/false,
+  "confidenceScore": 1-10,
+  "pressOpportunities": [{"outlet": "publication/media name", "type": "press release/feature/interview/contributed article/podcast/speaking", "relevance": "high/medium/low", "notes": "why this is a good fit"}],
+  "recommendations": "specific actionable recommendation for getting press coverage"
+}`;
+  } else if (analysisType === "social") {
+    promptAddition = "Focus on analyzing social media presence, sentiment on LinkedIn, Twitter/X, industry forums, and online discussions. Look for positive mentions, concerns, thought leadership presence, and overall reputation.";
+    jsonStructure = `{
+  "summary": "2-3 sentence summary of social media sentiment and online reputation",
+  "entityFound": true/false,
+  "confidenceScore": 1-10,
+  "sentimentScore": 1-10 (10 = very positive sentiment),
+  "sentiment": "positive/neutral/negative",
+  "platforms": [{"platform": "LinkedIn/Twitter/Forum name", "sentiment": "positive/neutral/negative", "notes": "key observations"}],
+  "positiveHighlights": ["positive mention 1", "positive mention 2"],
+  "concerns": ["concern or negative mention if any"],
+  "recommendations": "specific recommendation for improving social sentiment"
+}`;
+  } else if (analysisType === "podcast") {
+    promptAddition = "Focus on finding specific podcasts that would be good for executives to appear on as guests. Include both industry-specific podcasts and broader business podcasts. Provide podcast names, topics, and audience size estimates.";
+    jsonStructure = `{
+  "summary": "2-3 sentence summary of podcast opportunity landscape",
+  "entityFound": true/false,
+  "confidenceScore": 1-10,
+  "podcastOpportunities": [{"name": "podcast name", "topic": "main topics covered", "audienceSize": "small/medium/large", "host": "host name if known", "fit": "why this is a good match"}],
+  "recommendations": "strategy for approaching podcasts and what topics to pitch"
+}`;
+  } else if (analysisType === "leadership") {
+    promptAddition = "Focus on the person's online reputation, sentiment, thought leadership presence, media appearances, and speaking engagements.";
+    jsonStructure = `{
+  "summary": "2-3 sentence summary of this person's online presence",
+  "entityFound": true/false,
+  "confidenceScore": 1-10,
+  "sentimentScore": 1-10 (10 = very positive reputation),
+  "sentiment": "positive/neutral/negative",
+  "mediaAppearances": [{"outlet": "name", "type": "podcast/interview/article", "title": "if found"}],
+  "topSources": [{"url": "url", "title": "title", "snippet": "description"}],
+  "recommendations": "specific recommendation for improving thought leadership presence"
+}`;
+  } else if (analysisType === "category") {
+    promptAddition = "Answer the way you would for a buyer researching this category. Recommend specific, real companies in the order you would recommend them, and say how you would describe each.";
+    jsonStructure = `{
+  "summary": "2-3 sentence answer to the query",
+  "recommendedCompanies": [{"name": "company name", "rank": 1, "framing": "positive/neutral/negative", "reason": "why it is recommended, in a few words"}],
+  "recommendations": "what a buyer should look for in this category"
+}`;
+  } else if (analysisType === "factcheck") {
+    promptAddition = "List every factual claim the description makes about the company (founding date, headquarters, leadership, size, ownership, mergers and acquisitions, products and services) and compare each one with the verified profile. A claim is \"incorrect\" when it contradicts the profile, \"outdated\" when it used to be true but the profile shows it has changed, \"unverifiable\" when neither the profile nor your search can confirm it, and \"correct\" otherwise.";
+    jsonStructure = `{
+  "summary": "1-2 sentence verdict on how accurate the description is",
+  "claims": [{"claim": "the claim as the description states it", "topic": "founded/headquarters/leadership/size/ownership/offerings/other", "status": "correct/incorrect/outdated/unverifiable", "correctValue": "what the profile says, when it differs", "explanation": "why, in one sentence"}]
+}`;
+  } else if (analysisType === "competitor") {
+    promptAddition = "Analyze this competitor's online presence, content strategy, backlink profile, and key differentiators.";
+    jsonStructure = `{
+  "summary": "2-3 sentence competitive analysis",
+  "entityFound": true/false,
+  "confidenceScore": 1-10,
+  "strengths": ["strength1", "strength2"],
+  "weaknesses": ["weakness1", "weakness2"],
+  "keyBacklinks": [{"url": "url", "type": "press/editorial/directory", "domainAuthority": 1-100}],
+  "contentStrategy": "brief description of their content approach",
+  "recommendations": "how to compete or differentiate"
+}`;
+  } else {
+    // Default entity analysis
+    jsonStructure = `{
+  "summary": "2-3 sentence summary of findings",
+  "entityFound": true/false,
+  "confidenceScore": 1-10,
+  "sentimentScore": 1-10 (10 = very positive),
+  "sentiment": "positive/neutral/negative",
+  "topSources": [{"url": "url", "title": "title", "snippet": "description", "domainAuthority": 1-100}],
+  "backlinks": [{"url": "url", "anchorText": "text", "domainAuthority": 1-100, "type": "editorial/directory/press"}],
+  "pressOpportunities": [{"outlet": "name", "type": "press release/feature/interview", "relevance": "high/medium/low"}],
+  "podcastOpportunities": [{"name": "podcast name", "topic": "relevant topic", "audienceSize": "small/medium/large"}],
+  "recommendations": "specific actionable recommendation"
+}`;
+  }
+
+  return { promptAddition, jsonStructure };
+}
+
+function buildPrompt({ query, llmName, analysisType, simulated }) {
+  const { promptAddition, jsonStructure } = getPromptParts(analysisType);
+  const intro = simulated
+    ? `You are simulating how the AI search engine "${llmName}" would respond to a query. Search the web thoroughly to find current, accurate information.`
+    : "Search the web thoroughly to find current, accurate information.";
+
+  return `${intro} ${promptAddition}
+
+Query: ${query}
+
+After searching, respond ONLY with valid JSON (no markdown code blocks, no extra text before or after):
+${jsonStructure}`;
+}
+
+// Pull the JSON object out of the model's text reply; null when there is none
+function extractJSON(responseText) {
+  // Remove markdown code blocks if present
+  const cleanText = (responseText || '')
+    .replace(/```json\s*/gi, '')
+    .replace(/```\s*/g, '')
+    .trim();
+
+  const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (parseError) {
+    console.log("JSON parse error:", parseError.message);
+    return null;
+  }
+}
+
+function parseAndValidate(responseText, analysisType) {
+  const data = extractJSON(responseText);
+  if (data === null) {
+    return { value: null, errors: ["no valid JSON object found in the reply"] };
+  }
+  return validateResult(analysisType, data);
+}
+
+function buildRepairPrompt({ analysisType, responseText, errors }) {
+  const { jsonStructure } = getPromptParts(analysisType);
+
+  return `Your previous reply could not be used because it did not match the required JSON format.
+
+Problems:
+${errors.slice(0, 20).map((e) => `- ${e}`).join("\n")}
+
+Previous reply:
+${(responseText || "").substring(0, 6000)}
+
+Rewrite it as JSON matching this structure exactly. Scores must be plain numbers (7, not "7/10"). Respond ONLY with valid JSON (no markdown code blocks, no extra text before or after):
+${jsonStructure}`;
+}
+
+// Stand-in for a reply that still fails validation after the repair attempt.
+// It carries no scores, so it is left out of every average.
+function invalidResult(responseText, errors) {
+  return {
+    invalid: true,
+    validationErrors: errors,
+    summary: "The engine's reply did not match the expected format and was excluded from scoring.",
+    rawResponse: (responseText || "").substring(0, 2000)
+  };
+}
+
+// One provider call; what it used is logged against the meter's workspace
+async function meteredSearch({ provider, analysisType, prompt, meter, deadline }) {
+  const result = await withRateLimit(provider.id, () => provider.search(prompt), { deadline });
+  if (result.usage) {
+    await recordAnthropicUsage(meter, { model: result.model, analysisType, usage: result.usage });
+  }
+  return result;
+}
+
+// Ask the provider, validate the reply and, if needed, re-prompt once to repair it.
+// URLs in the reply are flagged verified when the engine's web search returned them.
+async function searchAndValidate({ provider, engineName, analysisType, prompt, meter, deadline }) {
+  const { text, model: firstModel, citations: firstCitations } = await meteredSearch({ provider, analysisType, prompt, meter, deadline });
+
+  let model = firstModel;
+  let citations = firstCitations || [];
+  let { value, errors } = parseAndValidate(text, analysisType);
+  let repaired = false;
+
+  if (errors.length > 0) {
+    console.log(`${engineName} ${analysisType} reply failed validation:`, errors.join("; "));
+    const repairPrompt = buildRepairPrompt({ analysisType, responseText: text, errors });
+    const retry = await meteredSearch({ provider, analysisType, prompt: repairPrompt, meter, deadline });
+    const second = parseAndValidate(retry.text, analysisType);
+
+    if (second.errors.length > 0) {
+      console.log(`${engineName} ${analysisType} repair failed:`, second.errors.join("; "));
+      value = invalidResult(retry.text || text, second.errors);
+    } else {
+      value = second.value;
+      repaired = true;
+    }
+    model = retry.model || model;
+    citations = citations.concat(retry.citations || []);
+  }
+
+  citations = dedupeCitations(citations);
+  if (!value.invalid) value = attachCitations(value, citations);
+  else value.citations = citations;
+
+  return {
+    ...value,
+    ...(repaired ? { repaired } : {}),
+    model
+  };
+}
+
+// Run one query on one engine. Throws a status-500 error when no provider
+// (not even the Claude fallback) has credentials. Valid results are cached by
+// engine + provider + analysisType + query; refresh bypasses the cache.
+// meter ({ workspaceId, jobId }) is what provider usage is logged against;
+// deadline is passed on to withRateLimit.
+async function analyzeQuery({ query, llmId, llmName, analysisType, refresh = false, meter = null, deadline = null }) {
+  const resolved = resolveProvider(llmId);
+  if (!resolved) {
+    const error = new Error("API key not configured");
+    error.status = 500;
+    error.hint = "Add ANTHROPIC_API_KEY (or the engine's own key) to Vercel environment variables";
+    throw error;
+  }
+
+  const { provider, simulated } = resolved;
+  const engineName = llmName || provider.name;
+
+  console.log(`LLM: ${engineName}, Type: ${analysisType}, Provider: ${provider.id}${simulated ? " (simulated)" : ""}`);
+
+  const prompt = buildPrompt({ query, llmName: engineName, analysisType, simulated });
+  const { value, cachedAt, fromCache } = await withCache(
+    "analyze",
+    [llmId, provider.id, analysisType || "entity", query],
+    () => searchAndValidate({ provider, engineName, analysisType, prompt, meter, deadline }),
+    { refresh, shouldCache: (result) => !result.invalid }
+  );
+
+  if (fromCache) console.log(`Cache hit for ${engineName} ${analysisType} (fetched ${cachedAt})`);
+
+  return {
+    ...value,
+    simulated,
+    provider: provider.id,
+    cachedAt
+  };
+}
+
+module.exports = { analyzeQuery, buildPrompt, extractJSON };
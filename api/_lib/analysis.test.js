@@ -0,0 +1,86 @@
+// analyzeQuery's validation and repair re-prompt against a stand-in for the
+// Anthropic API that answers with the replies a test queues up
+process.env.STORE_DRIVER = "memory";
+process.env.ANTHROPIC_API_KEY = "sk-ant-test";
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./testing");
+const { analyzeQuery } = require("./analysis");
+
+let server;
+let replies = [];
+
+before(async () => {
+  server = await startServer(() => ({
+    id: "msg_test",
+    type: "message",
+    role: "assistant",
+    model: "claude-test",
+    stop_reason: "end_turn",
+    content: [{ type: "text", text: replies.shift() }],
+    usage: { input_tokens: 100, output_tokens: 20 }
+  }));
+  process.env.ANTHROPIC_BASE_URL = server.url;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  replies = [];
+  server.requests.length = 0;
+});
+
+const VALID = { summary: "Acme makes rockets", entityFound: true, confidenceScore: 7, sentimentScore: 6, sentiment: "positive", topSources: [], recommendations: "Publish more" };
+
+const ask = (query) => analyzeQuery({ query, llmId: "claude", analysisType: "entity" });
+const promptOf = (request) => request.body.messages[0].content;
+
+test("a valid reply is used as it is, with no second call", async () => {
+  replies = [JSON.stringify(VALID)];
+
+  const result = await ask("Tell me about Acme (valid)");
+
+  assert.equal(server.requests.length, 1);
+  assert.equal(result.summary, VALID.summary);
+  assert.equal(result.repaired, undefined);
+  assert.equal(result.invalid, undefined);
+});
+
+test("a reply that fails validation is re-prompted once with its problems", async () => {
+  replies = [
+    `Here you go: ${JSON.stringify({ ...VALID, confidenceScore: "very high", sentiment: undefined })}`,
+    JSON.stringify(VALID)
+  ];
+
+  const result = await ask("Tell me about Acme (repair)");
+
+  assert.equal(server.requests.length, 2);
+  const repairPrompt = promptOf(server.requests[1]);
+  assert.match(repairPrompt, /did not match the required JSON format/);
+  assert.match(repairPrompt, /- confidenceScore must be a number/);
+  assert.match(repairPrompt, /- sentiment is required/);
+  assert.match(repairPrompt, /very high/);
+
+  assert.equal(result.repaired, true);
+  assert.equal(result.confidenceScore, 7);
+  assert.equal(result.sentiment, "positive");
+});
+
+test("a reply still invalid after the repair is excluded from scoring and not cached", async () => {
+  replies = ["I can't answer in JSON, sorry.", JSON.stringify({ summary: "Still no scores" })];
+
+  const result = await ask("Tell me about Acme (invalid)");
+
+  assert.equal(server.requests.length, 2);
+  assert.match(promptOf(server.requests[1]), /- no valid JSON object found in the reply/);
+  assert.equal(result.invalid, true);
+  assert.deepEqual(result.validationErrors, ["confidenceScore is required", "sentimentScore is required", "sentiment is required"]);
+  assert.equal(result.confidenceScore, undefined);
+  assert.match(result.rawResponse, /Still no scores/);
+
+  replies = [JSON.stringify(VALID)];
+  const retried = await ask("Tell me about Acme (invalid)");
+  assert.equal(server.requests.length, 3);
+  assert.equal(retried.invalid, undefined);
+});
@@ -0,0 +1,346 @@
+// Sessions, sign-in and the auth guard for API routes
+// A session is a random token handed to the browser as an HttpOnly cookie
+// (or sent as "Authorization: Bearer <token>" by scripts). Only its sha256 is
+// stored, in the "sessions" collection, together with the user and the
+// workspace they are working in. Sign-in links work the same way, from the
+// "login-links" collection, and can be used once.
+//
+// Who may create an account:
+//   - ADMIN_EMAIL (whose account also takes over any pre-existing reports)
+//   - emails on a domain in SIGNUP_DOMAINS (comma-separated, e.g. "abstraktmg.com")
+//   - anyone invited to a workspace
+//   - anyone at all when SIGNUP_OPEN=true
+//
+// Sessions must be visible to every instance, so in production sign-in is
+// refused while STORE_DRIVER is still the per-instance file or memory store.
+
+const crypto = require("crypto");
+const { getCollection, isPerInstanceDriver } = require("./store");
+const { isProduction } = require("./env");
+const { sendMail, escapeHtml } = require("./mailer");
+const {
+  normalizeEmail,
+  isValidEmail,
+  getUser,
+  findUserByEmail,
+  createUser,
+  verifyPassword,
+  recordLogin
+} = require("./users");
+const {
+  memberRole,
+  createWorkspace,
+  getWorkspace,
+  listWorkspacesForUser,
+  adoptUnownedRecords
+} = require("./workspaces");
+const { allowedOrigins } = require("./cors");
+const { consumeQuotas, clientIp } = require("./quotas");
+const { clientError } = require("./errors");
+
+const SESSION_COOKIE = "session";
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const LOGIN_LINK_TTL_MS = 15 * 60 * 1000;
+
+// Password logins and sign-in link requests, each per client IP and per email
+// address, so passwords can't be guessed and inboxes can't be flooded
+const SIGN_IN_LIMITS = {
+  perIp: { max: 30, windowMs: 15 * 60 * 1000 },
+  perEmail: { max: 10, windowMs: 15 * 60 * 1000 }
+};
+
+const sessions = () => getCollection("sessions");
+const loginLinks = () => getCollection("login-links");
+
+const newToken = () => crypto.randomBytes(32).toString("base64url");
+const tokenKey = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (err) {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+function requestToken(req) {
+  const authorization = req.headers.authorization || "";
+  if (authorization.startsWith("Bearer ")) return authorization.slice(7).trim();
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function isHttps(req) {
+  return (req.headers["x-forwarded-proto"] || "").split(",")[0].trim() === "https";
+}
+
+// Base URL for links in emails. APP_URL wins; otherwise the request's own host,
+// which the client picks, so in production it is only used when ALLOWED_ORIGINS
+// lists it. Call it before storing a token, so a 503 leaves nothing behind.
+function appUrl(req) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/$/, "");
+  const origin = `${isHttps(req) ? "https" : "http"}://${req.headers.host}`;
+  if (!isProduction() || allowedOrigins().includes(origin)) return origin;
+  throw clientError(503, "Email links are unavailable: set APP_URL in production");
+}
+
+function setSessionCookie(req, res, token) {
+  const parts = [
+    `${SESSION_COOKIE}=${token}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`
+  ];
+  if (isHttps(req)) parts.push("Secure");
+  res.setHeader("Set-Cookie", parts.join("; "));
+}
+
+function clearSessionCookie(req, res) {
+  const parts = [`${SESSION_COOKIE}=`, "Path=/", "HttpOnly", "SameSite=Lax", "Max-Age=0"];
+  if (isHttps(req)) parts.push("Secure");
+  res.setHeader("Set-Cookie", parts.join("; "));
+}
+
+function signupDomains() {
+  return (process.env.SIGNUP_DOMAINS || "")
+    .split(",")
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isAdminEmail(email) {
+  return Boolean(process.env.ADMIN_EMAIL) && normalizeEmail(email) === normalizeEmail(process.env.ADMIN_EMAIL);
+}
+
+function canSignUp(email) {
+  if (process.env.SIGNUP_OPEN === "true") return true;
+  if (isAdminEmail(email)) return true;
+  return signupDomains().includes(normalizeEmail(email).split("@")[1]);
+}
+
+function assertSessionStore() {
+  if (isProduction() && isPerInstanceDriver()) {
+    throw clientError(503, "Sign-in is unavailable: set STORE_DRIVER to a shared store in production");
+  }
+}
+
+// A brand-new account gets a personal workspace. The ADMIN_EMAIL account also
+// adopts reports, jobs, monitors and prompt sets saved before sign-in existed.
+async function setUpNewUser(user, { isNew = true } = {}) {
+  const workspace = await createWorkspace({ name: `${user.name}'s workspace`, owner: user });
+  if (isNew && isAdminEmail(user.email)) await adoptUnownedRecords(workspace.id);
+  return workspace;
+}
+
+async function startSession(req, res, user, workspaceId = null) {
+  const workspace = workspaceId
+    ? await getWorkspace(workspaceId)
+    : (await listWorkspacesForUser(user.id))[0] || null;
+
+  const token = newToken();
+  const now = Date.now();
+  const session = {
+    id: tokenKey(token),
+    userId: user.id,
+    workspaceId: workspace?.id || null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+  };
+  await sessions().put(session.id, session);
+  await recordLogin(user);
+  setSessionCookie(req, res, token);
+  return session;
+}
+
+// Throws a 429 with retryAfter (seconds) once a sign-in limit is used up
+async function throttleSignIn(req, action, email) {
+  const refused = await consumeQuotas(action, { perIp: clientIp(req), perEmail: normalizeEmail(email) }, SIGN_IN_LIMITS);
+  if (!refused) return;
+
+  console.log(`Sign-in ${action} refused (${refused.scope}) for ${clientIp(req)}`);
+  const error = clientError(429, "Too many sign-in attempts. Try again in a few minutes.");
+  error.retryAfter = refused.retryAfter;
+  throw error;
+}
+
+async function signUp(req, res, { email, password, name }) {
+  assertSessionStore();
+  if (!isValidEmail(email)) throw clientError(400, "A valid email is required");
+  if (!canSignUp(email)) {
+    throw clientError(403, "Sign-up is invite-only. Ask a workspace owner to invite you.");
+  }
+
+  const user = await createUser({ email, name, password });
+  const workspace = await setUpNewUser(user);
+  await startSession(req, res, user, workspace.id);
+  return user;
+}
+
+async function logIn(req, res, { email, password }) {
+  assertSessionStore();
+  await throttleSignIn(req, "login", email);
+  const user = await findUserByEmail(email);
+  if (!user || !(await verifyPassword(user, password))) {
+    throw clientError(401, "Invalid email or password");
+  }
+  await startSession(req, res, user);
+  return user;
+}
+
+async function sendLoginLink(req, email, { subject, intro }) {
+  const baseUrl = appUrl(req);
+  const token = newToken();
+  const now = Date.now();
+  await loginLinks().put(tokenKey(token), {
+    id: tokenKey(token),
+    email: normalizeEmail(email),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + LOGIN_LINK_TTL_MS).toISOString()
+  });
+
+  const link = `${baseUrl}/api/auth/verify?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: normalizeEmail(email),
+    subject,
+    text: `${intro}\n${link}\n\nThe link works once and expires in 15 minutes.`,
+    html: `<p>${escapeHtml(intro)}</p><p><a href="${link}">Sign in</a></p><p>The link works once and expires in 15 minutes.</p>`
+  });
+}
+
+// Emails a one-time sign-in link. Unknown addresses that may not sign up get
+// no email, but the reply is the same so it can't be used to probe accounts.
+async function requestLoginLink(req, email) {
+  assertSessionStore();
+  if (!isValidEmail(email)) throw clientError(400, "A valid email is required");
+  await throttleSignIn(req, "magicLink", email);
+
+  const existing = await findUserByEmail(email);
+  if (!existing && !canSignUp(email)) {
+    console.log(`Sign-in link not sent to ${normalizeEmail(email)}: sign-up not allowed`);
+    return { sent: true };
+  }
+
+  await sendLoginLink(req, email, {
+    subject: "Your AI Reputation Report sign-in link",
+    intro: "Sign in to AI Reputation Report:"
+  });
+  return { sent: true };
+}
+
+// Tells a newly added member about the workspace, with a link to sign in
+async function sendInvite(req, { email, workspace, invitedBy }) {
+  await sendLoginLink(req, email, {
+    subject: `You've been added to ${workspace.name} on AI Reputation Report`,
+    intro: `${invitedBy.name} (${invitedBy.email}) added you to the "${workspace.name}" workspace. Sign in here:`
+  });
+}
+
+// Signs in with a link token, creating the account on first use. The link is
+// taken out of the store atomically, so a second click (or a mail scanner
+// racing the user) can't use it again.
+async function consumeLoginLink(req, res, token) {
+  assertSessionStore();
+  if (!token) throw clientError(400, "Missing sign-in token");
+
+  const link = await loginLinks().take(tokenKey(String(token)));
+  if (!link || link.expiresAt < new Date().toISOString()) {
+    throw clientError(401, "This sign-in link is invalid or has expired");
+  }
+
+  let user = await findUserByEmail(link.email);
+  if (!user) {
+    user = await createUser({ email: link.email });
+    await setUpNewUser(user);
+  } else if ((await listWorkspacesForUser(user.id)).length === 0) {
+    await setUpNewUser(user, { isNew: false });
+  }
+
+  await startSession(req, res, user);
+  return user;
+}
+
+async function getSession(req) {
+  const token = requestToken(req);
+  if (!token) return null;
+
+  const session = await sessions().get(tokenKey(token));
+  if (!session) return null;
+  if (session.expiresAt < new Date().toISOString()) {
+    await sessions().remove(session.id);
+    return null;
+  }
+  return session;
+}
+
+async function switchWorkspace(session, user, workspaceId) {
+  const workspace = await getWorkspace(workspaceId);
+  if (!memberRole(workspace, user.id)) throw clientError(404, "Workspace not found");
+
+  const updated = { ...session, workspaceId: workspace.id };
+  await sessions().put(session.id, updated);
+  return { session: updated, workspace };
+}
+
+async function endSession(req, res) {
+  const session = await getSession(req);
+  if (session) await sessions().remove(session.id);
+  clearSessionCookie(req, res);
+}
+
+// Resolves the signed-in user and current workspace, or answers 401/403
+// itself and returns null:
+//   const auth = await authenticate(req, res);
+//   if (!auth) return;
+async function authenticate(req, res) {
+  try {
+    const session = await getSession(req);
+    const user = session && await getUser(session.userId);
+    if (!user) {
+      res.status(401).json({ error: "Sign in required" });
+      return null;
+    }
+
+    // Fall back to another workspace if the user was removed from this one
+    let workspace = session.workspaceId ? await getWorkspace(session.workspaceId) : null;
+    if (!memberRole(workspace, user.id)) {
+      workspace = (await listWorkspacesForUser(user.id))[0] || null;
+      if (!workspace) {
+        res.status(403).json({ error: "You are not a member of any workspace" });
+        return null;
+      }
+      await sessions().put(session.id, { ...session, workspaceId: workspace.id });
+    }
+
+    return { user, workspace, session };
+
+  } catch (error) {
+    console.error("Auth error:", error);
+    res.status(500).json({
+      error: "Failed to check session",
+      message: error.message
+    });
+    return null;
+  }
+}
+
+module.exports = {
+  signUp,
+  logIn,
+  requestLoginLink,
+  sendInvite,
+  consumeLoginLink,
+  getSession,
+  switchWorkspace,
+  endSession,
+  authenticate,
+  appUrl,
+  newToken,
+  tokenKey
+};
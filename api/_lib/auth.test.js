@@ -0,0 +1,237 @@
+process.env.STORE_DRIVER = "memory";
+process.env.MAIL_DRIVER = "outbox";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.SIGNUP_DOMAINS = "example.com";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { callHandler, sessionCookie } = require("./testing");
+const { getCollection } = require("./store");
+const { listOutbox } = require("./mailer");
+const { isProduction } = require("./env");
+const { appUrl } = require("./auth");
+
+const signup = require("../auth/signup");
+const login = require("../auth/login");
+const magicLink = require("../auth/magic-link");
+const verify = require("../auth/verify");
+const session = require("../auth/session");
+const reportsIndex = require("../reports/index");
+const monitorsIndex = require("../monitors/index");
+const monitorById = require("../monitors/[id]");
+const workspaceById = require("../workspaces/[id]");
+const jobsIndex = require("../jobs/index");
+const usage = require("../usage");
+
+async function requestLink(email) {
+  const res = await callHandler(magicLink, { method: "POST", body: { email } });
+  assert.equal(res.statusCode, 200);
+  const [message] = await listOutbox(email);
+  return message && new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+}
+
+async function signUp(email) {
+  const res = await callHandler(signup, { method: "POST", body: { email, password: "correct horse" } });
+  assert.equal(res.statusCode, 201);
+  return { cookie: sessionCookie(res) };
+}
+
+test("sign-in link signs in once and sets the session cookie", async () => {
+  const token = await requestLink("link@example.com");
+  assert.ok(token);
+
+  const first = await callHandler(verify, { query: { token } });
+  assert.equal(first.statusCode, 302);
+  assert.equal(first.headers.location, "/");
+  const cookie = first.headers["set-cookie"];
+  assert.match(cookie, /^session=[\w-]+; Path=\/; HttpOnly; SameSite=Lax; Max-Age=\d+$/);
+
+  const me = await callHandler(session, { headers: { cookie: sessionCookie(first) } });
+  assert.equal(me.statusCode, 200);
+  assert.equal(me.body.user.email, "link@example.com");
+  assert.equal(me.body.workspaces.length, 1);
+
+  const again = await callHandler(verify, { query: { token } });
+  assert.equal(again.headers.location, "/?signin=expired");
+  assert.equal(again.headers["set-cookie"], undefined);
+});
+
+test("an expired sign-in link is refused", async () => {
+  const token = await requestLink("late@example.com");
+  const links = getCollection("login-links");
+  const [link] = (await links.list()).filter((doc) => doc.email === "late@example.com");
+  await links.put(link.id, { ...link, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+  const res = await callHandler(verify, { query: { token } });
+  assert.equal(res.headers.location, "/?signin=expired");
+  assert.equal(res.headers["set-cookie"], undefined);
+});
+
+test("the outbox keeps the link out of the logs", async () => {
+  const logged = [];
+  const log = console.log;
+  console.log = (...args) => logged.push(args.join(" "));
+  try {
+    await requestLink("quiet@example.com");
+  } finally {
+    console.log = log;
+  }
+  assert.ok(logged.some((line) => line.includes("quiet@example.com")));
+  assert.ok(!logged.some((line) => line.includes("token=")));
+});
+
+test("no link is sent to addresses that may not sign up", async () => {
+  assert.equal(await requestLink("stranger@elsewhere.org"), undefined);
+});
+
+test("session cookie and bearer token both authenticate", async () => {
+  const { cookie } = await signUp("cookie@example.com");
+  const token = cookie.split("=")[1];
+
+  assert.equal((await callHandler(session, { headers: { cookie } })).statusCode, 200);
+  assert.equal((await callHandler(session, { headers: { authorization: `Bearer ${token}` } })).statusCode, 200);
+
+  const loggedIn = await callHandler(login, { method: "POST", body: { email: "cookie@example.com", password: "correct horse" } });
+  assert.equal(loggedIn.statusCode, 200);
+  assert.notEqual(sessionCookie(loggedIn), cookie);
+
+  const wrong = await callHandler(login, { method: "POST", body: { email: "cookie@example.com", password: "wrong password" } });
+  assert.equal(wrong.statusCode, 401);
+
+  const signOut = await callHandler(session, { method: "DELETE", headers: { cookie } });
+  assert.match(signOut.headers["set-cookie"], /Max-Age=0/);
+  assert.equal((await callHandler(session, { headers: { cookie } })).statusCode, 401);
+});
+
+test("protected routes answer 401 without a session", async () => {
+  const routes = [[session, "GET"], [reportsIndex, "GET"], [monitorsIndex, "GET"], [jobsIndex, "POST"], [usage, "GET"]];
+  for (const [handler, method] of routes) {
+    const res = await callHandler(handler, { method, headers: { cookie: "session=not-a-real-token" } });
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: "Sign in required" });
+  }
+  const post = await callHandler(reportsIndex, { method: "POST", body: { results: { companyName: "Acme" } } });
+  assert.equal(post.statusCode, 401);
+});
+
+test("sign-up needs ADMIN_EMAIL, an allowed domain or SIGNUP_OPEN", async () => {
+  const res = await callHandler(signup, { method: "POST", body: { email: "first@elsewhere.org", password: "correct horse" } });
+  assert.equal(res.statusCode, 403);
+});
+
+test("only the ADMIN_EMAIL account adopts records saved before sign-in existed", async () => {
+  await getCollection("reports").put("legacy1", { id: "legacy1", companyName: "Old Co", createdAt: new Date().toISOString(), results: {} });
+
+  const other = await signUp("someone@example.com");
+  const otherReports = await callHandler(reportsIndex, { headers: other });
+  assert.equal(otherReports.body.reports.length, 0);
+
+  const admin = await signUp("admin@example.com");
+  const adminReports = await callHandler(reportsIndex, { headers: admin });
+  assert.deepEqual(adminReports.body.reports.map((report) => report.id), ["legacy1"]);
+});
+
+test("workspaces can't see each other's reports, monitors or members", async () => {
+  const alice = await signUp("alice@example.com");
+  const bob = await signUp("bob@example.com");
+
+  const saved = await callHandler(reportsIndex, { method: "POST", body: { results: { companyName: "Alice Co" } }, headers: alice });
+  assert.equal(saved.statusCode, 201);
+  const monitor = await callHandler(monitorsIndex, {
+    method: "POST",
+    body: { formData: { companyName: "Alice Co" }, selectedLLMs: { claude: true }, cadence: "weekly", recipients: ["alice@example.com"] },
+    headers: alice
+  });
+  assert.equal(monitor.statusCode, 201);
+
+  const bobReports = await callHandler(reportsIndex, { headers: bob });
+  assert.deepEqual(bobReports.body.reports, []);
+  const bobMonitors = await callHandler(monitorsIndex, { headers: bob });
+  assert.deepEqual(bobMonitors.body.monitors, []);
+
+  const bobMonitor = await callHandler(monitorById, { query: { id: monitor.body.id }, headers: bob });
+  assert.equal(bobMonitor.statusCode, 404);
+  const bobDelete = await callHandler(monitorById, { method: "DELETE", query: { id: monitor.body.id }, headers: bob });
+  assert.equal(bobDelete.statusCode, 404);
+
+  const aliceSession = await callHandler(session, { headers: alice });
+  const workspaceId = aliceSession.body.workspace.id;
+  assert.equal((await callHandler(workspaceById, { query: { id: workspaceId }, headers: bob })).statusCode, 404);
+  const switched = await callHandler(session, { method: "PATCH", body: { workspaceId }, headers: bob });
+  assert.equal(switched.statusCode, 404);
+
+  const aliceReports = await callHandler(reportsIndex, { headers: alice });
+  assert.deepEqual(aliceReports.body.reports.map((report) => report.id), [saved.body.id]);
+});
+
+test("an account made from a sign-in link can set a password and then log in with it", async () => {
+  const token = await requestLink("nopass@example.com");
+  const cookie = sessionCookie(await callHandler(verify, { query: { token } }));
+  const credentials = { email: "nopass@example.com", password: "correct horse" };
+  assert.equal((await callHandler(login, { method: "POST", body: credentials })).statusCode, 401);
+
+  const tooShort = await callHandler(session, { method: "PATCH", headers: { cookie }, body: { password: "short" } });
+  assert.equal(tooShort.statusCode, 400);
+  const set = await callHandler(session, { method: "PATCH", headers: { cookie }, body: { password: "correct horse" } });
+  assert.equal(set.statusCode, 200);
+  assert.equal(set.body.user.hasPassword, true);
+  assert.equal(set.body.workspaces.length, 1);
+
+  assert.equal((await callHandler(login, { method: "POST", body: credentials })).statusCode, 200);
+  const empty = await callHandler(session, { method: "PATCH", headers: { cookie }, body: {} });
+  assert.equal(empty.statusCode, 400);
+});
+
+test("logins are limited per email and sign-in links per network", async () => {
+  await signUp("guessed@example.com");
+  const attempt = (password, ip) => callHandler(login, {
+    method: "POST",
+    headers: { "x-forwarded-for": ip },
+    body: { email: "guessed@example.com", password }
+  });
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await attempt(`guess ${i}`, `198.51.100.${i}`)).statusCode, 401);
+  }
+  const locked = await attempt("correct horse", "198.51.100.99");
+  assert.equal(locked.statusCode, 429);
+  assert.equal(locked.headers["retry-after"], String(locked.body.retryAfter));
+
+  const link = (email) => callHandler(magicLink, { method: "POST", headers: { "x-forwarded-for": "203.0.113.50" }, body: { email } });
+  for (let i = 0; i < 30; i++) {
+    assert.equal((await link(`someone${i}@elsewhere.example`)).statusCode, 200);
+  }
+  assert.equal((await link("one-more@elsewhere.example")).statusCode, 429);
+});
+
+test("sign-in is refused in production on a per-instance store", async () => {
+  process.env.VERCEL_ENV = "production";
+  try {
+    assert.equal(isProduction(), true);
+    const res = await callHandler(login, { method: "POST", body: { email: "cookie@example.com", password: "correct horse" } });
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.headers["set-cookie"], undefined);
+    const link = await callHandler(magicLink, { method: "POST", body: { email: "cookie@example.com" } });
+    assert.equal(link.statusCode, 503);
+  } finally {
+    delete process.env.VERCEL_ENV;
+  }
+});
+
+test("a forged Host header can't change where email links point", async () => {
+  const forged = { headers: { host: "evil.example", "x-forwarded-proto": "https" } };
+  process.env.VERCEL_ENV = "production";
+  try {
+    assert.throws(() => appUrl(forged), { status: 503, message: /APP_URL/ });
+
+    process.env.ALLOWED_ORIGINS = "https://reports.example.com";
+    assert.equal(appUrl({ headers: { host: "reports.example.com", "x-forwarded-proto": "https" } }), "https://reports.example.com");
+    assert.throws(() => appUrl(forged), { status: 503 });
+
+    process.env.APP_URL = "https://app.example.com/";
+    assert.equal(appUrl(forged), "https://app.example.com");
+  } finally {
+    delete process.env.VERCEL_ENV;
+    delete process.env.ALLOWED_ORIGINS;
+    delete process.env.APP_URL;
+  }
+});
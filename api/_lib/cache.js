@@ -0,0 +1,74 @@
+// Response cache for SEMRush, Wikidata and analysis calls
+// Entries live in the document store under the "cache" collection, so the
+// backend is pluggable the same way: CACHE_DRIVER (falling back to
+// STORE_DRIVER) picks file, memory, redis or any driver added with registerDriver().
+
+const crypto = require("crypto");
+const { getCollection } = require("./store");
+
+// Seconds an entry stays fresh per namespace; override with the CACHE_TTLS
+// env var, e.g. {"semrush":3600,"analyze":0}. A TTL of 0 turns caching off.
+const DEFAULT_TTLS = {
+  semrush: 24 * 60 * 60,
+  analyze: 6 * 60 * 60,
+  wikidata: 7 * 24 * 60 * 60
+};
+
+const entries = () => getCollection("cache", process.env.CACHE_DRIVER || process.env.STORE_DRIVER);
+
+function getTtlSeconds(namespace) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.CACHE_TTLS || "{}");
+  } catch (error) {
+    console.log("Ignoring invalid CACHE_TTLS:", error.message);
+  }
+  const ttl = overrides[namespace] ?? DEFAULT_TTLS[namespace];
+  return Number(ttl) || 0;
+}
+
+// Store ids are limited to a safe character set, so entries are keyed by a hash
+function cacheId(namespace, keyParts) {
+  return crypto.createHash("sha256").update(JSON.stringify([namespace, ...keyParts])).digest("hex");
+}
+
+// Returns { value, cachedAt, fromCache }. cachedAt is when the value was
+// fetched from the upstream API. refresh skips the lookup but still stores the
+// new value; shouldCache lets callers keep failed responses out.
+// A broken cache never fails the call - it just behaves like a miss.
+async function withCache(namespace, keyParts, fetchFn, { refresh = false, shouldCache = () => true } = {}) {
+  const ttl = getTtlSeconds(namespace);
+  const id = cacheId(namespace, keyParts);
+
+  if (ttl > 0 && !refresh) {
+    try {
+      const entry = await entries().get(id);
+      if (entry && Date.parse(entry.expiresAt) > Date.now()) {
+        return { value: entry.value, cachedAt: entry.cachedAt, fromCache: true };
+      }
+    } catch (error) {
+      console.error(`Cache read failed (${namespace}):`, error.message);
+    }
+  }
+
+  const value = await fetchFn();
+  const cachedAt = new Date().toISOString();
+
+  if (ttl > 0 && shouldCache(value)) {
+    try {
+      await entries().put(id, {
+        namespace,
+        key: keyParts,
+        value,
+        cachedAt,
+        expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
+      });
+    } catch (error) {
+      console.error(`Cache write failed (${namespace}):`, error.message);
+    }
+  }
+
+  return { value, cachedAt, fromCache: false };
+}
+
+module.exports = { withCache };
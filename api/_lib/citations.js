@@ -0,0 +1,58 @@
+// Web search citations
+// Providers return the search results their answer was grounded on. URLs the
+// model writes into its JSON are checked against those results and flagged
+// verified or unverified, since models sometimes invent plausible links.
+
+// Result fields whose items carry a model-reported url
+const URL_LISTS = ["topSources", "backlinks", "keyBacklinks"];
+
+// Compare URLs by host + path: scheme, www., trailing slash, fragment and
+// tracking parameters do not make a different page
+function normalizeUrl(url) {
+  if (typeof url !== "string") return null;
+
+  let parsed;
+  try {
+    parsed = new URL(/^https?:\/\//i.test(url.trim()) ? url.trim() : `https://${url.trim()}`);
+  } catch (err) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  const path = parsed.pathname.replace(/\/+$/, "");
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !key.toLowerCase().startsWith("utm_"))
+    .map(([key, value]) => `${key}=${value}`)
+    .sort();
+
+  return `${host}${path}${params.length ? `?${params.join("&")}` : ""}`;
+}
+
+// Drop duplicates and anything that is not a usable URL; keeps first title seen
+function dedupeCitations(citations) {
+  const seen = new Map();
+  (citations || []).forEach((citation) => {
+    const key = normalizeUrl(citation?.url);
+    if (!key || seen.has(key)) return;
+    seen.set(key, { url: citation.url, title: citation.title || "" });
+  });
+  return [...seen.values()];
+}
+
+// Attach citations to a validated result and flag each model-reported URL
+function attachCitations(result, citations) {
+  const verifiedUrls = new Set(citations.map((citation) => normalizeUrl(citation.url)));
+  const annotated = { ...result, citations };
+
+  URL_LISTS.forEach((field) => {
+    if (!Array.isArray(result[field])) return;
+    annotated[field] = result[field].map((item) => ({
+      ...item,
+      verified: verifiedUrls.has(normalizeUrl(item.url))
+    }));
+  });
+
+  return annotated;
+}
+
+module.exports = { normalizeUrl, dedupeCitations, attachCitations };
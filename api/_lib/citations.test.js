@@ -0,0 +1,54 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeUrl, dedupeCitations, attachCitations } = require("./citations");
+
+test("URLs that point at the same page normalize the same", () => {
+  const page = "acme.com/about?lang=en";
+  [
+    "https://acme.com/about?lang=en",
+    "http://www.acme.com/about/?lang=en",
+    "HTTPS://WWW.ACME.COM/about?utm_source=chatgpt&lang=en#team",
+    "acme.com/about?lang=en&utm_medium=ai"
+  ].forEach((url) => assert.equal(normalizeUrl(url), page, url));
+
+  assert.equal(normalizeUrl("https://acme.com/?b=2&a=1"), "acme.com?a=1&b=2");
+  assert.notEqual(normalizeUrl("https://acme.com/about"), normalizeUrl("https://acme.com/careers"));
+  assert.notEqual(normalizeUrl("https://blog.acme.com/"), normalizeUrl("https://acme.com/"));
+  assert.equal(normalizeUrl("not a url at all"), null);
+  assert.equal(normalizeUrl(null), null);
+});
+
+test("duplicate and unusable citations are dropped, keeping the first title", () => {
+  const citations = dedupeCitations([
+    { url: "https://acme.com/about", title: "About Acme" },
+    { url: "https://www.acme.com/about/", title: "Acme - About us" },
+    { url: "", title: "Empty" },
+    null,
+    { url: "https://news.example/acme" }
+  ]);
+
+  assert.deepEqual(citations, [
+    { url: "https://acme.com/about", title: "About Acme" },
+    { url: "https://news.example/acme", title: "" }
+  ]);
+});
+
+test("URLs the model reports are flagged verified only when its web search returned them", () => {
+  const result = {
+    summary: "Acme makes rockets",
+    topSources: [{ url: "http://www.acme.com/about/", title: "About" }, { url: "https://invented.example/acme" }],
+    backlinks: [{ url: "news.example/acme?utm_campaign=x" }],
+    keyBacklinks: "not a list"
+  };
+  const citations = [{ url: "https://acme.com/about", title: "About Acme" }, { url: "https://news.example/acme", title: "News" }];
+
+  const annotated = attachCitations(result, citations);
+
+  assert.deepEqual(annotated.topSources.map((source) => source.verified), [true, false]);
+  assert.equal(annotated.backlinks[0].verified, true);
+  assert.equal(annotated.keyBacklinks, "not a list");
+  assert.deepEqual(annotated.citations, citations);
+  assert.equal(result.topSources[0].verified, undefined);
+
+  assert.deepEqual(attachCitations(result, []).topSources.map((source) => source.verified), [false, false]);
+});
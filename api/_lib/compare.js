@@ -0,0 +1,133 @@
+// Report comparison for trend tracking
+// Lines up two or more saved reports for the same company (oldest first) and
+// works out per-engine and SEMRush deltas plus sources/backlinks that changed.
+
+const { getReport, getWorkspaceReport, listReports } = require("./reports");
+const { cleanDomain } = require("./semrush");
+const { isUsableResult } = require("../../src/lib/scoring");
+const { calculateVisibilityIndex } = require("../../src/lib/visibility");
+const { getVisibilityWeights } = require("./workspaces");
+
+function toNumber(value) {
+  const number = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function metricRow(key, label, values) {
+  const first = values[0];
+  const last = values[values.length - 1];
+  const delta = first !== null && last !== null ? Math.round((last - first) * 10) / 10 : null;
+  return { key, label, values, delta };
+}
+
+// Errored and invalid engine runs have no meaningful score
+function engineScore(report, llmId, field) {
+  const results = report.results.company?.[llmId]?.results;
+  if (!isUsableResult(results)) return null;
+  return toNumber(results[field]);
+}
+
+function sourceUrls(report) {
+  const urls = new Set();
+  Object.values(report.results.company || {}).forEach((entry) => {
+    (entry.results?.topSources || []).forEach((source) => {
+      if (source.url) urls.add(source.url);
+    });
+  });
+  return urls;
+}
+
+function backlinkUrls(report) {
+  return new Set(
+    (report.results.semrushData?.topBacklinks || [])
+      .map((link) => link.sourceUrl)
+      .filter(Boolean)
+  );
+}
+
+function diffSets(before, after) {
+  return {
+    appeared: [...after].filter((url) => !before.has(url)),
+    disappeared: [...before].filter((url) => !after.has(url))
+  };
+}
+
+function compareReports(reports) {
+  const runs = [...reports].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const first = runs[0];
+  const last = runs[runs.length - 1];
+
+  // Every engine that appears in any run, in first-seen order
+  const engines = new Map();
+  runs.forEach((run) => {
+    Object.entries(run.results.company || {}).forEach(([llmId, entry]) => {
+      if (!engines.has(llmId)) engines.set(llmId, entry.llm || { id: llmId, name: llmId });
+    });
+  });
+
+  return {
+    companyName: last.companyName,
+    website: last.website,
+    runs: runs.map((run) => ({ id: run.id, createdAt: run.createdAt })),
+    engines: [...engines.entries()].map(([llmId, llm]) => ({
+      id: llmId,
+      name: llm.name,
+      color: llm.color,
+      metrics: [
+        metricRow("confidenceScore", "AI Visibility", runs.map((run) => engineScore(run, llmId, "confidenceScore"))),
+        metricRow("sentimentScore", "Sentiment", runs.map((run) => engineScore(run, llmId, "sentimentScore")))
+      ]
+    })),
+    semrush: [
+      metricRow("authorityScore", "Authority Score", runs.map((run) => toNumber(run.results.semrushData?.authorityScore))),
+      metricRow("referringDomains", "Referring Domains", runs.map((run) => toNumber(run.results.semrushData?.backlinks?.referringDomains))),
+      metricRow("organicTraffic", "Organic Traffic", runs.map((run) => toNumber(run.results.semrushData?.overview?.organic_traffic)))
+    ],
+    sources: diffSets(sourceUrls(first), sourceUrls(last)),
+    backlinks: diffSets(backlinkUrls(first), backlinkUrls(last))
+  };
+}
+
+// Same company = same name (case-insensitive) or same cleaned website
+function isSameCompany(a, b) {
+  if (a.companyName && b.companyName && a.companyName.toLowerCase() === b.companyName.toLowerCase()) {
+    return true;
+  }
+  return Boolean(a.website && b.website && cleanDomain(a.website) === cleanDomain(b.website));
+}
+
+// Most recent report for the same company saved before this one, in the same workspace
+async function findPreviousReport(report) {
+  const history = await listReports({ workspaceId: report.workspaceId });
+  const previous = history.find((summary) =>
+    summary.id !== report.id &&
+    summary.createdAt < report.createdAt &&
+    isSameCompany(summary, report)
+  );
+  return previous ? getReport(previous.id) : null;
+}
+
+// Comparison of a saved report with the run before it, or null if there is
+// none (or the report isn't in this workspace)
+async function compareWithPrevious(reportId, workspaceId) {
+  const report = await getWorkspaceReport(reportId, workspaceId);
+  if (!report) return null;
+  const previous = await findPreviousReport(report);
+  return previous ? compareReports([previous, report]) : null;
+}
+
+// AI Visibility Index of a saved report next to the run before it, both with
+// the workspace's weights: { previousReportId, previousScore, score, delta },
+// or null when there is no earlier report or either one has no index
+async function visibilityChange(report) {
+  const previous = await findPreviousReport(report);
+  if (!previous) return null;
+
+  const weights = await getVisibilityWeights(report.workspaceId);
+  const score = calculateVisibilityIndex(report.results, weights).score;
+  const previousScore = calculateVisibilityIndex(previous.results, weights).score;
+  if (score === null || previousScore === null) return null;
+  return { previousReportId: previous.id, previousScore, score, delta: score - previousScore };
+}
+
+module.exports = { compareReports, compareWithPrevious, findPreviousReport, isSameCompany, visibilityChange };
@@ -0,0 +1,87 @@
+process.env.STORE_DRIVER = "memory";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compareReports, isSameCompany } = require("./compare");
+
+const claude = { id: "claude", name: "Claude", color: "#d97706" };
+const gemini = { id: "gemini", name: "Gemini", color: "#4285f4" };
+
+const run = (id, createdAt, { company, semrushData }) => ({
+  id,
+  createdAt,
+  companyName: "Acme",
+  website: "acme.com",
+  results: { companyName: "Acme", company, semrushData }
+});
+
+const sources = (...urls) => urls.map((url) => ({ url, title: url }));
+
+const january = run("r1", "2026-01-05T09:00:00.000Z", {
+  company: {
+    claude: { llm: claude, results: { confidenceScore: 5, sentimentScore: "6", topSources: sources("https://a.example", "https://b.example") } }
+  },
+  semrushData: {
+    authorityScore: 30,
+    backlinks: { referringDomains: 120 },
+    overview: { organic_traffic: "1000" },
+    topBacklinks: [{ sourceUrl: "https://old-link.example" }, { sourceUrl: "https://kept-link.example" }]
+  }
+});
+const february = run("r2", "2026-02-05T09:00:00.000Z", {
+  company: {
+    claude: { llm: claude, results: { error: true, summary: "Timed out" } },
+    gemini: { llm: gemini, results: { confidenceScore: 4, sentimentScore: 5, topSources: [] } }
+  },
+  semrushData: { authorityScore: 31 }
+});
+const march = run("r3", "2026-03-05T09:00:00.000Z", {
+  company: {
+    claude: { llm: claude, results: { confidenceScore: 7.5, sentimentScore: 6, topSources: sources("https://b.example", "https://c.example") } },
+    gemini: { llm: gemini, results: { invalid: true, summary: "Unusable" } }
+  },
+  semrushData: {
+    authorityScore: 34,
+    backlinks: { referringDomains: 150 },
+    overview: { organic_traffic: 1450 },
+    topBacklinks: [{ sourceUrl: "https://kept-link.example" }, { sourceUrl: "https://new-link.example" }]
+  }
+});
+
+test("runs are lined up oldest first with first-to-last deltas per engine and SEMRush metric", () => {
+  const comparison = compareReports([march, january, february]);
+
+  assert.deepEqual(comparison.runs.map((r) => r.id), ["r1", "r2", "r3"]);
+  assert.deepEqual(comparison.engines.map((engine) => engine.id), ["claude", "gemini"]);
+
+  const [claudeRow, geminiRow] = comparison.engines;
+  assert.equal(claudeRow.color, claude.color);
+  // The errored February run has no score, but the delta still spans first to last
+  assert.deepEqual(claudeRow.metrics[0], { key: "confidenceScore", label: "AI Visibility", values: [5, null, 7.5], delta: 2.5 });
+  assert.deepEqual(claudeRow.metrics[1].values, [6, null, 6]);
+  assert.equal(claudeRow.metrics[1].delta, 0);
+  // Gemini was missing in January and invalid in March: no delta
+  assert.deepEqual(geminiRow.metrics[0], { key: "confidenceScore", label: "AI Visibility", values: [null, 4, null], delta: null });
+
+  assert.deepEqual(comparison.semrush.map(({ key, values, delta }) => ({ key, values, delta })), [
+    { key: "authorityScore", values: [30, 31, 34], delta: 4 },
+    { key: "referringDomains", values: [120, null, 150], delta: 30 },
+    { key: "organicTraffic", values: [1000, null, 1450], delta: 450 }
+  ]);
+});
+
+test("sources and backlinks that appeared or disappeared are listed between the first and last run", () => {
+  const comparison = compareReports([january, february, march]);
+
+  assert.deepEqual(comparison.sources, { appeared: ["https://c.example"], disappeared: ["https://a.example"] });
+  assert.deepEqual(comparison.backlinks, { appeared: ["https://new-link.example"], disappeared: ["https://old-link.example"] });
+
+  const same = compareReports([january, january]);
+  assert.deepEqual(same.sources, { appeared: [], disappeared: [] });
+});
+
+test("reports are the same company by name or by website", () => {
+  assert.equal(isSameCompany({ companyName: "ACME" }, { companyName: "acme" }), true);
+  assert.equal(isSameCompany({ companyName: "Acme", website: "https://www.acme.com/" }, { companyName: "Acme Rockets", website: "acme.com" }), true);
+  assert.equal(isSameCompany({ companyName: "Acme", website: "acme.com" }, { companyName: "Globex", website: "globex.com" }), false);
+});
@@ -0,0 +1,37 @@
+// CORS for the API routes
+// Only origins listed in ALLOWED_ORIGINS (comma-separated, e.g.
+// "https://reports.example.com,http://localhost:3000") get CORS headers. The
+// app's own origin never needs listing: same-origin requests aren't subject to
+// CORS. Credentials are allowed so the session cookie works from a listed origin.
+
+function allowedOrigins() {
+  return (process.env.ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+}
+
+function isAllowedOrigin(req, origin) {
+  if (!origin) return false;
+  if (allowedOrigins().includes(origin)) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (err) {
+    return false;
+  }
+}
+
+// methods: e.g. "GET, POST, OPTIONS". Disallowed origins get no CORS headers,
+// so the browser refuses to hand them the response.
+function applyCors(req, res, methods) {
+  const origin = req.headers.origin;
+  res.setHeader("Vary", "Origin");
+  if (!isAllowedOrigin(req, origin)) return;
+
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+module.exports = { applyCors, isAllowedOrigin, allowedOrigins };
@@ -0,0 +1,147 @@
+process.env.STORE_DRIVER = "memory";
+
+const { test, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("../testing");
+const { getCollection } = require("../store");
+const { captureLead, retryDueSyncs } = require("./index");
+
+let server;
+// Status codes the mock CRM answers with, oldest first; 200 once they run out
+let statuses = [];
+
+before(async () => {
+  server = await startServer((req, body, res) => {
+    res.statusCode = statuses.shift() || 200;
+    if (req.url.startsWith("/crm/v3/objects/contacts/search")) return { results: [] };
+    if (req.url.startsWith("/crm/v3/objects/contacts")) return { id: "contact_1" };
+    if (req.url.startsWith("/crm/v3/objects/notes")) return { id: "note_1" };
+    return res.statusCode < 300 ? "OK" : { message: "CRM unavailable" };
+  });
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  statuses = [];
+  server.requests.length = 0;
+  process.env.CRM_WEBHOOK_URL = `${server.url}/hooks/lead`;
+  const syncs = getCollection("crm-syncs");
+  await Promise.all((await syncs.list()).map((sync) => syncs.remove(sync.id)));
+});
+
+afterEach(() => {
+  delete process.env.CRM_WEBHOOK_URL;
+  delete process.env.HUBSPOT_ACCESS_TOKEN;
+  delete process.env.HUBSPOT_BASE_URL;
+});
+
+const capture = () => captureLead({
+  name: "Jo Bloggs",
+  email: "jo@example.com",
+  company: "Acme",
+  reportData: { companyName: "Acme", company: {} },
+  source: "report-email",
+  workspaceId: "ws1"
+});
+
+const minutesFrom = (iso, minutes) => new Date(new Date(iso).getTime() + minutes * 60000);
+const onlySync = async () => (await getCollection("crm-syncs").list())[0];
+
+test("a failing CRM gets one attempt when the lead is captured, and the rest from the cron tick", async () => {
+  statuses = [503];
+  const started = Date.now();
+
+  assert.deepEqual(await capture(), [{ adapter: "webhook", status: "retrying" }]);
+  assert.ok(Date.now() - started < 1000, "lead capture waited on a retry");
+  assert.equal(server.requests.length, 1);
+
+  const sync = await onlySync();
+  assert.equal(sync.attempts.length, 1);
+  assert.equal(sync.attempts[0].status, 503);
+
+  // Not due yet
+  assert.deepEqual(await retryDueSyncs({ now: minutesFrom(sync.createdAt, 0.5) }), { retried: 0, synced: 0, failed: 0, remaining: 0 });
+
+  const summary = await retryDueSyncs({ now: minutesFrom(sync.nextAttemptAt, 0) });
+  assert.deepEqual(summary, { retried: 1, synced: 1, failed: 0, remaining: 0 });
+  const synced = await onlySync();
+  assert.equal(synced.status, "synced");
+  assert.equal(synced.nextAttemptAt, null);
+  assert.equal(synced.result.response, "OK");
+  assert.equal(server.requests.length, 2);
+  assert.equal(server.requests[1].body.lead.email, "jo@example.com");
+});
+
+test("retries back off and the sync fails after the last one", async () => {
+  statuses = [500, 429, 502, 504];
+  await capture();
+
+  const waits = [];
+  for (let tick = 0; tick < 3; tick++) {
+    const sync = await onlySync();
+    waits.push((new Date(sync.nextAttemptAt) - new Date(sync.attempts[sync.attempts.length - 1].at)) / 60000);
+    await retryDueSyncs({ now: new Date(sync.nextAttemptAt) });
+  }
+
+  const sync = await onlySync();
+  assert.deepEqual(waits, [1, 5, 30]);
+  assert.equal(sync.status, "failed");
+  assert.deepEqual(sync.attempts.map((attempt) => attempt.status), [500, 429, 502, 504]);
+  assert.equal(sync.nextAttemptAt, null);
+});
+
+test("a 4xx fails straight away and is left out of the cron tick", async () => {
+  statuses = [400];
+
+  assert.deepEqual(await capture(), [{ adapter: "webhook", status: "failed" }]);
+  assert.deepEqual(await retryDueSyncs({ now: minutesFrom(new Date().toISOString(), 60) }), { retried: 0, synced: 0, failed: 0, remaining: 0 });
+  assert.equal(server.requests.length, 1);
+});
+
+test("a HubSpot call that is rate limited mid-sync is retried from the start", async () => {
+  delete process.env.CRM_WEBHOOK_URL;
+  process.env.HUBSPOT_ACCESS_TOKEN = "pat-test";
+  process.env.HUBSPOT_BASE_URL = server.url;
+  statuses = [200, 200, 429];
+
+  assert.deepEqual(await capture(), [{ adapter: "hubspot", status: "retrying" }]);
+  const sync = await onlySync();
+  await retryDueSyncs({ now: new Date(sync.nextAttemptAt) });
+
+  const synced = await onlySync();
+  assert.equal(synced.status, "synced");
+  assert.deepEqual(synced.result, { contactId: "contact_1", created: true, noteId: "note_1" });
+  assert.equal(server.requests.filter((request) => request.url === "/crm/v3/objects/notes").length, 2);
+});
+
+test("lead details are escaped in the HubSpot note", async () => {
+  delete process.env.CRM_WEBHOOK_URL;
+  process.env.HUBSPOT_ACCESS_TOKEN = "pat-test";
+  process.env.HUBSPOT_BASE_URL = server.url;
+
+  await captureLead({
+    name: "Jo Bloggs",
+    email: "jo@example.com",
+    company: "Acme",
+    reportData: { companyName: "<img src=x onerror=alert(1)>", company: {} },
+    reportUrl: "https://app.example/report/abc?x=\"><script>",
+    source: "free-report",
+    workspaceId: "ws1"
+  });
+
+  const note = server.requests.find((request) => request.url === "/crm/v3/objects/notes").body.properties.hs_note_body;
+  assert.match(note, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  assert.match(note, /&quot;&gt;&lt;script&gt;/);
+  assert.doesNotMatch(note, /<img|<script/);
+  assert.ok(note.includes("<br>"));
+});
+
+test("a cron tick retries at most a batch of syncs", async () => {
+  statuses = Array(25).fill(503);
+  await Promise.all(Array.from({ length: 25 }, capture));
+  const [sync] = await getCollection("crm-syncs").list();
+
+  const summary = await retryDueSyncs({ now: minutesFrom(sync.nextAttemptAt, 1) });
+  assert.deepEqual(summary, { retried: 20, synced: 20, failed: 0, remaining: 5 });
+});
@@ -0,0 +1,92 @@
+// HubSpot adapter - CRM v3 API with a private app token
+// Finds the contact by email (creating it when there is none), fills in name
+// and company, and attaches a note with the report's headline metrics. Map the
+// metrics onto custom contact properties with HUBSPOT_PROPERTIES, e.g.
+// {"visibilityIndex":"ai_visibility_index","reportUrl":"ai_report_url"}
+
+const { requestJSON } = require("../http");
+const { describeLead } = require("./lead");
+const { escapeHtml } = require("../mailer");
+
+const TIMEOUT_MS = 10000;
+// HubSpot's built-in note -> contact association type
+const NOTE_TO_CONTACT = 202;
+
+function getPropertyMap() {
+  try {
+    return JSON.parse(process.env.HUBSPOT_PROPERTIES || "{}");
+  } catch (error) {
+    console.log("Ignoring invalid HUBSPOT_PROPERTIES:", error.message);
+    return {};
+  }
+}
+
+// Contact properties to set; empty values are left out so an update never
+// blanks a field someone filled in by hand
+function contactProperties(lead) {
+  const metrics = {
+    visibilityIndex: lead.report.visibilityIndex,
+    sentiment: lead.report.sentiment,
+    authorityScore: lead.report.authorityScore,
+    reportUrl: lead.report.url
+  };
+  const mapped = Object.entries(getPropertyMap())
+    .filter(([metric, property]) => property && metric in metrics)
+    .map(([metric, property]) => [property, metrics[metric]]);
+
+  const properties = {
+    email: lead.email,
+    firstname: lead.firstName,
+    lastname: lead.lastName,
+    company: lead.company,
+    ...Object.fromEntries(mapped)
+  };
+  return Object.fromEntries(Object.entries(properties).filter(([, value]) => value !== null && value !== ""));
+}
+
+module.exports = {
+  id: "hubspot",
+  name: "HubSpot",
+
+  isConfigured() {
+    return Boolean(process.env.HUBSPOT_ACCESS_TOKEN);
+  },
+
+  async syncLead(lead) {
+    const baseUrl = process.env.HUBSPOT_BASE_URL || "https://api.hubapi.com";
+    const call = (path, method, body) => requestJSON(`${baseUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${process.env.HUBSPOT_ACCESS_TOKEN}` },
+      body,
+      timeoutMs: TIMEOUT_MS
+    });
+
+    const properties = contactProperties(lead);
+    const search = await call("/crm/v3/objects/contacts/search", "POST", {
+      filterGroups: [{ filters: [{ propertyName: "email", operator: "EQ", value: lead.email }] }],
+      limit: 1
+    });
+
+    let contactId = search?.results?.[0]?.id || null;
+    const created = !contactId;
+    if (contactId) {
+      await call(`/crm/v3/objects/contacts/${contactId}`, "PATCH", { properties });
+    } else {
+      contactId = (await call("/crm/v3/objects/contacts", "POST", { properties })).id;
+    }
+
+    const note = await call("/crm/v3/objects/notes", "POST", {
+      properties: {
+        hs_timestamp: lead.capturedAt,
+        // HubSpot renders the note as HTML, and the company name can be a visitor's input
+        hs_note_body: describeLead(lead).map(escapeHtml).join("<br>")
+      },
+      associations: [{
+        to: { id: contactId },
+        types: [{ associationCategory: "HUBSPOT_DEFINED", associationTypeId: NOTE_TO_CONTACT }]
+      }]
+    });
+
+    return { contactId, created, noteId: note?.id || null };
+  }
+};
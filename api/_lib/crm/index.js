@@ -0,0 +1,137 @@
+// CRM lead capture - one adapter per CRM, like the engine providers
+// When a report is emailed, the recipient goes to every configured CRM as a
+// lead (see lead.js). Each adapter's syncLead(lead) creates or updates the
+// contact and resolves to whatever ids it wants logged.
+//
+// The first attempt is made when the lead is captured, once, so the email it
+// follows isn't held up by backoff. A CRM that is unreachable, times out, rate
+// limits or errors (5xx) is retried by the CRM cron tick after each of
+// RETRY_DELAYS_MS; other 4xx replies fail straight away. Every sync and its
+// attempts are logged in the "crm-syncs" collection, so failed ones can be
+// found and retried by hand. Lead capture never fails the email it follows.
+
+const crypto = require("crypto");
+const { getCollection } = require("../store");
+const { retryDue } = require("../cron");
+const hubspot = require("./hubspot");
+const webhook = require("./webhook");
+const { buildLead } = require("./lead");
+const { clientError } = require("../errors");
+
+const MINUTE_MS = 60 * 1000;
+// Wait before each retry; the first attempt plus one retry per entry
+const RETRY_DELAYS_MS = [MINUTE_MS, 5 * MINUTE_MS, 30 * MINUTE_MS];
+
+const adapters = { hubspot, webhook };
+
+const crmSyncs = () => getCollection("crm-syncs");
+
+function getConfiguredAdapters() {
+  return Object.values(adapters).filter((adapter) => adapter.isConfigured());
+}
+
+function isRetryable(error) {
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+// Runs one attempt, appending it to sync.attempts when it fails, and works out
+// the sync's status: synced, retrying (with nextAttemptAt) or failed
+async function attemptSync(adapter, sync) {
+  try {
+    const result = await adapter.syncLead(sync.lead);
+    return { ...sync, status: "synced", result, error: null, nextAttemptAt: null };
+  } catch (error) {
+    const now = new Date();
+    const attempts = [...sync.attempts, { at: now.toISOString(), status: error.status || null, error: error.message }];
+    if (isRetryable(error) && attempts.length <= RETRY_DELAYS_MS.length) {
+      const nextAttemptAt = new Date(now.getTime() + RETRY_DELAYS_MS[attempts.length - 1]).toISOString();
+      console.log(`CRM sync to ${adapter.name} failed (${error.status || error.message}), retrying at ${nextAttemptAt}`);
+      return { ...sync, attempts, status: "retrying", error: error.message, nextAttemptAt };
+    }
+    console.error(`CRM sync to ${adapter.name} failed for ${sync.lead.email}:`, error.message);
+    return { ...sync, attempts, status: "failed", error: error.message, nextAttemptAt: null };
+  }
+}
+
+async function saveSync(sync) {
+  const saved = { ...sync, updatedAt: new Date().toISOString() };
+  await crmSyncs().put(saved.id, saved);
+  return saved;
+}
+
+// Sends the lead to every configured CRM. Resolves to [{ adapter, status }];
+// never throws.
+async function captureLead({ workspaceId = null, ...fields }) {
+  const configured = getConfiguredAdapters();
+  if (configured.length === 0) return [];
+
+  let lead;
+  try {
+    lead = buildLead(fields);
+  } catch (error) {
+    console.error("CRM lead capture failed:", error.message);
+    return [];
+  }
+
+  return Promise.all(configured.map(async (adapter) => {
+    const now = new Date().toISOString();
+    let sync = {
+      id: crypto.randomUUID(),
+      adapter: adapter.id,
+      workspaceId,
+      email: lead.email,
+      lead,
+      status: "pending",
+      attempts: [],
+      result: null,
+      error: null,
+      nextAttemptAt: null,
+      createdAt: now
+    };
+
+    sync = await attemptSync(adapter, sync);
+    try {
+      await saveSync(sync);
+    } catch (error) {
+      console.error("CRM sync log failed:", error.message);
+    }
+    return { adapter: adapter.id, status: sync.status };
+  }));
+}
+
+// One cron tick: retry the syncs whose backoff has passed (see retryDue)
+async function retryDueSyncs({ now = new Date() } = {}) {
+  return retryDue(await crmSyncs().list(), async (sync) => {
+    const adapter = adapters[sync.adapter];
+    const result = adapter && adapter.isConfigured()
+      ? await attemptSync(adapter, sync)
+      : { ...sync, status: "failed", error: `${sync.adapter} is no longer configured`, nextAttemptAt: null };
+    await saveSync(result);
+    return result.status;
+  }, { outcomes: ["synced", "failed"], now });
+}
+
+// The workspace's syncs, newest first, without the lead payload
+async function listSyncs(workspaceId, { status } = {}) {
+  const all = await crmSyncs().list();
+  return all
+    .filter((sync) => sync.workspaceId === workspaceId)
+    .filter((sync) => !status || sync.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ lead, ...sync }) => ({ ...sync, companyName: lead.report.companyName }));
+}
+
+// Tries a failed sync again with the lead it logged
+async function retrySync(id, workspaceId) {
+  const sync = await crmSyncs().get(id);
+  if (!sync || sync.workspaceId !== workspaceId) throw clientError(404, "CRM sync not found");
+  if (sync.status !== "failed") throw clientError(400, "Only failed syncs can be retried");
+
+  const adapter = adapters[sync.adapter];
+  if (!adapter || !adapter.isConfigured()) throw clientError(400, `${sync.adapter} is no longer configured`);
+
+  const { lead, ...saved } = await saveSync(await attemptSync(adapter, sync));
+  return saved;
+}
+
+module.exports = { adapters, getConfiguredAdapters, captureLead, retryDueSyncs, listSyncs, retrySync };
@@ -0,0 +1,43 @@
+// The lead handed to every CRM adapter: who the report was emailed to, plus the
+// report's headline metrics and a link to the stored report
+
+const { calculateVisibilityIndex } = require("../../../src/lib/visibility");
+const { dominantSentiment } = require("../../../src/lib/scoring");
+const { normalizeEmail } = require("../users");
+
+// source: "report-email" (sent by the team) or "free-report" (public mode)
+function buildLead({ name, email, company, reportData, reportUrl = null, source }) {
+  const [firstName = "", ...rest] = String(name || "").trim().split(/\s+/);
+  return {
+    email: normalizeEmail(email),
+    name: String(name || "").trim(),
+    firstName,
+    lastName: rest.join(" "),
+    company: String(company || "").trim(),
+    source,
+    report: {
+      companyName: reportData.companyName,
+      website: reportData.website || "",
+      // The AI Visibility Index is the report's overall score, 0-100
+      visibilityIndex: calculateVisibilityIndex(reportData, reportData.visibilityWeights).score,
+      sentiment: dominantSentiment(reportData.company),
+      authorityScore: reportData.semrushData?.authorityScore ?? null,
+      url: reportUrl
+    },
+    capturedAt: new Date().toISOString()
+  };
+}
+
+// Headline lines for notes and messages
+function describeLead(lead) {
+  const { report } = lead;
+  return [
+    `AI Reputation Report for ${report.companyName} emailed to ${lead.email}`,
+    `AI Visibility Index: ${report.visibilityIndex === null ? "N/A" : `${report.visibilityIndex}/100`}`,
+    `Sentiment: ${report.sentiment || "N/A"}`,
+    `Authority Score: ${report.authorityScore ?? "N/A"}`,
+    ...(report.url ? [`Report: ${report.url}`] : [])
+  ];
+}
+
+module.exports = { buildLead, describeLead };
@@ -0,0 +1,28 @@
+// Generic webhook adapter - POSTs { event: "lead.captured", lead, text } to
+// CRM_WEBHOOK_URL, for Zapier, Make or an in-house CRM. CRM_WEBHOOK_TOKEN, when
+// set, is sent as a Bearer token.
+
+const { postJSON } = require("../http");
+const { describeLead } = require("./lead");
+
+const TIMEOUT_MS = 10000;
+
+module.exports = {
+  id: "webhook",
+  name: "Webhook",
+
+  isConfigured() {
+    return Boolean(process.env.CRM_WEBHOOK_URL);
+  },
+
+  async syncLead(lead) {
+    const token = process.env.CRM_WEBHOOK_TOKEN;
+    const data = await postJSON(process.env.CRM_WEBHOOK_URL, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: { event: "lead.captured", lead, text: describeLead(lead).join("\n") },
+      timeoutMs: TIMEOUT_MS,
+      allowText: true
+    });
+    return { response: data };
+  }
+};
@@ -0,0 +1,75 @@
+// Cron ticks
+// Vercel Cron calls the /api/cron/* routes on the schedule in vercel.json;
+// locally, hit them with curl. When CRON_SECRET is set a tick must carry
+// "Authorization: Bearer <CRON_SECRET>"; in production it must be set, so an
+// unconfigured deployment can't be made to send mail or webhooks by anyone.
+//
+// retryDue is the tick shared by the features that retry failed sends later
+// (webhook deliveries, CRM syncs).
+
+const { isProduction } = require("./env");
+const { runPool } = require("./ratelimit");
+
+// Records retried per tick, and how many of them at once: a webhook delivery
+// is one 10s call and a HubSpot sync up to three, so a batch ends well inside
+// a typical tick when most receivers answer
+const RETRY_BATCH_SIZE = 20;
+const RETRY_CONCURRENCY = 10;
+
+function isCronRequest(req) {
+  const cronSecret = process.env.CRON_SECRET;
+  return cronSecret ? req.headers.authorization === `Bearer ${cronSecret}` : !isProduction();
+}
+
+// Route handler for a tick: tick() resolves to a summary, which is logged and
+// returned with a timestamp. name is used in the logs and error, e.g. "CRM retry".
+function cronHandler(name, tick) {
+  return async function handler(req, res) {
+    if (req.method !== "GET" && req.method !== "POST") {
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    if (!isCronRequest(req)) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    console.log(`=== ${name} tick ===`);
+
+    try {
+      const summary = await tick();
+      console.log(`${name} tick complete:`, JSON.stringify(summary));
+      return res.status(200).json({ timestamp: new Date().toISOString(), ...summary });
+
+    } catch (error) {
+      console.error(`${name} tick error:`, error);
+      return res.status(500).json({
+        error: `${name} tick failed`,
+        message: error.message
+      });
+    }
+  };
+}
+
+// One retry tick over records with status "retrying" and a nextAttemptAt: the
+// due ones go oldest first, at most RETRY_BATCH_SIZE per tick (the rest wait for
+// the next one), RETRY_CONCURRENCY at a time. attempt(record) resolves to the
+// record's new status. The summary counts retried, each of outcomes and
+// remaining, e.g. { retried, delivered, failed, remaining }.
+async function retryDue(records, attempt, { outcomes, now = new Date() }) {
+  const summary = { retried: 0, ...Object.fromEntries(outcomes.map((outcome) => [outcome, 0])), remaining: 0 };
+  const due = records
+    .filter((record) => record.status === "retrying" && record.nextAttemptAt <= now.toISOString())
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+  const batch = due.slice(0, RETRY_BATCH_SIZE);
+  summary.remaining = due.length - batch.length;
+
+  await runPool(() => batch.shift() || null, async (record) => {
+    summary.retried++;
+    const status = await attempt(record);
+    if (outcomes.includes(status)) summary[status]++;
+  }, RETRY_CONCURRENCY);
+
+  return summary;
+}
+
+module.exports = { isCronRequest, cronHandler, retryDue };
@@ -0,0 +1,55 @@
+process.env.STORE_DRIVER = "memory";
+
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { callHandler } = require("./testing");
+const { retryDue } = require("./cron");
+
+const ticks = {
+  monitors: require("../cron/monitors"),
+  webhooks: require("../cron/webhooks"),
+  crm: require("../cron/crm")
+};
+
+afterEach(() => {
+  delete process.env.VERCEL_ENV;
+  delete process.env.CRON_SECRET;
+});
+
+test("every cron tick is closed in production until CRON_SECRET is set", async () => {
+  for (const [name, tick] of Object.entries(ticks)) {
+    delete process.env.VERCEL_ENV;
+    delete process.env.CRON_SECRET;
+    assert.equal((await callHandler(tick)).statusCode, 200, name);
+
+    process.env.VERCEL_ENV = "production";
+    const open = await callHandler(tick);
+    assert.equal(open.statusCode, 401, name);
+    assert.deepEqual(open.body, { error: "Unauthorized" });
+
+    process.env.CRON_SECRET = "cron-test";
+    assert.equal((await callHandler(tick, { headers: { authorization: "Bearer wrong" } })).statusCode, 401, name);
+    const res = await callHandler(tick, { headers: { authorization: "Bearer cron-test" } });
+    assert.equal(res.statusCode, 200, name);
+    assert.ok(res.body.timestamp, name);
+  }
+});
+
+test("a retry tick takes due records oldest first and counts the outcomes", async () => {
+  const at = (minute) => new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString();
+  const records = [
+    { id: "later", status: "retrying", nextAttemptAt: at(2) },
+    { id: "done", status: "delivered", nextAttemptAt: null },
+    { id: "first", status: "retrying", nextAttemptAt: at(1) },
+    { id: "not-due", status: "retrying", nextAttemptAt: at(30) }
+  ];
+  const attempted = [];
+
+  const summary = await retryDue(records, async (record) => {
+    attempted.push(record.id);
+    return record.id === "first" ? "delivered" : "retrying";
+  }, { outcomes: ["delivered", "failed"], now: new Date(at(5)) });
+
+  assert.deepEqual(attempted, ["first", "later"]);
+  assert.deepEqual(summary, { retried: 2, delivered: 1, failed: 0, remaining: 0 });
+});
@@ -0,0 +1,215 @@
+// Entity structured-data audit
+// Reads the JSON-LD and Microdata on the company's home page and checks the
+// entity signals search engines and AI engines use to recognize a brand:
+// an Organization with name, url, logo and sameAs profiles, its founder, and a
+// Person for each leader on the form. Also builds JSON-LD that can be pasted
+// into the site to fix what's missing.
+// auditHtml() does no network calls, so it can be run against local HTML files.
+
+const { toPageUrl, fetchPage, extractJsonLd, extractMicrodata, collectEntities, typesOf, isOrganization } = require("./site");
+const { isSameBrand } = require("./share-of-voice");
+const { badRequest } = require("./errors");
+
+const values = (value) => [].concat(value ?? []).filter((v) => v !== "" && v !== null);
+const nameOf = (value) => (typeof value === "string" ? value : value?.name || "");
+const hostOf = (url) => {
+  try {
+    return new URL(toPageUrl(url)).hostname.replace(/^www\./, "").toLowerCase();
+  } catch (err) {
+    return null;
+  }
+};
+
+function urlOf(value, baseUrl) {
+  const raw = typeof value === "string" ? value : value?.url || value?.contentUrl || value?.["@id"];
+  if (!raw) return null;
+  try {
+    return new URL(raw, baseUrl || undefined).toString();
+  } catch (err) {
+    return raw;
+  }
+}
+
+// People must match on the full name; "Bob" on the page is not "Bob Smith"
+function samePerson(a, b) {
+  const normalize = (name) => String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+  return Boolean(normalize(a)) && normalize(a) === normalize(b);
+}
+
+// "CEO" matches "Chief Executive Officer", "VP Sales" matches "VP Sales & Marketing"
+function sameTitle(a, b) {
+  const normalize = (title) => String(title || "").toLowerCase().trim();
+  const acronym = (title) => normalize(title).split(/[^a-z]+/).filter((word) => word && !["of", "and"].includes(word)).map((word) => word[0]).join("");
+  const [x, y] = [normalize(a), normalize(b)];
+  return !x || !y || x.includes(y) || y.includes(x) || acronym(a) === y || acronym(b) === x;
+}
+
+// JSON for inside a <script> block: with "<" escaped, a name like
+// "</script><script>..." from a crawled page can't close the block early
+function scriptJson(value) {
+  return JSON.stringify(value, null, 2).replace(/</g, "\\u003c");
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+// Nodes that are only an @id reference point at a full node elsewhere on the page
+function resolveRefs(entities) {
+  const byId = new Map(entities.filter((e) => e["@id"] && Object.keys(e).length > 2).map((e) => [e["@id"], e]));
+  return (value) => (value && typeof value === "object" && value["@id"] && byId.has(value["@id"]) ? byId.get(value["@id"]) : value);
+}
+
+function describeOrganization(node, baseUrl) {
+  if (!node) return null;
+  return {
+    type: typesOf(node).join(", "),
+    name: nameOf(node),
+    url: urlOf(node.url, baseUrl),
+    logo: urlOf(values(node.logo)[0], baseUrl),
+    sameAs: values(node.sameAs).map(String),
+    founders: values(node.founder).map(nameOf).filter(Boolean),
+    foundingDate: node.foundingDate ? String(node.foundingDate) : null
+  };
+}
+
+// Ready-to-paste Organization + Person markup: what the page already says,
+// filled in from the form where the page says nothing
+function buildSuggestedJsonLd({ organization, people, formData, siteUrl }) {
+  const origin = siteUrl ? new URL(siteUrl).origin : null;
+  const orgId = origin ? `${origin}/#organization` : "#organization";
+  const leaders = (formData.leadership || []).filter((leader) => leader.name);
+
+  const org = {
+    "@type": "Organization",
+    "@id": orgId,
+    name: organization?.name || formData.companyName,
+    ...(origin ? { url: organization?.url || `${origin}/` } : {}),
+    ...(organization?.logo ? { logo: organization.logo } : {}),
+    ...(organization?.foundingDate || formData.facts?.founded ? { foundingDate: organization?.foundingDate || String(formData.facts.founded) } : {}),
+    ...(organization?.sameAs.length ? { sameAs: organization.sameAs } : {})
+  };
+
+  const persons = leaders.map((leader) => {
+    const existing = people.find((person) => samePerson(nameOf(person), leader.name));
+    return {
+      "@type": "Person",
+      "@id": `${origin ? `${origin}/` : ""}#person-${slugify(leader.name)}`,
+      name: leader.name,
+      ...(leader.title || existing?.jobTitle ? { jobTitle: leader.title || String(existing.jobTitle) } : {}),
+      worksFor: { "@id": orgId },
+      ...(values(existing?.sameAs).length ? { sameAs: values(existing.sameAs).map(String) } : {})
+    };
+  });
+
+  const founders = organization?.founders.length ? organization.founders : [];
+  if (founders.length > 0) {
+    org.founder = founders.map((name) => {
+      const person = persons.find((p) => samePerson(p.name, name));
+      return person ? { "@id": person["@id"] } : { "@type": "Person", name };
+    });
+  }
+
+  return { "@context": "https://schema.org", "@graph": [org, ...persons] };
+}
+
+// Audit one page's markup. formData supplies the company name, website,
+// leaders and brand facts to check the markup against.
+function auditHtml(html, { url = null, formData = {} } = {}) {
+  const siteUrl = url || toPageUrl(formData.website);
+  const jsonLd = extractJsonLd(html);
+  const microdata = extractMicrodata(html);
+  const entities = collectEntities([...jsonLd.items, ...microdata]);
+  const resolve = resolveRefs(entities);
+
+  const organizations = entities.filter(isOrganization);
+  const orgNode = organizations.find((node) => isSameBrand(nameOf(node), formData.companyName)) || organizations[0] || null;
+  const organization = describeOrganization(
+    orgNode && { ...orgNode, founder: values(orgNode.founder).map(resolve) },
+    siteUrl
+  );
+  const people = entities.filter((node) => typesOf(node).includes("Person")).map(resolve);
+
+  const checks = [];
+  const check = (id, passed, severity, message) => checks.push({ id, passed, severity: passed ? "pass" : severity, message });
+
+  jsonLd.errors.forEach((error, i) => check(`jsonld-parse-${i}`, false, "error", error.message));
+
+  check("organization", Boolean(organization), "error",
+    organization ? `${organization.type} entity found (${organization.name || "unnamed"})` : "No Organization entity in JSON-LD or Microdata");
+
+  if (organization) {
+    check("organization-name", !formData.companyName || isSameBrand(organization.name, formData.companyName), "warning",
+      `Organization name is "${organization.name || "missing"}"${formData.companyName ? `; the form says "${formData.companyName}"` : ""}`);
+
+    const otherNames = [...new Set(organizations.map(nameOf).filter((name) => name && !isSameBrand(name, organization.name)))];
+    check("organization-consistent", otherNames.length === 0, "warning",
+      otherNames.length === 0 ? "All Organization entities use the same name" : `Other Organization names on the page: ${otherNames.join(", ")}`);
+
+    const siteHost = hostOf(formData.website || siteUrl);
+    check("organization-url", Boolean(organization.url) && (!siteHost || hostOf(organization.url) === siteHost), "warning",
+      organization.url ? `Organization url is ${organization.url}` : "Organization has no url");
+
+    check("organization-logo", Boolean(organization.logo), "warning",
+      organization.logo ? `Logo: ${organization.logo}` : "Organization has no logo");
+
+    const sameAsHosts = organization.sameAs.map(hostOf).filter(Boolean);
+    const hasLinkedIn = sameAsHosts.some((host) => host.endsWith("linkedin.com"));
+    const hasWikidata = sameAsHosts.some((host) => host.endsWith("wikidata.org"));
+    check("sameas", organization.sameAs.length > 0, "warning",
+      organization.sameAs.length > 0 ? `${organization.sameAs.length} sameAs profile link(s)` : "Organization has no sameAs links to its profiles");
+    check("sameas-linkedin", hasLinkedIn, "warning",
+      hasLinkedIn ? "sameAs links to LinkedIn" : "sameAs should include the company's LinkedIn page");
+    check("sameas-wikidata", hasWikidata, "warning",
+      hasWikidata ? "sameAs links to Wikidata" : "sameAs should include the company's Wikidata item, if it has one");
+
+    check("founder", organization.founders.length > 0, "info",
+      organization.founders.length > 0 ? `Founder: ${organization.founders.join(", ")}` : "Organization has no founder");
+
+    const foundedYear = String(formData.facts?.founded || "").match(/\d{4}/)?.[0];
+    if (foundedYear && organization.foundingDate) {
+      check("founding-date", organization.foundingDate.includes(foundedYear), "warning",
+        `foundingDate is ${organization.foundingDate}; the brand facts say ${formData.facts.founded}`);
+    }
+  }
+
+  (formData.leadership || []).filter((leader) => leader.name).forEach((leader, i) => {
+    const person = people.find((node) => samePerson(nameOf(node), leader.name));
+    if (!person) {
+      check(`leader-${i}`, false, "warning", `${leader.name} is not marked up as a Person`);
+      return;
+    }
+    const jobTitle = values(person.jobTitle).map(String)[0];
+    const consistent = sameTitle(jobTitle, leader.title);
+    check(`leader-${i}`, consistent, "warning",
+      consistent ? `${leader.name} found as a Person${jobTitle ? ` (${jobTitle})` : ""}` : `${leader.name}'s jobTitle is "${jobTitle}"; the form says "${leader.title}"`);
+  });
+
+  const suggestedJsonLd = buildSuggestedJsonLd({ organization, people, formData, siteUrl });
+
+  return {
+    url: siteUrl,
+    found: {
+      jsonLd: jsonLd.items.length,
+      microdata: microdata.length,
+      types: [...new Set(entities.flatMap(typesOf))]
+    },
+    organization,
+    people: people.map((person) => ({ name: nameOf(person), jobTitle: values(person.jobTitle).map(String)[0] || null })),
+    checks,
+    issues: checks.filter((c) => !c.passed).length,
+    suggestedJsonLd,
+    snippet: `<script type="application/ld+json">\n${scriptJson(suggestedJsonLd)}\n</script>`,
+    auditedAt: new Date().toISOString()
+  };
+}
+
+async function auditWebsite(formData) {
+  const url = toPageUrl(formData?.website);
+  if (!url) throw badRequest("A valid website is required");
+
+  const page = await fetchPage(url);
+  return auditHtml(page.html, { url: page.url, formData });
+}
+
+module.exports = { auditHtml, auditWebsite };
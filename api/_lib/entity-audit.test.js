@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { auditHtml } = require("./entity-audit");
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, "fixtures", "entity-audit", name), "utf8");
+
+const formData = {
+  companyName: "Acme",
+  website: "acme.com",
+  facts: { founded: "1999" },
+  leadership: [{ name: "Jane Doe", title: "CEO" }, { name: "Bob Smith", title: "CTO" }]
+};
+
+const checksById = (audit) => Object.fromEntries(audit.checks.map((check) => [check.id, check]));
+
+test("a complete Organization graph passes the entity checks", () => {
+  const audit = auditHtml(fixture("complete.html"), { url: "https://acme.com/", formData });
+  const checks = checksById(audit);
+
+  ["organization", "organization-name", "organization-consistent", "organization-url", "organization-logo",
+    "sameas", "sameas-linkedin", "sameas-wikidata", "founder", "founding-date", "leader-0"]
+    .forEach((id) => assert.equal(checks[id].passed, true, id));
+  assert.equal(audit.organization.logo, "https://acme.com/logo.png");
+  assert.deepEqual(audit.organization.founders, ["Jane Doe"]);
+
+  // Bob Smith is on the form but not on the page
+  assert.equal(checks["leader-1"].passed, false);
+  assert.equal(audit.issues, 1);
+  const bob = audit.suggestedJsonLd["@graph"].find((node) => node.name === "Bob Smith");
+  assert.deepEqual(bob.worksFor, { "@id": "https://acme.com/#organization" });
+});
+
+test("Microdata is read, and missing or mismatched signals are flagged", () => {
+  const audit = auditHtml(fixture("microdata.html"), { url: "https://acme.com/", formData });
+  const checks = checksById(audit);
+
+  assert.equal(audit.found.jsonLd, 0);
+  assert.equal(audit.found.microdata, 3);
+  assert.equal(checks.organization.passed, true);
+  assert.equal(checks["organization-name"].passed, true);
+  assert.equal(checks["organization-consistent"].passed, false);
+  assert.match(checks["organization-consistent"].message, /Globex/);
+  assert.equal(checks["organization-url"].passed, false);
+  assert.equal(checks["organization-logo"].passed, false);
+  assert.equal(checks.sameas.passed, false);
+  assert.equal(checks.founder.severity, "info");
+  assert.equal(checks["founding-date"], undefined);
+  assert.equal(checks["leader-0"].passed, false);
+  assert.match(checks["leader-0"].message, /Head of Marketing/);
+});
+
+test("unparseable JSON-LD is reported and a page with no Organization fails", () => {
+  const audit = auditHtml(fixture("broken.html"), { url: "https://acme.com/", formData });
+  const checks = checksById(audit);
+
+  assert.equal(checks["jsonld-parse-0"].passed, false);
+  assert.equal(checks["jsonld-parse-0"].severity, "error");
+  assert.equal(checks.organization.passed, false);
+  assert.equal(audit.organization, null);
+  assert.equal(checks.sameas, undefined);
+  // The suggestion falls back to the form
+  assert.equal(audit.suggestedJsonLd["@graph"][0].name, "Acme");
+  assert.equal(audit.suggestedJsonLd["@graph"][0].foundingDate, "1999");
+});
+
+test("markup copied from the page can't break out of the snippet's script block", () => {
+  const audit = auditHtml(fixture("script-injection.html"), { url: "https://acme.com/", formData: { companyName: "Acme" } });
+
+  assert.equal(audit.organization.name, "Acme</script><script>alert(document.cookie)</script>");
+  assert.equal(audit.snippet.match(/<\/script>/gi).length, 1);
+  assert.ok(audit.snippet.endsWith("\n</script>"));
+  assert.ok(!/<img/i.test(audit.snippet));
+
+  const json = audit.snippet.replace(/^<script type="application\/ld\+json">\n|\n<\/script>$/g, "");
+  assert.deepEqual(JSON.parse(json), audit.suggestedJsonLd);
+});
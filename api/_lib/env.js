@@ -0,0 +1,10 @@
+// Deployment environment checks
+// Vercel sets VERCEL_ENV on production and preview deployments (both are
+// public URLs); NODE_ENV=production covers other hosts. `vercel dev` and plain
+// local runs count as development.
+
+function isProduction() {
+  return ["production", "preview"].includes(process.env.VERCEL_ENV) || process.env.NODE_ENV === "production";
+}
+
+module.exports = { isProduction };
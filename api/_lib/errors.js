@@ -0,0 +1,15 @@
+// Errors for the API routes to pass through
+// A thrown error with a status is the caller's fault (400, 401, 404, ...) and
+// routes answer with its message; anything else is logged and answered as a 500.
+
+function clientError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function badRequest(message) {
+  return clientError(400, message);
+}
+
+module.exports = { clientError, badRequest };
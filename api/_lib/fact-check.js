@@ -0,0 +1,100 @@
+// Brand fact-check
+// Compares the factual claims in each engine's company summary with a
+// ground-truth profile (founding year, HQ, CEO, ...). The profile is entered in
+// the form, optionally pre-filled from the Organization markup on the
+// company's own site.
+
+const factFields = require("../../src/lib/facts");
+const { toPageUrl, fetchPage, extractJsonLd, extractMetaDescription, isOrganization } = require("./site");
+const { badRequest } = require("./errors");
+
+const ISSUE_STATUSES = ["incorrect", "outdated", "unverifiable"];
+
+function hasFacts(profile) {
+  return Boolean(profile) && factFields.some((field) => String(profile[field.id] || "").trim());
+}
+
+function formatProfile(profile) {
+  return factFields
+    .filter((field) => String(profile[field.id] || "").trim())
+    .map((field) => `- ${field.label}: ${String(profile[field.id]).trim()}`)
+    .join("\n");
+}
+
+function buildFactCheckQuery({ companyName, profile, summary }) {
+  return `Fact-check this description of ${companyName} written by an AI search engine:
+"""
+${summary}
+"""
+
+Verified company profile (treat it as correct and current):
+${formatProfile(profile)}`;
+}
+
+// Counts for one engine's fact-check; errored and invalid runs have none
+function summarizeFactCheck(result) {
+  if (!result || result.error || result.invalid) return { checked: 0, issues: [] };
+  const claims = result.claims || [];
+  return {
+    checked: claims.length,
+    issues: claims.filter((claim) => ISSUE_STATUSES.includes(claim.status))
+  };
+}
+
+const nameOf = (value) => (typeof value === "string" ? value : value?.name || "");
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+function formatAddress(address) {
+  const value = first(address);
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  return [value.addressLocality, value.addressRegion, nameOf(value.addressCountry)].filter(Boolean).join(", ");
+}
+
+function formatEmployees(value) {
+  const count = first(value);
+  if (count === undefined || count === null) return "";
+  if (typeof count !== "object") return String(count);
+  if (count.value !== undefined) return String(count.value);
+  return [count.minValue, count.maxValue].filter((n) => n !== undefined).join("-");
+}
+
+function findCeo(node) {
+  const people = [].concat(node.employee || [], node.employees || [], node.member || []);
+  const ceo = people.find((person) => /\bCEO\b|chief executive/i.test(person?.jobTitle || ""));
+  return ceo ? nameOf(ceo) : "";
+}
+
+function formatOfferings(node) {
+  const offers = [].concat(node.makesOffer || []).map((offer) => nameOf(offer.itemOffered) || nameOf(offer));
+  const catalog = [].concat(node.hasOfferCatalog?.itemListElement || []).map((item) => nameOf(item.itemOffered) || nameOf(item));
+  return [...new Set([...offers, ...catalog].filter(Boolean))].join(", ");
+}
+
+// Returns { profile, source, found }; found lists the fields that had a value
+async function profileFromSite(website) {
+  const url = toPageUrl(website);
+  if (!url) throw badRequest("A valid website is required");
+
+  const page = await fetchPage(url);
+  const { items } = extractJsonLd(page.html);
+  const organization = items.find(isOrganization) || {};
+
+  const profile = {
+    founded: organization.foundingDate ? String(organization.foundingDate) : "",
+    headquarters: formatAddress(organization.address || organization.location?.address),
+    ceo: findCeo(organization),
+    employees: formatEmployees(organization.numberOfEmployees),
+    ownership: nameOf(first(organization.parentOrganization)),
+    offerings: formatOfferings(organization),
+    other: organization.description || extractMetaDescription(page.html)
+  };
+
+  return {
+    profile,
+    source: page.url,
+    found: factFields.filter((field) => profile[field.id]).map((field) => field.id)
+  };
+}
+
+module.exports = { hasFacts, buildFactCheckQuery, summarizeFactCheck, profileFromSite };
@@ -0,0 +1,48 @@
+// Shared HTTP helpers for provider and third-party API calls
+
+// Send a JSON body and parse the JSON reply. Non-2xx responses throw an
+// Error carrying `status` (and `retryAfter` for backoff) like the SDK errors.
+// timeoutMs aborts a call that hangs; the error then has no status.
+// A 2xx body that isn't JSON throws a 502, so a proxy's error page can't pass
+// for an empty answer; allowText returns it as a string instead, for receivers
+// (webhooks) that may reply "OK".
+async function requestJSON(url, { method = "GET", headers = {}, body, timeoutMs, allowText = false } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined
+  });
+
+  const text = await response.text();
+  let data = null;
+  let malformed = false;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (parseError) {
+    malformed = true;
+  }
+
+  if (!response.ok) {
+    const message = data?.error?.message || data?.message || text.substring(0, 200) || `HTTP ${response.status}`;
+    const error = new Error(message);
+    error.status = response.status;
+    error.retryAfter = response.headers.get("retry-after");
+    throw error;
+  }
+
+  if (malformed) {
+    if (allowText) return text;
+    const error = new Error(`${new URL(url).host} returned a body that isn't JSON: ${text.substring(0, 100)}`);
+    error.status = 502;
+    throw error;
+  }
+
+  return data;
+}
+
+async function postJSON(url, { headers = {}, body, timeoutMs, allowText } = {}) {
+  return requestJSON(url, { method: "POST", headers, body, timeoutMs, allowText });
+}
+
+module.exports = { requestJSON, postJSON };
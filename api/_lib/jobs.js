@@ -0,0 +1,512 @@
+// Report job orchestration
+// A job is the full task list for one report. Each call to advanceJob works
+// through pending tasks, several at a time, until its time budget runs out and
+// saves after every task, so a closed tab or a timed-out function never loses
+// finished work.
+
+const crypto = require("crypto");
+const { getCollection } = require("./store");
+const { analyzeQuery } = require("./analysis");
+const { fetchSemrushData, fetchBacklinkGap, estimateUnits } = require("./semrush");
+const { getSelectedEngines, buildTasks, assembleReport } = require("./tasks");
+const { runPool } = require("./ratelimit");
+const { saveReport, getReport } = require("./reports");
+const { visibilityChange } = require("./compare");
+const { emitEvent, reportEventData } = require("./webhooks");
+const { getPromptSet } = require("./prompts");
+const { buildFactCheckQuery } = require("./fact-check");
+const { auditWebsite } = require("./entity-audit");
+const { checkKnowledgeGraph } = require("./knowledge-graph");
+const { resolveProvider } = require("./providers");
+const {
+  anthropicCost,
+  semrushCost,
+  getBudgetStatus,
+  assertWithinBudget,
+  averageCallUsage
+} = require("./usage");
+const regionOptions = require("../../src/lib/regions");
+const { badRequest } = require("./errors");
+
+// Stop starting new tasks after this long so a call ends inside the 60s maxDuration
+const DEFAULT_BUDGET_MS = 40000;
+// A runner that has not checked in for this long is assumed dead and its task is retried
+const LEASE_MS = 90000;
+
+const jobs = () => getCollection("jobs");
+const jobClaims = () => getCollection("job-claims");
+
+// Same shape the browser used to build for a failed /api/analyze call
+function errorResult(message) {
+  return {
+    error: true,
+    errorMessage: message,
+    summary: `Error: ${message}`,
+    entityFound: false,
+    confidenceScore: 0,
+    sentimentScore: 0,
+    sentiment: 'unknown',
+    topSources: [],
+    recommendations: 'Analysis failed'
+  };
+}
+
+function isFinished(task) {
+  return task.status === "done" || task.status === "error" || task.status === "skipped";
+}
+
+// Upper-bound cost of one task: analysis calls answered by Claude (live or
+// simulating another engine) and SEMRush fetches. Other engines bill their own
+// accounts and aren't metered.
+function estimateTask(task, callUsage) {
+  if (task.kind === "analyze" || task.kind === "factcheck") {
+    const resolved = resolveProvider(task.llmId);
+    const metered = resolved?.provider.id === "claude";
+    return { service: "anthropic", calls: metered ? 1 : 0, costUsd: metered ? anthropicCost(callUsage) : 0 };
+  }
+
+  let units = 0;
+  if (task.kind === "semrush") {
+    units = estimateUnits("all", { database: task.database, databases: task.databases });
+  } else if (task.kind === "keywords") {
+    units = estimateUnits("keywords", { targetKeywords: task.keywords });
+  } else if (task.kind === "backlink-gap") {
+    units = estimateUnits("gap", { competitors: task.competitors });
+  }
+  return { service: "semrush", units, costUsd: semrushCost(units) };
+}
+
+// Billable tasks that would take the workspace over its monthly budget are
+// skipped instead of run, so the job ends as "stopped" with a partial report
+function skipTask(task, message) {
+  task.status = "skipped";
+  task.error = message;
+  task.result = task.kind === "analyze" || task.kind === "factcheck" ? errorResult(message) : null;
+  task.finishedAt = new Date().toISOString();
+}
+
+// A task with dependsOn waits until that task has finished
+function isReady(job, task) {
+  if (!task.dependsOn) return true;
+  const dependency = job.tasks.find((t) => t.id === task.dependsOn);
+  return !dependency || isFinished(dependency);
+}
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  return jobs().put(job.id, job);
+}
+
+// Tasks finish in any order; chain their saves so an older snapshot of the
+// job can never land on disk after a newer one.
+function createSaver(job) {
+  let pending = Promise.resolve();
+  return () => {
+    pending = pending.then(() => saveJob(job));
+    return pending;
+  };
+}
+
+// Validated engines, prompt set and task list for a run
+async function planJob({ formData, selectedLLMs, workspaceId }) {
+  if (!formData || !formData.companyName) {
+    throw badRequest("Company name is required");
+  }
+
+  const engines = getSelectedEngines(selectedLLMs);
+  if (engines.length === 0) {
+    throw badRequest("Please select at least one AI search engine");
+  }
+
+  const unknownRegion = [formData.database, ...(formData.regions || [])]
+    .find((id) => id && !regionOptions.some((region) => region.id === id));
+  if (unknownRegion) {
+    throw badRequest(`Unknown SEMRush database "${unknownRegion}"`);
+  }
+
+  const promptSet = await getPromptSet(formData.promptSetId || "default", { workspaceId });
+  if (!promptSet) {
+    throw badRequest(`Unknown prompt set "${formData.promptSetId}"`);
+  }
+
+  return { engines, promptSet, tasks: buildTasks(formData, engines, promptSet.prompts) };
+}
+
+// What a run would cost if nothing is cached, plus where the workspace stands
+// against its monthly budget. Analysis calls are priced at the workspace's
+// average usage per call once it has some history.
+async function estimateJob({ formData, selectedLLMs, workspaceId = null }) {
+  const { tasks } = await planJob({ formData, selectedLLMs, workspaceId });
+  const { basedOn, ...callUsage } = await averageCallUsage(workspaceId);
+
+  const estimates = tasks.map((task) => estimateTask(task, callUsage));
+  const sum = (service, field) => estimates
+    .filter((estimate) => estimate.service === service)
+    .reduce((total, estimate) => total + (estimate[field] || 0), 0);
+  const calls = sum("anthropic", "calls");
+  const round = (value) => Math.round(value * 10000) / 10000;
+
+  return {
+    tasks: tasks.length,
+    anthropic: {
+      calls,
+      inputTokens: calls * callUsage.inputTokens,
+      outputTokens: calls * callUsage.outputTokens,
+      webSearches: calls * callUsage.webSearches,
+      costUsd: round(sum("anthropic", "costUsd")),
+      basedOnCalls: basedOn
+    },
+    semrush: { units: sum("semrush", "units"), costUsd: round(sum("semrush", "costUsd")) },
+    costUsd: round(sum("anthropic", "costUsd") + sum("semrush", "costUsd")),
+    budget: workspaceId ? await getBudgetStatus(workspaceId) : null
+  };
+}
+
+// refresh: true makes every task skip the SEMRush/analysis cache.
+// formData.promptSetId picks the prompt set (latest version); the default set
+// is used when it is not given. The job, and the report it saves, belong to
+// workspaceId; a workspace that has used up its monthly budget gets a 402.
+async function createJob({ formData, selectedLLMs, refresh = false, workspaceId = null }) {
+  const { engines, promptSet, tasks } = await planJob({ formData, selectedLLMs, workspaceId });
+  await assertWithinBudget(workspaceId);
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+    workspaceId,
+    reportId: null,
+    formData,
+    selectedLLMs,
+    engines,
+    refresh: Boolean(refresh),
+    promptSet: { id: promptSet.id, name: promptSet.name, version: promptSet.version },
+    tasks,
+    stopReason: null,
+    lease: null
+  };
+
+  await jobs().put(job.id, job);
+  console.log(`Created job ${job.id} with ${job.tasks.length} tasks`);
+  await emitEvent(workspaceId, "report.started", reportEventData({ jobId: job.id, report: buildResults(job) }));
+  return job;
+}
+
+async function getJob(id) {
+  return jobs().get(id);
+}
+
+// deadline is when the runner's time budget ends; a rate-limit wait that would
+// pass it throws with pastDeadline instead (see withRateLimit)
+async function runTask(job, task, deadline) {
+  const refresh = Boolean(job.refresh);
+  const meter = { workspaceId: job.workspaceId, jobId: job.id };
+
+  if (task.kind === "semrush") {
+    const semrush = await fetchSemrushData(task.domain, "all", {
+      refresh,
+      database: task.database || "us",
+      databases: task.databases || [],
+      meter,
+      deadline
+    });
+    return { ...semrush.data, cachedAt: semrush.cachedAt };
+  }
+
+  if (task.kind === "keywords") {
+    const semrush = await fetchSemrushData(task.domain, "keywords", {
+      refresh,
+      database: task.database || "us",
+      targetKeywords: task.keywords,
+      meter,
+      deadline
+    });
+    return { ...semrush.data.keywords, cachedAt: semrush.cachedAt };
+  }
+
+  if (task.kind === "backlink-gap") {
+    return fetchBacklinkGap(task.domain, task.competitors, { refresh, meter, deadline });
+  }
+
+  if (task.kind === "entity-audit") {
+    return auditWebsite(job.formData);
+  }
+
+  if (task.kind === "knowledge-graph") {
+    return checkKnowledgeGraph(job.formData, { refresh, deadline });
+  }
+
+  const llm = job.engines.find((e) => e.id === task.llmId);
+
+  if (task.kind === "factcheck") {
+    const answer = job.tasks.find((t) => t.id === task.dependsOn)?.result;
+    if (!answer || answer.error || answer.invalid || !answer.summary) {
+      throw new Error("No usable company answer to fact-check");
+    }
+    return analyzeQuery({
+      query: buildFactCheckQuery({ companyName: job.formData.companyName, profile: job.formData.facts, summary: answer.summary }),
+      llmId: task.llmId,
+      llmName: llm?.name,
+      analysisType: task.analysisType,
+      refresh,
+      meter,
+      deadline
+    });
+  }
+
+  return analyzeQuery({
+    query: task.query,
+    llmId: task.llmId,
+    llmName: llm?.name,
+    analysisType: task.analysisType,
+    refresh,
+    meter,
+    deadline
+  });
+}
+
+const isFinal = (job) => job.status === "completed" || job.status === "stopped";
+
+// Takes over a job whose lease has lapsed. The lease is handed on through
+// "job-claims": a runner creates the claim that succeeds the lease it saw, and
+// the store lets only one create of an id succeed. The winner re-reads the job
+// to make sure the lease didn't move on in the meantime, then writes its own.
+// Resolves to the claimed job, or null when another runner got there first.
+async function claimJob(job, runnerId) {
+  const previous = job.lease || null;
+  const claimId = `${job.id}_${previous ? previous.runnerId : "new"}`;
+  const claim = { id: claimId, jobId: job.id, runnerId, createdAt: new Date().toISOString() };
+  if (!(await jobClaims().create(claimId, claim))) return null;
+
+  const current = await getJob(job.id);
+  if (!current || isFinal(current) || (current.lease?.runnerId || null) !== (previous?.runnerId || null)) {
+    await jobClaims().remove(claimId);
+    return null;
+  }
+
+  current.lease = { runnerId, claimId, expiresAt: new Date(Date.now() + LEASE_MS).toISOString() };
+  await saveJob(current);
+  // The claim before ours can no longer be won by anyone who'd pass the re-read
+  if (previous?.claimId) await jobClaims().remove(previous.claimId);
+  return current;
+}
+
+// Work through pending tasks for up to budgetMs, running up to
+// JOB_CONCURRENCY at once. The runner claims the lease (see claimJob) before
+// doing anything else; if another runner holds a live lease or wins the claim,
+// the job is returned untouched, so concurrent pollers never run the same task
+// twice. A runner that outlives its lease (LEASE_MS without a save) can still
+// overlap with the one that takes over. A task whose rate-limit retry would
+// wait past budgetMs goes back to pending for the next poll.
+async function advanceJob(id, { budgetMs = DEFAULT_BUDGET_MS } = {}) {
+  const stored = await getJob(id);
+  if (!stored || isFinal(stored)) return stored;
+
+  if (stored.lease && Date.parse(stored.lease.expiresAt) > Date.now()) {
+    return stored;
+  }
+
+  const runnerId = crypto.randomUUID();
+  const job = await claimJob(stored, runnerId);
+  if (!job) return (await getJob(id)) || stored;
+
+  // Tasks left running by a runner that died are retried
+  job.tasks.forEach((task) => {
+    if (task.status === "running") task.status = "pending";
+  });
+  job.status = "running";
+
+  const save = createSaver(job);
+  const renewLease = () => {
+    job.lease = { ...job.lease, expiresAt: new Date(Date.now() + LEASE_MS).toISOString() };
+  };
+
+  const started = Date.now();
+  const deadline = started + budgetMs;
+  // Tasks a rate limit sent back to pending wait for the next poll
+  const deferred = new Set();
+  const nextTask = () => {
+    if (Date.now() >= deadline) return null;
+    const task = job.tasks.find((t) => t.status === "pending" && !deferred.has(t.id) && isReady(job, t));
+    if (task) task.status = "running";
+    return task || null;
+  };
+
+  // Checked before each billable task; the per-call average is looked up once.
+  // Tasks still running aren't in the month's spend yet, so their estimates are
+  // held in reserved until they finish, and a task that only fits once they do
+  // waits for them; otherwise JOB_CONCURRENCY tasks could all pass the check
+  // and overshoot by that many calls. Other jobs and /api/analyze calls for the
+  // workspace running at the same time aren't counted, so the cap can still be
+  // passed by what they have in flight.
+  let callUsage = null;
+  const reserved = new Map();
+  const release = (task) => {
+    reserved.get(task.id)?.release();
+    reserved.delete(task.id);
+  };
+  const overBudget = async (task) => {
+    if (!job.workspaceId) return false;
+    if (!callUsage) callUsage = await averageCallUsage(job.workspaceId);
+    const { costUsd } = estimateTask(task, callUsage);
+    if (costUsd === 0) return false;
+
+    for (;;) {
+      if (job.stopReason === "budget") return true;
+      const { budgetUsd, spentUsd } = await getBudgetStatus(job.workspaceId);
+      const holds = [...reserved.values()];
+      const inFlightUsd = holds.reduce((sum, hold) => sum + hold.costUsd, 0);
+      if (budgetUsd === null || spentUsd + inFlightUsd + costUsd <= budgetUsd) {
+        let finish;
+        const finished = new Promise((resolve) => { finish = resolve; });
+        reserved.set(task.id, { costUsd, finished, release: finish });
+        return false;
+      }
+      if (holds.length === 0) return true;
+      await Promise.race(holds.map((hold) => hold.finished));
+    }
+  };
+
+  await runPool(nextTask, async (task) => {
+    if (await overBudget(task)) {
+      console.log(`Job ${job.id} task ${task.id} skipped: monthly budget reached`);
+      job.stopReason = "budget";
+      skipTask(task, "Skipped: monthly budget reached");
+      await save();
+      return;
+    }
+
+    task.startedAt = new Date().toISOString();
+    renewLease();
+    await save();
+
+    try {
+      task.result = await runTask(job, task, deadline);
+      task.status = "done";
+    } catch (error) {
+      if (error.pastDeadline) {
+        console.log(`Job ${job.id} task ${task.id} deferred: ${error.message}`);
+        task.status = "pending";
+        delete task.startedAt;
+        deferred.add(task.id);
+        release(task);
+        renewLease();
+        await save();
+        return;
+      }
+      console.error(`Job ${job.id} task ${task.id} failed:`, error.message);
+      task.status = "error";
+      task.error = error.message;
+      task.result = task.kind === "analyze" || task.kind === "factcheck" ? errorResult(error.message) : null;
+    }
+    task.finishedAt = new Date().toISOString();
+    release(task);
+    renewLease();
+    await save();
+  });
+
+  const finished = job.tasks.every(isFinished);
+  if (finished) {
+    job.status = job.stopReason ? "stopped" : "completed";
+    job.completedAt = new Date().toISOString();
+    await saveCompletedReport(job);
+  }
+  // Released by expiring it; the runner id stays so the next claim succeeds this one
+  job.lease = { ...job.lease, expiresAt: new Date().toISOString() };
+  await save();
+
+  if (finished) {
+    await jobClaims().remove(job.lease.claimId);
+    await announceFinished(job);
+  }
+  return job;
+}
+
+// Lifecycle webhooks for a finished job: report.completed, plus score.changed
+// when the AI Visibility Index moved since the company's previous report, or
+// report.failed when the budget stopped it
+async function announceFinished(job) {
+  const saved = job.reportId ? await getReport(job.reportId) : null;
+  const data = { jobId: job.id, reportId: job.reportId, report: saved ? saved.results : buildResults(job) };
+
+  if (job.status === "stopped") {
+    await emitEvent(job.workspaceId, "report.failed", reportEventData({
+      ...data,
+      reason: "budget",
+      error: "Stopped: the workspace's monthly budget was reached"
+    }));
+    return;
+  }
+
+  await emitEvent(job.workspaceId, "report.completed", reportEventData(data));
+
+  try {
+    const change = saved ? await visibilityChange(saved) : null;
+    if (change && change.delta !== 0) {
+      await emitEvent(job.workspaceId, "score.changed", reportEventData({ ...data, ...change }));
+    }
+  } catch (error) {
+    console.error(`Job ${job.id} score comparison failed:`, error.message);
+  }
+}
+
+// The report plus the prompt set version it was run with, so it can be reproduced
+function buildResults(job) {
+  return { ...assembleReport(job.formData, job.engines, job.tasks), promptSet: job.promptSet || null };
+}
+
+// Store the finished report so it outlives the browser session. A failed save
+// leaves reportId null; the results are still in the job itself.
+async function saveCompletedReport(job) {
+  try {
+    const report = await saveReport({
+      results: buildResults(job),
+      formData: job.formData,
+      selectedLLMs: job.selectedLLMs,
+      jobId: job.id,
+      workspaceId: job.workspaceId
+    });
+    job.reportId = report.id;
+  } catch (error) {
+    console.error(`Job ${job.id} report save failed:`, error.message);
+  }
+}
+
+// Public view of a job: progress, per-task status and the partial report
+function toSnapshot(job) {
+  // Counted from task status, so progress stays right when tasks finish out of order
+  const finished = job.tasks.filter(isFinished).length;
+  const running = job.tasks.filter((t) => t.status === "running");
+
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt,
+    stopReason: job.stopReason || null,
+    reportId: job.reportId,
+    progress: {
+      current: finished,
+      total: job.tasks.length,
+      message: running.length === 0 ? '' :
+        running.length === 1 ? running[0].message : `${running[0].message} (+${running.length - 1} more in progress)`
+    },
+    tasks: job.tasks.map((task) => ({
+      id: task.id,
+      kind: task.kind,
+      section: task.section,
+      llmId: task.llmId,
+      analysisType: task.analysisType,
+      message: task.message,
+      status: task.status,
+      error: task.error
+    })),
+    results: buildResults(job)
+  };
+}
+
+module.exports = { createJob, estimateJob, getJob, advanceJob, toSnapshot };
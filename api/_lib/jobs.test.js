@@ -0,0 +1,135 @@
+process.env.STORE_DRIVER = "memory";
+process.env.ANTHROPIC_API_KEY = "sk-ant-test";
+
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./testing");
+const { getCollection } = require("./store");
+const { createJob, getJob, advanceJob } = require("./jobs");
+
+let server;
+// Analysis calls the mock answers with a 429 before it goes back to normal
+let rateLimitedCalls = 0;
+
+before(async () => {
+  server = await startServer(async (req, body, res) => {
+    if (req.method === "GET") return { search: [] };
+    if (rateLimitedCalls > 0) {
+      rateLimitedCalls--;
+      res.statusCode = 429;
+      res.setHeader("retry-after", "2");
+      return { type: "error", error: { type: "rate_limit_error", message: "Slow down" } };
+    }
+    // Slow enough that two runners would overlap if both got in
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    return {
+      id: "msg_test",
+      type: "message",
+      role: "assistant",
+      model: "claude-test",
+      stop_reason: "end_turn",
+      content: [{ type: "text", text: JSON.stringify({ summary: "Known", entityFound: true, confidenceScore: 7, sentimentScore: 6, sentiment: "positive", topSources: [], recommendations: "More" }) }],
+      usage: { input_tokens: 100, output_tokens: 20 }
+    };
+  });
+  process.env.ANTHROPIC_BASE_URL = server.url;
+  process.env.WIKIDATA_API_URL = `${server.url}/w/api.php`;
+});
+
+after(() => server.close());
+
+afterEach(() => {
+  delete process.env.MONTHLY_BUDGET_USD;
+});
+
+const newJob = () => createJob({
+  formData: { companyName: "Acme", leadership: [{ name: "Ada", title: "CEO" }], competitors: [] },
+  selectedLLMs: { claude: true },
+  refresh: true
+});
+
+const analysisCalls = () => server.requests.filter((request) => request.method === "POST").length;
+
+test("concurrent pollers never run the same task twice", async () => {
+  const job = await newJob();
+  const analyzeTasks = job.tasks.filter((task) => task.kind === "analyze").length;
+  const before = analysisCalls();
+
+  const results = await Promise.all([advanceJob(job.id), advanceJob(job.id), advanceJob(job.id)]);
+
+  assert.equal(results.filter((result) => result.status === "completed").length, 1);
+  assert.equal(analysisCalls() - before, analyzeTasks);
+  const saved = await getJob(job.id);
+  assert.equal(saved.status, "completed");
+  assert.ok(saved.tasks.every((task) => task.status === "done"));
+  assert.deepEqual(await getCollection("job-claims").list(), []);
+});
+
+test("a live lease is left alone and a lapsed one is taken over", async () => {
+  const job = await newJob();
+  const jobs = getCollection("jobs");
+  const live = { runnerId: "other-runner", claimId: `${job.id}_new`, expiresAt: new Date(Date.now() + 60000).toISOString() };
+  await jobs.put(job.id, { ...job, status: "running", lease: live });
+
+  const untouched = await advanceJob(job.id);
+  assert.equal(untouched.lease.runnerId, "other-runner");
+  assert.ok(untouched.tasks.every((task) => task.status === "pending"));
+
+  await jobs.put(job.id, { ...untouched, lease: { ...live, expiresAt: new Date(Date.now() - 1000).toISOString() } });
+  const taken = await advanceJob(job.id);
+  assert.equal(taken.status, "completed");
+  assert.notEqual(taken.lease.runnerId, "other-runner");
+});
+
+test("a runner working from a stale copy of the job loses the claim", async () => {
+  const job = await newJob();
+  const jobs = getCollection("jobs");
+  const stale = { runnerId: "stale-runner", claimId: `${job.id}_new`, expiresAt: new Date(Date.now() - 1000).toISOString() };
+  // Someone already took over from stale-runner: the succeeding claim exists
+  await getCollection("job-claims").create(`${job.id}_stale-runner`, { id: `${job.id}_stale-runner`, jobId: job.id, runnerId: "winner" });
+  await jobs.put(job.id, { ...job, lease: stale });
+
+  const before = analysisCalls();
+  const result = await advanceJob(job.id);
+  assert.equal(analysisCalls(), before);
+  assert.ok(result.tasks.every((task) => task.status === "pending"));
+});
+
+test("tasks running in parallel can't all slip under the budget", async () => {
+  // Room for two default-priced calls (about $0.10 each) at a time
+  process.env.MONTHLY_BUDGET_USD = "0.2";
+  const job = await createJob({
+    formData: { companyName: "Acme", leadership: ["Ada", "Bo", "Cy"].map((name) => ({ name, title: "CEO" })), competitors: [] },
+    selectedLLMs: { claude: true },
+    refresh: true,
+    workspaceId: "ws-budget"
+  });
+
+  const result = await advanceJob(job.id);
+
+  assert.equal(result.status, "completed");
+  const analyzed = result.tasks.filter((task) => task.kind === "analyze");
+  assert.ok(analyzed.length > 2);
+  const runningAt = (time) => analyzed.filter((task) => task.startedAt <= time && time < task.finishedAt).length;
+  assert.equal(Math.max(...analyzed.map((task) => runningAt(task.startedAt))), 2);
+});
+
+test("a task whose 429 wait would outlast the runner's budget goes back to pending", async () => {
+  const job = await newJob();
+  rateLimitedCalls = 1;
+  const before = Date.now();
+
+  const first = await advanceJob(job.id, { budgetMs: 1000 });
+
+  // retry-after is 2s: the runner stops at its budget instead of sleeping through it
+  assert.ok(Date.now() - before < 1800, `took ${Date.now() - before}ms`);
+  assert.equal(first.status, "running");
+  const deferred = first.tasks.filter((task) => task.status === "pending");
+  assert.ok(deferred.length > 0);
+  assert.ok(deferred.every((task) => !task.error && !task.startedAt));
+  assert.ok(first.tasks.every((task) => task.status !== "error"));
+
+  const second = await advanceJob(job.id);
+  assert.equal(second.status, "completed");
+  assert.ok(second.tasks.every((task) => task.status === "done"));
+});
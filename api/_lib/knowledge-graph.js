@@ -0,0 +1,306 @@
+// Knowledge graph presence (Wikidata / Wikipedia)
+// Resolves the company and each leader to candidate Wikidata items, scores how
+// likely each candidate is the right entity, and lists the properties AI engines
+// look for that the item is missing. An item's English Wikipedia article comes
+// from its sitelinks.
+// WIKIDATA_API_URL points the client at another endpoint, e.g. a local server
+// replaying saved API responses.
+
+const { withRateLimit } = require("./ratelimit");
+const { withCache } = require("./cache");
+const { badRequest } = require("./errors");
+
+const DEFAULT_API_URL = "https://www.wikidata.org/w/api.php";
+const USER_AGENT = "AIReputationReport/4.0 (https://abstraktmg.com)";
+
+// Candidates fetched per name
+const SEARCH_LIMIT = 5;
+// Confidence (0-100) needed to call a candidate the entity, or a possible match
+const MATCH_THRESHOLD = 60;
+const POSSIBLE_THRESHOLD = 30;
+
+const COMPANY_PROPERTIES = [
+  { id: "P856", label: "Official website" },
+  { id: "P169", label: "CEO" },
+  { id: "P452", label: "Industry" },
+  { id: "P571", label: "Inception" },
+  { id: "P159", label: "Headquarters" },
+  { id: "P4264", label: "LinkedIn company ID" }
+];
+
+const PERSON_PROPERTIES = [
+  { id: "P108", label: "Employer" },
+  { id: "P106", label: "Occupation" },
+  { id: "P6634", label: "LinkedIn profile ID" }
+];
+
+const HUMAN = "Q5";
+
+function getApiUrl() {
+  return process.env.WIKIDATA_API_URL || DEFAULT_API_URL;
+}
+
+// GET one Wikidata API call through the shared limiter; 429s throw so they are retried
+async function wikidataRequest(url, deadline) {
+  return withRateLimit("wikidata", async () => {
+    const response = await fetch(url, { headers: { "User-Agent": USER_AGENT, Accept: "application/json" } });
+    if (!response.ok) {
+      const error = new Error(`Wikidata returned HTTP ${response.status}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get("retry-after");
+      throw error;
+    }
+    const data = await response.json();
+    if (data.error) {
+      throw new Error(`Wikidata error: ${data.error.info || data.error.code}`);
+    }
+    return data;
+  }, { deadline });
+}
+
+// Same shape as the SEMRush requester: cached calls plus the oldest fetch time
+function createCachedRequester({ refresh = false, deadline = null } = {}) {
+  const fetchedAt = [];
+
+  const request = async (params) => {
+    const url = new URL(getApiUrl());
+    Object.entries({ ...params, format: "json" }).forEach(([key, value]) => url.searchParams.set(key, value));
+    url.searchParams.sort();
+
+    const { value, cachedAt } = await withCache("wikidata", [url.toString()], () => wikidataRequest(url.toString(), deadline), { refresh });
+    fetchedAt.push(cachedAt);
+    return value;
+  };
+
+  request.cachedAt = () => fetchedAt.sort()[0] || new Date().toISOString();
+  return request;
+}
+
+async function searchEntities(request, name) {
+  const data = await request({
+    action: "wbsearchentities",
+    search: name,
+    language: "en",
+    uselang: "en",
+    type: "item",
+    limit: SEARCH_LIMIT
+  });
+  return (data.search || []).map((item) => item.id);
+}
+
+async function getEntities(request, ids, props = "labels|descriptions|aliases|claims|sitelinks") {
+  if (ids.length === 0) return {};
+  const data = await request({
+    action: "wbgetentities",
+    ids: ids.slice(0, 50).join("|"),
+    props,
+    languages: "en",
+    sitefilter: "enwiki"
+  });
+  return data.entities || {};
+}
+
+const normalize = (text) => String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+const englishLabel = (entity) => entity?.labels?.en?.value || "";
+const hostOf = (url) => {
+  try {
+    return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.replace(/^www\./, "").toLowerCase();
+  } catch (err) {
+    return null;
+  }
+};
+
+// Claim values for one property: item ids, strings, or time values
+function claimValues(entity, propertyId) {
+  return (entity?.claims?.[propertyId] || [])
+    .map((claim) => claim.mainsnak?.datavalue?.value)
+    .filter((value) => value !== undefined && value !== null)
+    .map((value) => (typeof value === "object" ? value.id || value.time || value.text || null : value))
+    .filter(Boolean);
+}
+
+// 0-100 confidence that a candidate item is the company or leader we mean
+function scoreCandidate(entity, { name, kind, website, industry, companyItemId, companyName }) {
+  const reasons = [];
+  let confidence = 0;
+
+  const label = normalize(englishLabel(entity));
+  const aliases = (entity.aliases?.en || []).map((alias) => normalize(alias.value));
+  const target = normalize(name);
+  if (label === target) {
+    confidence += 40;
+    reasons.push("Label matches");
+  } else if (aliases.includes(target)) {
+    confidence += 30;
+    reasons.push("Alias matches");
+  } else if (label && (label.includes(target) || target.includes(label))) {
+    confidence += 15;
+    reasons.push("Label partly matches");
+  }
+
+  const description = normalize(entity.descriptions?.en?.value);
+  const isHuman = claimValues(entity, "P31").includes(HUMAN);
+
+  if (kind === "person") {
+    if (isHuman) {
+      confidence += 10;
+      reasons.push("Is a person");
+    } else {
+      confidence -= 30;
+    }
+    if (companyItemId && claimValues(entity, "P108").includes(companyItemId)) {
+      confidence += 40;
+      reasons.push(`Employer is ${companyName}`);
+    } else if (companyName && description.includes(normalize(companyName))) {
+      confidence += 25;
+      reasons.push(`Description mentions ${companyName}`);
+    }
+  } else {
+    const siteHost = website ? hostOf(website) : null;
+    if (siteHost && claimValues(entity, "P856").some((url) => hostOf(url) === siteHost)) {
+      confidence += 40;
+      reasons.push("Official website matches");
+    }
+    if (isHuman) {
+      confidence -= 30;
+    } else if (/\b(company|business|firm|agency|corporation|organi[sz]ation|provider|manufacturer|brand|startup|enterprise)\b/.test(description)) {
+      confidence += 10;
+      reasons.push("Described as a company");
+    }
+    if (industry && normalize(industry).split(" ").some((word) => word.length > 3 && description.includes(word))) {
+      confidence += 10;
+      reasons.push("Description mentions the industry");
+    }
+  }
+
+  return { confidence: Math.max(0, Math.min(100, confidence)), reasons };
+}
+
+function describeEntity(entity, properties, labels) {
+  const title = entity.sitelinks?.enwiki?.title;
+  const present = [];
+  const missing = [];
+
+  properties.forEach((property) => {
+    const values = claimValues(entity, property.id).map((value) => labels[value] || value);
+    if (values.length > 0) present.push({ ...property, values });
+    else missing.push(property.label);
+  });
+
+  return {
+    id: entity.id,
+    label: englishLabel(entity),
+    description: entity.descriptions?.en?.value || "",
+    url: `https://www.wikidata.org/wiki/${entity.id}`,
+    wikipedia: title ? `https://en.wikipedia.org/wiki/${encodeURIComponent(title.replace(/ /g, "_"))}` : null,
+    properties: present,
+    missing
+  };
+}
+
+// Best candidate for one name: status "matched", "possible" or "not-found"
+async function resolveEntity(request, { name, kind, ...context }) {
+  const ids = await searchEntities(request, name);
+  const entities = await getEntities(request, ids);
+
+  const candidates = ids
+    .map((id) => entities[id])
+    .filter(Boolean)
+    .map((entity) => ({ entity, ...scoreCandidate(entity, { name, kind, ...context }) }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const best = candidates[0];
+  const status = !best || best.confidence < POSSIBLE_THRESHOLD ? "not-found"
+    : best.confidence >= MATCH_THRESHOLD ? "matched" : "possible";
+
+  return { query: name, kind, status, best: status === "not-found" ? null : best, candidates };
+}
+
+// Items referenced by claims (CEO, industry, employer, ...) are shown by label
+async function fetchLabels(request, resolved, properties) {
+  const ids = new Set();
+  resolved.forEach(({ best, kind }) => {
+    if (!best) return;
+    properties[kind].forEach((property) => {
+      claimValues(best.entity, property.id).filter((value) => /^Q\d+$/.test(value)).forEach((id) => ids.add(id));
+    });
+  });
+
+  const entities = await getEntities(request, [...ids], "labels");
+  return Object.fromEntries(Object.values(entities).map((entity) => [entity.id, englishLabel(entity) || entity.id]));
+}
+
+function toResult(resolved, properties, labels) {
+  return {
+    query: resolved.query,
+    status: resolved.status,
+    confidence: resolved.best ? resolved.best.confidence : 0,
+    reasons: resolved.best ? resolved.best.reasons : [],
+    entity: resolved.best ? describeEntity(resolved.best.entity, properties, labels) : null,
+    candidates: resolved.candidates.slice(0, SEARCH_LIMIT).map(({ entity, confidence }) => ({
+      id: entity.id,
+      label: englishLabel(entity),
+      description: entity.descriptions?.en?.value || "",
+      confidence
+    }))
+  };
+}
+
+// Where Wikidata disagrees with the form: the CEO and the official website
+function findMismatches(company, formData, leaders) {
+  if (!company.entity) return [];
+  const mismatches = [];
+  const property = (id) => company.entity.properties.find((p) => p.id === id);
+
+  const ceo = leaders.find((leader) => /\bceo\b|chief executive/i.test(leader.title || ""));
+  const wikidataCeos = property("P169")?.values || [];
+  if (ceo && wikidataCeos.length > 0 && !wikidataCeos.some((name) => normalize(name) === normalize(ceo.name))) {
+    mismatches.push({ property: "CEO", wikidata: wikidataCeos.join(", "), form: ceo.name });
+  }
+
+  const websites = property("P856")?.values || [];
+  if (formData.website && websites.length > 0 && !websites.some((url) => hostOf(url) === hostOf(formData.website))) {
+    mismatches.push({ property: "Official website", wikidata: websites.join(", "), form: formData.website });
+  }
+
+  return mismatches;
+}
+
+// { company, leaders: [...], cachedAt } for the form's company and leaders
+async function checkKnowledgeGraph(formData, { refresh = false, deadline = null } = {}) {
+  if (!formData?.companyName) throw badRequest("Company name is required");
+
+  const request = createCachedRequester({ refresh, deadline });
+  const leaders = (formData.leadership || []).filter((l) => l.name);
+  const properties = { organization: COMPANY_PROPERTIES, person: PERSON_PROPERTIES };
+
+  const company = await resolveEntity(request, {
+    name: formData.companyName,
+    kind: "organization",
+    website: formData.website,
+    industry: formData.industry
+  });
+
+  // Leaders are scored against the company's item once we know it
+  const companyItemId = company.status === "matched" ? company.best.entity.id : null;
+  const people = [];
+  for (const leader of leaders) {
+    people.push(await resolveEntity(request, {
+      name: leader.name,
+      kind: "person",
+      companyItemId,
+      companyName: formData.companyName
+    }));
+  }
+
+  const labels = await fetchLabels(request, [company, ...people], properties);
+  const companyResult = toResult(company, COMPANY_PROPERTIES, labels);
+
+  return {
+    company: { ...companyResult, mismatches: findMismatches(companyResult, formData, leaders) },
+    leaders: people.map((person) => toResult(person, PERSON_PROPERTIES, labels)),
+    cachedAt: request.cachedAt()
+  };
+}
+
+module.exports = { checkKnowledgeGraph, scoreCandidate };
@@ -0,0 +1,92 @@
+process.env.STORE_DRIVER = "memory";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./testing");
+const { checkKnowledgeGraph } = require("./knowledge-graph");
+const fixture = require("./fixtures/wikidata/entities.json");
+
+let server;
+
+// Answers wbsearchentities and wbgetentities from the saved entities
+before(async () => {
+  server = await startServer((req) => {
+    const params = new URL(req.url, "http://localhost").searchParams;
+    if (params.get("action") === "wbsearchentities") {
+      return { search: (fixture.search[params.get("search")] || []).map((id) => ({ id })) };
+    }
+    const ids = params.get("ids").split("|");
+    return { entities: Object.fromEntries(ids.map((id) => [id, fixture.entities[id] || { id, missing: "" }])) };
+  });
+  process.env.WIKIDATA_API_URL = `${server.url}/w/api.php`;
+});
+
+after(() => server.close());
+
+const check = (formData) => checkKnowledgeGraph(formData, { refresh: true });
+
+test("a company and its CEO are found and matched to each other", async () => {
+  const result = await check({
+    companyName: "Acme Rockets",
+    website: "acme-rockets.com",
+    leadership: [{ name: "Jane Doe", title: "CEO" }]
+  });
+
+  assert.equal(result.company.status, "matched");
+  assert.equal(result.company.entity.id, "Q100");
+  assert.deepEqual(result.company.reasons, ["Label matches", "Official website matches", "Described as a company"]);
+  assert.equal(result.company.entity.wikipedia, "https://en.wikipedia.org/wiki/Acme_Rockets");
+  assert.deepEqual(result.company.entity.missing, []);
+  assert.deepEqual(result.company.entity.properties.find((p) => p.id === "P169").values, ["Jane Doe"]);
+  assert.deepEqual(result.company.entity.properties.find((p) => p.id === "P452").values, ["aerospace"]);
+  assert.deepEqual(result.company.mismatches, []);
+
+  // The actress ranks first in search; the employer claim picks the engineer
+  const [jane] = result.leaders;
+  assert.equal(jane.status, "matched");
+  assert.equal(jane.entity.id, "Q200");
+  assert.ok(jane.reasons.includes("Employer is Acme Rockets"));
+  assert.deepEqual(jane.entity.missing, ["LinkedIn profile ID"]);
+  assert.deepEqual(jane.candidates.map((c) => c.id), ["Q200", "Q201"]);
+});
+
+test("names Wikidata doesn't know are not found", async () => {
+  const result = await check({ companyName: "Nobody Corp", leadership: [{ name: "Ann Other", title: "CTO" }] });
+
+  assert.equal(result.company.status, "not-found");
+  assert.equal(result.company.entity, null);
+  assert.deepEqual(result.company.candidates, []);
+  assert.deepEqual(result.company.mismatches, []);
+  assert.equal(result.leaders[0].status, "not-found");
+});
+
+test("an ambiguous name is only a possible match, with the alternatives listed", async () => {
+  const result = await check({ companyName: "Mercury", leadership: [] });
+
+  assert.equal(result.company.status, "possible");
+  assert.equal(result.company.entity.id, "Q301");
+  assert.equal(result.company.confidence, 50);
+  assert.deepEqual(result.company.candidates.map((c) => [c.id, c.confidence]), [["Q301", 50], ["Q300", 40]]);
+});
+
+test("an item without a description or profile links lists what's missing", async () => {
+  const result = await check({ companyName: "Quiet Co", website: "https://quiet.example", leadership: [] });
+
+  assert.equal(result.company.status, "matched");
+  assert.equal(result.company.entity.description, "");
+  assert.equal(result.company.entity.wikipedia, null);
+  assert.deepEqual(result.company.entity.missing, ["CEO", "Industry", "Inception", "Headquarters", "LinkedIn company ID"]);
+  assert.deepEqual(result.company.entity.properties.map((p) => p.id), ["P856"]);
+  assert.deepEqual(result.company.reasons, ["Label matches", "Official website matches"]);
+});
+
+test("a website that differs from Wikidata's is reported as a mismatch", async () => {
+  const result = await check({
+    companyName: "Acme Rockets",
+    website: "acme.io",
+    leadership: [{ name: "Rob Roe", title: "Chief Executive Officer" }]
+  });
+
+  assert.equal(result.company.status, "possible");
+  assert.deepEqual(result.company.mismatches.map((m) => m.property), ["CEO", "Official website"]);
+});
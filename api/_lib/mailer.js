@@ -0,0 +1,76 @@
+// Outgoing email (sign-in links, workspace invites, report PDFs)
+// MAIL_DRIVER picks the transport:
+//   resend - Resend (the default when RESEND_API_KEY is set)
+//   outbox - keep the message in the store's "outbox" collection, for local
+//            runs and tests; nothing leaves the machine. Only the recipient and
+//            subject are logged, since bodies carry sign-in and confirmation links.
+// With neither a driver nor a Resend key, mail goes to the outbox. The outbox
+// keeps an attachment's filename and type, not its content.
+
+const crypto = require("crypto");
+const { Resend } = require("resend");
+const { getCollection } = require("./store");
+
+const DEFAULT_FROM = "AI Reputation Report <onboarding@resend.dev>";
+
+const outbox = () => getCollection("outbox");
+
+// For text that goes into an HTML body
+const escapeHtml = (text) => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+function getMailDriver() {
+  return process.env.MAIL_DRIVER || (process.env.RESEND_API_KEY ? "resend" : "outbox");
+}
+
+// Whether a transport was chosen on purpose; report emails aren't sent to the
+// fallback outbox, since nobody would ever receive them
+function isMailConfigured() {
+  return Boolean(process.env.MAIL_DRIVER || process.env.RESEND_API_KEY);
+}
+
+// { to, subject, html, text, attachments } -> { id, driver }, where attachments
+// are { filename, content (base64), type }. Throws with `details` when Resend rejects it.
+async function sendMail({ to, subject, html, text, attachments }) {
+  const driver = getMailDriver();
+
+  if (driver === "outbox") {
+    const message = { id: crypto.randomUUID(), to, subject, html, text, sentAt: new Date().toISOString() };
+    if (attachments) message.attachments = attachments.map(({ filename, type }) => ({ filename, type }));
+    await outbox().put(message.id, message);
+    console.log(`Mail to ${to} kept in outbox: ${subject}`);
+    return { id: message.id, driver };
+  }
+
+  if (driver !== "resend") {
+    throw new Error(`Unknown MAIL_DRIVER "${driver}"`);
+  }
+
+  const resend = new Resend(process.env.RESEND_API_KEY);
+  const { data, error } = await resend.emails.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to: [to],
+    subject,
+    html,
+    text,
+    attachments
+  });
+
+  if (error) {
+    console.error("Resend error:", error);
+    const sendError = new Error(error.message || "Failed to send email");
+    sendError.details = error;
+    throw sendError;
+  }
+
+  return { id: data?.id, driver };
+}
+
+// Outbox messages for one address, newest first
+async function listOutbox(to) {
+  const all = await outbox().list();
+  return all
+    .filter((message) => !to || message.to.toLowerCase() === to.toLowerCase())
+    .sort((a, b) => b.sentAt.localeCompare(a.sentAt));
+}
+
+module.exports = { sendMail, isMailConfigured, listOutbox, escapeHtml };
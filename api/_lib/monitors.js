@@ -0,0 +1,311 @@
+// Scheduled report monitors
+// A monitor is a saved company config (formData + selected engines), a cadence
+// and a recipient list. runDueMonitors() is called by the cron endpoint: it
+// starts jobs for monitors that are due, advances running ones and emails the
+// PDF once a job completes. Every scheduled run is recorded in monitor-runs.
+// Monitors belong to a workspace, and so do the jobs and reports they start.
+
+const crypto = require("crypto");
+const { getCollection } = require("./store");
+const { createJob, getJob, advanceJob } = require("./jobs");
+const { getReport } = require("./reports");
+const { compareWithPrevious } = require("./compare");
+const { sendReportEmail } = require("./report-email");
+const { getVisibilityWeights } = require("./workspaces");
+const { emitEvent, reportEventData } = require("./webhooks");
+const { badRequest } = require("./errors");
+
+const CADENCES = ["weekly", "monthly"];
+// Leave headroom under the 60s maxDuration for emailing and saving
+const TICK_BUDGET_MS = 40000;
+
+const monitors = () => getCollection("monitors");
+const monitorRuns = () => getCollection("monitor-runs");
+
+function nextRunAfter(cadence, from) {
+  const next = new Date(from);
+  if (cadence === "weekly") {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  }
+  return next.toISOString();
+}
+
+function validateMonitor({ formData, selectedLLMs, cadence, recipients }) {
+  if (!formData || !formData.companyName) {
+    throw badRequest("Company name is required");
+  }
+  if (!selectedLLMs || !Object.values(selectedLLMs).some(Boolean)) {
+    throw badRequest("Please select at least one AI search engine");
+  }
+  if (!CADENCES.includes(cadence)) {
+    throw badRequest(`Cadence must be one of: ${CADENCES.join(", ")}`);
+  }
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!Array.isArray(recipients) || recipients.length === 0 || !recipients.every((email) => emailRegex.test(email))) {
+    throw badRequest("At least one valid recipient email is required");
+  }
+}
+
+async function createMonitor({ formData, selectedLLMs, cadence, recipients, recipientName, startAt }, workspaceId = null) {
+  validateMonitor({ formData, selectedLLMs, cadence, recipients });
+
+  const now = new Date().toISOString();
+  const monitor = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    active: true,
+    workspaceId,
+    formData,
+    selectedLLMs,
+    cadence,
+    recipients,
+    recipientName: recipientName || `${formData.companyName} Team`,
+    // First run goes out on the next scheduler tick unless a start time is given
+    nextRunAt: startAt ? new Date(startAt).toISOString() : now,
+    lastRunAt: null,
+    lastRunStatus: null,
+    currentRunId: null
+  };
+
+  await monitors().put(monitor.id, monitor);
+  return monitor;
+}
+
+// A monitor only if it belongs to the workspace
+async function getMonitor(id, workspaceId = null) {
+  const monitor = await monitors().get(id);
+  return monitor && monitor.workspaceId === workspaceId ? monitor : null;
+}
+
+// Every workspace's monitors, for the scheduler
+async function listAllMonitors() {
+  const all = await monitors().list();
+  return all.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+async function listMonitors(workspaceId = null) {
+  return (await listAllMonitors()).filter((monitor) => monitor.workspaceId === workspaceId);
+}
+
+async function updateMonitor(id, changes, workspaceId = null) {
+  const monitor = await getMonitor(id, workspaceId);
+  if (!monitor) return null;
+
+  const editable = ["formData", "selectedLLMs", "cadence", "recipients", "recipientName", "active", "nextRunAt"];
+  editable.forEach((field) => {
+    if (changes[field] !== undefined) monitor[field] = changes[field];
+  });
+  validateMonitor(monitor);
+  monitor.updatedAt = new Date().toISOString();
+
+  await monitors().put(id, monitor);
+  return monitor;
+}
+
+// Returns false when the workspace has no such monitor
+async function deleteMonitor(id, workspaceId = null) {
+  if (!(await getMonitor(id, workspaceId))) return false;
+  await monitors().remove(id);
+  return true;
+}
+
+async function listMonitorRuns(monitorId) {
+  const all = await monitorRuns().list();
+  return all
+    .filter((run) => run.monitorId === monitorId)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+function newRun(monitor) {
+  return {
+    id: crypto.randomUUID(),
+    monitorId: monitor.id,
+    scheduledFor: monitor.nextRunAt,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: "running",
+    jobId: null,
+    reportId: null,
+    error: null,
+    deliveries: []
+  };
+}
+
+async function startRun(monitor) {
+  const run = newRun(monitor);
+
+  try {
+    const job = await createJob({ formData: monitor.formData, selectedLLMs: monitor.selectedLLMs, workspaceId: monitor.workspaceId });
+    run.jobId = job.id;
+    monitor.currentRunId = run.id;
+  } catch (error) {
+    run.status = "failed";
+    run.error = error.message;
+    run.finishedAt = new Date().toISOString();
+    scheduleNext(monitor, run);
+    await emitEvent(monitor.workspaceId, "report.failed", reportEventData({
+      monitorId: monitor.id,
+      companyName: monitor.formData.companyName,
+      reason: error.status === 402 ? "budget" : "error",
+      error: error.message
+    }));
+  }
+
+  await monitorRuns().put(run.id, run);
+  await monitors().put(monitor.id, monitor);
+  return run;
+}
+
+function scheduleNext(monitor, run) {
+  monitor.lastRunAt = new Date().toISOString();
+  monitor.lastRunStatus = run.status;
+  // Base the next slot on the schedule, not on when the run finished, so it doesn't drift
+  let next = nextRunAfter(monitor.cadence, monitor.nextRunAt);
+  while (next <= monitor.lastRunAt) next = nextRunAfter(monitor.cadence, next);
+  monitor.nextRunAt = next;
+  monitor.currentRunId = null;
+}
+
+// Email the finished report to every recipient and record each outcome
+async function deliverRun(monitor, run, job) {
+  run.reportId = job.reportId;
+  const report = job.reportId ? await getReport(job.reportId) : null;
+  if (!report) {
+    run.status = "failed";
+    run.error = "Report was not saved";
+    return;
+  }
+
+  let progress = null;
+  try {
+    progress = await compareWithPrevious(report.id, report.workspaceId);
+  } catch (error) {
+    console.error(`Monitor ${monitor.id} progress comparison failed:`, error.message);
+  }
+  const reportData = { ...report.results, visibilityWeights: await getVisibilityWeights(report.workspaceId) };
+
+  for (const email of monitor.recipients) {
+    const delivery = { email, at: new Date().toISOString(), status: "sent", emailId: null, error: null };
+    try {
+      const { emailId } = await sendReportEmail({
+        recipientName: monitor.recipientName,
+        recipientCompany: monitor.formData.companyName,
+        recipientEmail: email,
+        reportData,
+        progress
+      });
+      delivery.emailId = emailId;
+      await emitEvent(report.workspaceId, "report.emailed", reportEventData({
+        reportId: report.id,
+        monitorId: monitor.id,
+        source: "monitor",
+        recipient: { name: monitor.recipientName || "", email, company: monitor.formData.companyName },
+        report: report.results
+      }));
+    } catch (error) {
+      delivery.status = "failed";
+      delivery.error = error.message;
+    }
+    run.deliveries.push(delivery);
+  }
+
+  const sent = run.deliveries.filter((d) => d.status === "sent").length;
+  run.status = sent === run.deliveries.length ? "delivered" : sent > 0 ? "partial" : "failed";
+}
+
+// Advance a monitor's running job; deliver and reschedule once it completes
+async function continueRun(monitor, budgetMs) {
+  const run = await monitorRuns().get(monitor.currentRunId);
+  if (!run) {
+    monitor.currentRunId = null;
+    await monitors().put(monitor.id, monitor);
+    return null;
+  }
+
+  const job = budgetMs > 0 ? await advanceJob(run.jobId, { budgetMs }) : await getJob(run.jobId);
+  if (!job) {
+    run.status = "failed";
+    run.error = "Job not found";
+  } else if (job.status === "completed") {
+    await deliverRun(monitor, run, job);
+  } else if (job.status === "stopped") {
+    // A partial report isn't worth emailing; the saved copy is still in history
+    run.reportId = job.reportId;
+    run.status = "failed";
+    run.error = "Stopped: the workspace's monthly budget was reached";
+  } else {
+    return run;
+  }
+
+  run.finishedAt = new Date().toISOString();
+  scheduleNext(monitor, run);
+  await monitorRuns().put(run.id, run);
+  await monitors().put(monitor.id, monitor);
+  return run;
+}
+
+// Record an unexpected error on the monitor's run (a new one if it never got
+// saved) and move it to its next slot. Works from the stored monitor, since the
+// in-memory copy may hold half of what the tick was doing.
+async function failRun(monitorId, error) {
+  const monitor = await monitors().get(monitorId);
+  const run = (monitor.currentRunId && await monitorRuns().get(monitor.currentRunId)) || newRun(monitor);
+  run.status = "failed";
+  run.error = error.message;
+  run.finishedAt = new Date().toISOString();
+  scheduleNext(monitor, run);
+  await monitorRuns().put(run.id, run);
+  await monitors().put(monitor.id, monitor);
+  return run;
+}
+
+// One scheduler tick: start due monitors, then work on running ones while time remains
+async function runDueMonitors({ now = new Date(), budgetMs = TICK_BUDGET_MS } = {}) {
+  const started = Date.now();
+  const summary = { started: [], advanced: [], finished: [] };
+
+  for (const monitor of await listAllMonitors()) {
+    if (!monitor.active) continue;
+
+    try {
+      if (!monitor.currentRunId && monitor.nextRunAt <= now.toISOString()) {
+        const run = await startRun(monitor);
+        summary.started.push({ monitorId: monitor.id, runId: run.id, status: run.status });
+      }
+
+      if (monitor.currentRunId) {
+        const remaining = budgetMs - (Date.now() - started);
+        const run = await continueRun(monitor, remaining);
+        if (run) {
+          (run.status === "running" ? summary.advanced : summary.finished)
+            .push({ monitorId: monitor.id, runId: run.id, status: run.status });
+        }
+      }
+    } catch (error) {
+      // One broken monitor mustn't hold up the others, or retry every tick
+      console.error(`Monitor ${monitor.id} tick failed:`, error);
+      try {
+        const run = await failRun(monitor.id, error);
+        summary.finished.push({ monitorId: monitor.id, runId: run.id, status: run.status, error: run.error });
+      } catch (recordError) {
+        console.error(`Monitor ${monitor.id} failure could not be recorded:`, recordError.message);
+      }
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  CADENCES,
+  createMonitor,
+  getMonitor,
+  listMonitors,
+  updateMonitor,
+  deleteMonitor,
+  listMonitorRuns,
+  runDueMonitors
+};
@@ -0,0 +1,155 @@
+process.env.STORE_DRIVER = "memory";
+process.env.MAIL_DRIVER = "outbox";
+process.env.ANTHROPIC_API_KEY = "sk-ant-test";
+
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./testing");
+const { getCollection } = require("./store");
+const { listOutbox } = require("./mailer");
+const { createMonitor, getMonitor, listMonitorRuns, runDueMonitors } = require("./monitors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+const realFetch = global.fetch;
+
+before(async () => {
+  server = await startServer((req) => {
+    if (req.method === "GET") return { search: [] };
+    return {
+      id: "msg_test",
+      type: "message",
+      role: "assistant",
+      model: "claude-test",
+      stop_reason: "end_turn",
+      content: [{ type: "text", text: JSON.stringify({ summary: "Known", entityFound: true, confidenceScore: 7, sentimentScore: 6, sentiment: "positive", topSources: [], recommendations: "More" }) }],
+      usage: { input_tokens: 100, output_tokens: 20 }
+    };
+  });
+  process.env.ANTHROPIC_BASE_URL = server.url;
+  process.env.WIKIDATA_API_URL = `${server.url}/w/api.php`;
+});
+
+after(() => server.close());
+
+afterEach(() => {
+  global.fetch = realFetch;
+  process.env.MAIL_DRIVER = "outbox";
+  delete process.env.RESEND_API_KEY;
+});
+
+const newMonitor = (companyName, { recipients = [`team@${companyName.toLowerCase()}.example`], startAt } = {}) => createMonitor({
+  formData: { companyName, leadership: [], competitors: [] },
+  selectedLLMs: { claude: true },
+  cadence: "weekly",
+  recipients,
+  startAt: startAt || new Date(Date.now() - 60 * 60 * 1000).toISOString()
+});
+
+const runFor = (summary, monitor) => [...summary.started, ...summary.advanced, ...summary.finished]
+  .filter((entry) => entry.monitorId === monitor.id);
+
+// Resend stand-in that rejects mail to bounce@ addresses
+function stubResend() {
+  process.env.MAIL_DRIVER = "resend";
+  process.env.RESEND_API_KEY = "re_test";
+  let sent = 0;
+  global.fetch = async (url, options) => {
+    if (!String(url).startsWith("https://api.resend.com")) return realFetch(url, options);
+    const { to } = JSON.parse(options.body);
+    if (to[0].startsWith("bounce@")) {
+      return Response.json({ name: "validation_error", message: `Cannot send to ${to[0]}` }, { status: 422 });
+    }
+    return Response.json({ id: `email_${++sent}` });
+  };
+}
+
+test("only active monitors that are due get a run", async () => {
+  const due = await newMonitor("Duecorp");
+  const later = await newMonitor("Latercorp", { startAt: new Date(Date.now() + DAY_MS).toISOString() });
+  const paused = await newMonitor("Pausedcorp");
+  await getCollection("monitors").put(paused.id, { ...paused, active: false });
+
+  const summary = await runDueMonitors();
+
+  assert.deepEqual(runFor(summary, due).map((entry) => entry.status), ["running", "delivered"]);
+  assert.deepEqual(runFor(summary, later), []);
+  assert.deepEqual(runFor(summary, paused), []);
+  assert.equal((await listMonitorRuns(later.id)).length, 0);
+  assert.equal((await listMonitorRuns(paused.id)).length, 0);
+
+  const [message] = await listOutbox("team@duecorp.example");
+  assert.match(message.subject, /Duecorp/);
+  assert.equal(message.attachments[0].type, "application/pdf");
+});
+
+test("the next run keeps to the schedule instead of drifting to when the last one finished", async () => {
+  const scheduledFor = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const monitor = await newMonitor("Steadycorp", { startAt: scheduledFor });
+
+  await runDueMonitors();
+
+  const saved = await getMonitor(monitor.id);
+  assert.equal(saved.nextRunAt, new Date(Date.parse(scheduledFor) + 7 * DAY_MS).toISOString());
+  assert.equal(saved.lastRunStatus, "delivered");
+  assert.equal(saved.currentRunId, null);
+
+  // A monitor that missed several slots skips to the next one still ahead, on the same weekday and time
+  const missed = await newMonitor("Latecorp", { startAt: new Date(Date.parse(scheduledFor) - 21 * DAY_MS).toISOString() });
+  await runDueMonitors();
+  const caughtUp = await getMonitor(missed.id);
+  assert.equal(caughtUp.nextRunAt, saved.nextRunAt);
+});
+
+test("each recipient's delivery is logged, and one bounce makes the run partial", async () => {
+  stubResend();
+  const monitor = await newMonitor("Mixedcorp", { recipients: ["ok@mixedcorp.example", "bounce@mixedcorp.example"] });
+
+  await runDueMonitors();
+
+  const [run] = await listMonitorRuns(monitor.id);
+  assert.equal(run.status, "partial");
+  assert.deepEqual(run.deliveries.map(({ email, status }) => ({ email, status })), [
+    { email: "ok@mixedcorp.example", status: "sent" },
+    { email: "bounce@mixedcorp.example", status: "failed" }
+  ]);
+  assert.equal(run.deliveries[0].emailId, "email_1");
+  assert.match(run.deliveries[1].error, /Cannot send to bounce@mixedcorp.example/);
+  assert.equal((await getMonitor(monitor.id)).lastRunStatus, "partial");
+});
+
+test("a run where every delivery fails is failed", async () => {
+  stubResend();
+  const monitor = await newMonitor("Bouncecorp", { recipients: ["bounce@bouncecorp.example"] });
+
+  await runDueMonitors();
+
+  const [run] = await listMonitorRuns(monitor.id);
+  assert.equal(run.status, "failed");
+  assert.equal(run.deliveries.length, 1);
+  const saved = await getMonitor(monitor.id);
+  assert.equal(saved.lastRunStatus, "failed");
+  assert.ok(saved.nextRunAt > new Date().toISOString());
+});
+
+test("a monitor that throws gets a failed run and doesn't stop the others", async () => {
+  // A stored monitor with no company config makes its tick throw
+  const broken = await newMonitor("Brokencorp");
+  await getCollection("monitors").put(broken.id, { ...broken, formData: null });
+  const healthy = await newMonitor("Healthycorp");
+
+  const summary = await runDueMonitors();
+
+  const [failure] = runFor(summary, broken);
+  assert.equal(failure.status, "failed");
+  assert.ok(failure.error);
+  const [run] = await listMonitorRuns(broken.id);
+  assert.equal(run.status, "failed");
+  assert.equal(run.error, failure.error);
+  const saved = await getMonitor(broken.id);
+  assert.equal(saved.nextRunAt, new Date(Date.parse(broken.nextRunAt) + 7 * DAY_MS).toISOString());
+  assert.equal(saved.currentRunId, null);
+
+  assert.equal(runFor(summary, healthy).at(-1).status, "delivered");
+});
@@ -0,0 +1,158 @@
+// Requests to URLs that users supply (company websites, webhook receivers)
+// These run inside our network, so a URL pointing at localhost, a private
+// range or the cloud metadata address (169.254.169.254) would let callers read
+// or probe internal services. Every URL - and every redirect hop - is resolved
+// first and refused when any address it resolves to isn't public. Bodies are
+// read up to a size cap, and every request has a timeout.
+//
+// The check and the connection do separate DNS lookups, so a host that
+// changes its answer in between (DNS rebinding) isn't covered.
+//
+// ALLOW_PRIVATE_URLS=true turns the address check off outside production, for
+// local runs against sites or receivers on localhost.
+
+const dns = require("dns").promises;
+const net = require("net");
+const { isProduction } = require("./env");
+const { badRequest } = require("./errors");
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 5;
+
+// [network, prefix length] that are not reachable on the public internet
+const BLOCKED_IPV4 = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+];
+
+const ipv4ToNumber = (ip) => ip.split(".").reduce((sum, part) => sum * 256 + Number(part), 0);
+
+function isBlockedIpv4(ip) {
+  const address = ipv4ToNumber(ip);
+  return BLOCKED_IPV4.some(([network, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(address / size) === Math.floor(ipv4ToNumber(network) / size);
+  });
+}
+
+function isBlockedIpv6(ip) {
+  const address = ip.toLowerCase();
+  // IPv4-mapped (::ffff:10.0.0.1) and NAT64 (64:ff9b::10.0.0.1) addresses carry an IPv4 one
+  const embedded = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) return isBlockedIpv4(embedded[1]);
+  if (address === "::" || address === "::1") return true;
+  if (/^::ffff:/.test(address)) return true;
+  // fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+  return /^f[cd]/.test(address) || /^fe[89ab]/.test(address) || /^ff/.test(address);
+}
+
+function isPrivateAddress(ip) {
+  const version = net.isIP(ip);
+  if (version === 4) return isBlockedIpv4(ip);
+  if (version === 6) return isBlockedIpv6(ip);
+  return true;
+}
+
+const allowPrivate = () => process.env.ALLOW_PRIVATE_URLS === "true" && !isProduction();
+
+// Throws a 400 unless url is http(s) and every address its host resolves to is public
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw badRequest(`Invalid URL: ${url}`);
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw badRequest(`Only http(s) URLs can be fetched: ${url}`);
+  }
+  if (allowPrivate()) return parsed;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.lookup(host, { all: true, verbatim: true })).map((entry) => entry.address);
+    } catch (error) {
+      throw badRequest(`Could not resolve ${parsed.hostname}`);
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw badRequest(`${parsed.hostname} points to a private or local address`);
+  }
+  return parsed;
+}
+
+// Reads at most maxBytes of the body; the rest is dropped and truncated is set
+async function readBody(response, maxBytes) {
+  if (!response.body) return { text: "", truncated: false };
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (size + value.length > maxBytes) {
+      chunks.push(Buffer.from(value.subarray(0, maxBytes - size)));
+      truncated = true;
+      await reader.cancel();
+      break;
+    }
+    chunks.push(Buffer.from(value));
+    size += value.length;
+  }
+  return { text: Buffer.concat(chunks).toString("utf8"), truncated };
+}
+
+// fetch() for a user-supplied URL. Redirects are followed by hand (up to
+// maxRedirects; 0 refuses them) so each hop is checked. Resolves to
+// { url, status, ok, headers, text, truncated } - url is the final one.
+async function fetchPublic(url, {
+  method = "GET",
+  headers = {},
+  body,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxBytes = DEFAULT_MAX_BYTES,
+  maxRedirects = DEFAULT_MAX_REDIRECTS
+} = {}) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let current = url;
+
+  for (let hop = 0; ; hop++) {
+    await assertPublicUrl(current);
+    const response = await fetch(current, { method, headers, body, redirect: "manual", signal });
+
+    const location = response.headers.get("location");
+    if (response.status >= 300 && response.status < 400 && location) {
+      await response.body?.cancel();
+      if (hop >= maxRedirects) {
+        throw badRequest(maxRedirects === 0 ? `${current} redirected to ${location}` : `Too many redirects from ${url}`);
+      }
+      current = new URL(location, current).toString();
+      continue;
+    }
+
+    const { text, truncated } = await readBody(response, maxBytes);
+    return { url: current, status: response.status, ok: response.ok, headers: response.headers, text, truncated };
+  }
+}
+
+module.exports = { isPrivateAddress, assertPublicUrl, fetchPublic };
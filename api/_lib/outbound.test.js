@@ -0,0 +1,88 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { isPrivateAddress, assertPublicUrl, fetchPublic } = require("./outbound");
+
+const realFetch = global.fetch;
+
+afterEach(() => {
+  global.fetch = realFetch;
+  delete process.env.ALLOW_PRIVATE_URLS;
+  delete process.env.VERCEL_ENV;
+});
+
+// Stands in for the network: replies by URL, recording each request
+function stubFetch(routes) {
+  const requested = [];
+  global.fetch = async (url, options) => {
+    requested.push({ url, options });
+    const route = routes[url];
+    if (!route) throw new Error(`Unexpected fetch of ${url}`);
+    return route();
+  };
+  return requested;
+}
+
+test("private, loopback, link-local and reserved addresses are blocked", () => {
+  [
+    "127.0.0.1", "10.1.2.3", "172.16.0.1", "172.31.255.255", "192.168.1.1", "169.254.169.254",
+    "100.64.0.1", "0.0.0.0", "224.0.0.1", "255.255.255.255",
+    "::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:169.254.169.254", "ff02::1", "not-an-ip"
+  ].forEach((ip) => assert.equal(isPrivateAddress(ip), true, ip));
+
+  ["93.184.216.34", "8.8.8.8", "172.32.0.1", "2606:4700::1111", "::ffff:8.8.8.8"]
+    .forEach((ip) => assert.equal(isPrivateAddress(ip), false, ip));
+});
+
+test("URLs for local hosts and other schemes are refused with a 400", async () => {
+  for (const url of [
+    "http://localhost:3000/",
+    "http://127.0.0.1/",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://[::1]/",
+    "http://2130706433/",
+    "file:///etc/passwd",
+    "ftp://example.com/",
+    "not a url"
+  ]) {
+    await assert.rejects(assertPublicUrl(url), (error) => error.status === 400, url);
+  }
+});
+
+test("ALLOW_PRIVATE_URLS only works outside production", async () => {
+  process.env.ALLOW_PRIVATE_URLS = "true";
+  await assertPublicUrl("http://127.0.0.1:3000/");
+
+  process.env.VERCEL_ENV = "production";
+  await assert.rejects(assertPublicUrl("http://127.0.0.1:3000/"), { status: 400 });
+});
+
+test("each redirect hop is checked before it is fetched", async () => {
+  const requested = stubFetch({
+    "http://93.184.216.34/": () => new Response(null, { status: 302, headers: { location: "http://169.254.169.254/latest/meta-data/" } })
+  });
+
+  await assert.rejects(fetchPublic("http://93.184.216.34/"), /private or local address/);
+  assert.equal(requested.length, 1);
+  assert.equal(requested[0].options.redirect, "manual");
+});
+
+test("public redirects are followed up to the limit", async () => {
+  stubFetch({
+    "http://93.184.216.34/": () => new Response(null, { status: 301, headers: { location: "/home" } }),
+    "http://93.184.216.34/home": () => new Response("<html>home</html>", { status: 200 })
+  });
+
+  const page = await fetchPublic("http://93.184.216.34/");
+  assert.equal(page.url, "http://93.184.216.34/home");
+  assert.equal(page.text, "<html>home</html>");
+
+  await assert.rejects(fetchPublic("http://93.184.216.34/", { maxRedirects: 0 }), { status: 400 });
+});
+
+test("bodies are cut off at maxBytes", async () => {
+  stubFetch({ "http://93.184.216.34/big": () => new Response("x".repeat(5000)) });
+
+  const page = await fetchPublic("http://93.184.216.34/big", { maxBytes: 1000 });
+  assert.equal(page.text.length, 1000);
+  assert.equal(page.truncated, true);
+});
@@ -0,0 +1,172 @@
+// Prompt library
+// A prompt set is a named group of query templates, one per analysis type.
+// Templates use {variables} and [[optional parts]]: an optional part is dropped
+// when any variable inside it is empty, so "[[ in the {industry} industry]]"
+// disappears when no industry was entered.
+// Every save bumps the set's version and keeps a copy of that version in
+// prompt-set-versions, so a report can always be traced to the exact prompts.
+
+const crypto = require("crypto");
+const { getCollection } = require("./store");
+const { badRequest } = require("./errors");
+
+const PROMPT_KEYS = ["entity", "leadership", "press", "social", "podcast", "competitor"];
+
+const PROMPT_VARIABLES = [
+  "companyName",
+  "website",
+  "industry",
+  "keywords",
+  "leader.name",
+  "leader.title",
+  "leader.company",
+  "competitor.name",
+  "competitor.website"
+];
+
+// Built in, read-only; these match the queries the tool has always sent
+const DEFAULT_PROMPT_SET = {
+  id: "default",
+  name: "Default",
+  description: "Built-in prompts",
+  version: 1,
+  builtIn: true,
+  createdAt: null,
+  updatedAt: null,
+  prompts: {
+    entity: "Tell me about {companyName}[[ in the {industry} industry]]. [[Their website is {website}.]] [[Focus on: {keywords}]]",
+    leadership: "Tell me about {leader.name}[[, {leader.title}]] at {leader.company}. What is their reputation, thought leadership, and online presence?",
+    press: "What press opportunities, media outlets, industry publications, and speaking engagements would be good for {leader.name}[[, {leader.title}]] at {companyName}[[ in the {industry} industry]]? Focus on publications and outlets where they could contribute articles, be interviewed, or be featured.",
+    social: "Analyze the social media sentiment and online reputation of {leader.name}[[, {leader.title}]] at {leader.company}. Look at LinkedIn presence, Twitter/X mentions, industry forums, and any social media discussions. What is the overall sentiment? Are there any concerns or particularly positive mentions?",
+    podcast: "What podcasts would be good for executives from {companyName}[[ in the {industry} industry]] to appear on as guests? List specific podcasts with their audience size, topics covered, and why they would be a good fit. Include both industry-specific podcasts and broader business podcasts.",
+    competitor: "Analyze {competitor.name}[[ ({competitor.website})]] as a competitor. What is their online presence, backlink profile, and content strategy?"
+  }
+};
+
+const VARIABLE_PATTERN = /\{([A-Za-z.]+)\}/g;
+
+const promptSets = () => getCollection("prompt-sets");
+const promptSetVersions = () => getCollection("prompt-set-versions");
+
+// Fill a template from a flat { "leader.name": "...", ... } map
+function renderPrompt(template, variables) {
+  const valueOf = (name) => String(variables[name] ?? "").trim();
+
+  return template
+    .replace(/\[\[([\s\S]*?)\]\]/g, (match, part) => {
+      const names = [...part.matchAll(VARIABLE_PATTERN)].map((m) => m[1]);
+      return names.every((name) => valueOf(name)) ? part : "";
+    })
+    .replace(VARIABLE_PATTERN, (match, name) => valueOf(name))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function validatePromptSet({ name, prompts }) {
+  if (!name || !String(name).trim()) {
+    throw badRequest("Prompt set name is required");
+  }
+  if (!prompts || typeof prompts !== "object") {
+    throw badRequest("Prompts are required");
+  }
+
+  for (const key of PROMPT_KEYS) {
+    const template = prompts[key];
+    if (typeof template !== "string" || !template.trim()) {
+      throw badRequest(`The ${key} prompt is empty`);
+    }
+    const unknown = [...template.matchAll(VARIABLE_PATTERN)]
+      .map((m) => m[1])
+      .filter((variable) => !PROMPT_VARIABLES.includes(variable));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown variable in the ${key} prompt: {${unknown[0]}}`);
+    }
+  }
+}
+
+// Only the known keys are kept; missing ones start from the default prompts
+function pickPrompts(prompts = {}) {
+  return Object.fromEntries(PROMPT_KEYS.map((key) => [key, prompts[key] ?? DEFAULT_PROMPT_SET.prompts[key]]));
+}
+
+async function saveVersion(set) {
+  await promptSetVersions().put(`${set.id}-v${set.version}`, set);
+  await promptSets().put(set.id, set);
+  return set;
+}
+
+async function createPromptSet({ name, description, prompts }, workspaceId = null) {
+  const now = new Date().toISOString();
+  const set = {
+    id: crypto.randomUUID(),
+    name: String(name || "").trim(),
+    description: description || "",
+    version: 1,
+    builtIn: false,
+    workspaceId,
+    createdAt: now,
+    updatedAt: now,
+    prompts: pickPrompts(prompts)
+  };
+  validatePromptSet(set);
+  return saveVersion(set);
+}
+
+// The latest version, or a specific one when version is given. The default set
+// is shared; any other set is only found from its own workspace.
+async function getPromptSet(id, { version = null, workspaceId = null } = {}) {
+  if (id === DEFAULT_PROMPT_SET.id) {
+    return !version || Number(version) === DEFAULT_PROMPT_SET.version ? DEFAULT_PROMPT_SET : null;
+  }
+  const set = version
+    ? await promptSetVersions().get(`${id}-v${Number(version)}`)
+    : await promptSets().get(id);
+  return set && set.workspaceId === workspaceId ? set : null;
+}
+
+async function listPromptSets(workspaceId = null) {
+  const all = (await promptSets().list()).filter((set) => set.workspaceId === workspaceId);
+  return [DEFAULT_PROMPT_SET, ...all.sort((a, b) => a.name.localeCompare(b.name))];
+}
+
+async function updatePromptSet(id, changes, workspaceId = null) {
+  if (id === DEFAULT_PROMPT_SET.id) {
+    throw badRequest("The default prompt set can't be edited; save a copy instead");
+  }
+  const current = await getPromptSet(id, { workspaceId });
+  if (!current) return null;
+
+  const set = {
+    ...current,
+    name: changes.name !== undefined ? String(changes.name).trim() : current.name,
+    description: changes.description !== undefined ? changes.description : current.description,
+    prompts: changes.prompts ? pickPrompts({ ...current.prompts, ...changes.prompts }) : current.prompts,
+    version: current.version + 1,
+    updatedAt: new Date().toISOString()
+  };
+  validatePromptSet(set);
+  return saveVersion(set);
+}
+
+// Old versions are kept so reports that used them stay reproducible.
+// Returns false when the workspace has no such set.
+async function deletePromptSet(id, workspaceId = null) {
+  if (id === DEFAULT_PROMPT_SET.id) {
+    throw badRequest("The default prompt set can't be deleted");
+  }
+  if (!(await getPromptSet(id, { workspaceId }))) return false;
+  await promptSets().remove(id);
+  return true;
+}
+
+module.exports = {
+  PROMPT_KEYS,
+  PROMPT_VARIABLES,
+  DEFAULT_PROMPT_SET,
+  renderPrompt,
+  createPromptSet,
+  getPromptSet,
+  listPromptSets,
+  updatePromptSet,
+  deletePromptSet
+};
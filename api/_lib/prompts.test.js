@@ -0,0 +1,54 @@
+process.env.STORE_DRIVER = "memory";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_PROMPT_SET, renderPrompt, createPromptSet, getPromptSet, updatePromptSet, deletePromptSet } = require("./prompts");
+
+test("optional parts are dropped when a variable inside them is empty", () => {
+  const entity = DEFAULT_PROMPT_SET.prompts.entity;
+
+  assert.equal(
+    renderPrompt(entity, { companyName: "Acme", industry: "Aerospace", website: "acme.com", keywords: "rockets" }),
+    "Tell me about Acme in the Aerospace industry. Their website is acme.com. Focus on: rockets"
+  );
+  assert.equal(
+    renderPrompt(entity, { companyName: "Acme", industry: "  ", website: null }),
+    "Tell me about Acme."
+  );
+
+  // Every variable in the part has to be set for it to stay
+  assert.equal(renderPrompt("Ask about {companyName}[[ ({leader.name}, {leader.title})]]", { companyName: "Acme", "leader.name": "Ada" }), "Ask about Acme");
+  assert.equal(renderPrompt("Ask about {companyName}[[ ({leader.name}, {leader.title})]]", { companyName: "Acme", "leader.name": "Ada", "leader.title": "CEO" }), "Ask about Acme (Ada, CEO)");
+  // A part with no variables always stays; required variables left empty just render empty
+  assert.equal(renderPrompt("[[Be brief.]] About {companyName}", {}), "Be brief. About");
+});
+
+test("every save bumps the version and keeps the earlier ones", async () => {
+  const created = await createPromptSet({ name: "Launch", prompts: { entity: "Who is {companyName}?" } }, "ws-1");
+  assert.equal(created.version, 1);
+  assert.equal(created.prompts.leadership, DEFAULT_PROMPT_SET.prompts.leadership);
+
+  const renamed = await updatePromptSet(created.id, { name: "Launch v2" }, "ws-1");
+  const edited = await updatePromptSet(created.id, { prompts: { entity: "What does {companyName} do?" } }, "ws-1");
+
+  assert.equal(renamed.version, 2);
+  assert.equal(edited.version, 3);
+  assert.equal(edited.name, "Launch v2");
+  assert.equal(edited.prompts.leadership, DEFAULT_PROMPT_SET.prompts.leadership);
+  assert.equal((await getPromptSet(created.id, { workspaceId: "ws-1" })).prompts.entity, "What does {companyName} do?");
+  assert.equal((await getPromptSet(created.id, { version: 1, workspaceId: "ws-1" })).prompts.entity, "Who is {companyName}?");
+  assert.equal((await getPromptSet(created.id, { version: 2, workspaceId: "ws-1" })).name, "Launch v2");
+
+  // Another workspace can't see or change it, and old versions outlive a delete
+  assert.equal(await getPromptSet(created.id, { workspaceId: "ws-2" }), null);
+  assert.equal(await updatePromptSet(created.id, { name: "Stolen" }, "ws-2"), null);
+  assert.equal(await deletePromptSet(created.id, "ws-1"), true);
+  assert.equal(await getPromptSet(created.id, { workspaceId: "ws-1" }), null);
+  assert.equal((await getPromptSet(created.id, { version: 3, workspaceId: "ws-1" })).version, 3);
+});
+
+test("unknown variables and the built-in set are refused", async () => {
+  await assert.rejects(createPromptSet({ name: "Typo", prompts: { entity: "Who is {company}?" } }), { status: 400, message: /\{company\}/ });
+  await assert.rejects(updatePromptSet(DEFAULT_PROMPT_SET.id, { name: "Mine" }), { status: 400 });
+  assert.equal(await getPromptSet(DEFAULT_PROMPT_SET.id, { version: 2 }), null);
+});
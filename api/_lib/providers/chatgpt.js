@@ -0,0 +1,45 @@
+// ChatGPT adapter - OpenAI Responses API with the web_search_preview tool
+
+const { postJSON } = require("../http");
+
+const DEFAULT_MODEL = "gpt-4o";
+
+module.exports = {
+  id: "chatgpt",
+  name: "ChatGPT",
+  envKeys: ["OPENAI_API_KEY"],
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  },
+
+  async search(prompt) {
+    const baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1";
+    const model = process.env.OPENAI_MODEL || DEFAULT_MODEL;
+
+    const data = await postJSON(`${baseUrl}/responses`, {
+      headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+      body: {
+        model,
+        input: prompt,
+        tools: [{ type: "web_search_preview" }]
+      }
+    });
+
+    // Output is a list of items (web_search_call, message); the message text
+    // carries url_citation annotations for the pages the search returned
+    const parts = (data?.output || [])
+      .filter((item) => item.type === "message")
+      .flatMap((item) => item.content || [])
+      .filter((part) => part.type === "output_text");
+
+    const text = parts.map((part) => part.text).join("\n");
+
+    const citations = parts
+      .flatMap((part) => part.annotations || [])
+      .filter((annotation) => annotation.type === "url_citation")
+      .map((annotation) => ({ url: annotation.url, title: annotation.title }));
+
+    return { text, model, citations };
+  }
+};
@@ -0,0 +1,66 @@
+// Claude adapter - Anthropic Messages API with the web_search tool
+// Also used to simulate engines that have no credentials configured.
+
+const Anthropic = require("@anthropic-ai/sdk").default;
+
+const DEFAULT_MODEL = "claude-sonnet-4-20250514";
+
+module.exports = {
+  id: "claude",
+  name: "Claude",
+  envKeys: ["ANTHROPIC_API_KEY"],
+
+  isConfigured() {
+    return Boolean(process.env.ANTHROPIC_API_KEY);
+  },
+
+  async search(prompt) {
+    // ANTHROPIC_BASE_URL is read by the SDK, so a mock server can stand in for the API
+    // Retries are handled by withRateLimit so every provider backs off the same way
+    const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: 0 });
+    const model = process.env.ANTHROPIC_MODEL || DEFAULT_MODEL;
+
+    const response = await client.messages.create({
+      model,
+      max_tokens: 2000,
+      tools: [
+        {
+          type: "web_search_20250305",
+          name: "web_search",
+          max_uses: 5
+        }
+      ],
+      messages: [{ role: "user", content: prompt }]
+    });
+
+    console.log("Claude response received, stop_reason:", response.stop_reason);
+
+    const text = (response.content || [])
+      .filter((item) => item.type === "text")
+      .map((item) => item.text)
+      .join("\n");
+
+    // Search results come back as web_search_tool_result blocks; text blocks
+    // may also cite them inline
+    const citations = [];
+    (response.content || []).forEach((item) => {
+      if (item.type === "web_search_tool_result" && Array.isArray(item.content)) {
+        item.content
+          .filter((result) => result.type === "web_search_result")
+          .forEach((result) => citations.push({ url: result.url, title: result.title }));
+      }
+      if (item.type === "text" && Array.isArray(item.citations)) {
+        item.citations.forEach((citation) => citations.push({ url: citation.url, title: citation.title }));
+      }
+    });
+
+    // Token and web search counts for usage metering
+    const usage = {
+      inputTokens: response.usage?.input_tokens || 0,
+      outputTokens: response.usage?.output_tokens || 0,
+      webSearches: response.usage?.server_tool_use?.web_search_requests || 0
+    };
+
+    return { text, model, citations, usage };
+  }
+};
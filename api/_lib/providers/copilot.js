@@ -0,0 +1,43 @@
+// Microsoft Copilot adapter - Azure OpenAI chat completions
+// Copilot has no public API; an Azure OpenAI deployment is the closest match.
+
+const { postJSON } = require("../http");
+
+const API_VERSION = "2024-10-21";
+
+module.exports = {
+  id: "copilot",
+  name: "Microsoft Copilot",
+  envKeys: ["AZURE_OPENAI_ENDPOINT", "AZURE_OPENAI_API_KEY", "AZURE_OPENAI_DEPLOYMENT"],
+
+  isConfigured() {
+    return this.envKeys.every((key) => Boolean(process.env[key]));
+  },
+
+  async search(prompt) {
+    const endpoint = process.env.AZURE_OPENAI_ENDPOINT.replace(/\/$/, "");
+    const deployment = process.env.AZURE_OPENAI_DEPLOYMENT;
+
+    const data = await postJSON(
+      `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${API_VERSION}`,
+      {
+        headers: { "api-key": process.env.AZURE_OPENAI_API_KEY },
+        body: {
+          messages: [{ role: "user", content: prompt }],
+          max_tokens: 2000
+        }
+      }
+    );
+
+    const message = data?.choices?.[0]?.message || {};
+    const text = message.content || "";
+
+    // Plain chat completions do not search; citations only exist when the
+    // deployment has a data source attached
+    const citations = (message.context?.citations || [])
+      .filter((citation) => citation.url)
+      .map((citation) => ({ url: citation.url, title: citation.title }));
+
+    return { text, model: data?.model || deployment, citations };
+  }
+};
@@ -0,0 +1,40 @@
+// Google Gemini adapter - generateContent with Google Search grounding
+
+const { postJSON } = require("../http");
+
+const DEFAULT_MODEL = "gemini-2.5-flash";
+
+module.exports = {
+  id: "gemini",
+  name: "Google Gemini",
+  envKeys: ["GEMINI_API_KEY"],
+
+  isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY);
+  },
+
+  async search(prompt) {
+    const baseUrl = process.env.GEMINI_BASE_URL || "https://generativelanguage.googleapis.com/v1beta";
+    const model = process.env.GEMINI_MODEL || DEFAULT_MODEL;
+
+    const data = await postJSON(`${baseUrl}/models/${model}:generateContent`, {
+      headers: { "x-goog-api-key": process.env.GEMINI_API_KEY },
+      body: {
+        contents: [{ role: "user", parts: [{ text: prompt }] }],
+        tools: [{ google_search: {} }]
+      }
+    });
+
+    const candidate = data?.candidates?.[0] || {};
+    const text = (candidate.content?.parts || [])
+      .map((part) => part.text || "")
+      .join("\n");
+
+    // Grounding chunks are the Google Search results the answer was built on
+    const citations = (candidate.groundingMetadata?.groundingChunks || [])
+      .filter((chunk) => chunk.web?.uri)
+      .map((chunk) => ({ url: chunk.web.uri, title: chunk.web.title }));
+
+    return { text, model, citations };
+  }
+};
@@ -0,0 +1,33 @@
+// Provider registry - one adapter per engine id in the UI's llmOptions
+// Engines without credentials are simulated by Claude and flagged as such.
+// Each adapter's search(prompt) resolves to { text, model, citations }, where
+// citations are the { url, title } web search results behind the answer.
+// Adapters that can report what a call used also return usage
+// ({ inputTokens, outputTokens, webSearches }); only Claude does so far.
+
+const claude = require("./claude");
+const chatgpt = require("./chatgpt");
+const gemini = require("./gemini");
+const perplexity = require("./perplexity");
+const copilot = require("./copilot");
+
+const providers = { chatgpt, gemini, claude, perplexity, copilot };
+
+function getProvider(llmId) {
+  return providers[llmId] || null;
+}
+
+// Pick the adapter that will actually answer for an engine.
+// Returns null when neither the engine nor the Claude fallback is configured.
+function resolveProvider(llmId) {
+  const provider = getProvider(llmId);
+  if (provider && provider.isConfigured()) {
+    return { provider, simulated: false };
+  }
+  if (claude.isConfigured()) {
+    return { provider: claude, simulated: true };
+  }
+  return null;
+}
+
+module.exports = { providers, getProvider, resolveProvider };
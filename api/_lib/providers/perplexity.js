@@ -0,0 +1,37 @@
+// Perplexity adapter - Sonar chat completions (search is built into the model)
+
+const { postJSON } = require("../http");
+
+const DEFAULT_MODEL = "sonar";
+
+module.exports = {
+  id: "perplexity",
+  name: "Perplexity",
+  envKeys: ["PERPLEXITY_API_KEY"],
+
+  isConfigured() {
+    return Boolean(process.env.PERPLEXITY_API_KEY);
+  },
+
+  async search(prompt) {
+    const baseUrl = process.env.PERPLEXITY_BASE_URL || "https://api.perplexity.ai";
+    const model = process.env.PERPLEXITY_MODEL || DEFAULT_MODEL;
+
+    const data = await postJSON(`${baseUrl}/chat/completions`, {
+      headers: { Authorization: `Bearer ${process.env.PERPLEXITY_API_KEY}` },
+      body: {
+        model,
+        messages: [{ role: "user", content: prompt }]
+      }
+    });
+
+    const text = data?.choices?.[0]?.message?.content || "";
+
+    // search_results has titles; older responses only list citation URLs
+    const citations = Array.isArray(data?.search_results)
+      ? data.search_results.map((result) => ({ url: result.url, title: result.title }))
+      : (data?.citations || []).map((url) => ({ url, title: "" }));
+
+    return { text, model, citations };
+  }
+};
@@ -0,0 +1,146 @@
+// Each adapter against a local stand-in for its API: a normal reply, a 429
+// with retry-after, a 5xx and a 200 whose body isn't JSON. Calls go through
+// withRateLimit the way analysis.js makes them.
+process.env.STORE_DRIVER = "memory";
+process.env.RATE_LIMITS = JSON.stringify(Object.fromEntries(
+  ["claude", "chatgpt", "gemini", "perplexity", "copilot"].map((id) => [id, { rpm: 0 }])
+));
+
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("../testing");
+const { withRateLimit } = require("../ratelimit");
+const { providers } = require("./index");
+
+let server;
+// Replies still to send, oldest first; each is { status, headers, body }
+let replies = [];
+
+before(async () => {
+  server = await startServer((req, body, res) => {
+    const { status = 200, headers = {}, body: reply } = replies.shift() || { status: 500, body: { error: { message: "No reply queued" } } };
+    res.statusCode = status;
+    res.setHeader("Content-Type", "application/json");
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    return typeof reply === "string" ? reply : JSON.stringify(reply);
+  });
+
+  Object.assign(process.env, {
+    ANTHROPIC_API_KEY: "sk-ant-test",
+    ANTHROPIC_BASE_URL: server.url,
+    OPENAI_API_KEY: "sk-openai-test",
+    OPENAI_BASE_URL: server.url,
+    GEMINI_API_KEY: "gemini-test",
+    GEMINI_BASE_URL: server.url,
+    PERPLEXITY_API_KEY: "pplx-test",
+    PERPLEXITY_BASE_URL: server.url,
+    AZURE_OPENAI_ENDPOINT: `${server.url}/`,
+    AZURE_OPENAI_API_KEY: "azure-test",
+    AZURE_OPENAI_DEPLOYMENT: "gpt-4o-copilot"
+  });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  replies = [];
+  server.requests.length = 0;
+});
+
+const ANSWER = "Acme is a rocket maker.";
+
+// A successful reply in each API's own shape, with one cited page
+const okReplies = {
+  claude: {
+    id: "msg_test",
+    type: "message",
+    role: "assistant",
+    model: "claude-test",
+    stop_reason: "end_turn",
+    content: [
+      { type: "server_tool_use", id: "srvtoolu_1", name: "web_search", input: { query: "Acme" } },
+      { type: "web_search_tool_result", tool_use_id: "srvtoolu_1", content: [{ type: "web_search_result", url: "https://acme.com/", title: "Acme" }] },
+      { type: "text", text: ANSWER, citations: [{ type: "web_search_result_location", url: "https://news.example/acme", title: "Acme news", cited_text: "rocket" }] }
+    ],
+    usage: { input_tokens: 120, output_tokens: 30, server_tool_use: { web_search_requests: 1 } }
+  },
+  chatgpt: {
+    output: [
+      { type: "web_search_call", id: "ws_1", status: "completed" },
+      { type: "message", content: [{ type: "output_text", text: ANSWER, annotations: [{ type: "url_citation", url: "https://acme.com/", title: "Acme" }] }] }
+    ]
+  },
+  gemini: {
+    candidates: [{
+      content: { parts: [{ text: ANSWER }] },
+      groundingMetadata: { groundingChunks: [{ web: { uri: "https://acme.com/", title: "Acme" } }, { retrievedContext: {} }] }
+    }]
+  },
+  perplexity: {
+    choices: [{ message: { role: "assistant", content: ANSWER } }],
+    search_results: [{ url: "https://acme.com/", title: "Acme" }]
+  },
+  copilot: {
+    model: "gpt-4o-2024-08-06",
+    choices: [{ message: { role: "assistant", content: ANSWER, context: { citations: [{ url: "https://acme.com/", title: "Acme" }, { title: "No url" }] } } }]
+  }
+};
+
+const expectedRequest = {
+  claude: { path: "/v1/messages", auth: ["x-api-key", "sk-ant-test"] },
+  chatgpt: { path: "/responses", auth: ["authorization", "Bearer sk-openai-test"] },
+  gemini: { path: "/models/gemini-2.5-flash:generateContent", auth: ["x-goog-api-key", "gemini-test"] },
+  perplexity: { path: "/chat/completions", auth: ["authorization", "Bearer pplx-test"] },
+  copilot: { path: "/openai/deployments/gpt-4o-copilot/chat/completions?api-version=2024-10-21", auth: ["api-key", "azure-test"] }
+};
+
+const search = (provider) => withRateLimit(provider.id, () => provider.search("Who is Acme?"));
+
+Object.values(providers).forEach((provider) => {
+  describe(provider.name, () => {
+    test("parses the answer and its citations", async () => {
+      replies.push({ body: okReplies[provider.id] });
+
+      const result = await search(provider);
+
+      assert.equal(result.text, ANSWER);
+      assert.ok(result.model);
+      assert.ok(result.citations.length > 0);
+      result.citations.forEach((citation) => assert.match(citation.url, /^https:\/\//));
+      assert.ok(result.citations.some((citation) => citation.url === "https://acme.com/" || citation.url === "https://news.example/acme"));
+
+      const [request] = server.requests;
+      const { path, auth: [header, value] } = expectedRequest[provider.id];
+      assert.equal(request.url, path);
+      assert.equal(request.headers[header], value);
+      assert.ok(JSON.stringify(request.body).includes("Who is Acme?"));
+    });
+
+    // retry-after: 0 retries at once; without the header the backoff would wait a second
+    test("retries a 429 after its retry-after", async () => {
+      replies.push({ status: 429, headers: { "retry-after": "0" }, body: { error: { message: "Rate limited" } } });
+      replies.push({ body: okReplies[provider.id] });
+
+      const started = Date.now();
+      const result = await search(provider);
+
+      assert.equal(result.text, ANSWER);
+      assert.equal(server.requests.length, 2);
+      assert.ok(Date.now() - started < 900, "retry-after was ignored");
+    });
+
+    test("a 5xx throws with its status", async () => {
+      replies.push({ status: 500, body: { error: { message: "Internal error" } } });
+
+      await assert.rejects(search(provider), (error) => error.status === 500);
+      assert.equal(server.requests.length, 1);
+    });
+
+    test("a body that isn't JSON throws instead of passing as an empty answer", async () => {
+      replies.push({ body: "<html>Bad gateway</html>" });
+
+      await assert.rejects(search(provider));
+      assert.equal(server.requests.length, 1);
+    });
+  });
+});
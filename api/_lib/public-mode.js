@@ -0,0 +1,337 @@
+// Public lead-gen mode
+// With PUBLIC_MODE=true, visitors who aren't signed in can run a free report
+// from the landing page: one engine (PUBLIC_ENGINE, default "claude"), the
+// company plus at most one leader, and no competitors, SEMRush or share of
+// voice. Queries are built here from the built-in prompts, so anonymous callers
+// can't send the engines prompts of their own. Each answer is kept in the
+// "free-runs" collection under the freeRunId it is returned with, and the PDF is
+// built from those runs rather than from what the browser sends back. The PDF is
+// only emailed once the visitor confirms their address from a link; pending
+// deliveries wait in the "pending-reports" collection for a day.
+//
+// Anonymous calls are limited per client IP, per email address and overall
+// (see quotas.js). Override any limit with PUBLIC_LIMITS, e.g.
+// {"analyze":{"perIp":{"max":2,"windowMs":3600000}}}
+// Public runs are metered against PUBLIC_WORKSPACE_ID when it is set, so that
+// workspace's monthly budget caps lead-gen spend too.
+
+const llmOptions = require("../../src/lib/engines");
+const { getCollection } = require("./store");
+const { sendMail, escapeHtml } = require("./mailer");
+const { consumeQuotas, clientIp } = require("./quotas");
+const { getSession, appUrl, newToken, tokenKey } = require("./auth");
+const { normalizeEmail, isValidEmail } = require("./users");
+const { DEFAULT_PROMPT_SET, renderPrompt } = require("./prompts");
+const { analyzeQuery } = require("./analysis");
+const { assertWithinBudget } = require("./usage");
+const { sendReportEmail } = require("./report-email");
+const { saveReport } = require("./reports");
+const { captureLead } = require("./crm");
+const { emitEvent, reportEventData } = require("./webhooks");
+const { clientError } = require("./errors");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Per action: perIp, perEmail and global windows
+const DEFAULT_LIMITS = {
+  analyze: {
+    perIp: { max: 6, windowMs: HOUR_MS },
+    perEmail: { max: 6, windowMs: DAY_MS },
+    global: { max: 300, windowMs: DAY_MS }
+  },
+  sendReport: {
+    perIp: { max: 3, windowMs: HOUR_MS },
+    perEmail: { max: 2, windowMs: DAY_MS },
+    global: { max: 100, windowMs: DAY_MS }
+  }
+};
+
+const LIMIT_MESSAGES = {
+  perIp: "Too many free reports from your network",
+  perEmail: "Too many free reports for this email address",
+  global: "The free report is very busy right now"
+};
+
+const FREE_ANALYSIS_TYPES = ["entity", "leadership"];
+const MAX_FIELD_LENGTH = 200;
+// How long free runs can be turned into a PDF, and confirmation links stay valid
+const RUN_TTL_MS = DAY_MS;
+const DELIVERY_TTL_MS = DAY_MS;
+
+const freeRuns = () => getCollection("free-runs");
+const pendingReports = () => getCollection("pending-reports");
+
+function isPublicMode() {
+  return process.env.PUBLIC_MODE === "true";
+}
+
+// True for a signed-out visitor while public mode is on
+async function isPublicRequest(req) {
+  if (!isPublicMode()) return false;
+  try {
+    return !(await getSession(req));
+  } catch (error) {
+    console.error("Session lookup failed:", error.message);
+    return false;
+  }
+}
+
+function getFreeEngine() {
+  const id = process.env.PUBLIC_ENGINE || "claude";
+  const engine = llmOptions.find((llm) => llm.id === id);
+  if (!engine) throw new Error(`Unknown PUBLIC_ENGINE "${id}"`);
+  return engine;
+}
+
+function getPublicLimits() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.PUBLIC_LIMITS || "{}");
+  } catch (error) {
+    console.log("Ignoring invalid PUBLIC_LIMITS:", error.message);
+  }
+  return Object.fromEntries(Object.entries(DEFAULT_LIMITS).map(([action, scopes]) => [
+    action,
+    Object.fromEntries(Object.entries(scopes).map(([scope, limit]) => [
+      scope,
+      { ...limit, ...overrides[action]?.[scope] }
+    ]))
+  ]));
+}
+
+// What the landing page needs to know to offer the free report
+function getPublicConfig() {
+  if (!isPublicMode()) return { publicMode: false };
+  return { publicMode: true, engine: getFreeEngine(), analysisTypes: FREE_ANALYSIS_TYPES };
+}
+
+const waitTime = (seconds) => (seconds < 90 * 60
+  ? `${Math.max(1, Math.ceil(seconds / 60))} minutes`
+  : `${Math.ceil(seconds / 3600)} hours`);
+
+// Counts the call against every window for action; throws a 429 with
+// retryAfter (seconds) at the first one that is used up
+async function enforcePublicLimits(req, action, email) {
+  const subjects = { perIp: clientIp(req), perEmail: normalizeEmail(email), global: "all" };
+  const refused = await consumeQuotas(action, subjects, getPublicLimits()[action]);
+  if (!refused) return;
+
+  const { scope, retryAfter } = refused;
+  console.log(`Public ${action} refused (${scope}) for ${subjects.perIp}`);
+  const error = clientError(429, `${LIMIT_MESSAGES[scope]}. Try again in ${waitTime(retryAfter)}.`);
+  error.retryAfter = retryAfter;
+  throw error;
+}
+
+const field = (value) => String(value || "").trim().slice(0, MAX_FIELD_LENGTH);
+
+// Free report query for one analysis type, from the built-in prompts
+function buildFreeQuery({ analysisType = "entity", companyName, website, industry, keywords, leaderName, leaderTitle }) {
+  if (!FREE_ANALYSIS_TYPES.includes(analysisType)) {
+    throw clientError(400, `The free report covers: ${FREE_ANALYSIS_TYPES.join(", ")}`);
+  }
+  if (!field(companyName)) throw clientError(400, "Company name is required");
+  if (analysisType === "leadership" && !field(leaderName)) throw clientError(400, "Leader name is required");
+
+  const engine = getFreeEngine();
+  const variables = {
+    companyName: field(companyName),
+    website: field(website),
+    industry: field(industry),
+    keywords: field(keywords),
+    "leader.name": field(leaderName),
+    "leader.title": field(leaderTitle),
+    "leader.company": field(companyName)
+  };
+
+  return {
+    query: renderPrompt(DEFAULT_PROMPT_SET.prompts[analysisType], variables),
+    llmId: engine.id,
+    llmName: engine.name,
+    analysisType
+  };
+}
+
+const publicMeter = () => ({ workspaceId: process.env.PUBLIC_WORKSPACE_ID || null, jobId: null });
+
+// One free-report analysis for an anonymous visitor. The answer is kept for
+// the PDF and returned with its freeRunId.
+async function runFreeAnalysis(req, { email, ...fields }) {
+  if (!isValidEmail(email)) throw clientError(400, "A valid email is required for the free report");
+
+  const request = buildFreeQuery(fields);
+  await enforcePublicLimits(req, "analyze", email);
+
+  const meter = publicMeter();
+  await assertWithinBudget(meter.workspaceId);
+  const result = await analyzeQuery({ ...request, meter });
+
+  const runId = newToken();
+  const now = Date.now();
+  await freeRuns().put(tokenKey(runId), {
+    id: tokenKey(runId),
+    email: normalizeEmail(email),
+    analysisType: request.analysisType,
+    companyName: field(fields.companyName),
+    website: field(fields.website),
+    industry: field(fields.industry),
+    leaderName: field(fields.leaderName),
+    leaderTitle: field(fields.leaderTitle),
+    result,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + RUN_TTL_MS).toISOString()
+  });
+
+  return { ...result, freeRunId: runId };
+}
+
+// The stored run behind a freeRunId, if it is the right type, for this email and not expired
+async function findFreeRun(runId, analysisType, email) {
+  if (typeof runId !== "string" || !runId) return null;
+  const run = await freeRuns().get(tokenKey(runId));
+  if (!run || run.analysisType !== analysisType || run.email !== normalizeEmail(email)) return null;
+  return run.expiresAt < new Date().toISOString() ? null : run;
+}
+
+// Builds the free report from the runs the browser's report points to. Only
+// the freeRunIds are read from it; names and results come from the runs.
+async function toFreeReport(reportData, email) {
+  const engine = getFreeEngine();
+  const runIdOf = (byLLM) => byLLM?.[engine.id]?.results?.freeRunId;
+  const byLLM = (run) => ({ [engine.id]: { llm: engine, results: run.result } });
+
+  const company = await findFreeRun(runIdOf(reportData?.company), "entity", email);
+  if (!company) throw clientError(400, "Run the free report before asking for the PDF");
+  const leaderRun = await findFreeRun(runIdOf(reportData.leadership?.[0]?.byLLM), "leadership", email);
+  const leader = leaderRun?.companyName === company.companyName ? leaderRun : null;
+
+  return {
+    companyName: company.companyName,
+    website: company.website,
+    industry: company.industry,
+    company: byLLM(company),
+    leadership: leader ? [{
+      name: leader.leaderName,
+      title: leader.leaderTitle,
+      byLLM: byLLM(leader),
+      pressOpportunities: {},
+      socialSentiment: {}
+    }] : [],
+    competitors: [],
+    leaderComparison: [],
+    semrushData: null,
+    backlinkGap: null,
+    keywordRankings: null,
+    entityAudit: null,
+    knowledgeGraph: null,
+    shareOfVoice: null,
+    factCheck: null,
+    podcastOpportunities: [],
+    socialSentiment: [],
+    freeReport: true
+  };
+}
+
+// Holds the free report and emails the visitor a link that sends the PDF
+async function requestReportDelivery(req, { recipientName, recipientCompany, recipientEmail, reportData }) {
+  await enforcePublicLimits(req, "sendReport", recipientEmail);
+
+  const report = await toFreeReport(reportData, recipientEmail);
+
+  const baseUrl = appUrl(req);
+  const token = newToken();
+  const now = Date.now();
+  await pendingReports().put(tokenKey(token), {
+    id: tokenKey(token),
+    recipientName: field(recipientName),
+    recipientCompany: field(recipientCompany),
+    recipientEmail: normalizeEmail(recipientEmail),
+    reportData: report,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + DELIVERY_TTL_MS).toISOString()
+  });
+
+  const link = `${baseUrl}/api/public/verify?token=${encodeURIComponent(token)}`;
+  const intro = `Confirm your email address to receive the AI Reputation Report for ${report.companyName}:`;
+  await sendMail({
+    to: normalizeEmail(recipientEmail),
+    subject: `Confirm your email to get the ${report.companyName} AI Reputation Report`,
+    text: `${intro}\n${link}\n\nThe link expires in 24 hours. If you didn't ask for this report, ignore this email.`,
+    html: `<p>${escapeHtml(intro)}</p><p><a href="${link}">Send my report</a></p><p>The link expires in 24 hours. If you didn't ask for this report, ignore this email.</p>`
+  });
+
+  return { verificationRequired: true };
+}
+
+// Sends the held PDF for a confirmation link. The pending report is taken
+// before sending, so a second click or a mail scanner fetching the link can't
+// send it twice; a failed send puts it back to be retried. The sent report is
+// then saved (to PUBLIC_WORKSPACE_ID, when set) so the CRM lead can link to it.
+async function confirmReportDelivery(req, token) {
+  if (!token) throw clientError(400, "Missing confirmation token");
+
+  const baseUrl = appUrl(req);
+  const key = tokenKey(String(token));
+  const pending = await pendingReports().take(key);
+  if (!pending || pending.expiresAt < new Date().toISOString()) {
+    throw clientError(401, "This confirmation link is invalid or has expired");
+  }
+
+  let emailId;
+  try {
+    ({ emailId } = await sendReportEmail({
+      recipientName: pending.recipientName,
+      recipientCompany: pending.recipientCompany,
+      recipientEmail: pending.recipientEmail,
+      reportData: pending.reportData
+    }));
+  } catch (error) {
+    await pendingReports().create(key, pending);
+    throw error;
+  }
+  console.log(`Free report for ${pending.reportData.companyName} sent to ${pending.recipientEmail}`);
+
+  const { workspaceId } = publicMeter();
+  let reportUrl = null;
+  let reportId = null;
+  try {
+    const report = await saveReport({ results: pending.reportData, workspaceId });
+    reportId = report.id;
+    reportUrl = `${baseUrl}/report/${report.id}`;
+  } catch (error) {
+    console.error("Saving free report failed:", error.message);
+  }
+
+  await captureLead({
+    name: pending.recipientName,
+    email: pending.recipientEmail,
+    company: pending.recipientCompany,
+    reportData: pending.reportData,
+    reportUrl,
+    source: "free-report",
+    workspaceId
+  });
+
+  await emitEvent(workspaceId, "report.emailed", reportEventData({
+    reportId,
+    source: "free-report",
+    recipient: { name: pending.recipientName, email: pending.recipientEmail, company: pending.recipientCompany },
+    report: pending.reportData
+  }));
+
+  return { ...pending, emailId, reportUrl };
+}
+
+module.exports = {
+  isPublicMode,
+  isPublicRequest,
+  getPublicConfig,
+  getPublicLimits,
+  enforcePublicLimits,
+  buildFreeQuery,
+  runFreeAnalysis,
+  toFreeReport,
+  requestReportDelivery,
+  confirmReportDelivery
+};
@@ -0,0 +1,225 @@
+process.env.STORE_DRIVER = "memory";
+process.env.MAIL_DRIVER = "outbox";
+process.env.PUBLIC_MODE = "true";
+process.env.ANTHROPIC_API_KEY = "sk-ant-test";
+process.env.RESEND_API_KEY = "re_test";
+process.env.PUBLIC_LIMITS = JSON.stringify({
+  analyze: { perIp: { max: 2 }, perEmail: { max: 2 } },
+  sendReport: { perIp: { max: 20 }, perEmail: { max: 2 } }
+});
+
+const { test, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { callHandler, startServer } = require("./testing");
+const { getCollection } = require("./store");
+const { listOutbox } = require("./mailer");
+const { consumeQuota } = require("./quotas");
+const { enforcePublicLimits } = require("./public-mode");
+
+const analyze = require("../analyze");
+const sendReport = require("../send-report");
+const verify = require("../public/verify");
+
+const ANSWER = { summary: "Acme makes rockets", entityFound: true, confidenceScore: 7, sentimentScore: 6, sentiment: "positive", topSources: [], recommendations: "Publish more" };
+
+let server;
+// Report emails the Resend stub accepted, and whether it should fail; tests that
+// count them switch MAIL_DRIVER to resend once the confirmation link is in the outbox
+let sentReports = [];
+let resendDown = false;
+const realFetch = global.fetch;
+
+before(async () => {
+  server = await startServer(() => ({
+    id: "msg_test",
+    type: "message",
+    role: "assistant",
+    model: "claude-test",
+    stop_reason: "end_turn",
+    content: [{ type: "text", text: JSON.stringify(ANSWER) }],
+    usage: { input_tokens: 100, output_tokens: 20 }
+  }));
+  process.env.ANTHROPIC_BASE_URL = server.url;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  sentReports = [];
+  resendDown = false;
+  global.fetch = async (url, options) => {
+    if (!String(url).startsWith("https://api.resend.com")) return realFetch(url, options);
+    // Let the other confirmation click arrive while this one is sending
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    if (resendDown) return Response.json({ name: "internal_server_error", message: "Down" }, { status: 500 });
+    sentReports.push(JSON.parse(options.body));
+    return Response.json({ id: `email_${sentReports.length}` });
+  };
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+  process.env.MAIL_DRIVER = "outbox";
+  delete process.env.VERCEL_ENV;
+});
+
+const from = (ip) => ({ headers: { "x-forwarded-for": ip } });
+
+async function runFreeReport(email, ip) {
+  const res = await callHandler(analyze, {
+    method: "POST",
+    headers: { "x-forwarded-for": ip },
+    body: { email, analysisType: "entity", companyName: "Acme", website: "acme.com", industry: "Aerospace" }
+  });
+  assert.equal(res.statusCode, 200);
+  return res.body;
+}
+
+async function requestPdf(email, ip, reportData) {
+  return callHandler(sendReport, {
+    method: "POST",
+    headers: { "x-forwarded-for": ip },
+    body: { recipientName: "Jo", recipientCompany: "Acme", recipientEmail: email, reportData }
+  });
+}
+
+const confirmationToken = async (email) => {
+  const [message] = await listOutbox(email);
+  return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+};
+
+test("quota windows count up to max and start over in the next window", async () => {
+  const limit = { max: 2, windowMs: 60000 };
+  const start = 6000000;
+  assert.equal((await consumeQuota("test:window", limit, start)).remaining, 1);
+  assert.equal((await consumeQuota("test:window", limit, start + 1000)).remaining, 0);
+
+  const refused = await consumeQuota("test:window", limit, start + 1000);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.retryAfterMs, 59000);
+
+  assert.equal((await consumeQuota("test:window", limit, start + 60000)).allowed, true);
+});
+
+test("the per-IP limit refuses a network's third run with a 429", async () => {
+  await enforcePublicLimits(from("203.0.113.1"), "analyze", "a@example.com");
+  await enforcePublicLimits(from("203.0.113.1"), "analyze", "b@example.com");
+
+  await assert.rejects(enforcePublicLimits(from("203.0.113.1"), "analyze", "c@example.com"),
+    (error) => error.status === 429 && error.retryAfter > 0 && /your network/.test(error.message));
+  await enforcePublicLimits(from("203.0.113.2"), "analyze", "c@example.com");
+
+  const res = await callHandler(analyze, { method: "POST", headers: { "x-forwarded-for": "203.0.113.1" }, body: { email: "d@example.com", companyName: "Acme" } });
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers["retry-after"], String(res.body.retryAfter));
+});
+
+test("the per-email limit holds across networks and address spellings", async () => {
+  await enforcePublicLimits(from("198.51.100.1"), "sendReport", "jo@example.com");
+  await enforcePublicLimits(from("198.51.100.2"), "sendReport", "Jo@Example.com ");
+
+  await assert.rejects(enforcePublicLimits(from("198.51.100.3"), "sendReport", "JO@example.com"),
+    (error) => error.status === 429 && /this email address/.test(error.message));
+});
+
+test("a forged X-Forwarded-For doesn't reset the per-IP count", async () => {
+  // The caller writes the left part; the proxy appends the address it saw
+  const forged = (spoof) => ({ headers: { "x-forwarded-for": `${spoof}, 203.0.113.7` } });
+  await enforcePublicLimits(forged("10.0.0.1"), "analyze", "f1@example.com");
+  await enforcePublicLimits(forged("10.0.0.2"), "analyze", "f2@example.com");
+
+  await assert.rejects(enforcePublicLimits(forged("10.0.0.3"), "analyze", "f3@example.com"), { status: 429 });
+  await assert.rejects(enforcePublicLimits(from("203.0.113.7"), "analyze", "f4@example.com"), { status: 429 });
+});
+
+test("public routes answer 503 in production until quotas have a shared store", async () => {
+  process.env.VERCEL_ENV = "production";
+
+  await assert.rejects(enforcePublicLimits(from("192.0.2.9"), "analyze", "e@example.com"), { status: 503 });
+  const res = await callHandler(analyze, { method: "POST", headers: { "x-forwarded-for": "192.0.2.9" }, body: { email: "e@example.com", companyName: "Acme" } });
+  assert.equal(res.statusCode, 503);
+  assert.match(res.body.error, /QUOTA_DRIVER/);
+});
+
+test("the PDF is built from the server's runs, not the report the browser sends", async () => {
+  const result = await runFreeReport("pdf@example.com", "192.0.2.10");
+  assert.equal(result.summary, ANSWER.summary);
+  assert.ok(result.freeRunId);
+
+  const tampered = {
+    companyName: "Evil Corp",
+    company: { claude: { llm: { id: "claude" }, results: { ...result, summary: "Best company ever", sentimentScore: 10 } } },
+    leadership: [{ name: "Fake Leader", byLLM: { claude: { results: { summary: "Invented", sentimentScore: 10 } } } }]
+  };
+  const res = await requestPdf("pdf@example.com", "192.0.2.10", tampered);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.verificationRequired, true);
+
+  const [pending] = (await getCollection("pending-reports").list()).filter((doc) => doc.recipientEmail === "pdf@example.com");
+  assert.equal(pending.reportData.companyName, "Acme");
+  assert.equal(pending.reportData.company.claude.results.summary, ANSWER.summary);
+  assert.equal(pending.reportData.company.claude.results.sentimentScore, 6);
+  assert.equal(pending.reportData.company.claude.llm.name, "Claude");
+  assert.deepEqual(pending.reportData.leadership, []);
+});
+
+test("made-up or someone else's run ids get no PDF", async () => {
+  const result = await runFreeReport("owner@example.com", "192.0.2.11");
+  const reportData = (freeRunId) => ({ company: { claude: { results: { ...ANSWER, freeRunId } } } });
+
+  const madeUp = await requestPdf("owner@example.com", "192.0.2.11", reportData("not-a-run"));
+  assert.equal(madeUp.statusCode, 400);
+  const browserOnly = await requestPdf("owner@example.com", "192.0.2.11", { company: { claude: { results: ANSWER } } });
+  assert.equal(browserOnly.statusCode, 400);
+  const otherEmail = await requestPdf("thief@example.com", "192.0.2.11", reportData(result.freeRunId));
+  assert.equal(otherEmail.statusCode, 400);
+});
+
+test("a confirmation link sends the PDF once, even when opened twice at once", async () => {
+  const result = await runFreeReport("twice@example.com", "192.0.2.12");
+  await requestPdf("twice@example.com", "192.0.2.12", { company: { claude: { results: result } } });
+  const token = await confirmationToken("twice@example.com");
+  process.env.MAIL_DRIVER = "resend";
+
+  const clicks = await Promise.all([callHandler(verify, { query: { token } }), callHandler(verify, { query: { token } })]);
+
+  assert.deepEqual(clicks.map((res) => res.headers.location).sort(), ["/?report=expired", "/?report=sent"]);
+  assert.equal(sentReports.length, 1);
+  assert.deepEqual(sentReports[0].to, ["twice@example.com"]);
+});
+
+test("a failed send leaves the link usable for another try", async () => {
+  const result = await runFreeReport("retry@example.com", "192.0.2.13");
+  await requestPdf("retry@example.com", "192.0.2.13", { company: { claude: { results: result } } });
+  const token = await confirmationToken("retry@example.com");
+  process.env.MAIL_DRIVER = "resend";
+
+  resendDown = true;
+  const failed = await callHandler(verify, { query: { token } });
+  assert.equal(failed.headers.location, "/?report=failed");
+  assert.equal(sentReports.length, 0);
+
+  resendDown = false;
+  const retried = await callHandler(verify, { query: { token } });
+  assert.equal(retried.headers.location, "/?report=sent");
+  assert.equal(sentReports.length, 1);
+});
+
+test("the confirmation link goes to APP_URL whatever Host the request names", async () => {
+  process.env.APP_URL = "https://reports.example.com";
+  try {
+    const result = await runFreeReport("host@example.com", "192.0.2.14");
+    const res = await callHandler(sendReport, {
+      method: "POST",
+      headers: { "x-forwarded-for": "192.0.2.14", host: "evil.example" },
+      body: { recipientName: "Jo", recipientCompany: "Acme", recipientEmail: "host@example.com", reportData: { company: { claude: { results: result } } } }
+    });
+    assert.equal(res.statusCode, 200);
+
+    const [message] = await listOutbox("host@example.com");
+    assert.match(message.text, /https:\/\/reports\.example\.com\/api\/public\/verify\?token=/);
+    assert.doesNotMatch(message.html, /evil\.example/);
+  } finally {
+    delete process.env.APP_URL;
+  }
+});
@@ -0,0 +1,75 @@
+// Fixed-window request quotas for anonymous callers (public mode, sign-in)
+// Counts calls per key (e.g. "analyze:perIp:203.0.113.7") in windows of
+// windowMs, in the "quotas" collection. QUOTA_DRIVER (falling back to
+// STORE_DRIVER) picks the backend, so QUOTA_DRIVER=memory keeps counters
+// in-process for local runs and tests. In production each function instance
+// would keep its own file or memory counters, so the limits wouldn't hold;
+// quotas refuse to run there (503) until a shared store is set.
+
+const crypto = require("crypto");
+const { getCollection, isPerInstanceDriver } = require("./store");
+const { isProduction } = require("./env");
+
+const quotaDriver = () => process.env.QUOTA_DRIVER || process.env.STORE_DRIVER;
+const quotas = () => getCollection("quotas", quotaDriver());
+
+function assertSharedQuotaStore() {
+  if (isProduction() && isPerInstanceDriver(quotaDriver())) {
+    const error = new Error("Rate limits are unavailable: set QUOTA_DRIVER or STORE_DRIVER to a shared store in production");
+    error.status = 503;
+    throw error;
+  }
+}
+
+// Keys hold IPs and email addresses, so they are stored hashed
+const quotaId = (key) => crypto.createHash("sha256").update(key).digest("hex").slice(0, 40);
+
+// Counts are read-modify-write, so calls for the same key are chained within
+// the process; otherwise a burst could slip past the limit
+const queue = {};
+
+// Counts one call against key. Returns { allowed, remaining, retryAfterMs };
+// refused calls are not counted. now is injectable for tests.
+async function consumeQuota(key, { max, windowMs }, now = Date.now()) {
+  assertSharedQuotaStore();
+  const id = quotaId(key);
+  const previous = queue[id] || Promise.resolve();
+  const next = previous.then(async () => {
+    const windowStart = now - (now % windowMs);
+    const doc = await quotas().get(id);
+    const count = doc && doc.windowStart === windowStart ? doc.count : 0;
+
+    if (count >= max) {
+      return { allowed: false, remaining: 0, retryAfterMs: windowStart + windowMs - now };
+    }
+
+    await quotas().put(id, { id, windowStart, count: count + 1, windowEndsAt: new Date(windowStart + windowMs).toISOString() });
+    return { allowed: true, remaining: max - count - 1, retryAfterMs: 0 };
+  });
+  queue[id] = next.catch(() => {});
+  return next;
+}
+
+// Counts one call against several quotas, e.g. subjects { perIp: "203.0.113.7",
+// perEmail: "jo@example.com" } with limits { perIp: { max, windowMs }, ... },
+// keyed under action. Returns the first one used up as { scope, retryAfter }
+// (seconds), or null when the call is allowed.
+async function consumeQuotas(action, subjects, limits) {
+  for (const [scope, subject] of Object.entries(subjects)) {
+    const { allowed, retryAfterMs } = await consumeQuota(`${action}:${scope}:${subject}`, limits[scope]);
+    if (!allowed) return { scope, retryAfter: Math.ceil(retryAfterMs / 1000) };
+  }
+  return null;
+}
+
+// The caller's address, for per-IP quotas. A client can send any
+// X-Forwarded-For it likes, and proxies append to it, so only the entries on
+// the right are trustworthy: the one PROXY_HOPS (default 1, e.g. Vercel's edge)
+// from the end is the address the outermost proxy saw.
+function clientIp(req) {
+  const hops = Math.max(1, Number(process.env.PROXY_HOPS) || 1);
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+  return forwarded[forwarded.length - hops] || req.headers["x-real-ip"] || req.socket?.remoteAddress || "unknown";
+}
+
+module.exports = { consumeQuota, consumeQuotas, clientIp };
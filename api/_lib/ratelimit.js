@@ -0,0 +1,144 @@
+// Concurrency pool, per-provider rate limits and 429 backoff
+// Limits are per function instance, which is where a job's tasks run.
+
+// Defaults per limiter key (provider id or "semrush"); override with the
+// RATE_LIMITS env var, e.g. {"claude":{"maxConcurrent":2,"rpm":20}}
+const DEFAULT_LIMITS = {
+  chatgpt: { maxConcurrent: 4, rpm: 60 },
+  gemini: { maxConcurrent: 4, rpm: 60 },
+  claude: { maxConcurrent: 4, rpm: 50 },
+  perplexity: { maxConcurrent: 4, rpm: 50 },
+  copilot: { maxConcurrent: 4, rpm: 60 },
+  semrush: { maxConcurrent: 4, rpm: 600 },
+  wikidata: { maxConcurrent: 2, rpm: 120 }
+};
+
+const MAX_RETRIES = 3;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const limiters = {};
+
+function getConcurrency() {
+  return parseInt(process.env.JOB_CONCURRENCY) || 4;
+}
+
+function getLimitConfig(key) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.RATE_LIMITS || "{}");
+  } catch (error) {
+    console.log("Ignoring invalid RATE_LIMITS:", error.message);
+  }
+  return { ...DEFAULT_LIMITS[key], ...overrides[key] };
+}
+
+// Allows at most maxConcurrent calls at once and spaces call starts so no more
+// than rpm begin per minute. pause() pushes every later start back, which is
+// how a retry-after from one call slows down the whole provider.
+function createLimiter({ maxConcurrent = Infinity, rpm = 0 } = {}) {
+  const interval = rpm > 0 ? 60000 / rpm : 0;
+  const waiting = [];
+  let active = 0;
+  let nextSlot = 0;
+
+  const pump = () => {
+    while (active < maxConcurrent && waiting.length > 0) {
+      active++;
+      const now = Date.now();
+      const startAt = Math.max(now, nextSlot);
+      nextSlot = startAt + interval;
+      setTimeout(waiting.shift(), startAt - now);
+    }
+  };
+
+  return {
+    async run(fn) {
+      await new Promise((resolve) => {
+        waiting.push(resolve);
+        pump();
+      });
+      try {
+        return await fn();
+      } finally {
+        active--;
+        pump();
+      }
+    },
+
+    pause(ms) {
+      nextSlot = Math.max(nextSlot, Date.now() + ms);
+    },
+
+    // Earliest time the next call can start (calls already waiting come first)
+    resumesAt() {
+      return nextSlot;
+    }
+  };
+}
+
+function getLimiter(key) {
+  if (!limiters[key]) {
+    limiters[key] = createLimiter(getLimitConfig(key));
+  }
+  return limiters[key];
+}
+
+function isRetryable(error) {
+  return error.status === 429 || error.status === 503 || error.status === 529;
+}
+
+// retry-after is either seconds or an HTTP date; fall back to exponential backoff
+function getRetryDelay(error, attempt) {
+  const headers = error.headers || {};
+  const retryAfter = error.retryAfter ||
+    (typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"]);
+
+  let delay = null;
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+  }
+  if (delay === null || Number.isNaN(delay) || delay < 0) {
+    delay = 1000 * 2 ** attempt + Math.random() * 250;
+  }
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+// Run fn through the key's limiter, retrying rate-limit and overload errors.
+// deadline (ms timestamp) is when the caller has to be done, e.g. a job runner's
+// time budget: when the limiter is paused past it, by this call's retry-after or
+// another's, this throws with pastDeadline set instead of waiting, so the work
+// can be picked up again later.
+async function withRateLimit(key, fn, { deadline = null } = {}) {
+  const limiter = getLimiter(key);
+  for (let attempt = 0; ; attempt++) {
+    if (deadline !== null && limiter.resumesAt() > deadline) {
+      const error = new Error(`${key} is rate limited until after the deadline`);
+      error.pastDeadline = true;
+      throw error;
+    }
+    try {
+      return await limiter.run(fn);
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= MAX_RETRIES) throw error;
+      const delay = getRetryDelay(error, attempt);
+      console.log(`${key} returned ${error.status}, retrying in ${Math.round(delay)}ms`);
+      limiter.pause(delay);
+    }
+  }
+}
+
+// Call worker on each item next() hands out, with at most `concurrency` in
+// flight. Workers pull items themselves, so a slow one never holds up the rest;
+// next() returning null stops a worker.
+async function runPool(next, worker, concurrency = getConcurrency()) {
+  const runners = Array.from({ length: concurrency }, async () => {
+    let item;
+    while ((item = next())) {
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+module.exports = { getConcurrency, createLimiter, getLimiter, getRetryDelay, withRateLimit, runPool };
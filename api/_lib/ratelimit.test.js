@@ -0,0 +1,115 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createLimiter, getRetryDelay, withRateLimit, runPool } = require("./ratelimit");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const rateLimited = (retryAfter) => Object.assign(new Error("Too many requests"), { status: 429, retryAfter });
+
+test("the limiter caps calls in flight", async () => {
+  const limiter = createLimiter({ maxConcurrent: 2 });
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  await Promise.all(Array.from({ length: 5 }, () => limiter.run(async () => {
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    await sleep(30);
+    inFlight--;
+  })));
+
+  assert.equal(maxInFlight, 2);
+});
+
+test("the limiter spaces call starts to stay under rpm", async () => {
+  const limiter = createLimiter({ rpm: 600 });
+  const starts = [];
+
+  await Promise.all(Array.from({ length: 4 }, () => limiter.run(async () => starts.push(Date.now()))));
+
+  // 600 rpm is one start every 100ms; allow a little timer slack
+  starts.slice(1).forEach((start, i) => assert.ok(start - starts[i] >= 90, `start ${i + 1} came ${start - starts[i]}ms after the last`));
+});
+
+test("pause pushes back every later start", async () => {
+  const limiter = createLimiter();
+  limiter.pause(150);
+  assert.ok(limiter.resumesAt() > Date.now());
+
+  const before = Date.now();
+  await limiter.run(async () => {});
+  assert.ok(Date.now() - before >= 140);
+});
+
+test("retry-after is read as seconds or as an HTTP date, and capped", () => {
+  assert.equal(getRetryDelay(rateLimited("2"), 0), 2000);
+  assert.equal(getRetryDelay({ status: 429, headers: { "retry-after": "3" } }, 0), 3000);
+  assert.equal(getRetryDelay({ status: 429, headers: new Headers({ "retry-after": "4" }) }, 0), 4000);
+
+  const date = getRetryDelay(rateLimited(new Date(Date.now() + 10000).toUTCString()), 0);
+  // HTTP dates have whole-second precision
+  assert.ok(date > 8000 && date <= 10000, `got ${date}`);
+
+  assert.equal(getRetryDelay(rateLimited("3600"), 0), 30000);
+
+  // Missing, unreadable or past values fall back to exponential backoff
+  for (const retryAfter of [undefined, "soon", new Date(Date.now() - 5000).toUTCString()]) {
+    const delay = getRetryDelay(rateLimited(retryAfter), 2);
+    assert.ok(delay >= 4000 && delay < 4250, `got ${delay} for ${retryAfter}`);
+  }
+});
+
+test("rate-limit errors are retried, and other errors are not", async () => {
+  let calls = 0;
+  const result = await withRateLimit("test-retry", async () => {
+    if (++calls < 3) throw rateLimited("0");
+    return "ok";
+  });
+  assert.equal(result, "ok");
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(withRateLimit("test-retry", async () => {
+    calls++;
+    throw Object.assign(new Error("Bad request"), { status: 400 });
+  }), { status: 400 });
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(withRateLimit("test-retry", async () => {
+    calls++;
+    throw rateLimited("0");
+  }), { status: 429 });
+  assert.equal(calls, 4);
+});
+
+test("a retry that would wait past the deadline throws instead of waiting", async () => {
+  let calls = 0;
+  const before = Date.now();
+
+  await assert.rejects(withRateLimit("test-deadline", async () => {
+    calls++;
+    throw rateLimited("5");
+  }, { deadline: Date.now() + 1000 }), { pastDeadline: true });
+
+  assert.equal(calls, 1);
+  assert.ok(Date.now() - before < 500);
+  // The pause still holds for everyone else calling the provider
+  await assert.rejects(withRateLimit("test-deadline", async () => "ok", { deadline: Date.now() + 1000 }), { pastDeadline: true });
+});
+
+test("runPool keeps at most `concurrency` workers busy and a slow item doesn't hold up the rest", async () => {
+  const items = [300, 10, 10, 10, 10, 10];
+  const done = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  await runPool(() => items.shift() || null, async (ms) => {
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    await sleep(ms);
+    inFlight--;
+    done.push(ms);
+  }, 2);
+
+  assert.equal(maxInFlight, 2);
+  assert.deepEqual(done, [10, 10, 10, 10, 10, 300]);
+});
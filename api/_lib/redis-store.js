@@ -0,0 +1,89 @@
+// Redis store driver (STORE_DRIVER=redis)
+// Talks to Redis over the Upstash REST API, which is what Vercel's Redis/KV
+// integrations provide, so serverless functions need no connection pool.
+// Each document is a JSON string under <prefix>:<collection>:<id>, and each
+// collection keeps a set of its ids under <prefix>:<collection> for list().
+//
+// Connection: KV_REST_API_URL + KV_REST_API_TOKEN (set by the Vercel
+// integration) or UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN.
+// REDIS_KEY_PREFIX (default "airr") lets several deployments share a database.
+
+const { postJSON } = require("./http");
+
+const TIMEOUT_MS = 10000;
+// Ids per MGET when listing a collection
+const LIST_CHUNK_SIZE = 100;
+
+function getConnection() {
+  const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+  const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+  if (!url || !token) {
+    throw new Error("STORE_DRIVER=redis needs KV_REST_API_URL and KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN)");
+  }
+  return { url: url.replace(/\/$/, ""), token };
+}
+
+// Runs commands in one round trip and returns their results in order.
+// Upstash answers 200 with { error } per command, so each one is checked.
+async function pipeline(commands) {
+  const { url, token } = getConnection();
+  const replies = await postJSON(`${url}/pipeline`, {
+    headers: { Authorization: `Bearer ${token}` },
+    body: commands,
+    timeoutMs: TIMEOUT_MS
+  });
+  return replies.map((reply) => {
+    if (reply.error) throw new Error(`Redis: ${reply.error}`);
+    return reply.result;
+  });
+}
+
+async function command(...args) {
+  const [result] = await pipeline([args]);
+  return result;
+}
+
+function createRedisCollection(name) {
+  const prefix = `${process.env.REDIS_KEY_PREFIX || "airr"}:${name}`;
+  const keyFor = (id) => `${prefix}:${id}`;
+  const parse = (value) => (value === null || value === undefined ? null : JSON.parse(value));
+
+  return {
+    async get(id) {
+      return parse(await command("GET", keyFor(id)));
+    },
+
+    async put(id, doc) {
+      await pipeline([["SET", keyFor(id), JSON.stringify(doc)], ["SADD", prefix, id]]);
+      return doc;
+    },
+
+    // SET NX only writes a free key; the SADD is harmless when it didn't
+    async create(id, doc) {
+      const [created] = await pipeline([["SET", keyFor(id), JSON.stringify(doc), "NX"], ["SADD", prefix, id]]);
+      return created === "OK";
+    },
+
+    async remove(id) {
+      await pipeline([["DEL", keyFor(id)], ["SREM", prefix, id]]);
+    },
+
+    // GETDEL hands the document to one caller only
+    async take(id) {
+      const [value] = await pipeline([["GETDEL", keyFor(id)], ["SREM", prefix, id]]);
+      return parse(value);
+    },
+
+    async list() {
+      const ids = await command("SMEMBERS", prefix);
+      const docs = [];
+      for (let i = 0; i < ids.length; i += LIST_CHUNK_SIZE) {
+        const values = await command("MGET", ...ids.slice(i, i + LIST_CHUNK_SIZE).map(keyFor));
+        docs.push(...values.map(parse));
+      }
+      return docs.filter(Boolean);
+    }
+  };
+}
+
+module.exports = { createRedisCollection };
@@ -0,0 +1,101 @@
+// The redis driver against a local stand-in for the Upstash REST API that
+// keeps keys in a Map and answers the commands the driver sends
+process.env.STORE_DRIVER = "memory";
+process.env.MAIL_DRIVER = "outbox";
+process.env.ADMIN_EMAIL = "admin@example.com";
+
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { callHandler, startServer } = require("./testing");
+const { getCollection, isPerInstanceDriver } = require("./store");
+
+const signup = require("../auth/signup");
+
+let server;
+const keys = new Map();
+
+const commands = {
+  GET: ([key]) => keys.get(key) ?? null,
+  SET: ([key, value, nx]) => {
+    if (nx === "NX" && keys.has(key)) return null;
+    keys.set(key, value);
+    return "OK";
+  },
+  DEL: ([key]) => Number(keys.delete(key)),
+  GETDEL: ([key]) => {
+    const value = keys.get(key) ?? null;
+    keys.delete(key);
+    return value;
+  },
+  SADD: ([key, member]) => {
+    const set = keys.get(key) || new Set();
+    keys.set(key, set);
+    return set.has(member) ? 0 : (set.add(member), 1);
+  },
+  SREM: ([key, member]) => Number(Boolean(keys.get(key)?.delete(member))),
+  SMEMBERS: ([key]) => [...(keys.get(key) || [])],
+  MGET: (list) => list.map((key) => keys.get(key) ?? null)
+};
+
+before(async () => {
+  server = await startServer((req, body, res) => {
+    if (req.headers.authorization !== "Bearer kv-test") {
+      res.statusCode = 401;
+      return { error: "Unauthorized" };
+    }
+    return body.map(([name, ...args]) => (commands[name] ? { result: commands[name](args) } : { error: `ERR unknown command '${name}'` }));
+  });
+  process.env.KV_REST_API_URL = server.url;
+  process.env.KV_REST_API_TOKEN = "kv-test";
+});
+
+after(() => server.close());
+
+afterEach(() => {
+  delete process.env.VERCEL_ENV;
+  process.env.STORE_DRIVER = "memory";
+});
+
+const docs = () => getCollection("things", "redis");
+
+test("documents round-trip and are listed until removed", async () => {
+  await docs().put("a", { id: "a", n: 1 });
+  await docs().put("b", { id: "b", n: 2 });
+  await docs().put("a", { id: "a", n: 3 });
+
+  assert.deepEqual(await docs().get("a"), { id: "a", n: 3 });
+  assert.equal(await docs().get("missing"), null);
+  assert.deepEqual((await docs().list()).sort((x, y) => x.id.localeCompare(y.id)), [{ id: "a", n: 3 }, { id: "b", n: 2 }]);
+
+  await docs().remove("a");
+  assert.deepEqual(await docs().list(), [{ id: "b", n: 2 }]);
+  assert.equal(keys.get("airr:things").has("a"), false);
+});
+
+test("create and take only succeed once when callers race", async () => {
+  const created = await Promise.all([docs().create("lease", { by: 1 }), docs().create("lease", { by: 2 })]);
+  assert.deepEqual(created.sort(), [false, true]);
+
+  const taken = await Promise.all([docs().take("lease"), docs().take("lease")]);
+  assert.equal(taken.filter(Boolean).length, 1);
+  assert.equal(await docs().get("lease"), null);
+});
+
+test("redis counts as a shared store, so production sign-up works on it", async () => {
+  assert.equal(isPerInstanceDriver("redis"), false);
+  process.env.VERCEL_ENV = "production";
+  process.env.STORE_DRIVER = "redis";
+
+  const res = await callHandler(signup, { method: "POST", body: { email: "admin@example.com", password: "correct horse" } });
+
+  assert.equal(res.statusCode, 201);
+  assert.ok([...keys.keys()].some((key) => key.startsWith("airr:sessions:")));
+});
+
+test("a missing connection or a command error is an error, not an empty store", async () => {
+  delete process.env.KV_REST_API_TOKEN;
+  await assert.rejects(docs().get("a"), /KV_REST_API_URL/);
+  process.env.KV_REST_API_TOKEN = "wrong";
+  await assert.rejects(docs().get("a"), { status: 401 });
+  process.env.KV_REST_API_TOKEN = "kv-test";
+});
@@ -0,0 +1,961 @@
+// Report PDF + email delivery
+// Uses PDFKit for PDF generation and the mailer (Resend, or the outbox) for delivery.
+// Shared by /api/send-report and the monitor scheduler.
+
+const PDFDocument = require('pdfkit');
+const { sendMail, isMailConfigured } = require('./mailer');
+const regionOptions = require('../../src/lib/regions');
+const factFields = require('../../src/lib/facts');
+const { calculateVisibilityIndex } = require('../../src/lib/visibility');
+const { getScoreColor, getScoreLabel, engineScore, averageScore, dominantSentiment, formatScore } = require('../../src/lib/scoring');
+
+// Render the PDF and email it to one recipient. Throws with `details` when
+// Resend rejects the message.
+async function sendReportEmail({ recipientName, recipientCompany, recipientEmail, reportData, progress = null }) {
+  if (!isMailConfigured()) {
+    const error = new Error("Email service not configured");
+    error.hint = "Add RESEND_API_KEY to Vercel environment variables";
+    throw error;
+  }
+
+  // Generate PDF
+  const pdfBuffer = await generatePDF(reportData, recipientName, recipientCompany, progress);
+
+  const { id } = await sendMail({
+    to: recipientEmail,
+    subject: `AI Reputation Report - ${reportData.companyName || 'Your Company'}`,
+    html: generateEmailHTML(recipientName, recipientCompany, reportData),
+    attachments: [
+      {
+        filename: `AI-Reputation-Report-${reportData.companyName || 'Analysis'}-${new Date().toISOString().split('T')[0]}.pdf`,
+        content: pdfBuffer.toString('base64'),
+        type: 'application/pdf'
+      }
+    ]
+  });
+
+  console.log("Email sent successfully:", id);
+  return { emailId: id };
+}
+
+// Generate PDF using PDFKit - each section as a page
+async function generatePDF(reportData, recipientName, recipientCompany, progress = null) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ 
+      size: 'LETTER',
+      margin: 50,
+      info: {
+        Title: `AI Reputation Report - ${reportData.companyName}`,
+        Author: 'Abstrakt Marketing Group'
+      }
+    });
+    
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Colors
+    const primaryColor = '#E85D04';
+    const secondaryColor = '#F48C06';
+    const darkColor = '#1a1a2e';
+    const grayColor = '#666666';
+
+    // Helper functions
+    const drawHeader = (title, subtitle = null) => {
+      doc.rect(0, 0, doc.page.width, 100).fill(darkColor);
+      doc.fillColor('#ffffff')
+         .fontSize(24)
+         .font('Helvetica-Bold')
+         .text(title, 50, 35);
+      if (subtitle) {
+        doc.fontSize(12)
+           .font('Helvetica')
+           .fillColor(secondaryColor)
+           .text(subtitle, 50, 65);
+      }
+      doc.moveDown(4);
+    };
+
+    const drawSectionTitle = (title, yPos) => {
+      doc.fillColor(primaryColor)
+         .fontSize(16)
+         .font('Helvetica-Bold')
+         .text(title, 50, yPos);
+      return yPos + 25;
+    };
+
+    // Engine name, flagged when the engine had no API key and Claude stood in for it
+    const engineLabel = (data, fallback) => {
+      const name = data.llm?.name || fallback;
+      return data.results?.simulated ? `${name} (simulated)` : name;
+    };
+
+    // Replies that failed schema validation have no score to print
+    const INVALID_LABEL = 'invalid response (excluded)';
+
+    // What to print instead of a score for an errored, invalid or unscored result
+    const noScoreLabel = (results) => {
+      if (results?.invalid) return INVALID_LABEL;
+      if (results?.error) return 'engine error (excluded)';
+      return 'n/a';
+    };
+
+    // ==================== PAGE 1: Cover Page ====================
+    doc.rect(0, 0, doc.page.width, doc.page.height).fill(darkColor);
+    
+    // Logo area
+    doc.fillColor('#ffffff')
+       .fontSize(14)
+       .font('Helvetica')
+       .text('ABSTRAKT MARKETING GROUP', 50, 80, { align: 'center' });
+    
+    // Main title
+    doc.fontSize(42)
+       .font('Helvetica-Bold')
+       .fillColor(primaryColor)
+       .text('AI Reputation', 50, 200, { align: 'center' });
+    doc.text('Report', 50, 255, { align: 'center' });
+    
+    // Company name
+    doc.fillColor('#ffffff')
+       .fontSize(24)
+       .font('Helvetica')
+       .text(reportData.companyName || 'Company Analysis', 50, 350, { align: 'center' });
+    
+    // Prepared for
+    doc.fontSize(14)
+       .fillColor('rgba(255,255,255,0.7)')
+       .text('Prepared for:', 50, 450, { align: 'center' });
+    doc.fontSize(18)
+       .fillColor('#ffffff')
+       .text(`${recipientName}`, 50, 475, { align: 'center' });
+    doc.fontSize(14)
+       .text(`${recipientCompany}`, 50, 500, { align: 'center' });
+    
+    // Date
+    doc.fontSize(12)
+       .fillColor(secondaryColor)
+       .text(new Date().toLocaleDateString('en-US', { 
+         year: 'numeric', month: 'long', day: 'numeric' 
+       }), 50, 550, { align: 'center' });
+
+    // ==================== PAGE 2: Executive Overview ====================
+    doc.addPage();
+    drawHeader('Executive Overview', 'AI Search Visibility Summary');
+    
+    let yPos = 120;
+    
+    // Calculate scores
+    const companyResults = reportData.company || {};
+    const visibilityIndex = calculateVisibilityIndex(reportData, reportData.visibilityWeights);
+    const avgSentiment = dominantSentiment(companyResults) || 'N/A';
+    
+    // Quick Stats
+    doc.fillColor(darkColor)
+       .fontSize(12)
+       .font('Helvetica-Bold')
+       .text('KEY METRICS', 50, yPos);
+    yPos += 25;
+    
+    doc.font('Helvetica')
+       .fontSize(11);
+    
+    if (visibilityIndex.score === null) {
+      doc.fillColor(grayColor)
+         .text('AI Visibility Index: N/A', 50, yPos);
+    } else {
+      doc.fillColor(getScoreColor(visibilityIndex.score / 10))
+         .text(`AI Visibility Index: ${visibilityIndex.score}/100 (${getScoreLabel(visibilityIndex.score / 10)})`, 50, yPos);
+    }
+    yPos += 18;
+    
+    doc.fillColor(darkColor)
+       .text(`Overall Sentiment: ${avgSentiment}`, 50, yPos);
+    yPos += 18;
+    
+    if (reportData.semrushData?.authorityScore) {
+      doc.text(`Domain Authority: ${reportData.semrushData.authorityScore}`, 50, yPos);
+      yPos += 18;
+    }
+    
+    if (reportData.semrushData?.backlinks?.referringDomains) {
+      doc.text(`Referring Domains: ${reportData.semrushData.backlinks.referringDomains.toLocaleString()}`, 50, yPos);
+      yPos += 18;
+    }
+    
+    yPos += 20;
+
+    // AI Visibility Index Breakdown
+    yPos = drawSectionTitle('AI Visibility Index Breakdown', yPos);
+
+    doc.fillColor(darkColor).fontSize(10).font('Helvetica-Bold');
+    doc.text('Component', 50, yPos);
+    doc.text('Score', 250, yPos);
+    doc.text('Weight', 320, yPos);
+    doc.text('Points', 400, yPos);
+    yPos += 16;
+
+    visibilityIndex.components.forEach(component => {
+      doc.fillColor(component.value === null ? grayColor : darkColor).fontSize(10).font('Helvetica');
+      doc.text(component.label, 50, yPos);
+      doc.text(component.value === null ? 'N/A' : `${component.value}/100`, 250, yPos);
+      doc.text(component.value === null ? '-' : `${component.share}%`, 320, yPos);
+      doc.text(component.value === null ? '-' : component.points.toString(), 400, yPos);
+      yPos += 12;
+      doc.fillColor(grayColor).fontSize(8).text(component.detail, 50, yPos, { width: 500 });
+      yPos += 14;
+    });
+
+    doc.fillColor(grayColor)
+       .fontSize(8)
+       .font('Helvetica-Oblique')
+       .text('Components without data are not counted; their weight is shared among the rest.', 50, yPos, { width: 500 });
+    yPos += 24;
+    
+    // AI Engine Breakdown
+    yPos = drawSectionTitle('AI Search Engine Breakdown', yPos);
+    
+    Object.entries(companyResults).forEach(([llmId, data]) => {
+      if (yPos > 680) {
+        doc.addPage();
+        yPos = 50;
+      }
+      const score = engineScore(data.results);
+      doc.fillColor(darkColor)
+         .fontSize(11)
+         .font('Helvetica-Bold')
+         .text(`${engineLabel(data, llmId)}:`, 50, yPos);
+      doc.fillColor(score === null ? grayColor : getScoreColor(score))
+         .font('Helvetica')
+         .text(score === null ? noScoreLabel(data.results) : `${score}/10 - ${getScoreLabel(score)}`, 220, yPos);
+      yPos += 18;
+    });
+
+    if (Object.values(companyResults).some(data => data.results?.simulated)) {
+      yPos += 6;
+      doc.fillColor(grayColor)
+         .fontSize(9)
+         .font('Helvetica-Oblique')
+         .text('Engines marked (simulated) had no API key configured; their answers were generated by Claude imitating that engine.', 50, yPos, { width: 500 });
+    }
+
+    // ==================== OPTIONAL: Progress Since Last Report ====================
+    if (progress) {
+      doc.addPage();
+      const since = new Date(progress.runs[0].createdAt).toLocaleDateString('en-US', {
+        year: 'numeric', month: 'long', day: 'numeric'
+      });
+      drawHeader('Progress Since Last Report', `Compared with the report from ${since}`);
+      
+      yPos = 120;
+      
+      const formatValue = (value) => value === null ? '-' : value.toLocaleString();
+      const drawMetricRow = (metric) => {
+        const before = metric.values[0];
+        const after = metric.values[metric.values.length - 1];
+        doc.fillColor(darkColor).fontSize(10).font('Helvetica')
+           .text(metric.label, 60, yPos);
+        doc.text(formatValue(before), 250, yPos);
+        doc.text(formatValue(after), 350, yPos);
+        if (metric.delta !== null) {
+          doc.fillColor(metric.delta > 0 ? '#22c55e' : metric.delta < 0 ? '#ef4444' : grayColor)
+             .font('Helvetica-Bold')
+             .text(`${metric.delta > 0 ? '+' : ''}${metric.delta.toLocaleString()}`, 450, yPos);
+        }
+        yPos += 16;
+      };
+      
+      // Table header
+      doc.fillColor(darkColor).fontSize(10).font('Helvetica-Bold');
+      doc.text('Metric', 50, yPos);
+      doc.text('Previous', 250, yPos);
+      doc.text('Current', 350, yPos);
+      doc.text('Change', 450, yPos);
+      yPos += 20;
+      doc.moveTo(50, yPos - 5).lineTo(550, yPos - 5).stroke(primaryColor);
+      
+      doc.fillColor(primaryColor).fontSize(11).font('Helvetica-Bold').text('SEMRush', 50, yPos);
+      yPos += 16;
+      progress.semrush.forEach(drawMetricRow);
+      yPos += 8;
+      
+      progress.engines.forEach(engine => {
+        if (yPos > 650) {
+          doc.addPage();
+          yPos = 50;
+        }
+        doc.fillColor(primaryColor).fontSize(11).font('Helvetica-Bold').text(engine.name, 50, yPos);
+        yPos += 16;
+        engine.metrics.forEach(drawMetricRow);
+        yPos += 8;
+      });
+      
+      // Sources and backlinks that changed
+      [['New AI-Cited Sources', progress.sources.appeared], ['Lost AI-Cited Sources', progress.sources.disappeared],
+       ['New Top Backlinks', progress.backlinks.appeared], ['Lost Top Backlinks', progress.backlinks.disappeared]]
+        .filter(([, urls]) => urls.length > 0)
+        .forEach(([title, urls]) => {
+          if (yPos > 640) {
+            doc.addPage();
+            yPos = 50;
+          }
+          yPos += 8;
+          doc.fillColor(primaryColor).fontSize(11).font('Helvetica-Bold').text(`${title}:`, 50, yPos);
+          yPos += 16;
+          doc.fillColor(grayColor).fontSize(9).font('Helvetica');
+          urls.slice(0, 5).forEach((url, i) => {
+            doc.text(`${i + 1}. ${url.substring(0, 80)}`, 60, yPos);
+            yPos += 13;
+          });
+        });
+    }
+
+    // ==================== PAGE 3: Company Analysis ====================
+    doc.addPage();
+    drawHeader('Company Analysis', reportData.companyName);
+    
+    yPos = 120;
+    
+    // SEMRush Data
+    if (reportData.semrushData) {
+      yPos = drawSectionTitle('Backlink Profile (SEMRush)', yPos);
+      
+      const semrush = reportData.semrushData;
+      doc.fillColor(darkColor).fontSize(11).font('Helvetica');
+      
+      if (semrush.authorityScore !== undefined) {
+        doc.text(`Domain Authority Score: ${semrush.authorityScore}`, 50, yPos);
+        yPos += 16;
+      }
+      if (semrush.backlinks) {
+        doc.text(`Total Backlinks: ${semrush.backlinks.total?.toLocaleString() || 'N/A'}`, 50, yPos);
+        yPos += 16;
+        doc.text(`Referring Domains: ${semrush.backlinks.referringDomains?.toLocaleString() || 'N/A'}`, 50, yPos);
+        yPos += 16;
+        doc.text(`Follow Links: ${semrush.backlinks.followLinks?.toLocaleString() || 'N/A'}`, 50, yPos);
+        yPos += 16;
+      }
+      yPos += 15;
+
+      // Organic search per regional database
+      const regionRows = semrush.regions || (semrush.overview && !semrush.overview.error
+        ? [{ name: regionName(semrush.database || 'us'), ...semrush.overview }]
+        : []);
+      if (regionRows.length > 0) {
+        const format = (value) => value && !isNaN(value) ? Number(value).toLocaleString() : '-';
+        doc.fillColor(darkColor).font('Helvetica-Bold').fontSize(10);
+        doc.text('Region', 50, yPos);
+        doc.text('Keywords', 200, yPos);
+        doc.text('Traffic', 290, yPos);
+        doc.text('Traffic Cost', 380, yPos);
+        doc.text('Rank', 480, yPos);
+        yPos += 16;
+        doc.moveTo(50, yPos - 4).lineTo(550, yPos - 4).stroke(primaryColor);
+
+        doc.font('Helvetica').fillColor(grayColor);
+        regionRows.forEach(row => {
+          doc.text(row.name, 50, yPos);
+          if (row.error) {
+            doc.text('No data', 200, yPos);
+          } else {
+            doc.text(format(row.organic_keywords), 200, yPos);
+            doc.text(format(row.organic_traffic), 290, yPos);
+            doc.text(row.organic_cost ? `$${format(row.organic_cost)}` : '-', 380, yPos);
+            doc.text(format(row.rank), 480, yPos);
+          }
+          yPos += 14;
+        });
+        yPos += 15;
+        doc.fontSize(11);
+      }
+      
+      // Top Backlinks
+      if (semrush.topBacklinks && semrush.topBacklinks.length > 0) {
+        doc.font('Helvetica-Bold').text('Top Referring Domains:', 50, yPos);
+        yPos += 18;
+        
+        doc.font('Helvetica').fontSize(10);
+        semrush.topBacklinks.slice(0, 8).forEach((link, i) => {
+          if (yPos > 700) return;
+          doc.fillColor(grayColor)
+             .text(`${i + 1}. ${link.sourceUrl?.substring(0, 55) || 'Unknown'} (AS: ${link.authorityScore})`, 60, yPos);
+          yPos += 14;
+        });
+      }
+    }
+    
+    yPos += 20;
+    
+    // AI Analysis Results
+    yPos = drawSectionTitle('AI Search Engine Results', yPos);
+    
+    Object.entries(companyResults).forEach(([llmId, data]) => {
+      if (yPos > 650) {
+        doc.addPage();
+        yPos = 50;
+      }
+      
+      const result = data.results || {};
+      doc.fillColor(darkColor)
+         .fontSize(12)
+         .font('Helvetica-Bold')
+         .text(engineLabel(data, llmId), 50, yPos);
+      yPos += 18;
+      
+      if (result.summary) {
+        doc.fillColor(grayColor)
+           .fontSize(10)
+           .font('Helvetica')
+           .text(result.summary.substring(0, 400), 50, yPos, { width: 500 });
+        yPos += doc.heightOfString(result.summary.substring(0, 400), { width: 500 }) + 10;
+      }
+      
+      if (result.recommendations) {
+        doc.fillColor(primaryColor).font('Helvetica-Bold').text('Recommendation:', 50, yPos);
+        yPos += 14;
+        doc.fillColor(grayColor).font('Helvetica').text(result.recommendations.substring(0, 300), 50, yPos, { width: 500 });
+        yPos += doc.heightOfString(result.recommendations.substring(0, 300), { width: 500 }) + 15;
+      }
+
+      // Model-reported URLs, flagged against the engine's web search results
+      const sources = [...(result.topSources || []), ...(result.backlinks || [])].filter(item => item.url);
+      if (sources.length > 0) {
+        doc.fillColor(primaryColor).fontSize(10).font('Helvetica-Bold').text('Sources:', 50, yPos);
+        yPos += 14;
+        doc.fontSize(9).font('Helvetica');
+        sources.slice(0, 6).forEach(item => {
+          if (yPos > 720) return;
+          const flag = item.verified === undefined ? '' : item.verified ? ' [verified]' : ' [unverified]';
+          doc.fillColor(item.verified === false ? '#eab308' : grayColor)
+             .text(`${item.url.substring(0, 75)}${flag}`, 60, yPos, { width: 480 });
+          yPos += 12;
+        });
+        yPos += 4;
+      }
+      if (result.citations?.length > 0) {
+        doc.fillColor(grayColor).fontSize(9).font('Helvetica-Oblique')
+           .text(`${result.citations.length} web search results captured`, 50, yPos);
+        yPos += 16;
+      }
+    });
+
+    // ==================== Misinformation ====================
+    if (reportData.factCheck) {
+      const statusColors = { incorrect: '#ef4444', outdated: '#eab308', unverifiable: grayColor };
+      doc.addPage();
+      drawHeader('Misinformation', 'Claims That Contradict Your Brand Facts');
+
+      yPos = 120;
+      doc.fillColor(grayColor).fontSize(10).font('Helvetica')
+         .text('Each engine\'s description of your company was checked against these facts:', 50, yPos, { width: 500 });
+      yPos += 16;
+      factFields.filter(field => reportData.factCheck.profile[field.id]).forEach(field => {
+        doc.fillColor(darkColor).fontSize(9).font('Helvetica-Bold').text(`${field.label}:`, 60, yPos);
+        doc.font('Helvetica').text(String(reportData.factCheck.profile[field.id]).substring(0, 90), 200, yPos, { width: 340 });
+        yPos += 13;
+      });
+      yPos += 15;
+
+      Object.entries(reportData.factCheck.byLLM).forEach(([llmId, data]) => {
+        if (yPos > 650) {
+          doc.addPage();
+          yPos = 50;
+        }
+        const result = data.results || {};
+        doc.fillColor(darkColor).fontSize(12).font('Helvetica-Bold').text(engineLabel(data, llmId), 50, yPos);
+        yPos += 18;
+
+        if (result.error || result.invalid) {
+          doc.fillColor(grayColor).fontSize(10).font('Helvetica').text('Could not be checked', 50, yPos);
+          yPos += 20;
+          return;
+        }
+        if (data.issues.length === 0) {
+          doc.fillColor('#22c55e').fontSize(10).font('Helvetica').text(`No inaccurate claims found (${data.checked} checked)`, 50, yPos);
+          yPos += 20;
+          return;
+        }
+
+        data.issues.forEach(issue => {
+          if (yPos > 700) {
+            doc.addPage();
+            yPos = 50;
+          }
+          doc.fillColor(statusColors[issue.status]).fontSize(9).font('Helvetica-Bold').text(issue.status.toUpperCase(), 50, yPos);
+          const claim = `"${issue.claim.substring(0, 200)}"${issue.correctValue ? ` - actually: ${issue.correctValue.substring(0, 100)}` : ''}`;
+          doc.fillColor(grayColor).font('Helvetica').text(claim, 130, yPos, { width: 410 });
+          yPos += doc.heightOfString(claim, { width: 410 }) + 6;
+        });
+        yPos += 10;
+      });
+    }
+
+    // ==================== PAGE 4: Leadership Analysis ====================
+    if (reportData.leadership && reportData.leadership.length > 0) {
+      doc.addPage();
+      drawHeader('Leadership Analysis', 'Reputation & Press Opportunities');
+      
+      yPos = 120;
+      
+      reportData.leadership.forEach(leader => {
+        if (yPos > 600) {
+          doc.addPage();
+          yPos = 50;
+        }
+        
+        doc.fillColor(darkColor)
+           .fontSize(14)
+           .font('Helvetica-Bold')
+           .text(leader.name, 50, yPos);
+        yPos += 18;
+        
+        if (leader.title) {
+          doc.fillColor(grayColor)
+             .fontSize(10)
+             .font('Helvetica')
+             .text(leader.title, 50, yPos);
+          yPos += 16;
+        }
+        
+        // Reputation scores
+        doc.fillColor(primaryColor).fontSize(11).font('Helvetica-Bold').text('Reputation Scores:', 50, yPos);
+        yPos += 16;
+        
+        if (leader.byLLM) {
+          Object.entries(leader.byLLM).forEach(([llmId, data]) => {
+            const sentimentScore = engineScore(data.results, 'sentimentScore');
+            const score = sentimentScore === null ? noScoreLabel(data.results) : formatScore(sentimentScore);
+            doc.fillColor(grayColor)
+               .fontSize(10)
+               .font('Helvetica')
+               .text(`${engineLabel(data, llmId)}: ${score}`, 60, yPos);
+            yPos += 14;
+          });
+        }
+        yPos += 10;
+        
+        // Press Opportunities
+        if (leader.pressOpportunities) {
+          doc.fillColor(primaryColor).fontSize(11).font('Helvetica-Bold').text('Press Opportunities:', 50, yPos);
+          yPos += 16;
+          
+          Object.entries(leader.pressOpportunities).slice(0, 1).forEach(([llmId, data]) => {
+            if (data.results?.summary) {
+              doc.fillColor(grayColor)
+                 .fontSize(10)
+                 .font('Helvetica')
+                 .text(data.results.summary.substring(0, 350), 60, yPos, { width: 480 });
+              yPos += doc.heightOfString(data.results.summary.substring(0, 350), { width: 480 }) + 10;
+            }
+          });
+        }
+        
+        yPos += 20;
+      });
+    }
+
+    // ==================== PAGE 5: Gap Analysis ====================
+    if (reportData.competitors && reportData.competitors.length > 0) {
+      doc.addPage();
+      drawHeader('Competitor Gap Analysis', 'Backlink & Visibility Comparison');
+      
+      yPos = 120;
+      
+      // Comparison table header
+      doc.fillColor(darkColor).fontSize(10).font('Helvetica-Bold');
+      doc.text('Company', 50, yPos);
+      doc.text('Authority', 200, yPos);
+      doc.text('Backlinks', 280, yPos);
+      doc.text('Ref. Domains', 370, yPos);
+      doc.text('AI Score', 470, yPos);
+      yPos += 20;
+      
+      doc.moveTo(50, yPos - 5).lineTo(550, yPos - 5).stroke(primaryColor);
+      
+      // Your company
+      doc.font('Helvetica-Bold');
+      doc.text(`${reportData.companyName} (You)`, 50, yPos);
+      doc.font('Helvetica');
+      doc.text(reportData.semrushData?.authorityScore?.toString() || '-', 200, yPos);
+      doc.text(reportData.semrushData?.backlinks?.total?.toLocaleString() || '-', 280, yPos);
+      doc.text(reportData.semrushData?.backlinks?.referringDomains?.toLocaleString() || '-', 370, yPos);
+      doc.text(formatScore(averageScore(reportData.company)), 470, yPos);
+      yPos += 18;
+      
+      // Competitors
+      reportData.competitors.forEach(comp => {
+        doc.text(comp.name, 50, yPos);
+        doc.text(comp.semrushData?.authorityScore?.toString() || '-', 200, yPos);
+        doc.text(comp.semrushData?.backlinks?.total?.toLocaleString() || '-', 280, yPos);
+        doc.text(comp.semrushData?.backlinks?.referringDomains?.toLocaleString() || '-', 370, yPos);
+        doc.text(formatScore(averageScore(comp.byLLM)), 470, yPos);
+        yPos += 18;
+      });
+      
+      yPos += 25;
+
+      // Leader vs leader
+      const leaderRows = reportData.leaderComparison || [];
+      if (leaderRows.some(row => row.isCompetitor)) {
+        doc.fillColor(primaryColor).fontSize(11).font('Helvetica-Bold')
+           .text('Leader vs Leader:', 50, yPos);
+        yPos += 18;
+
+        doc.fillColor(darkColor).fontSize(10).font('Helvetica-Bold');
+        doc.text('Leader', 50, yPos);
+        doc.text('Company', 200, yPos);
+        doc.text('Reputation', 320, yPos);
+        doc.text('Media', 400, yPos);
+        doc.text('Sentiment', 470, yPos);
+        yPos += 20;
+
+        doc.moveTo(50, yPos - 5).lineTo(550, yPos - 5).stroke(primaryColor);
+
+        leaderRows.forEach(row => {
+          if (yPos > 700) {
+            doc.addPage();
+            yPos = 50;
+          }
+          doc.fillColor(darkColor).font(row.isCompetitor ? 'Helvetica' : 'Helvetica-Bold');
+          doc.text(row.name.substring(0, 28), 50, yPos);
+          doc.font('Helvetica');
+          doc.text(`${row.company}${row.isCompetitor ? '' : ' (You)'}`.substring(0, 22), 200, yPos);
+          doc.text(row.reputationScore !== null ? `${row.reputationScore}/10` : '-', 320, yPos);
+          doc.text(row.mediaAppearances.toString(), 400, yPos);
+          doc.text(row.sentiment.toUpperCase(), 470, yPos);
+          yPos += 18;
+        });
+
+        yPos += 25;
+      }
+      
+      // Backlink gap prospects
+      if (reportData.backlinkGap?.prospects?.length > 0) {
+        const gap = reportData.backlinkGap;
+        doc.fillColor(primaryColor).fontSize(11).font('Helvetica-Bold')
+           .text(`Backlink Gap: linking to ${gap.minCompetitors > 1 ? `${gap.minCompetitors}+ competitors` : 'your competitor'} but not to you`, 50, yPos);
+        yPos += 18;
+
+        if (gap.minCompetitors < 2) {
+          doc.fillColor(grayColor).fontSize(9).font('Helvetica-Oblique')
+             .text('Only one competitor has a website, so this lists every domain linking to it. Add another competitor for domains shared by two or more.', 60, yPos, { width: 480 });
+          yPos += 26;
+        }
+
+        doc.fillColor(grayColor).fontSize(9).font('Helvetica');
+        gap.prospects.slice(0, 15).forEach((prospect, i) => {
+          if (yPos > 700) {
+            doc.addPage();
+            yPos = 50;
+            doc.fillColor(grayColor).fontSize(9).font('Helvetica');
+          }
+          doc.text(`${i + 1}. ${prospect.domain.substring(0, 45)} (AS: ${prospect.authorityScore}) - ${prospect.competitors.join(', ').substring(0, 50)}`, 60, yPos);
+          yPos += 13;
+        });
+        if (gap.prospects.length > 15) {
+          doc.text(`+ ${gap.prospects.length - 15} more prospects in the online report`, 60, yPos);
+          yPos += 13;
+        }
+        yPos += 15;
+      }
+
+      // Competitor top backlinks
+      reportData.competitors.forEach(comp => {
+        if (yPos > 650) {
+          doc.addPage();
+          yPos = 50;
+        }
+        
+        if (comp.semrushData?.topBacklinks && comp.semrushData.topBacklinks.length > 0) {
+          doc.fillColor(primaryColor).fontSize(11).font('Helvetica-Bold')
+             .text(`${comp.name}'s Top Backlinks:`, 50, yPos);
+          yPos += 18;
+          
+          doc.fillColor(grayColor).fontSize(9).font('Helvetica');
+          comp.semrushData.topBacklinks.slice(0, 5).forEach((link, i) => {
+            doc.text(`${i + 1}. ${link.sourceUrl?.substring(0, 60) || 'Unknown'} (AS: ${link.authorityScore})`, 60, yPos);
+            yPos += 13;
+          });
+          yPos += 15;
+        }
+      });
+    }
+
+    // ==================== Share of Voice ====================
+    if (reportData.shareOfVoice) {
+      const sov = reportData.shareOfVoice;
+      doc.addPage();
+      drawHeader('Share of Voice', 'Do AI Engines Recommend You?');
+
+      yPos = 120;
+      doc.fillColor(grayColor).fontSize(10).font('Helvetica')
+         .text('Each engine answered these category questions without being told your name. Share of voice is the percentage of all companies it recommended that were you or a competitor.', 50, yPos, { width: 500 });
+      yPos += 32;
+      sov.queries.forEach(query => {
+        doc.fillColor(grayColor).fontSize(9).font('Helvetica-Oblique').text(`"${query}"`, 60, yPos, { width: 480 });
+        yPos += 13;
+      });
+      yPos += 12;
+
+      // Overall
+      yPos = drawSectionTitle('All Engines', yPos);
+      sov.overall.forEach(brand => {
+        doc.fillColor(brand.isCompetitor ? darkColor : primaryColor).fontSize(11).font(brand.isCompetitor ? 'Helvetica' : 'Helvetica-Bold')
+           .text(`${brand.name}${brand.isCompetitor ? '' : ' (You)'}`.substring(0, 40), 50, yPos);
+        doc.text(`${brand.shareOfVoice}%`, 320, yPos);
+        doc.fillColor(grayColor).font('Helvetica').fontSize(9)
+           .text(`mentioned in ${brand.mentionRate}% of answers`, 380, yPos + 1);
+        yPos += 18;
+      });
+      yPos += 15;
+
+      // Per engine
+      doc.fillColor(darkColor).fontSize(10).font('Helvetica-Bold');
+      doc.text('Engine', 50, yPos);
+      doc.text('Company', 180, yPos);
+      doc.text('Share', 360, yPos);
+      doc.text('Mentioned', 420, yPos);
+      doc.text('Avg. Rank', 490, yPos);
+      yPos += 16;
+      doc.moveTo(50, yPos - 4).lineTo(550, yPos - 4).stroke(primaryColor);
+
+      sov.engines.forEach(engine => {
+        engine.brands.forEach((brand, i) => {
+          if (yPos > 720) {
+            doc.addPage();
+            yPos = 50;
+          }
+          doc.fillColor(darkColor).fontSize(9).font(brand.isCompetitor ? 'Helvetica' : 'Helvetica-Bold');
+          if (i === 0) doc.text(engine.llm?.name || engine.llmId, 50, yPos);
+          doc.text(brand.name.substring(0, 30), 180, yPos);
+          doc.font('Helvetica');
+          doc.text(`${brand.shareOfVoice}%`, 360, yPos);
+          doc.text(`${brand.mentions}/${engine.answered}`, 420, yPos);
+          doc.text(brand.averageRank ? `#${brand.averageRank}` : '-', 490, yPos);
+          yPos += 13;
+        });
+        yPos += 6;
+      });
+    }
+
+    // ==================== PAGE 6: Podcast Opportunities ====================
+    if (reportData.podcastOpportunities && reportData.podcastOpportunities.length > 0) {
+      doc.addPage();
+      drawHeader('Podcast Opportunities', 'Guest Appearance Recommendations');
+      
+      yPos = 120;
+      
+      reportData.podcastOpportunities.forEach(item => {
+        if (yPos > 650) {
+          doc.addPage();
+          yPos = 50;
+        }
+        
+        doc.fillColor(darkColor)
+           .fontSize(12)
+           .font('Helvetica-Bold')
+           .text(`Source: ${engineLabel(item)}`, 50, yPos);
+        yPos += 18;
+        
+        if (item.results?.summary) {
+          doc.fillColor(grayColor)
+             .fontSize(10)
+             .font('Helvetica')
+             .text(item.results.summary.substring(0, 400), 50, yPos, { width: 500 });
+          yPos += doc.heightOfString(item.results.summary.substring(0, 400), { width: 500 }) + 10;
+        }
+        
+        if (item.results?.podcastOpportunities && item.results.podcastOpportunities.length > 0) {
+          doc.fillColor(primaryColor).font('Helvetica-Bold').text('Recommended Podcasts:', 50, yPos);
+          yPos += 16;
+          
+          item.results.podcastOpportunities.slice(0, 5).forEach((pod, i) => {
+            doc.fillColor(grayColor).fontSize(10).font('Helvetica');
+            doc.text(`${i + 1}. ${pod.name}${pod.topic ? ` - ${pod.topic}` : ''}${pod.audienceSize ? ` (${pod.audienceSize})` : ''}`, 60, yPos);
+            yPos += 14;
+          });
+        }
+        
+        yPos += 20;
+      });
+    }
+
+    // ==================== PAGE 7: Social Sentiment ====================
+    if (reportData.leadership && reportData.leadership.some(l => l.socialSentiment)) {
+      doc.addPage();
+      drawHeader('Social Sentiment Analysis', 'Online Reputation by Platform');
+      
+      yPos = 120;
+      
+      reportData.leadership.forEach(leader => {
+        if (!leader.socialSentiment || Object.keys(leader.socialSentiment).length === 0) return;
+        
+        if (yPos > 600) {
+          doc.addPage();
+          yPos = 50;
+        }
+        
+        doc.fillColor(darkColor)
+           .fontSize(14)
+           .font('Helvetica-Bold')
+           .text(leader.name, 50, yPos);
+        yPos += 16;
+        
+        if (leader.title) {
+          doc.fillColor(grayColor).fontSize(10).font('Helvetica').text(leader.title, 50, yPos);
+          yPos += 18;
+        }
+        
+        Object.entries(leader.socialSentiment).forEach(([llmId, data]) => {
+          if (yPos > 680) return;
+          
+          const score = engineScore(data.results, 'sentimentScore');
+          const sentiment = data.results?.sentiment || 'unknown';
+          
+          doc.fillColor(darkColor).fontSize(11).font('Helvetica-Bold')
+             .text(`${engineLabel(data, llmId)}: `, 50, yPos);
+          doc.fillColor(score === null ? grayColor : getScoreColor(score)).font('Helvetica')
+             .text(data.results?.invalid || data.results?.error ? noScoreLabel(data.results) : `${score === null ? 'n/a' : formatScore(score)} (${sentiment})`, 220, yPos);
+          yPos += 16;
+          
+          if (data.results?.summary && !data.results.invalid) {
+            doc.fillColor(grayColor).fontSize(10).font('Helvetica')
+               .text(data.results.summary.substring(0, 300), 60, yPos, { width: 480 });
+            yPos += doc.heightOfString(data.results.summary.substring(0, 300), { width: 480 }) + 10;
+          }
+        });
+        
+        yPos += 20;
+      });
+    }
+
+    // ==================== Final Page: Contact ====================
+    doc.addPage();
+    doc.rect(0, 0, doc.page.width, doc.page.height).fill(darkColor);
+    
+    doc.fillColor('#ffffff')
+       .fontSize(28)
+       .font('Helvetica-Bold')
+       .text('Ready to Improve Your', 50, 200, { align: 'center' });
+    doc.fillColor(primaryColor)
+       .text('AI Reputation?', 50, 240, { align: 'center' });
+    
+    doc.fillColor('#ffffff')
+       .fontSize(14)
+       .font('Helvetica')
+       .text('Contact Abstrakt Marketing Group to discuss', 50, 320, { align: 'center' });
+    doc.text('strategies for improving your AI visibility and online reputation.', 50, 340, { align: 'center' });
+    
+    doc.fillColor(secondaryColor)
+       .fontSize(16)
+       .font('Helvetica-Bold')
+       .text('www.abstraktmg.com', 50, 400, { align: 'center' });
+    
+    doc.fillColor('rgba(255,255,255,0.5)')
+       .fontSize(10)
+       .font('Helvetica')
+       .text(`Report generated: ${new Date().toLocaleDateString()}`, 50, 700, { align: 'center' });
+
+    doc.end();
+  });
+}
+
+// Generate HTML email body
+function generateEmailHTML(recipientName, recipientCompany, reportData) {
+  const visibilityIndex = calculateVisibilityIndex(reportData, reportData.visibilityWeights);
+  
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: 'Segoe UI', Arial, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4;">
+  <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+    
+    <!-- Header -->
+    <div style="background: linear-gradient(135deg, #E85D04, #F48C06); padding: 30px; text-align: center;">
+      <h1 style="color: #ffffff; margin: 0; font-size: 24px;">AI Reputation Report</h1>
+      <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 14px;">by Abstrakt Marketing Group</p>
+    </div>
+    
+    <!-- Content -->
+    <div style="padding: 30px;">
+      <p style="font-size: 16px; color: #333;">Hi ${recipientName},</p>
+      
+      <p style="font-size: 14px; color: #666; line-height: 1.6;">
+        Your AI Reputation Report for <strong>${reportData.companyName || 'your company'}</strong> is ready! 
+        Please find the detailed PDF report attached to this email.
+      </p>
+      
+      <!-- Quick Stats Box -->
+      <div style="background-color: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0; border-left: 4px solid #E85D04;">
+        <h3 style="margin: 0 0 15px 0; color: #333; font-size: 16px;">Quick Overview</h3>
+        <p style="margin: 5px 0; color: #666;">
+          <strong>AI Visibility Index:</strong> 
+          <span style="color: ${getScoreColor((visibilityIndex.score || 0) / 10)}; font-weight: bold;">${visibilityIndex.score === null ? 'N/A' : `${visibilityIndex.score}/100`}</span>
+        </p>
+        <p style="margin: 5px 0; color: #666;">
+          <strong>Company:</strong> ${reportData.companyName || 'N/A'}
+        </p>
+        <p style="margin: 5px 0; color: #666;">
+          <strong>Report Date:</strong> ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
+        </p>
+      </div>
+      
+      <p style="font-size: 14px; color: #666; line-height: 1.6;">
+        Your report includes:
+      </p>
+      <ul style="font-size: 14px; color: #666; line-height: 1.8;">
+        <li>Executive Overview & Key Metrics</li>
+        <li>Company AI Search Visibility Analysis</li>
+        <li>Misinformation Fact-Check</li>
+        <li>Leadership Reputation & Press Opportunities</li>
+        <li>Competitor Gap Analysis</li>
+        <li>AI Share of Voice</li>
+        <li>Podcast Guest Opportunities</li>
+        <li>Social Sentiment Analysis</li>
+      </ul>
+      
+      <!-- CTA Button -->
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="https://abstraktmg.com/contact" 
+           style="background: linear-gradient(135deg, #E85D04, #F48C06); 
+                  color: #ffffff; 
+                  padding: 14px 30px; 
+                  text-decoration: none; 
+                  border-radius: 6px; 
+                  font-weight: 600;
+                  display: inline-block;">
+          Schedule a Strategy Call
+        </a>
+      </div>
+    </div>
+    
+    <!-- Footer -->
+    <div style="background-color: #1a1a2e; padding: 20px; text-align: center;">
+      <p style="color: #ffffff; margin: 0 0 5px 0; font-size: 14px; font-weight: 600;">
+        Abstrakt Marketing Group
+      </p>
+      <p style="color: rgba(255,255,255,0.6); margin: 0; font-size: 12px;">
+        B2B Lead Generation & Digital Marketing
+      </p>
+      <p style="color: rgba(255,255,255,0.4); margin: 15px 0 0 0; font-size: 11px;">
+        © ${new Date().getFullYear()} Abstrakt Marketing Group. All rights reserved.
+      </p>
+    </div>
+    
+  </div>
+</body>
+</html>
+  `;
+}
+
+// Helper functions
+function regionName(id) {
+  return regionOptions.find(region => region.id === id)?.name || id.toUpperCase();
+}
+
+module.exports = { sendReportEmail, generatePDF };
@@ -0,0 +1,91 @@
+// Saved reports
+// A report is the finished results object plus the inputs that produced it,
+// stored under a short id that makes up its shareable /report/:id URL. The
+// id is random (64 bits) and works as the share link's only credential, so
+// /api/reports/:id needs no sign-in; everything else is scoped to the
+// report's workspace.
+
+const crypto = require("crypto");
+const { getCollection } = require("./store");
+
+const reports = () => getCollection("reports");
+
+function newReportId() {
+  return crypto.randomBytes(8).toString("base64url");
+}
+
+async function saveReport({ results, formData = null, selectedLLMs = null, jobId = null, workspaceId = null }) {
+  if (!results || !results.companyName) {
+    const error = new Error("Report results with a companyName are required");
+    error.status = 400;
+    throw error;
+  }
+
+  const id = newReportId();
+  const createdAt = new Date().toISOString();
+  const report = {
+    id,
+    createdAt,
+    companyName: results.companyName,
+    website: results.website || '',
+    industry: results.industry || '',
+    workspaceId,
+    jobId,
+    formData,
+    selectedLLMs,
+    results: { ...results, reportId: id, generatedAt: createdAt }
+  };
+
+  await reports().put(id, report);
+  console.log(`Saved report ${id} for ${report.companyName}`);
+  return report;
+}
+
+async function getReport(id) {
+  return reports().get(id);
+}
+
+// A report only if it belongs to the workspace; null otherwise, like a missing one
+async function getWorkspaceReport(id, workspaceId) {
+  const report = await getReport(id);
+  return report && report.workspaceId === workspaceId ? report : null;
+}
+
+// Newest first, without the heavy results payload
+async function listReports({ workspaceId, companyName, website } = {}) {
+  const all = await reports().list();
+  return all
+    .filter((r) => r.workspaceId === workspaceId)
+    .filter((r) => !companyName || r.companyName.toLowerCase() === companyName.toLowerCase())
+    .filter((r) => !website || r.website === website)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toSummary);
+}
+
+function toSummary(report) {
+  return {
+    id: report.id,
+    createdAt: report.createdAt,
+    companyName: report.companyName,
+    website: report.website,
+    industry: report.industry,
+    engines: Object.keys(report.results?.company || {})
+  };
+}
+
+// What a share link shows: the report itself, without the form it was run from,
+// the workspace and job it belongs to, or the ground-truth profile the fact
+// check was run against (the flagged claims stay)
+function toSharedReport(report) {
+  const { factCheck, ...results } = report.results || {};
+  return {
+    id: report.id,
+    createdAt: report.createdAt,
+    companyName: report.companyName,
+    website: report.website,
+    industry: report.industry,
+    results: factCheck ? { ...results, factCheck: { byLLM: factCheck.byLLM } } : results
+  };
+}
+
+module.exports = { saveReport, getReport, getWorkspaceReport, listReports, toSummary, toSharedReport };
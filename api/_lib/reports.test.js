@@ -0,0 +1,36 @@
+process.env.STORE_DRIVER = "memory";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { callHandler } = require("./testing");
+const { saveReport } = require("./reports");
+
+const reportById = require("../reports/[id]");
+
+test("a share link returns the report, not the form, fact profile, workspace or job behind it", async () => {
+  const report = await saveReport({
+    results: {
+      companyName: "Acme",
+      website: "acme.com",
+      company: {},
+      factCheck: { profile: { revenue: "internal figure" }, byLLM: { claude: { checked: 3, issues: [] } } }
+    },
+    formData: { companyName: "Acme", facts: { revenue: "internal figure" } },
+    selectedLLMs: { claude: true },
+    jobId: "job-secret",
+    workspaceId: "ws-secret"
+  });
+
+  const res = await callHandler(reportById, { query: { id: report.id } });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(Object.keys(res.body).sort(), ["companyName", "createdAt", "id", "industry", "results", "visibilityWeights", "website"]);
+  assert.deepEqual(res.body.results.factCheck, { byLLM: report.results.factCheck.byLLM });
+  assert.equal(JSON.stringify(res.body).includes("secret"), false);
+  assert.equal(JSON.stringify(res.body).includes("internal figure"), false);
+});
+
+test("unknown and malformed ids are a 404 and a 400", async () => {
+  assert.equal((await callHandler(reportById, { query: { id: "nope" } })).statusCode, 404);
+  assert.equal((await callHandler(reportById, { query: { id: "../jobs/x" } })).statusCode, 400);
+});
@@ -0,0 +1,215 @@
+// Response schemas per analysis type
+// Validates the JSON a model returned against the structure its prompt asked
+// for, coercing near-misses ("7/10" -> 7, "Positive" -> "positive") and
+// listing everything that could not be coerced.
+
+const score10 = { type: "number", min: 1, max: 10, required: true };
+const authority = { type: "number", min: 0, max: 100 };
+const sentiment = { type: "enum", values: ["positive", "neutral", "negative"], required: true };
+const relevance = { type: "enum", values: ["high", "medium", "low"] };
+const audienceSize = { type: "enum", values: ["small", "medium", "large"] };
+const text = { type: "string" };
+const strings = { type: "array", items: text };
+const list = (fields) => ({ type: "array", items: { type: "object", fields } });
+
+const source = list({
+  url: { type: "string", required: true },
+  title: text,
+  snippet: text,
+  domainAuthority: authority
+});
+
+const base = {
+  summary: { type: "string", required: true },
+  entityFound: { type: "boolean" },
+  // 0 is allowed so "not found at all" is not forced up to 1
+  confidenceScore: { type: "number", min: 0, max: 10, required: true },
+  recommendations: text
+};
+
+const SCHEMAS = {
+  entity: {
+    ...base,
+    sentimentScore: score10,
+    sentiment,
+    topSources: source,
+    backlinks: list({
+      url: { type: "string", required: true },
+      anchorText: text,
+      domainAuthority: authority,
+      type: text
+    }),
+    pressOpportunities: list({ outlet: { type: "string", required: true }, type: text, relevance }),
+    podcastOpportunities: list({ name: { type: "string", required: true }, topic: text, audienceSize })
+  },
+  press: {
+    ...base,
+    pressOpportunities: list({ outlet: { type: "string", required: true }, type: text, relevance, notes: text })
+  },
+  social: {
+    ...base,
+    sentimentScore: score10,
+    sentiment,
+    platforms: list({ platform: { type: "string", required: true }, sentiment: { ...sentiment, required: false }, notes: text }),
+    positiveHighlights: strings,
+    concerns: strings
+  },
+  podcast: {
+    ...base,
+    podcastOpportunities: list({ name: { type: "string", required: true }, topic: text, audienceSize, host: text, fit: text })
+  },
+  leadership: {
+    ...base,
+    sentimentScore: score10,
+    sentiment,
+    mediaAppearances: list({ outlet: { type: "string", required: true }, type: text, title: text }),
+    topSources: source
+  },
+  // Category (share-of-voice) prompts list companies rather than describe one
+  category: {
+    summary: { type: "string", required: true },
+    recommendedCompanies: list({
+      name: { type: "string", required: true },
+      rank: { type: "number", min: 1, max: 100 },
+      framing: { type: "enum", values: ["positive", "neutral", "negative"] },
+      reason: text
+    }),
+    recommendations: text
+  },
+  // Fact-check of an engine's company summary against the ground-truth profile
+  factcheck: {
+    summary: { type: "string", required: true },
+    claims: list({
+      claim: { type: "string", required: true },
+      topic: text,
+      status: { type: "enum", values: ["correct", "incorrect", "outdated", "unverifiable"], required: true },
+      correctValue: text,
+      explanation: text
+    })
+  },
+  competitor: {
+    ...base,
+    strengths: strings,
+    weaknesses: strings,
+    keyBacklinks: list({ url: { type: "string", required: true }, type: text, domainAuthority: authority }),
+    contentStrategy: text
+  }
+};
+
+function getSchema(analysisType) {
+  return SCHEMAS[analysisType] || SCHEMAS.entity;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// "7", "7/10", "7 out of 10", "70%", "70/100" -> a number on the field's scale
+function toNumber(value, max) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+  if (typeof value !== "string") return undefined;
+
+  const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*(?:(?:\/|out of)\s*(\d+(?:\.\d+)?)|(%))?$/i);
+  if (!match) return undefined;
+
+  const number = parseFloat(match[1]);
+  const outOf = match[3] ? 100 : match[2] ? parseFloat(match[2]) : null;
+  if (outOf && max && outOf !== max) {
+    return Math.round((number / outOf) * max * 10) / 10;
+  }
+  return number;
+}
+
+function coerce(spec, value, path, errors) {
+  switch (spec.type) {
+    case "string":
+      if (typeof value === "string") return value;
+      if (typeof value === "number" || typeof value === "boolean") return String(value);
+      if (Array.isArray(value) && value.every((v) => typeof v === "string")) return value.join(" ");
+      errors.push(`${path} must be a string`);
+      return undefined;
+
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (["true", "yes", "1"].includes(String(value).toLowerCase())) return true;
+      if (["false", "no", "0"].includes(String(value).toLowerCase())) return false;
+      errors.push(`${path} must be true or false`);
+      return undefined;
+
+    case "number": {
+      const number = toNumber(value, spec.max);
+      if (number === undefined) {
+        errors.push(`${path} must be a number`);
+        return undefined;
+      }
+      if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+        errors.push(`${path} must be between ${spec.min} and ${spec.max} (got ${number})`);
+        return undefined;
+      }
+      return number;
+    }
+
+    case "enum": {
+      const normalized = typeof value === "string" ? value.trim().toLowerCase() : value;
+      if (spec.values.includes(normalized)) return normalized;
+      errors.push(`${path} must be one of ${spec.values.join("/")}`);
+      return undefined;
+    }
+
+    case "array": {
+      // A lone object where a list was asked for is a list of one
+      const items = Array.isArray(value) ? value : isPlainObject(value) ? [value] : null;
+      if (!items) {
+        errors.push(`${path} must be an array`);
+        return undefined;
+      }
+      return items.map((item, i) => coerce(spec.items, item, `${path}[${i}]`, errors));
+    }
+
+    case "object":
+      if (!isPlainObject(value)) {
+        errors.push(`${path} must be an object`);
+        return undefined;
+      }
+      return coerceFields(spec.fields, value, path, errors);
+
+    default:
+      return value;
+  }
+}
+
+function coerceFields(fields, data, path, errors) {
+  // Fields outside the schema are passed through untouched
+  const result = { ...data };
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const fieldPath = path ? `${path}.${name}` : name;
+    const value = data[name];
+
+    if (value === undefined || value === null || value === "") {
+      if (spec.required) errors.push(`${fieldPath} is required`);
+      if (spec.type === "array") result[name] = [];
+      else delete result[name];
+      continue;
+    }
+
+    const coerced = coerce(spec, value, fieldPath, errors);
+    if (coerced === undefined) delete result[name];
+    else result[name] = coerced;
+  }
+
+  return result;
+}
+
+// Returns { value, errors }; the result is only usable when errors is empty
+function validateResult(analysisType, data) {
+  if (!isPlainObject(data)) {
+    return { value: null, errors: ["response is not a JSON object"] };
+  }
+
+  const errors = [];
+  const value = coerceFields(getSchema(analysisType), data, "", errors);
+  return { value, errors };
+}
+
+module.exports = { validateResult };
@@ -0,0 +1,79 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateResult } = require("./schema");
+
+const entity = (fields) => ({ summary: "Acme makes rockets", confidenceScore: 7, sentimentScore: 6, sentiment: "positive", ...fields });
+
+test("scores written as text are read on the field's own scale", () => {
+  const { value, errors } = validateResult("entity", entity({
+    confidenceScore: "7/10",
+    sentimentScore: "7 out of 10",
+    topSources: [
+      { url: "https://a.example", domainAuthority: "70/100" },
+      { url: "https://b.example", domainAuthority: "7/10" },
+      { url: "https://c.example", domainAuthority: "70%" }
+    ]
+  }));
+
+  assert.deepEqual(errors, []);
+  assert.equal(value.confidenceScore, 7);
+  assert.equal(value.sentimentScore, 7);
+  assert.deepEqual(value.topSources.map((source) => source.domainAuthority), [70, 70, 70]);
+
+  assert.equal(validateResult("entity", entity({ sentimentScore: "70%" })).value.sentimentScore, 7);
+});
+
+test("numbers that can't be read or are out of range are errors", () => {
+  const { value, errors } = validateResult("entity", entity({ confidenceScore: "very high", sentimentScore: "12" }));
+
+  assert.deepEqual(errors, ["confidenceScore must be a number", "sentimentScore must be between 1 and 10 (got 12)"]);
+  assert.equal(value.confidenceScore, undefined);
+  assert.equal(value.sentimentScore, undefined);
+});
+
+test("enum values are matched regardless of case and spacing", () => {
+  const { value, errors } = validateResult("entity", entity({
+    sentiment: " Positive ",
+    pressOpportunities: [{ outlet: "Wired", relevance: "HIGH" }]
+  }));
+
+  assert.deepEqual(errors, []);
+  assert.equal(value.sentiment, "positive");
+  assert.equal(value.pressOpportunities[0].relevance, "high");
+
+  assert.deepEqual(validateResult("entity", entity({ sentiment: "mixed" })).errors, ["sentiment must be one of positive/neutral/negative"]);
+});
+
+test("a lone object where a list was asked for becomes a list of one", () => {
+  const { value, errors } = validateResult("entity", entity({
+    topSources: { url: "https://a.example", title: "About Acme" },
+    backlinks: null
+  }));
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value.topSources, [{ url: "https://a.example", title: "About Acme" }]);
+  assert.deepEqual(value.backlinks, []);
+});
+
+test("missing required fields are listed with their path", () => {
+  const { errors } = validateResult("entity", {
+    summary: "",
+    sentiment: "neutral",
+    topSources: [{ title: "No link" }]
+  });
+
+  assert.deepEqual(errors, [
+    "summary is required",
+    "confidenceScore is required",
+    "sentimentScore is required",
+    "topSources[0].url is required"
+  ]);
+  assert.deepEqual(validateResult("entity", ["not", "an", "object"]).errors, ["response is not a JSON object"]);
+});
+
+test("fields outside the schema pass through untouched", () => {
+  const { value } = validateResult("category", { summary: "Top picks", recommendedCompanies: [{ name: "Acme", rank: "1", extra: true }], note: "kept" });
+
+  assert.equal(value.note, "kept");
+  assert.deepEqual(value.recommendedCompanies, [{ name: "Acme", rank: 1, extra: true }]);
+});
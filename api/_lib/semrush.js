@@ -0,0 +1,543 @@
+// SEMRush API client
+// Shared by /api/semrush and the job runner; fetches Domain Authority and Backlink data
+// and computes the referring-domain gap against competitors
+
+const { withRateLimit } = require("./ratelimit");
+const { withCache } = require("./cache");
+const { recordSemrushUsage, semrushUnits } = require("./usage");
+const regionOptions = require("../../src/lib/regions");
+
+// Referring domains pulled per domain for the gap analysis (highest authority first)
+const REFDOMAINS_LIMIT = 100;
+// Most pages of our own referring domains fetched to rule candidates out
+const OUR_REFDOMAINS_MAX_PAGES = 10;
+// Backlinks listed per domain in the backlink report
+const TOP_BACKLINKS_LIMIT = 20;
+
+// Organic keywords pulled per domain for the keyword report (highest traffic first)
+const ORGANIC_KEYWORDS_LIMIT = 100;
+// Target keywords looked up individually when the domain does not rank for them
+const MAX_TARGET_KEYWORDS = 20;
+
+// SEMRush SERP feature codes (Fk/Fp columns). The AI ones are where a search
+// engine answers the query itself instead of sending a click.
+const SERP_FEATURES = {
+  0: "Instant answer",
+  1: "Knowledge panel",
+  2: "Carousel",
+  3: "Local pack",
+  4: "Top stories",
+  5: "Image pack",
+  6: "Sitelinks",
+  7: "Reviews",
+  9: "Video",
+  11: "Featured snippet",
+  13: "Image",
+  14: "Top ads",
+  15: "Bottom ads",
+  21: "People also ask",
+  22: "FAQ",
+  52: "AI Overview"
+};
+const AI_SERP_FEATURES = ["0", "1", "11", "21", "52"];
+
+// Clean domain (remove protocol, www, trailing slash)
+function cleanDomain(domain) {
+  return domain
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/$/, '')
+    .split('/')[0];
+}
+
+// Data lines in a reply (after the header row); SEMRush bills units per line
+function countLines(text) {
+  if (text.includes("ERROR")) return 0;
+  return Math.max(0, text.trim().split('\n').length - 1);
+}
+
+// GET a SEMRush report through the shared limiter; 429s throw so they are retried.
+// The units it used are logged against meter ({ workspaceId, jobId }); deadline
+// is passed on to withRateLimit.
+async function semrushRequest(url, meter, deadline) {
+  const text = await withRateLimit("semrush", async () => {
+    const response = await fetch(url);
+    if (response.status === 429) {
+      const error = new Error("SEMRush rate limit exceeded");
+      error.status = 429;
+      error.retryAfter = response.headers.get("retry-after");
+      throw error;
+    }
+    return response.text();
+  }, { deadline });
+
+  await recordSemrushUsage(meter, { reportType: new URL(url).searchParams.get("type"), lines: countLines(text) });
+  return text;
+}
+
+// Cache key is the request minus the API key: endpoint, report type, domain,
+// database and columns. ERROR replies are never cached.
+function cacheKey(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.delete("key");
+  parsed.searchParams.sort();
+  return `${parsed.pathname}?${parsed.searchParams}`;
+}
+
+// Returns a request function that goes through the cache and remembers when
+// the oldest piece of data it served was fetched
+function createCachedRequester({ refresh = false, meter = null, deadline = null } = {}) {
+  const fetchedAt = [];
+
+  const request = async (url) => {
+    const { value, cachedAt } = await withCache("semrush", [cacheKey(url)], () => semrushRequest(url, meter, deadline), {
+      refresh,
+      shouldCache: (text) => !text.includes("ERROR")
+    });
+    fetchedAt.push(cachedAt);
+    return value;
+  };
+
+  request.cachedAt = () => fetchedAt.sort()[0] || new Date().toISOString();
+  return request;
+}
+
+function getApiKey() {
+  const apiKey = process.env.SEMRUSH_API_KEY;
+  if (!apiKey) {
+    const error = new Error("SEMRush API key not configured");
+    error.status = 500;
+    error.hint = "Add SEMRUSH_API_KEY to Vercel environment variables";
+    throw error;
+  }
+  return apiKey;
+}
+
+function assertDatabase(database) {
+  if (!regionOptions.some((region) => region.id === database)) {
+    const error = new Error(`Unknown SEMRush database "${database}"`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+// Domain Overview (rank, organic keywords/traffic, ads) for one regional database
+async function fetchOverview(request, apiKey, target, database) {
+  const overviewUrl = `https://api.semrush.com/?type=domain_ranks&key=${apiKey}&export_columns=Dn,Rk,Or,Ot,Oc,Ad,At,Ac,Sh,Sv&domain=${target}&database=${database}`;
+
+  const overviewText = await request(overviewUrl);
+
+  console.log(`Overview response (${database}):`, overviewText.substring(0, 200));
+
+  if (overviewText.includes("ERROR")) {
+    return { error: overviewText };
+  }
+  return parseSemrushResponse(overviewText, [
+    'domain', 'rank', 'organic_keywords', 'organic_traffic',
+    'organic_cost', 'adwords_keywords', 'adwords_traffic',
+    'adwords_cost', 'pl_keywords', 'pl_traffic'
+  ]);
+}
+
+// database picks the regional organic data for the overview; databases adds
+// a per-country overview table (multi-region mode). type "keywords" pulls the
+// domain's top organic keywords and cross-references targetKeywords.
+async function fetchSemrushData(domain, type = "overview", { refresh = false, database = "us", databases = [], targetKeywords = [], meter = null, deadline = null } = {}) {
+  assertDatabase(database);
+  databases.forEach(assertDatabase);
+
+  const apiKey = getApiKey();
+  const request = createCachedRequester({ refresh, meter, deadline });
+
+  const target = cleanDomain(domain);
+
+  console.log(`SEMRush API call for: ${target}, type: ${type}`);
+
+  let data = { database };
+
+  if (type === "overview" || type === "all") {
+    // Domain Overview - Authority Score, Traffic, etc.
+    data.overview = await fetchOverview(request, apiKey, target, database);
+
+    if (databases.length > 0) {
+      const ids = [...new Set([database, ...databases])];
+      data.regions = await Promise.all(ids.map(async (id) => ({
+        database: id,
+        name: regionOptions.find((region) => region.id === id).name,
+        ...(id === database ? data.overview : await fetchOverview(request, apiKey, target, id))
+      })));
+    }
+  }
+
+  if (type === "backlinks" || type === "all") {
+    // Backlink Overview
+    const backlinksUrl = `https://api.semrush.com/analytics/v1/?key=${apiKey}&type=backlinks_overview&target=${target}&target_type=root_domain&export_columns=total,domains_num,urls_num,ips_num,follows_num,nofollows_num,texts_num,images_num,forms_num,frames_num`;
+    
+    const backlinksText = await request(backlinksUrl);
+    
+    console.log("Backlinks response:", backlinksText.substring(0, 200));
+    
+    if (backlinksText.includes("ERROR")) {
+      data.backlinks = { error: backlinksText };
+    } else {
+      data.backlinks = parseSemrushBacklinks(backlinksText);
+    }
+
+    // Top Backlinks (referring domains)
+    const topBacklinksUrl = `https://api.semrush.com/analytics/v1/?key=${apiKey}&type=backlinks&target=${target}&target_type=root_domain&export_columns=source_url,source_title,external_num,internal_num,last_seen,first_seen,anchor,form,nofollow,page_ascore&display_limit=${TOP_BACKLINKS_LIMIT}`;
+    
+    const topBacklinksText = await request(topBacklinksUrl);
+    
+    if (!topBacklinksText.includes("ERROR")) {
+      data.topBacklinks = parseSemrushTopBacklinks(topBacklinksText);
+    }
+  }
+
+  if (type === "keywords") {
+    data.keywords = await fetchKeywordRankings(request, apiKey, target, database, targetKeywords);
+  }
+
+  if (type === "authority" || type === "all") {
+    // Authority Score
+    const authorityUrl = `https://api.semrush.com/analytics/v1/?key=${apiKey}&type=domain_rank&target=${target}&export_columns=domain_ascore`;
+    
+    const authorityText = await request(authorityUrl);
+    
+    console.log("Authority response:", authorityText.substring(0, 200));
+    
+    if (!authorityText.includes("ERROR")) {
+      const lines = authorityText.trim().split('\n');
+      if (lines.length > 1) {
+        data.authorityScore = parseInt(lines[1]) || 0;
+      }
+    }
+  }
+
+  return {
+    domain: target,
+    data,
+    timestamp: new Date().toISOString(),
+    cachedAt: request.cachedAt()
+  };
+}
+
+// "seo, lead generation\nppc" -> ["seo", "lead generation", "ppc"]
+function parseTargetKeywords(keywords) {
+  const list = Array.isArray(keywords) ? keywords : String(keywords || "").split(/[,;\n]/);
+  return [...new Set(list.map((k) => String(k).trim().toLowerCase()).filter(Boolean))]
+    .slice(0, MAX_TARGET_KEYWORDS);
+}
+
+function describeFeatures(codes) {
+  return codes.map((code) => SERP_FEATURES[code] || `Feature ${code}`);
+}
+
+// Top organic keywords for the domain, then each target keyword marked as
+// ranking (exact phrase or a ranking phrase containing it) or not ranking.
+// Targets we do not rank for are looked up on their own so their volume and
+// AI features are still known.
+async function fetchKeywordRankings(request, apiKey, target, database, targetKeywords) {
+  const organicUrl = `https://api.semrush.com/?type=domain_organic&key=${apiKey}&domain=${target}&database=${database}&display_sort=tr_desc&display_limit=${ORGANIC_KEYWORDS_LIMIT}&export_columns=Ph,Po,Nq,Ur,Fk,Fp`;
+
+  const organicText = await request(organicUrl);
+  if (organicText.includes("ERROR") && !organicText.includes("NOTHING FOUND")) {
+    throw new Error(`SEMRush organic keywords failed for ${target}: ${organicText.trim()}`);
+  }
+  const topKeywords = organicText.includes("ERROR") ? [] : parseSemrushOrganicKeywords(organicText);
+
+  const targets = await Promise.all(parseTargetKeywords(targetKeywords).map(async (keyword) => {
+    // "seo" matches "local seo agency" but not "seoul"
+    const matches = topKeywords.filter((k) => ` ${k.keyword} `.includes(` ${keyword} `));
+    const best = matches.find((k) => k.keyword === keyword) ||
+      matches.slice().sort((a, b) => a.position - b.position)[0];
+
+    if (best) {
+      return {
+        keyword,
+        ranking: true,
+        exact: best.keyword === keyword,
+        matchedKeyword: best.keyword,
+        position: best.position,
+        volume: best.volume,
+        url: best.url,
+        serpFeatures: best.serpFeatures,
+        aiFeatures: best.aiFeatures,
+        relatedMatches: matches.length
+      };
+    }
+
+    const phraseUrl = `https://api.semrush.com/?type=phrase_this&key=${apiKey}&phrase=${encodeURIComponent(keyword)}&database=${database}&export_columns=Ph,Nq,Fk`;
+    const phraseText = await request(phraseUrl);
+    const phrase = phraseText.includes("ERROR") ? null : parseSemrushResponse(phraseText, ['keyword', 'volume', 'features']);
+    const codes = splitCodes(phrase?.features);
+
+    return {
+      keyword,
+      ranking: false,
+      exact: false,
+      matchedKeyword: null,
+      position: null,
+      volume: phrase ? parseInt(phrase.volume) || 0 : null,
+      url: null,
+      serpFeatures: describeFeatures(codes),
+      aiFeatures: describeFeatures(codes.filter((code) => AI_SERP_FEATURES.includes(code))),
+      relatedMatches: 0
+    };
+  }));
+
+  return {
+    database,
+    topKeywords,
+    targets,
+    summary: {
+      ranking: targets.filter((t) => t.ranking).length,
+      notRanking: targets.filter((t) => !t.ranking).length,
+      withAiFeatures: targets.filter((t) => t.aiFeatures.length > 0).length
+    }
+  };
+}
+
+// Most API units a fetch can use (every line returned, nothing cached), for
+// pre-run cost estimates. type is "all", "keywords" or "gap".
+function estimateUnits(type, { database = "us", databases = [], targetKeywords = [], competitors = [] } = {}) {
+  if (type === "keywords") {
+    return semrushUnits("domain_organic", ORGANIC_KEYWORDS_LIMIT) +
+      semrushUnits("phrase_this", parseTargetKeywords(targetKeywords).length);
+  }
+  if (type === "gap") {
+    const pages = OUR_REFDOMAINS_MAX_PAGES + competitors.filter((competitor) => competitor.domain).length;
+    return semrushUnits("backlinks_refdomains", REFDOMAINS_LIMIT * pages);
+  }
+  const regions = new Set([database, ...databases]).size;
+  return semrushUnits("domain_ranks", regions) +
+    semrushUnits("backlinks_overview", 1) +
+    semrushUnits("backlinks", TOP_BACKLINKS_LIMIT) +
+    semrushUnits("domain_rank", 1);
+}
+
+// One page of referring domains for a root domain, highest authority first
+async function fetchReferringDomains(domain, request, { page = 0 } = {}) {
+  const apiKey = getApiKey();
+  const target = cleanDomain(domain);
+  const offset = page > 0 ? `&display_offset=${page * REFDOMAINS_LIMIT}` : "";
+
+  const url = `https://api.semrush.com/analytics/v1/?key=${apiKey}&type=backlinks_refdomains&target=${target}&target_type=root_domain&export_columns=domain,domain_ascore,backlinks_num&display_sort=domain_ascore_desc&display_limit=${REFDOMAINS_LIMIT}${offset}`;
+
+  const text = await request(url);
+
+  if (text.includes("ERROR")) {
+    // "ERROR 50 :: NOTHING FOUND" just means no referring domains yet
+    if (text.includes("NOTHING FOUND")) return [];
+    throw new Error(`SEMRush referring domains failed for ${target}: ${text.trim()}`);
+  }
+
+  return parseSemrushRefDomains(text);
+}
+
+// Domains that link to at least minCompetitors competitors, strongest first
+function findCandidates(competitors, minCompetitors) {
+  const prospects = new Map();
+
+  competitors.forEach((competitor) => {
+    competitor.referringDomains.forEach((ref) => {
+      const prospect = prospects.get(ref.domain) || {
+        domain: ref.domain,
+        authorityScore: ref.authorityScore,
+        competitors: []
+      };
+      prospect.authorityScore = Math.max(prospect.authorityScore, ref.authorityScore);
+      if (!prospect.competitors.includes(competitor.name)) {
+        prospect.competitors.push(competitor.name);
+      }
+      prospects.set(ref.domain, prospect);
+    });
+  });
+
+  return [...prospects.values()]
+    .filter((prospect) => prospect.competitors.length >= minCompetitors)
+    .sort((a, b) => b.authorityScore - a.authorityScore || b.competitors.length - a.competitors.length);
+}
+
+// Our referring domains, page by page, until every candidate can be ruled in or
+// out. The list is sorted by authority, so once it has gone below a candidate's
+// score, a candidate missing from it doesn't link to us. Resolves to
+// { domains, cutoff }: cutoff is the weakest score fetched when the list was
+// cut short (candidates at or below it are unknown), or null when it is complete.
+async function fetchOurReferringDomains(target, request, candidates, firstPage) {
+  const weakestCandidate = Math.min(...candidates.map((candidate) => candidate.authorityScore));
+  const domains = [];
+  let batch = firstPage;
+
+  for (let page = 0; ; page++) {
+    if (page > 0) batch = await fetchReferringDomains(target, request, { page });
+    domains.push(...batch);
+    if (batch.length < REFDOMAINS_LIMIT) return { domains, cutoff: null };
+
+    const cutoff = batch[batch.length - 1].authorityScore;
+    if (cutoff < weakestCandidate || page + 1 >= OUR_REFDOMAINS_MAX_PAGES) return { domains, cutoff };
+  }
+}
+
+// Domains that link to several competitors but not to us are the strongest
+// outreach prospects. With a single competitor, one link is enough (the UI and
+// PDF say so). Candidates our own list was too short to rule out are counted
+// as unconfirmed and left out rather than listed as prospects.
+function computeBacklinkGap(candidates, ours) {
+  const ourDomains = new Set(ours.domains.map((ref) => ref.domain));
+  const notOurs = candidates.filter((candidate) => !ourDomains.has(candidate.domain));
+  const confirmed = ours.cutoff === null ? notOurs : notOurs.filter((candidate) => candidate.authorityScore > ours.cutoff);
+  return { prospects: confirmed, unconfirmed: notOurs.length - confirmed.length };
+}
+
+// competitors: [{ name, domain }]
+async function fetchBacklinkGap(domain, competitors, { refresh = false, meter = null, deadline = null } = {}) {
+  const target = cleanDomain(domain);
+  const request = createCachedRequester({ refresh, meter, deadline });
+  const withDomains = competitors.filter((competitor) => competitor.domain);
+
+  console.log(`SEMRush backlink gap for: ${target} vs ${withDomains.length} competitors`);
+
+  const [ourFirstPage, ...theirs] = await Promise.all([
+    fetchReferringDomains(target, request),
+    ...withDomains.map((competitor) => fetchReferringDomains(competitor.domain, request))
+  ]);
+
+  const compared = withDomains.map((competitor, i) => ({
+    name: competitor.name || cleanDomain(competitor.domain),
+    domain: cleanDomain(competitor.domain),
+    referringDomains: theirs[i]
+  }));
+
+  const minCompetitors = Math.min(2, compared.length);
+  const candidates = findCandidates(compared, minCompetitors);
+  const ours = candidates.length > 0
+    ? await fetchOurReferringDomains(target, request, candidates, ourFirstPage)
+    : { domains: ourFirstPage, cutoff: null };
+  const { prospects, unconfirmed } = computeBacklinkGap(candidates, ours);
+
+  return {
+    domain: target,
+    minCompetitors,
+    competitors: compared.map((competitor) => ({
+      name: competitor.name,
+      domain: competitor.domain,
+      referringDomains: competitor.referringDomains.length
+    })),
+    prospects,
+    unconfirmed,
+    timestamp: new Date().toISOString(),
+    cachedAt: request.cachedAt()
+  };
+}
+
+// Parse semicolon-separated SEMRush response
+function parseSemrushResponse(text, columns) {
+  const lines = text.trim().split('\n');
+  if (lines.length < 2) return null;
+  
+  const values = lines[1].split(';');
+  const result = {};
+  
+  columns.forEach((col, i) => {
+    result[col] = values[i] || '';
+  });
+  
+  return result;
+}
+
+// Parse backlinks overview
+function parseSemrushBacklinks(text) {
+  const lines = text.trim().split('\n');
+  if (lines.length < 2) return null;
+  
+  const values = lines[1].split(';');
+  
+  return {
+    total: parseInt(values[0]) || 0,
+    referringDomains: parseInt(values[1]) || 0,
+    referringUrls: parseInt(values[2]) || 0,
+    referringIps: parseInt(values[3]) || 0,
+    followLinks: parseInt(values[4]) || 0,
+    nofollowLinks: parseInt(values[5]) || 0,
+    textLinks: parseInt(values[6]) || 0,
+    imageLinks: parseInt(values[7]) || 0
+  };
+}
+
+// Parse top backlinks list
+function parseSemrushTopBacklinks(text) {
+  const lines = text.trim().split('\n');
+  if (lines.length < 2) return [];
+  
+  const results = [];
+  for (let i = 1; i < lines.length; i++) {
+    const values = lines[i].split(';');
+    if (values.length > 0) {
+      results.push({
+        sourceUrl: values[0] || '',
+        sourceTitle: values[1] || '',
+        externalLinks: parseInt(values[2]) || 0,
+        internalLinks: parseInt(values[3]) || 0,
+        lastSeen: values[4] || '',
+        firstSeen: values[5] || '',
+        anchor: values[6] || '',
+        type: values[7] || '',
+        nofollow: values[8] === '1',
+        authorityScore: parseInt(values[9]) || 0
+      });
+    }
+  }
+  
+  return results;
+}
+
+function splitCodes(value) {
+  return String(value || '').split(',').map((code) => code.trim()).filter(Boolean);
+}
+
+// Parse domain_organic rows (Ph, Po, Nq, Ur, Fk, Fp)
+function parseSemrushOrganicKeywords(text) {
+  const lines = text.trim().split('\n');
+  if (lines.length < 2) return [];
+
+  const results = [];
+  for (let i = 1; i < lines.length; i++) {
+    const values = lines[i].split(';');
+    if (!values[0]) continue;
+    const codes = splitCodes(values[4]);
+    results.push({
+      keyword: values[0].trim().toLowerCase(),
+      position: parseInt(values[1]) || null,
+      volume: parseInt(values[2]) || 0,
+      url: values[3] || '',
+      serpFeatures: describeFeatures(codes),
+      aiFeatures: describeFeatures(codes.filter((code) => AI_SERP_FEATURES.includes(code))),
+      // Features where this domain itself is the one shown
+      ownedFeatures: describeFeatures(splitCodes(values[5]))
+    });
+  }
+
+  return results;
+}
+
+// Parse referring domains list
+function parseSemrushRefDomains(text) {
+  const lines = text.trim().split('\n');
+  if (lines.length < 2) return [];
+
+  const results = [];
+  for (let i = 1; i < lines.length; i++) {
+    const values = lines[i].split(';');
+    if (values[0]) {
+      results.push({
+        domain: values[0].trim().toLowerCase().replace(/^www\./, ''),
+        authorityScore: parseInt(values[1]) || 0,
+        backlinks: parseInt(values[2]) || 0
+      });
+    }
+  }
+
+  return results;
+}
+
+module.exports = { cleanDomain, fetchSemrushData, fetchBacklinkGap, computeBacklinkGap, estimateUnits };
@@ -0,0 +1,82 @@
+process.env.STORE_DRIVER = "memory";
+process.env.SEMRUSH_API_KEY = "test-key";
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { fetchBacklinkGap } = require("./semrush");
+
+// Referring domain pages by target, SEMRush CSV style
+let pages = {};
+let requested = [];
+const realFetch = global.fetch;
+
+const refDomains = (rows) => ["domain;domain_ascore;backlinks_num", ...rows.map(([domain, score]) => `${domain};${score};3`)].join("\n");
+const filler = (prefix, count, score) => Array.from({ length: count }, (_, i) => [`${prefix}${i}.com`, score(i)]);
+
+beforeEach(() => {
+  pages = {};
+  requested = [];
+  global.fetch = async (url) => {
+    const params = new URL(url).searchParams;
+    requested.push({ target: params.get("target"), offset: Number(params.get("display_offset") || 0) });
+    const page = (pages[params.get("target")] || [])[Number(params.get("display_offset") || 0) / 100];
+    return new Response(page ? refDomains(page) : "ERROR 50 :: NOTHING FOUND");
+  };
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+const competitors = [{ name: "Rival", domain: "rival.com" }, { name: "Other", domain: "other.com" }];
+
+test("domains beyond our top 100 that already link to us are not prospects", async () => {
+  pages["us.com"] = [
+    filler("ours", 100, (i) => 90 - Math.floor(i / 4)),
+    [["shared-low.com", 40], ["ours-late.com", 30]]
+  ];
+  const shared = [["gap.com", 70], ["shared-low.com", 40], ["ours5.com", 89]];
+  pages["rival.com"] = [shared];
+  pages["other.com"] = [[...shared, ["rival-only.com", 80]]];
+
+  const gap = await fetchBacklinkGap("us.com", competitors, { refresh: true });
+
+  assert.deepEqual(gap.prospects.map((prospect) => prospect.domain), ["gap.com"]);
+  assert.deepEqual(gap.prospects[0].competitors, ["Rival", "Other"]);
+  assert.equal(gap.minCompetitors, 2);
+  assert.equal(gap.unconfirmed, 0);
+  assert.deepEqual(requested.filter((r) => r.target === "us.com").map((r) => r.offset), [0, 100]);
+});
+
+test("our list stops paging once it is weaker than every candidate", async () => {
+  pages["us.com"] = [filler("ours", 100, () => 50), filler("more", 100, () => 10)];
+  pages["rival.com"] = [[["gap.com", 70]]];
+  pages["other.com"] = [[["gap.com", 70]]];
+
+  const gap = await fetchBacklinkGap("us.com", competitors, { refresh: true });
+
+  assert.deepEqual(gap.prospects.map((prospect) => prospect.domain), ["gap.com"]);
+  assert.deepEqual(requested.filter((r) => r.target === "us.com").map((r) => r.offset), [0]);
+});
+
+test("candidates our capped list can't rule out are unconfirmed, not prospects", async () => {
+  pages["us.com"] = Array.from({ length: 12 }, (_, page) => filler(`p${page}-`, 100, () => 60));
+  pages["rival.com"] = [[["strong.com", 80], ["weak.com", 20]]];
+  pages["other.com"] = [[["strong.com", 80], ["weak.com", 20]]];
+
+  const gap = await fetchBacklinkGap("us.com", competitors, { refresh: true });
+
+  assert.deepEqual(gap.prospects.map((prospect) => prospect.domain), ["strong.com"]);
+  assert.equal(gap.unconfirmed, 1);
+  assert.equal(requested.filter((r) => r.target === "us.com").length, 10);
+});
+
+test("a single competitor needs only one link, and says so", async () => {
+  pages["us.com"] = [[["ours.com", 50]]];
+  pages["rival.com"] = [[["gap.com", 70], ["ours.com", 50]]];
+
+  const gap = await fetchBacklinkGap("us.com", [competitors[0]], { refresh: true });
+
+  assert.equal(gap.minCompetitors, 1);
+  assert.deepEqual(gap.prospects.map((prospect) => prospect.domain), ["gap.com"]);
+});
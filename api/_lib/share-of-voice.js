@@ -0,0 +1,109 @@
+// Share of voice for category prompts
+// Category prompts ("best <industry> companies for <keywords>") never name us,
+// so they show whether an engine recommends us, not just whether it knows us.
+// Mentions are matched here against our name and each competitor's, instead
+// of asking the model to flag them.
+
+// "best B2B marketing companies for SEO" style prompts; needs an industry or keywords
+function buildCategoryQueries(formData) {
+  const industry = (formData.industry || "").trim();
+  const keywords = (formData.keywords || "").split(/[,;\n]/).map((k) => k.trim()).filter(Boolean);
+  if (!industry && keywords.length === 0) return [];
+
+  const category = industry || keywords[0];
+  const focus = keywords.length > 0 ? keywords.slice(0, 3).join(", ") : null;
+
+  return [
+    `What are the best ${category} companies${focus ? ` for ${focus}` : ""}?`,
+    `Which ${category} company would you recommend${focus ? ` for ${keywords[0]}` : ""}, and why?`,
+    `Who are the leading ${category} providers right now${focus ? ` for ${focus}` : ""}?`
+  ];
+}
+
+// "Acme, Inc." -> "acme"
+function normalizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[.,]/g, " ")
+    .replace(/\b(inc|llc|ltd|corp|corporation|co|company|group|plc|gmbh)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function isSameBrand(recommended, brand) {
+  const a = normalizeName(recommended);
+  const b = normalizeName(brand);
+  if (!a || !b) return false;
+  return a === b || ` ${a} `.includes(` ${b} `) || ` ${b} `.includes(` ${a} `);
+}
+
+// Where one brand shows up in one category answer. A brand named only in the
+// summary counts as mentioned, without a rank or framing.
+function findMention(results, brand) {
+  const companies = results.recommendedCompanies || [];
+  const index = companies.findIndex((company) => isSameBrand(company.name, brand));
+  if (index >= 0) {
+    const company = companies[index];
+    return { mentioned: true, rank: company.rank || index + 1, framing: company.framing || null, reason: company.reason || "" };
+  }
+
+  const name = normalizeName(brand).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const inSummary = Boolean(name) && new RegExp(`\\b${name}\\b`).test(normalizeName(results.summary));
+  return { mentioned: inSummary, rank: null, framing: null, reason: "" };
+}
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// byLLM: { [llmId]: { llm, prompts: [{ query, results }] } }
+// Share of voice = this brand's mentions / every company recommended across
+// the engine's prompts. Errored and invalid answers are left out.
+function buildShareOfVoice({ queries, byLLM, companyName, competitorNames }) {
+  const brands = [
+    { name: companyName, isCompetitor: false },
+    ...competitorNames.map((name) => ({ name, isCompetitor: true }))
+  ];
+  const totals = { recommendations: 0, mentions: brands.map(() => 0), prompts: 0 };
+
+  const engines = Object.entries(byLLM).map(([llmId, entry]) => {
+    const usable = entry.prompts.filter((p) => p.results && !p.results.error && !p.results.invalid);
+    const recommendations = usable.reduce((sum, p) => sum + Math.max((p.results.recommendedCompanies || []).length, 1), 0);
+
+    const prompts = entry.prompts.map((p) => ({
+      query: p.query,
+      failed: !usable.includes(p),
+      mentions: usable.includes(p) ? brands.map((brand) => ({ brand: brand.name, ...findMention(p.results, brand.name) })) : []
+    }));
+
+    const brandStats = brands.map((brand, i) => {
+      const mentions = prompts.filter((p) => p.mentions[i]?.mentioned);
+      const ranks = mentions.map((p) => p.mentions[i].rank).filter(Boolean);
+      totals.mentions[i] += mentions.length;
+      return {
+        name: brand.name,
+        isCompetitor: brand.isCompetitor,
+        mentions: mentions.length,
+        shareOfVoice: percent(mentions.length, recommendations),
+        mentionRate: percent(mentions.length, usable.length),
+        averageRank: ranks.length ? Math.round((ranks.reduce((a, b) => a + b, 0) / ranks.length) * 10) / 10 : null
+      };
+    });
+
+    totals.recommendations += recommendations;
+    totals.prompts += usable.length;
+
+    return { llmId, llm: entry.llm, answered: usable.length, prompts, brands: brandStats };
+  });
+
+  return {
+    queries,
+    engines,
+    overall: brands.map((brand, i) => ({
+      name: brand.name,
+      isCompetitor: brand.isCompetitor,
+      shareOfVoice: percent(totals.mentions[i], totals.recommendations),
+      mentionRate: percent(totals.mentions[i], totals.prompts)
+    }))
+  };
+}
+
+module.exports = { buildCategoryQueries, buildShareOfVoice, isSameBrand };
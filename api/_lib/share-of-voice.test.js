@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { isSameBrand, buildShareOfVoice } = require("./share-of-voice");
+
+test("brand names match across legal suffixes, case and punctuation, but not inside other words", () => {
+  assert.equal(isSameBrand("Acme, Inc.", "ACME"), true);
+  assert.equal(isSameBrand("Acme Corporation", "acme llc"), true);
+  assert.equal(isSameBrand("Acme Rockets", "Acme"), true);
+  assert.equal(isSameBrand("Acmeco", "Acme"), false);
+  assert.equal(isSameBrand("Globex", "Acme"), false);
+  assert.equal(isSameBrand("Inc.", "Acme"), false);
+  assert.equal(isSameBrand("", "Acme"), false);
+});
+
+test("share of voice is mentions over every recommendation, per engine and overall", () => {
+  const claude = { id: "claude", name: "Claude" };
+  const gemini = { id: "gemini", name: "Gemini" };
+  const sov = buildShareOfVoice({
+    queries: ["best rocket companies", "which rocket company", "leading rocket providers"],
+    companyName: "Acme",
+    competitorNames: ["Globex"],
+    byLLM: {
+      claude: {
+        llm: claude,
+        prompts: [
+          { query: "best rocket companies", results: { summary: "", recommendedCompanies: [{ name: "Initech" }, { name: "Acme Inc.", rank: 2, framing: "positive", reason: "Reliable" }, { name: "Globex" }] } },
+          // Named only in the summary: a mention, without a rank; one recommendation
+          { query: "which rocket company", results: { summary: "Firms such as Acme lead here.", recommendedCompanies: [] } },
+          { query: "leading rocket providers", results: { error: true, summary: "Timed out" } }
+        ]
+      },
+      gemini: {
+        llm: gemini,
+        prompts: [
+          { query: "best rocket companies", results: { summary: "", recommendedCompanies: [{ name: "Globex", rank: 1 }, { name: "Hooli", rank: 2 }, { name: "Initech", rank: 3 }] } },
+          { query: "which rocket company", results: { invalid: true, summary: "Unusable" } }
+        ]
+      }
+    }
+  });
+
+  const [claudeStats, geminiStats] = sov.engines;
+  assert.equal(claudeStats.answered, 2);
+  assert.deepEqual(claudeStats.prompts.map((p) => p.failed), [false, false, true]);
+  assert.deepEqual(claudeStats.prompts[0].mentions[0], { brand: "Acme", mentioned: true, rank: 2, framing: "positive", reason: "Reliable" });
+  assert.deepEqual(claudeStats.prompts[1].mentions[0], { brand: "Acme", mentioned: true, rank: null, framing: null, reason: "" });
+  assert.deepEqual(claudeStats.brands, [
+    { name: "Acme", isCompetitor: false, mentions: 2, shareOfVoice: 50, mentionRate: 100, averageRank: 2 },
+    { name: "Globex", isCompetitor: true, mentions: 1, shareOfVoice: 25, mentionRate: 50, averageRank: 3 }
+  ]);
+  assert.deepEqual(geminiStats.brands.map(({ name, shareOfVoice, mentionRate, averageRank }) => ({ name, shareOfVoice, mentionRate, averageRank })), [
+    { name: "Acme", shareOfVoice: 0, mentionRate: 0, averageRank: null },
+    { name: "Globex", shareOfVoice: 33.3, mentionRate: 100, averageRank: 1 }
+  ]);
+
+  // 7 recommendations across 3 usable prompts
+  assert.deepEqual(sov.overall, [
+    { name: "Acme", isCompetitor: false, shareOfVoice: 28.6, mentionRate: 66.7 },
+    { name: "Globex", isCompetitor: true, shareOfVoice: 28.6, mentionRate: 66.7 }
+  ]);
+});
+
+test("an engine with no usable answers scores zero rather than dividing by zero", () => {
+  const sov = buildShareOfVoice({
+    queries: ["best rocket companies"],
+    companyName: "Acme",
+    competitorNames: [],
+    byLLM: { claude: { llm: { id: "claude" }, prompts: [{ query: "best rocket companies", results: { error: true } }] } }
+  });
+
+  assert.deepEqual(sov.engines[0].brands[0], { name: "Acme", isCompetitor: false, mentions: 0, shareOfVoice: 0, mentionRate: 0, averageRank: null });
+  assert.deepEqual(sov.overall, [{ name: "Acme", isCompetitor: false, shareOfVoice: 0, mentionRate: 0 }]);
+});
@@ -0,0 +1,210 @@
+// Reading a company's own web pages
+// Fetches a page's HTML and pulls out the structured data (JSON-LD and
+// Microdata) and meta tags that describe the organization. Microdata items are
+// returned in the same shape as JSON-LD nodes ({ "@type", name, ... }) so
+// callers can treat both alike.
+// Pages are fetched through outbound.js, which refuses private and local
+// addresses (on every redirect too); HTML past MAX_PAGE_BYTES is dropped.
+
+const { fetchPublic } = require("./outbound");
+
+const PAGE_TIMEOUT_MS = 10000;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+// "acme.com/about" -> "https://acme.com/about"
+function toPageUrl(website) {
+  const trimmed = String(website || "").trim();
+  if (!trimmed) return null;
+  const withScheme = /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  try {
+    return new URL(withScheme).toString();
+  } catch (err) {
+    return null;
+  }
+}
+
+async function fetchPage(url) {
+  const response = await fetchPublic(url, {
+    headers: { "User-Agent": "Mozilla/5.0 (compatible; AIReputationReport/4.0)", Accept: "text/html" },
+    timeoutMs: PAGE_TIMEOUT_MS,
+    maxBytes: MAX_PAGE_BYTES
+  });
+  if (!response.ok) {
+    throw new Error(`Could not load ${url}: HTTP ${response.status}`);
+  }
+  if (response.truncated) console.log(`Page ${response.url} cut off at ${MAX_PAGE_BYTES} bytes`);
+  return { url: response.url, html: response.text };
+}
+
+function decodeEntities(text) {
+  return String(text || "")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+// Every JSON-LD node on the page, with @graph and top-level arrays flattened.
+// Blocks that don't parse are reported in errors instead of failing the page.
+function extractJsonLd(html) {
+  const items = [];
+  const errors = [];
+  const blocks = String(html || "").matchAll(/<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi);
+
+  let index = 0;
+  for (const [, raw] of blocks) {
+    try {
+      const data = JSON.parse(raw.trim());
+      const nodes = Array.isArray(data) ? data : [data];
+      nodes.forEach((node) => {
+        if (node && Array.isArray(node["@graph"])) items.push(...node["@graph"]);
+        else if (node && typeof node === "object") items.push(node);
+      });
+    } catch (err) {
+      errors.push({ block: index, message: `JSON-LD block ${index + 1} is not valid JSON: ${err.message}` });
+    }
+    index++;
+  }
+
+  return { items, errors };
+}
+
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+
+// Where an itemprop takes its value from, by tag; anything else uses its text
+const VALUE_ATTRIBUTES = {
+  meta: "content",
+  a: "href",
+  area: "href",
+  link: "href",
+  img: "src",
+  audio: "src",
+  video: "src",
+  source: "src",
+  iframe: "src",
+  embed: "src",
+  object: "data",
+  time: "datetime",
+  data: "value",
+  meter: "value"
+};
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const [, name, double, single, bare] of source.matchAll(/([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+    attributes[name.toLowerCase()] = decodeEntities(double ?? single ?? bare ?? "");
+  }
+  return attributes;
+}
+
+// "https://schema.org/Organization" -> "Organization"
+function microdataType(itemtype) {
+  const types = String(itemtype || "").split(/\s+/).filter(Boolean).map((type) => type.replace(/^.*[/#]/, ""));
+  return types.length > 1 ? types : types[0];
+}
+
+function addProperty(item, names, value) {
+  names.forEach((name) => {
+    if (item[name] === undefined) item[name] = value;
+    else item[name] = [].concat(item[name], value);
+  });
+}
+
+// Top-level Microdata items (elements with itemscope but no itemprop), with
+// nested items as property values. Uses a tag tokenizer rather than a DOM, so
+// badly nested markup is closed at the nearest matching tag.
+function extractMicrodata(html) {
+  const items = [];
+  const stack = [];
+  const source = String(html || "").replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, "").replace(/<!--[\s\S]*?-->/g, "");
+  const nearestItem = () => [...stack].reverse().find((el) => el.item)?.item;
+
+  const close = (element) => {
+    if (element.textFor) {
+      addProperty(element.textFor, element.props, element.text.replace(/\s+/g, " ").trim());
+    }
+  };
+
+  for (const [, text, closing, tagName, rawAttributes = "", selfClosing] of source.matchAll(/([^<]+)|<(\/?)([a-zA-Z][\w-]*)([^>]*?)(\/?)>/g)) {
+    if (text !== undefined) {
+      const decoded = decodeEntities(text);
+      stack.forEach((el) => {
+        if (el.textFor) el.text += decoded;
+      });
+      continue;
+    }
+
+    const tag = tagName.toLowerCase();
+    if (closing) {
+      const index = stack.map((el) => el.tag).lastIndexOf(tag);
+      if (index >= 0) stack.splice(index).reverse().forEach(close);
+      continue;
+    }
+
+    const attributes = parseAttributes(rawAttributes);
+    const props = (attributes.itemprop || "").split(/\s+/).filter(Boolean);
+    const parent = nearestItem();
+    const element = { tag, item: null, props, textFor: null, text: "" };
+
+    if ("itemscope" in attributes) {
+      element.item = attributes.itemtype ? { "@type": microdataType(attributes.itemtype) } : {};
+      if (props.length > 0 && parent) addProperty(parent, props, element.item);
+      else items.push(element.item);
+    } else if (props.length > 0 && parent) {
+      const attribute = VALUE_ATTRIBUTES[tag];
+      if (attribute && attributes[attribute] !== undefined) addProperty(parent, props, attributes[attribute]);
+      else element.textFor = parent;
+    }
+
+    if (!VOID_TAGS.has(tag) && !selfClosing) stack.push(element);
+  }
+  stack.reverse().forEach(close);
+
+  return items;
+}
+
+// Every node with an @type, including ones nested inside other nodes
+function collectEntities(nodes) {
+  const entities = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== "object") return;
+    if (value["@type"]) entities.push(value);
+    Object.entries(value).forEach(([key, child]) => {
+      if (key !== "@context") visit(child);
+    });
+  };
+  visit(nodes);
+  return entities;
+}
+
+const typesOf = (node) => [].concat(node["@type"] || []).map(String);
+
+function isOrganization(node) {
+  return typesOf(node).some((type) => /Organization|Corporation|Business|Company$/.test(type));
+}
+
+// <meta name="description"> / og:description, whichever comes first
+function extractMetaDescription(html) {
+  for (const tag of String(html || "").match(/<meta\b[^>]*>/gi) || []) {
+    if (/\b(?:name|property)\s*=\s*["'](?:description|og:description)["']/i.test(tag)) {
+      const content = tag.match(/\bcontent\s*=\s*(["'])([\s\S]*?)\1/i);
+      if (content) return decodeEntities(content[2]).trim();
+    }
+  }
+  return "";
+}
+
+module.exports = {
+  toPageUrl,
+  fetchPage,
+  decodeEntities,
+  extractJsonLd,
+  extractMicrodata,
+  extractMetaDescription,
+  collectEntities,
+  typesOf,
+  isOrganization
+};
@@ -0,0 +1,188 @@
+// JSON document store with pluggable drivers
+// Every collection exposes get/put/create/remove/take/list. STORE_DRIVER picks the backend:
+//   file   - <id>.json files under DATA_DIR (default; serverless only gets a writable /tmp)
+//   memory - process-local maps, for local runs and tests
+//   redis  - Redis over the Upstash REST API (Vercel KV / Redis), shared by every
+//            instance; see redis-store.js
+// Other backends (Postgres, ...) plug in through registerDriver().
+// file and memory are per-instance: on serverless each instance has its own,
+// short-lived copy, so anything that must be shared (sessions, quotas) can't
+// rely on them in production.
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { createRedisCollection } = require("./redis-store");
+
+function getDataDir() {
+  return process.env.DATA_DIR || path.join(os.tmpdir(), "ai-reputation-report");
+}
+
+// Ids end up in file names and keys, so only allow a safe character set
+function assertValidId(id) {
+  if (typeof id !== "string" || !/^[A-Za-z0-9_-]{1,100}$/.test(id)) {
+    const error = new Error("Invalid id");
+    error.status = 400;
+    throw error;
+  }
+}
+
+function createFileCollection(name) {
+  const dir = path.join(getDataDir(), name);
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  return {
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(id), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async put(id, doc) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write then rename so readers never see a half-written file
+      const tmpFile = `${fileFor(id)}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(doc));
+      await fs.rename(tmpFile, fileFor(id));
+      return doc;
+    },
+
+    // link() refuses to replace an existing file, so only one create wins
+    async create(id, doc) {
+      await fs.mkdir(dir, { recursive: true });
+      const tmpFile = `${fileFor(id)}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(doc));
+      try {
+        await fs.link(tmpFile, fileFor(id));
+        return true;
+      } catch (error) {
+        if (error.code === "EEXIST") return false;
+        throw error;
+      } finally {
+        await fs.rm(tmpFile, { force: true });
+      }
+    },
+
+    async remove(id) {
+      await fs.rm(fileFor(id), { force: true });
+    },
+
+    // Rename is atomic, so only one caller can move the file away
+    async take(id) {
+      const takenFile = `${fileFor(id)}.${crypto.randomBytes(6).toString("hex")}.taken`;
+      try {
+        await fs.rename(fileFor(id), takenFile);
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+      try {
+        return JSON.parse(await fs.readFile(takenFile, "utf8"));
+      } finally {
+        await fs.rm(takenFile, { force: true });
+      }
+    },
+
+    async list() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+      const docs = await Promise.all(
+        files
+          .filter((file) => file.endsWith(".json"))
+          .map((file) => this.get(file.slice(0, -5)))
+      );
+      return docs.filter(Boolean);
+    }
+  };
+}
+
+const memoryCollections = {};
+
+function createMemoryCollection(name) {
+  if (!memoryCollections[name]) memoryCollections[name] = new Map();
+  const docs = memoryCollections[name];
+  // Copy on the way in and out so callers can't mutate stored documents
+  const clone = (doc) => JSON.parse(JSON.stringify(doc));
+
+  return {
+    async get(id) {
+      return docs.has(id) ? clone(docs.get(id)) : null;
+    },
+
+    async put(id, doc) {
+      docs.set(id, clone(doc));
+      return doc;
+    },
+
+    async create(id, doc) {
+      if (docs.has(id)) return false;
+      docs.set(id, clone(doc));
+      return true;
+    },
+
+    async remove(id) {
+      docs.delete(id);
+    },
+
+    async take(id) {
+      if (!docs.has(id)) return null;
+      const doc = docs.get(id);
+      docs.delete(id);
+      return clone(doc);
+    },
+
+    async list() {
+      return Array.from(docs.values(), clone);
+    }
+  };
+}
+
+const drivers = {
+  file: createFileCollection,
+  memory: createMemoryCollection,
+  redis: createRedisCollection
+};
+
+const PER_INSTANCE_DRIVERS = ["file", "memory"];
+
+// factory(collectionName) must return an object with async get/put/create/remove/take/list.
+// create(id, doc) stores the document only if the id is free and resolves to
+// whether it did; take(id) removes and returns it. Both are atomic: when two
+// callers race on the same id, only one succeeds.
+function registerDriver(name, factory) {
+  drivers[name] = factory;
+}
+
+function isPerInstanceDriver(driverName = process.env.STORE_DRIVER || "file") {
+  return PER_INSTANCE_DRIVERS.includes(driverName);
+}
+
+// driverName defaults to STORE_DRIVER; the cache passes CACHE_DRIVER here
+function getCollection(name, driverName = process.env.STORE_DRIVER || "file") {
+  const driver = drivers[driverName];
+  if (!driver) {
+    throw new Error(`Unknown store driver "${driverName}"`);
+  }
+
+  // Validate ids here once so no driver has to
+  const collection = driver(name);
+  return {
+    get: (id) => { assertValidId(id); return collection.get(id); },
+    put: (id, doc) => { assertValidId(id); return collection.put(id, doc); },
+    create: (id, doc) => { assertValidId(id); return collection.create(id, doc); },
+    remove: (id) => { assertValidId(id); return collection.remove(id); },
+    take: (id) => { assertValidId(id); return collection.take(id); },
+    list: () => collection.list()
+  };
+}
+
+module.exports = { getCollection, registerDriver, isPerInstanceDriver };
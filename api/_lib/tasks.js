@@ -0,0 +1,419 @@
+// Analysis task planning for report jobs
+// Turns formData + selected engines into a flat task list, and folds finished
+// task results back into the report structure the UI and PDF expect.
+
+const llmOptions = require("../../src/lib/engines");
+const { isUsableResult, averageScore, dominantSentiment } = require("../../src/lib/scoring");
+const { buildCategoryQueries, buildShareOfVoice } = require("./share-of-voice");
+const { DEFAULT_PROMPT_SET, renderPrompt } = require("./prompts");
+const { hasFacts, summarizeFactCheck } = require("./fact-check");
+
+function getSelectedEngines(selectedLLMs) {
+  return llmOptions.filter((llm) => selectedLLMs && selectedLLMs[llm.id]);
+}
+
+// prompts: templates from the run's prompt set (see prompts.js)
+function buildTasks(formData, engines, prompts = DEFAULT_PROMPT_SET.prompts) {
+  const tasks = [];
+  const leaders = (formData.leadership || []).filter((l) => l.name);
+  const competitors = (formData.competitors || []).filter((c) => c.name);
+
+  const companyVars = {
+    companyName: formData.companyName,
+    website: formData.website,
+    industry: formData.industry,
+    keywords: formData.keywords
+  };
+  const leaderVars = (leader, company) => ({
+    ...companyVars,
+    "leader.name": leader.name,
+    "leader.title": leader.title,
+    "leader.company": company
+  });
+  const competitorVars = (competitor) => ({
+    ...companyVars,
+    "competitor.name": competitor.name,
+    "competitor.website": competitor.website
+  });
+
+  const addTask = (task) => tasks.push({ ...task, status: "pending", result: null, error: null });
+
+  // SEMRush data for main company
+  if (formData.website) {
+    addTask({
+      id: "semrush-company",
+      kind: "semrush",
+      section: "company",
+      domain: formData.website,
+      database: formData.database || "us",
+      databases: formData.regions || [],
+      message: "Fetching SEMRush data..."
+    });
+  }
+
+  // Organic keyword rankings for the target keywords
+  if (formData.website && formData.keywords && formData.keywords.trim()) {
+    addTask({
+      id: "semrush-keywords",
+      kind: "keywords",
+      section: "company",
+      domain: formData.website,
+      database: formData.database || "us",
+      keywords: formData.keywords,
+      message: "Fetching keyword rankings..."
+    });
+  }
+
+  // Structured data (JSON-LD / Microdata) on the company's own site
+  if (formData.website) {
+    addTask({
+      id: "entity-audit",
+      kind: "entity-audit",
+      section: "company",
+      message: "Auditing website structured data..."
+    });
+  }
+
+  // Wikidata / Wikipedia presence for the company and its leaders
+  addTask({
+    id: "knowledge-graph",
+    kind: "knowledge-graph",
+    section: "company",
+    message: "Checking Wikidata and Wikipedia..."
+  });
+
+  // Analyze company on each LLM
+  for (const llm of engines) {
+    addTask({
+      id: `company-${llm.id}`,
+      kind: "analyze",
+      section: "company",
+      llmId: llm.id,
+      analysisType: "entity",
+      query: renderPrompt(prompts.entity, companyVars),
+      message: `Analyzing ${formData.companyName} on ${llm.name}...`
+    });
+  }
+
+  // Share of voice: category prompts that never name the company
+  buildCategoryQueries(formData).forEach((query, index) => {
+    for (const llm of engines) {
+      addTask({
+        id: `sov-${index}-${llm.id}`,
+        kind: "analyze",
+        section: "shareOfVoice",
+        index,
+        llmId: llm.id,
+        analysisType: "category",
+        query,
+        message: `Checking category recommendations on ${llm.name}...`
+      });
+    }
+  });
+
+  // Analyze leadership (reputation + press opportunities + social sentiment)
+  leaders.forEach((leader, index) => {
+    for (const llm of engines) {
+      addTask({
+        id: `leader-${index}-reputation-${llm.id}`,
+        kind: "analyze",
+        section: "leadership",
+        index,
+        field: "byLLM",
+        llmId: llm.id,
+        analysisType: "leadership",
+        query: renderPrompt(prompts.leadership, leaderVars(leader, formData.companyName)),
+        message: `Analyzing ${leader.name}'s reputation on ${llm.name}...`
+      });
+
+      addTask({
+        id: `leader-${index}-press-${llm.id}`,
+        kind: "analyze",
+        section: "leadership",
+        index,
+        field: "pressOpportunities",
+        llmId: llm.id,
+        analysisType: "press",
+        query: renderPrompt(prompts.press, leaderVars(leader, formData.companyName)),
+        message: `Finding press opportunities for ${leader.name}...`
+      });
+
+      addTask({
+        id: `leader-${index}-social-${llm.id}`,
+        kind: "analyze",
+        section: "leadership",
+        index,
+        field: "socialSentiment",
+        llmId: llm.id,
+        analysisType: "social",
+        query: renderPrompt(prompts.social, leaderVars(leader, formData.companyName)),
+        message: `Analyzing social sentiment for ${leader.name}...`
+      });
+    }
+  });
+
+  // Podcast opportunities
+  for (const llm of engines) {
+    addTask({
+      id: `podcast-${llm.id}`,
+      kind: "analyze",
+      section: "podcast",
+      llmId: llm.id,
+      analysisType: "podcast",
+      query: renderPrompt(prompts.podcast, companyVars),
+      message: `Finding podcast opportunities on ${llm.name}...`
+    });
+  }
+
+  // Analyze competitors
+  competitors.forEach((competitor, index) => {
+    if (competitor.website) {
+      addTask({
+        id: `competitor-${index}-semrush`,
+        kind: "semrush",
+        section: "competitor",
+        index,
+        domain: competitor.website,
+        database: formData.database || "us",
+        message: `Fetching SEMRush data for ${competitor.name}...`
+      });
+    }
+
+    for (const llm of engines) {
+      addTask({
+        id: `competitor-${index}-${llm.id}`,
+        kind: "analyze",
+        section: "competitor",
+        index,
+        llmId: llm.id,
+        analysisType: "competitor",
+        query: renderPrompt(prompts.competitor, competitorVars(competitor)),
+        message: `Analyzing ${competitor.name} on ${llm.name}...`
+      });
+    }
+
+    // Competitor leadership (reputation + social sentiment)
+    const leader = competitor.leadership;
+    if (leader && leader.name) {
+      for (const llm of engines) {
+        addTask({
+          id: `competitor-${index}-leader-reputation-${llm.id}`,
+          kind: "analyze",
+          section: "competitor",
+          index,
+          field: "byLLM",
+          llmId: llm.id,
+          analysisType: "leadership",
+          query: renderPrompt(prompts.leadership, leaderVars(leader, competitor.name)),
+          message: `Analyzing ${leader.name}'s reputation on ${llm.name}...`
+        });
+
+        addTask({
+          id: `competitor-${index}-leader-social-${llm.id}`,
+          kind: "analyze",
+          section: "competitor",
+          index,
+          field: "socialSentiment",
+          llmId: llm.id,
+          analysisType: "social",
+          query: renderPrompt(prompts.social, leaderVars(leader, competitor.name)),
+          message: `Analyzing social sentiment for ${leader.name}...`
+        });
+      }
+    }
+  });
+
+  // Referring domains that link to competitors but not to us
+  const gapCompetitors = competitors.filter((c) => c.website);
+  if (formData.website && gapCompetitors.length > 0) {
+    addTask({
+      id: "semrush-backlink-gap",
+      kind: "backlink-gap",
+      section: "company",
+      domain: formData.website,
+      competitors: gapCompetitors.map((c) => ({ name: c.name, domain: c.website })),
+      message: "Computing backlink gap..."
+    });
+  }
+
+  // Fact-check each engine's company answer against the ground-truth profile.
+  // Each waits for that engine's company task (see dependsOn in jobs.js), so
+  // they go last.
+  if (hasFacts(formData.facts)) {
+    for (const llm of engines) {
+      addTask({
+        id: `factcheck-${llm.id}`,
+        kind: "factcheck",
+        section: "factCheck",
+        dependsOn: `company-${llm.id}`,
+        llmId: llm.id,
+        analysisType: "factcheck",
+        message: `Fact-checking ${llm.name}'s answer...`
+      });
+    }
+  }
+
+  return tasks;
+}
+
+// Build the report from whatever tasks have finished so far
+function assembleReport(formData, engines, tasks) {
+  const leaders = (formData.leadership || []).filter((l) => l.name);
+  const competitors = (formData.competitors || []).filter((c) => c.name);
+
+  const report = {
+    companyName: formData.companyName,
+    website: formData.website,
+    industry: formData.industry,
+    company: {},
+    leadership: leaders.map((leader) => ({
+      name: leader.name,
+      title: leader.title,
+      byLLM: {},
+      pressOpportunities: {},
+      socialSentiment: {}
+    })),
+    competitors: competitors.map((competitor) => ({
+      name: competitor.name,
+      website: competitor.website,
+      byLLM: {},
+      leadership: competitor.leadership && competitor.leadership.name ? {
+        name: competitor.leadership.name,
+        title: competitor.leadership.title,
+        byLLM: {},
+        socialSentiment: {}
+      } : null,
+      semrushData: null
+    })),
+    semrushData: null,
+    backlinkGap: null,
+    keywordRankings: null,
+    entityAudit: null,
+    knowledgeGraph: null,
+    shareOfVoice: null,
+    factCheck: hasFacts(formData.facts) ? { profile: formData.facts, byLLM: {} } : null,
+    podcastOpportunities: [],
+    socialSentiment: []
+  };
+
+  for (const task of tasks) {
+    if (task.status !== "done" && task.status !== "error") continue;
+    // Category prompts are scored together below
+    if (task.section === "shareOfVoice") continue;
+
+    if (task.kind === "backlink-gap") {
+      report.backlinkGap = task.result;
+      continue;
+    }
+
+    if (task.kind === "keywords") {
+      report.keywordRankings = task.result;
+      continue;
+    }
+
+    if (task.kind === "entity-audit") {
+      report.entityAudit = task.result || { error: task.error };
+      continue;
+    }
+
+    if (task.kind === "knowledge-graph") {
+      report.knowledgeGraph = task.result || { error: task.error };
+      continue;
+    }
+
+    if (task.kind === "semrush") {
+      if (task.section === "company") {
+        report.semrushData = task.result;
+      } else {
+        report.competitors[task.index].semrushData = task.result;
+      }
+      continue;
+    }
+
+    const llm = engines.find((e) => e.id === task.llmId);
+    const entry = { llm, results: task.result };
+
+    if (task.section === "company") {
+      report.company[llm.id] = entry;
+    } else if (task.section === "leadership") {
+      report.leadership[task.index][task.field][llm.id] = entry;
+    } else if (task.section === "factCheck") {
+      report.factCheck.byLLM[llm.id] = { ...entry, ...summarizeFactCheck(task.result) };
+    } else if (task.section === "podcast") {
+      report.podcastOpportunities.push(entry);
+    } else if (task.section === "competitor" && task.field) {
+      report.competitors[task.index].leadership[task.field][llm.id] = entry;
+    } else if (task.section === "competitor") {
+      report.competitors[task.index].byLLM[llm.id] = entry;
+    }
+  }
+
+  report.leaderComparison = buildLeaderComparison(report);
+
+  const sovTasks = tasks.filter((task) => task.section === "shareOfVoice");
+  if (sovTasks.length > 0) {
+    const queries = [...new Set(sovTasks.map((task) => task.query))];
+    const byLLM = {};
+    engines.forEach((llm) => {
+      const prompts = sovTasks
+        .filter((task) => task.llmId === llm.id && (task.status === "done" || task.status === "error"))
+        .sort((a, b) => a.index - b.index)
+        .map((task) => ({ query: task.query, results: task.result }));
+      if (prompts.length > 0) byLLM[llm.id] = { llm, prompts };
+    });
+    report.shareOfVoice = buildShareOfVoice({
+      queries,
+      byLLM,
+      companyName: report.companyName,
+      competitorNames: report.competitors.map((c) => c.name)
+    });
+  }
+
+  return report;
+}
+
+// Headline numbers for one leader across engines. Errored and invalid engine runs are skipped.
+function summarizeLeader(leader) {
+  const reputation = Object.values(leader.byLLM || {})
+    .map((entry) => entry.results)
+    .filter(isUsableResult);
+
+  // The same outlet reported by several engines counts once
+  const outlets = new Set();
+  reputation.forEach((results) => {
+    (results.mediaAppearances || []).forEach((appearance) => {
+      if (appearance.outlet) outlets.add(appearance.outlet.toLowerCase());
+    });
+  });
+
+  return {
+    reputationScore: averageScore(leader.byLLM, "sentimentScore"),
+    mediaAppearances: outlets.size,
+    sentiment: dominantSentiment(leader.socialSentiment) || "unknown"
+  };
+}
+
+// Our leaders next to competitor leaders for the Gap Analysis comparison
+function buildLeaderComparison(report) {
+  const ours = report.leadership.map((leader) => ({
+    name: leader.name,
+    title: leader.title,
+    company: report.companyName,
+    isCompetitor: false,
+    ...summarizeLeader(leader)
+  }));
+
+  const theirs = report.competitors
+    .filter((competitor) => competitor.leadership)
+    .map((competitor) => ({
+      name: competitor.leadership.name,
+      title: competitor.leadership.title,
+      company: competitor.name,
+      isCompetitor: true,
+      ...summarizeLeader(competitor.leadership)
+    }));
+
+  return [...ours, ...theirs];
+}
+
+module.exports = { getSelectedEngines, buildTasks, assembleReport };
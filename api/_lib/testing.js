@@ -0,0 +1,74 @@
+// Helpers for the API tests (node --test)
+// Route handlers are called directly with a stand-in request and response, and
+// third-party APIs are replaced by a local HTTP server through their base-URL
+// env vars. Tests set STORE_DRIVER=memory and MAIL_DRIVER=outbox, so nothing
+// touches disk or leaves the machine.
+
+const http = require("http");
+
+// Calls a Vercel-style handler; resolves to { statusCode, headers, body }
+async function callHandler(handler, { method = "GET", query = {}, body, headers = {} } = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+  await handler({ method, query, body, headers: { host: "localhost:3000", ...headers } }, res);
+  return res;
+}
+
+// "session=<token>" from a response's Set-Cookie, ready for a Cookie header
+function sessionCookie(res) {
+  return String(res.headers["set-cookie"] || "").split(";")[0];
+}
+
+// Local HTTP server. route(req, body, res) returns the JSON reply, or sets
+// res.statusCode / headers first; returning a string sends it as-is and
+// returning undefined leaves the response to the route. Every request is kept
+// in `requests` as { method, url, headers, body }.
+async function startServer(route) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", async () => {
+      let body = raw;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        body = raw;
+      }
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body, raw });
+
+      const reply = await route(req, body, res);
+      if (reply === undefined) return;
+      if (typeof reply === "string") return res.end(reply);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(reply));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = { callHandler, sessionCookie, startServer };
@@ -0,0 +1,253 @@
+// Usage metering and monthly budgets
+// Every billable upstream call made for a workspace - Anthropic messages
+// (tokens + web searches) and SEMRush reports (API units) - is logged in the
+// "usage" collection with an estimated cost, tagged with the workspace and the
+// job (and through it the report) it was made for. Cache hits cost nothing and
+// are not logged. Per-workspace monthly totals are kept in "usage-totals" so a
+// budget check is a single read.
+//
+// A workspace's monthlyBudgetUsd (falling back to MONTHLY_BUDGET_USD) is a hard
+// cap: jobs stop starting billable tasks once the next one would go over it.
+
+const crypto = require("crypto");
+const { getCollection } = require("./store");
+const { getWorkspace } = require("./workspaces");
+
+// USD prices; override with the USAGE_PRICES env var, e.g.
+// {"anthropic":{"inputPerMTok":15,"outputPerMTok":75},"semrush":{"perUnit":0.0001}}
+const DEFAULT_PRICES = {
+  anthropic: { inputPerMTok: 3, outputPerMTok: 15, webSearchPer1k: 10 },
+  semrush: { perUnit: 0.00005 }
+};
+
+// SEMRush API units charged per returned line, by report type
+const SEMRUSH_UNITS_PER_LINE = {
+  domain_ranks: 10,
+  domain_organic: 10,
+  phrase_this: 10,
+  backlinks_overview: 40,
+  backlinks: 40,
+  backlinks_refdomains: 40,
+  domain_rank: 40
+};
+
+// What one analysis call is assumed to use until the workspace has history
+const DEFAULT_CALL_USAGE = { inputTokens: 15000, outputTokens: 1500, webSearches: 3 };
+// Logged calls needed before the estimate uses the workspace's own average
+const MIN_SAMPLES = 5;
+
+const usage = () => getCollection("usage");
+const usageTotals = () => getCollection("usage-totals");
+
+function getPrices() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.USAGE_PRICES || "{}");
+  } catch (error) {
+    console.log("Ignoring invalid USAGE_PRICES:", error.message);
+  }
+  return {
+    anthropic: { ...DEFAULT_PRICES.anthropic, ...overrides.anthropic },
+    semrush: { ...DEFAULT_PRICES.semrush, ...overrides.semrush }
+  };
+}
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+function anthropicCost({ inputTokens = 0, outputTokens = 0, webSearches = 0 }) {
+  const { anthropic } = getPrices();
+  return roundUsd(
+    (inputTokens / 1e6) * anthropic.inputPerMTok +
+    (outputTokens / 1e6) * anthropic.outputPerMTok +
+    (webSearches / 1000) * anthropic.webSearchPer1k
+  );
+}
+
+function semrushUnits(reportType, lines) {
+  return (SEMRUSH_UNITS_PER_LINE[reportType] || 10) * lines;
+}
+
+function semrushCost(units) {
+  return roundUsd(units * getPrices().semrush.perUnit);
+}
+
+const monthOf = (date = new Date()) => new Date(date).toISOString().slice(0, 7);
+
+function emptyTotals() {
+  return {
+    costUsd: 0,
+    anthropic: { calls: 0, inputTokens: 0, outputTokens: 0, webSearches: 0, costUsd: 0 },
+    semrush: { requests: 0, units: 0, costUsd: 0 }
+  };
+}
+
+function addToTotals(totals, event) {
+  totals.costUsd = roundUsd(totals.costUsd + event.costUsd);
+  if (event.service === "anthropic") {
+    totals.anthropic.calls += 1;
+    totals.anthropic.inputTokens += event.inputTokens;
+    totals.anthropic.outputTokens += event.outputTokens;
+    totals.anthropic.webSearches += event.webSearches;
+    totals.anthropic.costUsd = roundUsd(totals.anthropic.costUsd + event.costUsd);
+  } else {
+    totals.semrush.requests += 1;
+    totals.semrush.units += event.units;
+    totals.semrush.costUsd = roundUsd(totals.semrush.costUsd + event.costUsd);
+  }
+  return totals;
+}
+
+function summarizeUsage(events) {
+  return events.reduce(addToTotals, emptyTotals());
+}
+
+// Totals are read-modify-write, so updates for the same key are chained
+// within the process; otherwise concurrent tasks could drop each other's cost
+const totalsQueue = {};
+
+function addToMonthlyTotals(event) {
+  const id = `${event.workspaceId}-${event.month}`;
+  const previous = totalsQueue[id] || Promise.resolve();
+  const next = previous.then(async () => {
+    const doc = (await usageTotals().get(id)) || { id, workspaceId: event.workspaceId, month: event.month, ...emptyTotals() };
+    await usageTotals().put(id, { ...addToTotals(doc, event), updatedAt: new Date().toISOString() });
+  });
+  totalsQueue[id] = next.catch(() => {});
+  return next;
+}
+
+// meter: { workspaceId, jobId } for the call being made; calls without a
+// workspace are not metered. Metering never fails the call it measures.
+async function recordUsage(meter, fields) {
+  if (!meter?.workspaceId) return null;
+
+  const at = new Date().toISOString();
+  const event = {
+    id: crypto.randomUUID(),
+    workspaceId: meter.workspaceId,
+    jobId: meter.jobId || null,
+    month: monthOf(at),
+    at,
+    ...fields
+  };
+
+  try {
+    await usage().put(event.id, event);
+    await addToMonthlyTotals(event);
+  } catch (error) {
+    console.error("Usage metering failed:", error.message);
+  }
+  return event;
+}
+
+// usage: { inputTokens, outputTokens, webSearches } as reported by the provider
+async function recordAnthropicUsage(meter, { model, analysisType, usage: counts }) {
+  const inputTokens = counts.inputTokens || 0;
+  const outputTokens = counts.outputTokens || 0;
+  const webSearches = counts.webSearches || 0;
+  return recordUsage(meter, {
+    service: "anthropic",
+    model,
+    analysisType: analysisType || "entity",
+    inputTokens,
+    outputTokens,
+    webSearches,
+    costUsd: anthropicCost({ inputTokens, outputTokens, webSearches })
+  });
+}
+
+async function recordSemrushUsage(meter, { reportType, lines }) {
+  const units = semrushUnits(reportType, lines);
+  return recordUsage(meter, {
+    service: "semrush",
+    reportType,
+    lines,
+    units,
+    costUsd: semrushCost(units)
+  });
+}
+
+async function listUsage({ workspaceId, jobId, month } = {}) {
+  const all = await usage().list();
+  return all
+    .filter((event) => event.workspaceId === workspaceId)
+    .filter((event) => !jobId || event.jobId === jobId)
+    .filter((event) => !month || event.month === month)
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+async function getMonthlyUsage(workspaceId, month = monthOf()) {
+  const doc = await usageTotals().get(`${workspaceId}-${month}`);
+  const { costUsd, anthropic, semrush } = doc || emptyTotals();
+  return { month, costUsd, anthropic, semrush };
+}
+
+// { budgetUsd, spentUsd, remainingUsd } for this month; budgetUsd and
+// remainingUsd are null when the workspace has no cap
+async function getBudgetStatus(workspaceId) {
+  const workspace = await getWorkspace(workspaceId);
+  const configured = workspace?.monthlyBudgetUsd ?? process.env.MONTHLY_BUDGET_USD;
+  const budgetUsd = configured === undefined || configured === null || configured === "" ? null : Number(configured);
+  const { costUsd } = await getMonthlyUsage(workspaceId);
+
+  return {
+    budgetUsd,
+    spentUsd: costUsd,
+    remainingUsd: budgetUsd === null ? null : roundUsd(Math.max(0, budgetUsd - costUsd))
+  };
+}
+
+function budgetError(budgetUsd) {
+  const error = new Error(`This workspace has used its monthly budget of $${budgetUsd.toFixed(2)}`);
+  error.status = 402;
+  return error;
+}
+
+// Throws a 402 once the month's spend has reached the budget, or when costUsd
+// more would take it over
+async function assertWithinBudget(workspaceId, costUsd = 0) {
+  if (!workspaceId) return;
+  const { budgetUsd, spentUsd } = await getBudgetStatus(workspaceId);
+  if (budgetUsd === null) return;
+  if (spentUsd >= budgetUsd || spentUsd + costUsd > budgetUsd) throw budgetError(budgetUsd);
+}
+
+// Expected usage of one analysis call, from the running monthly totals rather
+// than the call log: this month's average per call, with last month's calls
+// counted too while this month has fewer than MIN_SAMPLES, and
+// DEFAULT_CALL_USAGE until there are that many
+async function averageCallUsage(workspaceId) {
+  if (!workspaceId) return { ...DEFAULT_CALL_USAGE, basedOn: 0 };
+
+  const now = new Date();
+  let { anthropic } = await getMonthlyUsage(workspaceId, monthOf(now));
+  if (anthropic.calls < MIN_SAMPLES) {
+    const lastMonth = monthOf(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    const previous = (await getMonthlyUsage(workspaceId, lastMonth)).anthropic;
+    anthropic = Object.fromEntries(Object.keys(anthropic).map((field) => [field, anthropic[field] + previous[field]]));
+  }
+  if (anthropic.calls < MIN_SAMPLES) return { ...DEFAULT_CALL_USAGE, basedOn: 0 };
+
+  const average = (field) => Math.round(anthropic[field] / anthropic.calls);
+  return {
+    inputTokens: average("inputTokens"),
+    outputTokens: average("outputTokens"),
+    webSearches: average("webSearches"),
+    basedOn: anthropic.calls
+  };
+}
+
+module.exports = {
+  SEMRUSH_UNITS_PER_LINE,
+  anthropicCost,
+  semrushUnits,
+  semrushCost,
+  summarizeUsage,
+  recordAnthropicUsage,
+  recordSemrushUsage,
+  listUsage,
+  getMonthlyUsage,
+  getBudgetStatus,
+  assertWithinBudget,
+  averageCallUsage
+};
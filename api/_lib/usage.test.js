@@ -0,0 +1,40 @@
+process.env.STORE_DRIVER = "memory";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getCollection } = require("./store");
+const { recordAnthropicUsage, averageCallUsage } = require("./usage");
+
+const meter = (workspaceId) => ({ workspaceId, jobId: "job1" });
+const record = (workspaceId, inputTokens) => recordAnthropicUsage(meter(workspaceId), {
+  model: "claude-test",
+  usage: { inputTokens, outputTokens: 100, webSearches: 1 }
+});
+
+test("the per-call average comes from the monthly totals, not the call log", async () => {
+  for (const tokens of [1000, 2000, 3000, 4000, 5000]) await record("ws-avg", tokens);
+  // Nothing reads the log any more: emptying it leaves the average alone
+  const log = getCollection("usage");
+  await Promise.all((await log.list()).map((event) => log.remove(event.id)));
+
+  assert.deepEqual(await averageCallUsage("ws-avg"), { inputTokens: 3000, outputTokens: 100, webSearches: 1, basedOn: 5 });
+});
+
+test("a quiet month borrows last month's calls, and defaults apply until there are enough", async () => {
+  const now = new Date();
+  const lastMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+  await getCollection("usage-totals").put(`ws-quiet-${lastMonth}`, {
+    id: `ws-quiet-${lastMonth}`,
+    workspaceId: "ws-quiet",
+    month: lastMonth,
+    costUsd: 0,
+    anthropic: { calls: 3, inputTokens: 3000, outputTokens: 300, webSearches: 0, costUsd: 0 },
+    semrush: { requests: 0, units: 0, costUsd: 0 }
+  });
+
+  assert.equal((await averageCallUsage("ws-quiet")).basedOn, 0);
+  await record("ws-quiet", 7000);
+  assert.equal((await averageCallUsage("ws-quiet")).basedOn, 0);
+  await record("ws-quiet", 7000);
+  assert.deepEqual(await averageCallUsage("ws-quiet"), { inputTokens: 3400, outputTokens: 100, webSearches: 0, basedOn: 5 });
+});
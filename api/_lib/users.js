@@ -0,0 +1,104 @@
+// User accounts
+// Users are keyed by a hash of their lower-cased email, so signing in is a
+// single lookup. Passwords are optional - accounts created by an invite or a
+// sign-in link have none until they set one - and are stored as scrypt hashes.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { getCollection } = require("./store");
+const { badRequest } = require("./errors");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = promisify(crypto.scrypt);
+const users = () => getCollection("users");
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email));
+}
+
+function userIdFor(email) {
+  return crypto.createHash("sha256").update(normalizeEmail(email)).digest("hex").slice(0, 32);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = (await scrypt(password, salt, 64)).toString("hex");
+  return { salt, hash };
+}
+
+async function verifyPassword(user, password) {
+  if (!user?.password || typeof password !== "string") return false;
+  const expected = Buffer.from(user.password.hash, "hex");
+  const actual = await scrypt(password, user.password.salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw badRequest(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+async function getUser(id) {
+  return users().get(id);
+}
+
+async function findUserByEmail(email) {
+  if (!isValidEmail(email)) return null;
+  return getUser(userIdFor(email));
+}
+
+async function createUser({ email, name, password = null }) {
+  if (!isValidEmail(email)) throw badRequest("A valid email is required");
+  if (password !== null) validatePassword(password);
+  if (await findUserByEmail(email)) throw badRequest("An account with this email already exists");
+
+  const user = {
+    id: userIdFor(email),
+    email: normalizeEmail(email),
+    name: String(name || "").trim() || normalizeEmail(email).split("@")[0],
+    password: password !== null ? await hashPassword(password) : null,
+    createdAt: new Date().toISOString(),
+    lastLoginAt: null
+  };
+  await users().put(user.id, user);
+  return user;
+}
+
+async function findOrCreateUser(email) {
+  return (await findUserByEmail(email)) || createUser({ email });
+}
+
+async function setPassword(user, password) {
+  validatePassword(password);
+  const updated = { ...user, password: await hashPassword(password) };
+  await users().put(user.id, updated);
+  return updated;
+}
+
+async function recordLogin(user) {
+  const updated = { ...user, lastLoginAt: new Date().toISOString() };
+  await users().put(user.id, updated);
+  return updated;
+}
+
+// What the API returns about a user; never the password hash
+function toPublicUser(user) {
+  return { id: user.id, email: user.email, name: user.name, hasPassword: Boolean(user.password), createdAt: user.createdAt };
+}
+
+module.exports = {
+  normalizeEmail,
+  isValidEmail,
+  getUser,
+  findUserByEmail,
+  createUser,
+  findOrCreateUser,
+  setPassword,
+  verifyPassword,
+  recordLogin,
+  toPublicUser
+};
@@ -0,0 +1,286 @@
+// Outbound webhooks for report lifecycle events
+// A workspace registers endpoints (url + the events it wants) in the
+// "webhooks" collection. Each event is POSTed as JSON:
+//   { id, event, createdAt, workspaceId, data: { reportId, reportUrl, report, ... } }
+// where report is the assembled report (companyName, company, leadership,
+// competitors, podcastOpportunities, ...) the UI and PDF use, and signed with
+// the webhook's secret:
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+//
+// Every delivery is logged in "webhook-deliveries" with its attempts. The
+// first attempt is made when the event fires. One that gets no reply, a 429 or
+// a 5xx is retried by the webhook cron tick after each of RETRY_DELAYS_MS and
+// marked failed after the last; other replies fail it straight away.
+// Firing an event never fails the job or email it reports on.
+//
+// Webhook URLs must point at public addresses (see outbound.js): they are
+// checked when saved and again on every delivery, and redirects aren't
+// followed, so a webhook can't be used to reach or probe internal services.
+
+const crypto = require("crypto");
+const { getCollection } = require("./store");
+const { assertPublicUrl, fetchPublic } = require("./outbound");
+const { retryDue } = require("./cron");
+const { badRequest } = require("./errors");
+
+const EVENTS = ["report.started", "report.completed", "report.failed", "report.emailed", "score.changed"];
+
+const MINUTE_MS = 60 * 1000;
+// Wait before each retry; the first attempt plus one retry per entry
+const RETRY_DELAYS_MS = [MINUTE_MS, 5 * MINUTE_MS, 30 * MINUTE_MS, 2 * 60 * MINUTE_MS, 12 * 60 * MINUTE_MS];
+const TIMEOUT_MS = 10000;
+// Receivers' replies are only checked for their status, so little is read
+const MAX_REPLY_BYTES = 64 * 1024;
+// Deliveries listed per webhook
+const DELIVERY_LOG_LIMIT = 50;
+
+const webhooks = () => getCollection("webhooks");
+const deliveries = () => getCollection("webhook-deliveries");
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+async function validateWebhook({ url, events }) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    throw badRequest("Webhook url must be an http(s) URL");
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    throw badRequest(`Pick at least one event: ${EVENTS.join(", ")}`);
+  }
+  const unknown = events.filter((event) => !EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown events: ${unknown.join(", ")}. Use: ${EVENTS.join(", ")}`);
+  }
+  await assertPublicUrl(url);
+}
+
+// What the API returns; the secret only when it was just created or rotated
+function toPublicWebhook(webhook, { withSecret = false } = {}) {
+  const { secret, ...rest } = webhook;
+  return withSecret ? { ...rest, secret } : { ...rest, secretHint: `…${secret.slice(-4)}` };
+}
+
+async function createWebhook({ url, events, description }, workspaceId = null) {
+  await validateWebhook({ url, events });
+
+  const now = new Date().toISOString();
+  const webhook = {
+    id: crypto.randomUUID(),
+    workspaceId,
+    url,
+    events: [...new Set(events)],
+    description: String(description || "").trim(),
+    secret: newSecret(),
+    active: true,
+    createdAt: now,
+    updatedAt: now
+  };
+  await webhooks().put(webhook.id, webhook);
+  return webhook;
+}
+
+// A webhook only if it belongs to the workspace; null otherwise, like a missing one
+async function getWebhook(id, workspaceId = null) {
+  const webhook = await webhooks().get(id);
+  return webhook && webhook.workspaceId === workspaceId ? webhook : null;
+}
+
+async function listWebhooks(workspaceId = null) {
+  const all = await webhooks().list();
+  return all
+    .filter((webhook) => webhook.workspaceId === workspaceId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// changes: url, events, description, active, rotateSecret
+async function updateWebhook(id, changes, workspaceId = null) {
+  const webhook = await getWebhook(id, workspaceId);
+  if (!webhook) return null;
+
+  const updated = { ...webhook };
+  ["url", "events", "description", "active"].forEach((field) => {
+    if (changes[field] !== undefined) updated[field] = changes[field];
+  });
+  updated.active = Boolean(updated.active);
+  updated.description = String(updated.description || "").trim();
+  await validateWebhook(updated);
+  if (changes.rotateSecret) updated.secret = newSecret();
+  updated.updatedAt = new Date().toISOString();
+
+  await webhooks().put(id, updated);
+  return updated;
+}
+
+async function deleteWebhook(id, workspaceId = null) {
+  const webhook = await getWebhook(id, workspaceId);
+  if (!webhook) return false;
+  await webhooks().remove(id);
+  return true;
+}
+
+// Header value receivers check: recompute the HMAC over "<t>.<raw body>"
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function isRetryable(status) {
+  return !status || status === 429 || status >= 500;
+}
+
+// One POST of the delivery's payload; records the attempt and what happens next
+async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  let status = null;
+  let error = null;
+  // The URL now resolves to a private address, or the receiver redirected
+  let refused = false;
+
+  try {
+    const response = await fetchPublic(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "AI-Reputation-Report-Webhooks",
+        "X-Webhook-Id": delivery.id,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Signature": signPayload(webhook.secret, body)
+      },
+      body,
+      timeoutMs: TIMEOUT_MS,
+      maxBytes: MAX_REPLY_BYTES,
+      maxRedirects: 0
+    });
+    status = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (fetchError) {
+    error = fetchError.message;
+    refused = fetchError.status === 400;
+  }
+
+  const now = new Date();
+  delivery.attempts.push({ at: now.toISOString(), status, error, durationMs: Date.now() - started });
+  delivery.responseStatus = status;
+  delivery.error = error;
+
+  if (!error) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = now.toISOString();
+    delivery.nextAttemptAt = null;
+  } else if (!refused && isRetryable(status) && delivery.attempts.length <= RETRY_DELAYS_MS.length) {
+    delivery.status = "retrying";
+    delivery.nextAttemptAt = new Date(now.getTime() + RETRY_DELAYS_MS[delivery.attempts.length - 1]).toISOString();
+  } else {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+    console.error(`Webhook ${webhook.id} ${delivery.event} delivery ${delivery.id} failed: ${error}`);
+  }
+
+  delivery.updatedAt = now.toISOString();
+  await deliveries().put(delivery.id, delivery);
+  return delivery;
+}
+
+// Sends event to every active webhook in the workspace that subscribed to it.
+// Resolves to [{ webhookId, deliveryId, status }]; never throws.
+async function emitEvent(workspaceId, event, data) {
+  if (!workspaceId) return [];
+
+  try {
+    const targets = (await listWebhooks(workspaceId))
+      .filter((webhook) => webhook.active && webhook.events.includes(event));
+
+    return await Promise.all(targets.map(async (webhook) => {
+      const now = new Date().toISOString();
+      const id = crypto.randomUUID();
+      const delivery = await attemptDelivery({
+        id,
+        webhookId: webhook.id,
+        workspaceId,
+        event,
+        payload: { id, event, createdAt: now, workspaceId, data },
+        status: "pending",
+        attempts: [],
+        responseStatus: null,
+        error: null,
+        nextAttemptAt: null,
+        deliveredAt: null,
+        createdAt: now
+      }, webhook);
+      return { webhookId: webhook.id, deliveryId: delivery.id, status: delivery.status };
+    }));
+  } catch (error) {
+    console.error(`Webhook ${event} for workspace ${workspaceId} failed:`, error.message);
+    return [];
+  }
+}
+
+// The data most report events carry. reportUrl needs APP_URL, since these
+// events also fire from the scheduler where there is no request to go by.
+function reportEventData({ report = null, reportId = null, ...extra }) {
+  const appUrl = (process.env.APP_URL || "").replace(/\/$/, "");
+  return {
+    reportId,
+    reportUrl: appUrl && reportId ? `${appUrl}/report/${reportId}` : null,
+    ...extra,
+    report
+  };
+}
+
+// One cron tick: retry the deliveries whose backoff has passed (see retryDue)
+async function retryDueDeliveries({ now = new Date() } = {}) {
+  return retryDue(await deliveries().list(), async (delivery) => {
+    const webhook = await webhooks().get(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      await deliveries().put(delivery.id, {
+        ...delivery,
+        status: "failed",
+        error: webhook ? "Webhook was disabled" : "Webhook was deleted",
+        nextAttemptAt: null,
+        updatedAt: new Date().toISOString()
+      });
+      return "failed";
+    }
+    return (await attemptDelivery(delivery, webhook)).status;
+  }, { outcomes: ["delivered", "failed"], now });
+}
+
+// Delivery log for one webhook, newest first, without payloads
+async function listDeliveries(webhookId) {
+  const all = await deliveries().list();
+  return all
+    .filter((delivery) => delivery.webhookId === webhookId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, DELIVERY_LOG_LIMIT)
+    .map(({ payload, ...delivery }) => delivery);
+}
+
+// Sends a logged delivery again now, whatever its status
+async function redeliver(deliveryId, webhook) {
+  const delivery = await deliveries().get(deliveryId);
+  if (!delivery || delivery.webhookId !== webhook.id) return null;
+  const { payload, ...result } = await attemptDelivery(delivery, webhook);
+  return result;
+}
+
+module.exports = {
+  EVENTS,
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  toPublicWebhook,
+  signPayload,
+  emitEvent,
+  reportEventData,
+  retryDueDeliveries,
+  listDeliveries,
+  redeliver
+};
@@ -0,0 +1,117 @@
+process.env.STORE_DRIVER = "memory";
+
+const { test, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./testing");
+const { getCollection } = require("./store");
+const { createWebhook, updateWebhook, emitEvent, retryDueDeliveries } = require("./webhooks");
+
+let server;
+// How the receiver answers: { status, headers, delayMs }
+let reply = {};
+
+before(async () => {
+  server = await startServer(async (req, body, res) => {
+    if (reply.delayMs) await new Promise((resolve) => setTimeout(resolve, reply.delayMs));
+    res.statusCode = reply.status || 200;
+    Object.entries(reply.headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+    return "ok";
+  });
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  reply = {};
+  server.requests.length = 0;
+  process.env.ALLOW_PRIVATE_URLS = "true";
+  for (const name of ["webhooks", "webhook-deliveries"]) {
+    const collection = getCollection(name);
+    await Promise.all((await collection.list()).map((doc) => collection.remove(doc.id)));
+  }
+});
+
+afterEach(() => {
+  delete process.env.ALLOW_PRIVATE_URLS;
+});
+
+const localWebhook = (workspaceId = "ws1") => createWebhook({ url: `${server.url}/hook`, events: ["report.completed"] }, workspaceId);
+const deliveryLog = () => getCollection("webhook-deliveries").list();
+
+test("webhooks can't point at internal addresses", async () => {
+  delete process.env.ALLOW_PRIVATE_URLS;
+
+  for (const url of [
+    "http://localhost:3000/api/jobs",
+    "http://127.0.0.1:8080/hook",
+    "http://10.0.0.5/hook",
+    "http://192.168.1.10/hook",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://[::1]/hook",
+    "http://[fd00::1]/hook"
+  ]) {
+    await assert.rejects(createWebhook({ url, events: ["report.completed"] }, "ws1"), { status: 400 }, url);
+  }
+  assert.deepEqual(await getCollection("webhooks").list(), []);
+});
+
+test("a webhook can't be moved to an internal address", async () => {
+  const webhook = await createWebhook({ url: "http://93.184.216.34/hook", events: ["report.completed"] }, "ws1");
+  delete process.env.ALLOW_PRIVATE_URLS;
+
+  await assert.rejects(updateWebhook(webhook.id, { url: "http://169.254.169.254/latest/meta-data/" }, "ws1"), { status: 400 });
+  assert.equal((await getCollection("webhooks").get(webhook.id)).url, "http://93.184.216.34/hook");
+});
+
+test("a delivery to an address that has turned private fails without being sent", async () => {
+  await localWebhook();
+  delete process.env.ALLOW_PRIVATE_URLS;
+
+  const [result] = await emitEvent("ws1", "report.completed", { reportId: "r1" });
+
+  assert.equal(result.status, "failed");
+  assert.equal(server.requests.length, 0);
+  const [delivery] = await deliveryLog();
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.match(delivery.error, /private or local address/);
+});
+
+test("redirects from a receiver aren't followed", async () => {
+  await localWebhook();
+  reply = { status: 307, headers: { location: "http://169.254.169.254/latest/meta-data/" } };
+
+  const [result] = await emitEvent("ws1", "report.completed", { reportId: "r1" });
+
+  assert.equal(result.status, "failed");
+  assert.equal(server.requests.length, 1);
+  assert.match((await deliveryLog())[0].error, /redirected/);
+});
+
+test("signed deliveries reach a public receiver", async () => {
+  const webhook = await localWebhook();
+
+  const [result] = await emitEvent("ws1", "report.completed", { reportId: "r1" });
+
+  assert.equal(result.status, "delivered");
+  const [request] = server.requests;
+  assert.equal(request.headers["x-webhook-event"], "report.completed");
+  assert.match(request.headers["x-webhook-signature"], /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.equal(request.body.data.reportId, "r1");
+  assert.equal(request.body.workspaceId, webhook.workspaceId);
+});
+
+test("a retry tick sends a bounded batch, several at a time", async () => {
+  await localWebhook();
+  reply = { status: 503 };
+  await Promise.all(Array.from({ length: 25 }, () => emitEvent("ws1", "report.completed", { reportId: "r1" })));
+  const [due] = await deliveryLog();
+  assert.equal(due.status, "retrying");
+
+  reply = { delayMs: 100 };
+  const started = Date.now();
+  const summary = await retryDueDeliveries({ now: new Date(new Date(due.nextAttemptAt).getTime() + 1000) });
+
+  assert.deepEqual(summary, { retried: 20, delivered: 20, failed: 0, remaining: 5 });
+  assert.ok(Date.now() - started < 1000, "retries ran one after another");
+  assert.equal((await deliveryLog()).filter((delivery) => delivery.status === "retrying").length, 5);
+});
@@ -0,0 +1,179 @@
+// Team workspaces
+// Reports, jobs, monitors and prompt sets each belong to one workspace
+// (workspaceId). Every member can see and run them; owners also rename the
+// workspace and manage its members. The workspace's AI Visibility Index weights
+// are used wherever the index is computed: the app, PDFs, webhooks, CRM leads
+// and share links.
+
+const crypto = require("crypto");
+const { getCollection } = require("./store");
+const { findOrCreateUser } = require("./users");
+const { VISIBILITY_COMPONENTS, resolveWeights } = require("../../src/lib/visibility");
+const { clientError } = require("./errors");
+
+const ROLES = ["owner", "member"];
+
+// Collections whose documents carry a workspaceId, with each document's store id
+const SCOPED_COLLECTIONS = {
+  reports: (doc) => doc.id,
+  jobs: (doc) => doc.id,
+  monitors: (doc) => doc.id,
+  "prompt-sets": (doc) => doc.id,
+  "prompt-set-versions": (doc) => `${doc.id}-v${doc.version}`
+};
+
+const workspaces = () => getCollection("workspaces");
+
+function memberRole(workspace, userId) {
+  return workspace?.members.find((member) => member.userId === userId)?.role || null;
+}
+
+async function createWorkspace({ name, owner }) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) throw clientError(400, "Workspace name is required");
+
+  const now = new Date().toISOString();
+  const workspace = {
+    id: crypto.randomUUID(),
+    name: trimmed,
+    createdAt: now,
+    updatedAt: now,
+    members: [{ userId: owner.id, email: owner.email, role: "owner", addedAt: now }]
+  };
+  await workspaces().put(workspace.id, workspace);
+  return workspace;
+}
+
+async function getWorkspace(id) {
+  return workspaces().get(id);
+}
+
+// Oldest first, so a user's first workspace stays their default
+async function listWorkspacesForUser(userId) {
+  const all = await workspaces().list();
+  return all
+    .filter((workspace) => memberRole(workspace, userId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function requireOwner(workspace, userId) {
+  if (memberRole(workspace, userId) !== "owner") {
+    throw clientError(403, "Only workspace owners can do that");
+  }
+}
+
+async function saveWorkspace(workspace) {
+  workspace.updatedAt = new Date().toISOString();
+  await workspaces().put(workspace.id, workspace);
+  return workspace;
+}
+
+async function renameWorkspace(workspace, name, actorId) {
+  requireOwner(workspace, actorId);
+  const trimmed = String(name || "").trim();
+  if (!trimmed) throw clientError(400, "Workspace name is required");
+  return saveWorkspace({ ...workspace, name: trimmed });
+}
+
+// amount in USD, or null to fall back to MONTHLY_BUDGET_USD
+async function setMonthlyBudget(workspace, amount, actorId) {
+  requireOwner(workspace, actorId);
+  if (amount !== null && !(Number(amount) >= 0)) {
+    throw clientError(400, "Monthly budget must be a positive amount in USD, or null for none");
+  }
+  return saveWorkspace({ ...workspace, monthlyBudgetUsd: amount === null ? null : Number(amount) });
+}
+
+// weights: { componentId: weight } for any of the index components, or null
+// for the defaults. Any member can change them.
+async function setVisibilityWeights(workspace, weights) {
+  if (weights !== null) {
+    if (typeof weights !== "object" || Array.isArray(weights)) {
+      throw clientError(400, "visibilityWeights must be an object of component weights, or null for the defaults");
+    }
+    const ids = VISIBILITY_COMPONENTS.map((component) => component.id);
+    const unknown = Object.keys(weights).filter((id) => !ids.includes(id));
+    if (unknown.length > 0) throw clientError(400, `Unknown index components: ${unknown.join(", ")}. Use: ${ids.join(", ")}`);
+    if (Object.values(weights).some((weight) => !(Number(weight) >= 0))) {
+      throw clientError(400, "Index weights must be numbers of 0 or more");
+    }
+    if (Object.values(resolveWeights(weights)).every((weight) => weight === 0)) {
+      throw clientError(400, "At least one index weight must be above 0");
+    }
+  }
+  return saveWorkspace({ ...workspace, visibilityWeights: weights === null ? null : resolveWeights(weights) });
+}
+
+// The workspace's index weights, or null for the defaults
+async function getVisibilityWeights(workspaceId) {
+  const workspace = workspaceId ? await getWorkspace(workspaceId) : null;
+  return workspace?.visibilityWeights || null;
+}
+
+// Adds a member by email, creating a password-less account when there is none.
+// Returns { workspace, user }.
+async function addMember(workspace, { email, role = "member" }, actorId) {
+  requireOwner(workspace, actorId);
+  if (!ROLES.includes(role)) throw clientError(400, `Role must be one of: ${ROLES.join(", ")}`);
+
+  const user = await findOrCreateUser(email);
+  if (memberRole(workspace, user.id)) throw clientError(400, `${user.email} is already a member`);
+
+  const members = [...workspace.members, { userId: user.id, email: user.email, role, addedAt: new Date().toISOString() }];
+  return { workspace: await saveWorkspace({ ...workspace, members }), user };
+}
+
+// Owners can remove anyone; members can only leave. The last owner can't go.
+async function removeMember(workspace, userId, actorId) {
+  if (userId !== actorId) requireOwner(workspace, actorId);
+  if (!memberRole(workspace, userId)) throw clientError(404, "Not a member of this workspace");
+
+  const members = workspace.members.filter((member) => member.userId !== userId);
+  if (!members.some((member) => member.role === "owner")) {
+    throw clientError(400, "A workspace needs at least one owner");
+  }
+  return saveWorkspace({ ...workspace, members });
+}
+
+// Records saved before workspaces existed have no workspaceId. The first
+// account's workspace takes them over so existing history isn't lost.
+async function adoptUnownedRecords(workspaceId) {
+  const adopted = {};
+  for (const [name, storeId] of Object.entries(SCOPED_COLLECTIONS)) {
+    const collection = getCollection(name);
+    const unowned = (await collection.list()).filter((doc) => doc.id && !doc.workspaceId);
+    for (const doc of unowned) {
+      await collection.put(storeId(doc), { ...doc, workspaceId });
+    }
+    adopted[name] = unowned.length;
+  }
+  console.log(`Workspace ${workspaceId} adopted unowned records:`, JSON.stringify(adopted));
+  return adopted;
+}
+
+function toPublicWorkspace(workspace, userId) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    role: memberRole(workspace, userId),
+    monthlyBudgetUsd: workspace.monthlyBudgetUsd ?? null,
+    visibilityWeights: resolveWeights(workspace.visibilityWeights),
+    createdAt: workspace.createdAt,
+    members: workspace.members.map(({ userId: id, email, role, addedAt }) => ({ userId: id, email, role, addedAt }))
+  };
+}
+
+module.exports = {
+  memberRole,
+  createWorkspace,
+  getWorkspace,
+  listWorkspacesForUser,
+  renameWorkspace,
+  setMonthlyBudget,
+  setVisibilityWeights,
+  getVisibilityWeights,
+  addMember,
+  removeMember,
+  adoptUnownedRecords,
+  toPublicWorkspace
+};
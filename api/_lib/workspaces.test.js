@@ -0,0 +1,81 @@
+process.env.STORE_DRIVER = "memory";
+process.env.MAIL_DRIVER = "outbox";
+process.env.SIGNUP_DOMAINS = "example.com";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { callHandler, sessionCookie } = require("./testing");
+const { saveReport } = require("./reports");
+const { visibilityChange } = require("./compare");
+const { VISIBILITY_COMPONENTS } = require("../../src/lib/visibility");
+
+const signup = require("../auth/signup");
+const session = require("../auth/session");
+const workspaceById = require("../workspaces/[id]");
+const reportById = require("../reports/[id]");
+
+const DEFAULT_WEIGHTS = Object.fromEntries(VISIBILITY_COMPONENTS.map((component) => [component.id, component.weight]));
+// Counts only the SEMRush Authority Score
+const AUTHORITY_ONLY = { entityFound: 0, sentiment: 0, citations: 0 };
+
+async function signUpWorkspace(email) {
+  const res = await callHandler(signup, { method: "POST", body: { email, password: "correct horse" } });
+  assert.equal(res.statusCode, 201);
+  const headers = { cookie: sessionCookie(res) };
+  const { body } = await callHandler(session, { headers });
+  return { headers, workspaceId: body.workspace.id };
+}
+
+const setWeights = (account, visibilityWeights) => callHandler(workspaceById, {
+  method: "PATCH",
+  query: { id: account.workspaceId },
+  body: { visibilityWeights },
+  headers: account.headers
+});
+
+// Found by one engine with a poor sentiment and no verified sources, but a strong
+// Authority Score: 54 with the default weights, 80 with AUTHORITY_ONLY
+const acmeResults = (authorityScore) => ({
+  companyName: "Acme",
+  website: "acme.com",
+  company: { claude: { results: { entityFound: true, confidenceScore: 8, sentimentScore: 2, topSources: [] } } },
+  semrushData: { authorityScore }
+});
+
+test("index weights are saved on the workspace and come back with the session", async () => {
+  const alice = await signUpWorkspace("weights@example.com");
+  assert.deepEqual((await callHandler(session, { headers: alice.headers })).body.workspace.visibilityWeights, DEFAULT_WEIGHTS);
+
+  const saved = await setWeights(alice, { ...AUTHORITY_ONLY, authority: "30" });
+  assert.equal(saved.statusCode, 200);
+  assert.deepEqual(saved.body.visibilityWeights, { ...DEFAULT_WEIGHTS, ...AUTHORITY_ONLY, authority: 30 });
+  assert.deepEqual((await callHandler(session, { headers: alice.headers })).body.workspace.visibilityWeights, saved.body.visibilityWeights);
+
+  const reset = await setWeights(alice, null);
+  assert.deepEqual(reset.body.visibilityWeights, DEFAULT_WEIGHTS);
+});
+
+test("unknown components, negative and all-zero weights are refused", async () => {
+  const alice = await signUpWorkspace("bad-weights@example.com");
+
+  for (const weights of [[10], { popularity: 10 }, { authority: -1 }, { authority: "lots" }, Object.fromEntries(VISIBILITY_COMPONENTS.map((c) => [c.id, 0]))]) {
+    assert.equal((await setWeights(alice, weights)).statusCode, 400, JSON.stringify(weights));
+  }
+  assert.deepEqual((await callHandler(session, { headers: alice.headers })).body.workspace.visibilityWeights, DEFAULT_WEIGHTS);
+});
+
+test("share links and score changes use the workspace's weights", async () => {
+  const alice = await signUpWorkspace("shared-weights@example.com");
+  const previous = await saveReport({ results: acmeResults(40), workspaceId: alice.workspaceId });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const report = await saveReport({ results: acmeResults(80), workspaceId: alice.workspaceId });
+
+  assert.deepEqual(await visibilityChange(report), { previousReportId: previous.id, previousScore: 45, score: 54, delta: 9 });
+
+  await setWeights(alice, AUTHORITY_ONLY);
+  assert.deepEqual(await visibilityChange(report), { previousReportId: previous.id, previousScore: 40, score: 80, delta: 40 });
+
+  const shared = await callHandler(reportById, { query: { id: report.id } });
+  assert.equal(shared.statusCode, 200);
+  assert.deepEqual(shared.body.visibilityWeights, { ...DEFAULT_WEIGHTS, ...AUTHORITY_ONLY });
+});
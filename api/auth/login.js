@@ -0,0 +1,34 @@
+// Log in
+// POST /api/auth/login - { email, password } -> signs in (session cookie)
+
+const { applyCors } = require("../_lib/cors");
+const { logIn } = require("../_lib/auth");
+const { toPublicUser } = require("../_lib/users");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    const { email, password } = req.body || {};
+    const user = await logIn(req, res, { email, password });
+    return res.status(200).json({ user: toPublicUser(user) });
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 401 || error.status === 503) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.retryAfter) {
+      res.setHeader("Retry-After", String(error.retryAfter));
+      return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+    }
+
+    console.error("Login error:", error);
+    return res.status(500).json({ 
+      error: "Login failed", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,34 @@
+// Sign-in link
+// POST /api/auth/magic-link - { email } -> emails a one-time link to /api/auth/verify.
+// Always answers { sent: true } for a valid email, whether or not it has an account.
+
+const { applyCors } = require("../_lib/cors");
+const { requestLoginLink } = require("../_lib/auth");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    const { email } = req.body || {};
+    const result = await requestLoginLink(req, email);
+    return res.status(200).json(result);
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 503) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.retryAfter) {
+      res.setHeader("Retry-After", String(error.retryAfter));
+      return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+    }
+
+    console.error("Sign-in link error:", error);
+    return res.status(500).json({ 
+      error: "Failed to send sign-in link", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,66 @@
+// Current session
+// GET    /api/auth/session - { user, workspace, workspaces } for the signed-in user (401 if none)
+// PATCH  /api/auth/session - { workspaceId } switches the current workspace;
+//                             { password } sets the signed-in user's password
+// DELETE /api/auth/session - signs out
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate, switchWorkspace, endSession } = require("../_lib/auth");
+const { toPublicUser, setPassword } = require("../_lib/users");
+const { badRequest } = require("../_lib/errors");
+const { listWorkspacesForUser, toPublicWorkspace } = require("../_lib/workspaces");
+
+async function describe(user, workspace) {
+  const workspaces = await listWorkspacesForUser(user.id);
+  return {
+    user: toPublicUser(user),
+    workspace: toPublicWorkspace(workspace, user.id),
+    workspaces: workspaces.map((ws) => toPublicWorkspace(ws, user.id))
+  };
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, PATCH, DELETE, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  try {
+    if (req.method === "DELETE") {
+      await endSession(req, res);
+      return res.status(200).json({ signedOut: true });
+    }
+
+    if (req.method !== "GET" && req.method !== "PATCH") {
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const auth = await authenticate(req, res);
+    if (!auth) return;
+
+    if (req.method === "PATCH") {
+      const { workspaceId, password } = req.body || {};
+      if (workspaceId === undefined && password === undefined) {
+        throw badRequest("Send a workspaceId or a password");
+      }
+      // Invited members and sign-in link users start without a password
+      const user = password === undefined ? auth.user : await setPassword(auth.user, password);
+      const { workspace } = workspaceId === undefined
+        ? auth
+        : await switchWorkspace(auth.session, user, workspaceId);
+      return res.status(200).json(await describe(user, workspace));
+    }
+
+    return res.status(200).json(await describe(auth.user, auth.workspace));
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("Session error:", error);
+    return res.status(500).json({ 
+      error: "Session request failed", 
+      message: error.message 
+    });
+  }
+};
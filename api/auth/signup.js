@@ -0,0 +1,31 @@
+// Sign up
+// POST /api/auth/signup - { email, password, name } -> creates the account and
+// a personal workspace, and signs in (session cookie)
+
+const { applyCors } = require("../_lib/cors");
+const { signUp } = require("../_lib/auth");
+const { toPublicUser } = require("../_lib/users");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    const { email, password, name } = req.body || {};
+    const user = await signUp(req, res, { email, password, name });
+    return res.status(201).json({ user: toPublicUser(user) });
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 403 || error.status === 503) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("Sign-up error:", error);
+    return res.status(500).json({ 
+      error: "Sign-up failed", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,22 @@
+// Sign-in link landing
+// GET /api/auth/verify?token= - signs in and redirects to the app; a used or
+// expired link redirects to /?signin=expired instead
+
+const { consumeLoginLink } = require("../_lib/auth");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    await consumeLoginLink(req, res, req.query.token);
+    res.setHeader("Location", "/");
+    return res.status(302).end();
+
+  } catch (error) {
+    if (error.status !== 400 && error.status !== 401) {
+      console.error("Sign-in link verify error:", error);
+    }
+    res.setHeader("Location", "/?signin=expired");
+    return res.status(302).end();
+  }
+};
@@ -0,0 +1,48 @@
+// CRM lead capture log
+// GET  /api/crm - the workspace's CRM syncs, newest first (?status=failed to filter),
+//                 and which CRMs are configured
+// POST /api/crm - { id } retries a failed sync
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { adapters, listSyncs, retrySync } = require("../_lib/crm");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    if (req.method === "GET") {
+      const syncs = await listSyncs(auth.workspace.id, { status: req.query?.status });
+      const configured = Object.values(adapters).map((adapter) => ({
+        id: adapter.id,
+        name: adapter.name,
+        configured: adapter.isConfigured()
+      }));
+      return res.status(200).json({ adapters: configured, syncs });
+    }
+
+    if (req.method === "POST") {
+      const { id } = req.body || {};
+      const sync = await retrySync(id, auth.workspace.id);
+      return res.status(200).json(sync);
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("CRM API error:", error);
+    return res.status(500).json({ 
+      error: "CRM request failed", 
+      message: error.message 
+    });
+  }
+};
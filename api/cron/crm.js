@@ -0,0 +1,8 @@
+// CRM Retry Tick
+// GET /api/cron/crm - retries CRM lead syncs whose backoff has passed.
+// Scheduled in vercel.json; needs CRON_SECRET in production (see _lib/cron.js).
+
+const { retryDueSyncs } = require("../_lib/crm");
+const { cronHandler } = require("../_lib/cron");
+
+module.exports = cronHandler("CRM retry", () => retryDueSyncs());
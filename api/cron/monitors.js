@@ -0,0 +1,9 @@
+// Monitor Scheduler
+// GET /api/cron/monitors - one scheduler tick: starts, advances and delivers
+// due monitor runs. Scheduled in vercel.json; needs CRON_SECRET in production
+// (see _lib/cron.js).
+
+const { runDueMonitors } = require("../_lib/monitors");
+const { cronHandler } = require("../_lib/cron");
+
+module.exports = cronHandler("Scheduler", () => runDueMonitors());
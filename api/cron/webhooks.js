@@ -0,0 +1,8 @@
+// Webhook Retry Tick
+// GET /api/cron/webhooks - retries webhook deliveries whose backoff has passed.
+// Scheduled in vercel.json; needs CRON_SECRET in production (see _lib/cron.js).
+
+const { retryDueDeliveries } = require("../_lib/webhooks");
+const { cronHandler } = require("../_lib/cron");
+
+module.exports = cronHandler("Webhook retry", () => retryDueDeliveries());
@@ -0,0 +1,38 @@
+// Entity Structured-Data Audit API
+// POST /api/entity-audit - { formData } -> checks + suggested JSON-LD for formData.website
+// Pass html to audit markup without fetching the site (e.g. a local HTML file);
+// formData.website is then only used to resolve relative URLs.
+
+const { applyCors } = require("./_lib/cors");
+const { authenticate } = require("./_lib/auth");
+const { auditHtml, auditWebsite } = require("./_lib/entity-audit");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  const { formData = {}, html } = req.body || {};
+
+  try {
+    const audit = typeof html === "string"
+      ? auditHtml(html, { formData })
+      : await auditWebsite(formData);
+    return res.status(200).json(audit);
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Entity audit error:", error);
+    return res.status(500).json({ 
+      error: "Entity audit failed", 
+      message: error.message 
+    });
+  }
+};
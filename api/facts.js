@@ -0,0 +1,34 @@
+// Brand Facts API
+// POST /api/facts - { website } -> { profile, source, found }
+// Reads the Organization structured data (and meta description) on the
+// company's site to pre-fill the ground-truth profile used by the fact-check.
+
+const { applyCors } = require("./_lib/cors");
+const { authenticate } = require("./_lib/auth");
+const { profileFromSite } = require("./_lib/fact-check");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    const { website } = req.body || {};
+    return res.status(200).json(await profileFromSite(website));
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Brand facts error:", error);
+    return res.status(500).json({ 
+      error: "Failed to read brand facts from the website", 
+      message: error.message 
+    });
+  }
+};
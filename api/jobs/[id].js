@@ -0,0 +1,44 @@
+// Report Job status
+// GET  /api/jobs/:id - per-task status and partial results
+// POST /api/jobs/:id - run pending tasks for up to ~40s, then return status
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { getJob, advanceJob, toSnapshot } = require("../_lib/jobs");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  const { id } = req.query;
+
+  try {
+    // Check the workspace before advanceJob spends anything on another team's job
+    const existing = await getJob(id);
+    if (!existing || existing.workspaceId !== auth.workspace.id) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const job = req.method === "POST" ? await advanceJob(id) : existing;
+
+    return res.status(200).json(toSnapshot(job));
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Job error:", error);
+    return res.status(500).json({ 
+      error: "Job request failed", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,35 @@
+// Report Job estimate
+// POST /api/jobs/estimate - { formData, selectedLLMs } -> expected Anthropic calls/tokens,
+// SEMRush units and USD cost of the run (assuming nothing is cached), plus the
+// workspace's monthly budget status
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { estimateJob } = require("../_lib/jobs");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    const { formData, selectedLLMs } = req.body || {};
+    const estimate = await estimateJob({ formData, selectedLLMs, workspaceId: auth.workspace.id });
+    return res.status(200).json(estimate);
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Job estimate error:", error);
+    return res.status(500).json({ 
+      error: "Failed to estimate job", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,35 @@
+// Report Jobs API
+// POST /api/jobs - create a server-side analysis run from formData + selectedLLMs
+// (refresh: true ignores cached SEMRush and analysis results). 402 once the
+// workspace's monthly budget is used up.
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { createJob, toSnapshot } = require("../_lib/jobs");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    const { formData, selectedLLMs, refresh } = req.body || {};
+    const job = await createJob({ formData, selectedLLMs, refresh, workspaceId: auth.workspace.id });
+    return res.status(201).json(toSnapshot(job));
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 402) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("Job creation error:", error);
+    return res.status(500).json({ 
+      error: "Failed to create job", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,35 @@
+// Knowledge Graph API
+// POST /api/knowledge-graph - { formData, refresh? } -> Wikidata / Wikipedia matches
+// for formData.companyName and each leader in formData.leadership
+
+const { applyCors } = require("./_lib/cors");
+const { authenticate } = require("./_lib/auth");
+const { checkKnowledgeGraph } = require("./_lib/knowledge-graph");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  const { formData = {}, refresh = false } = req.body || {};
+
+  try {
+    const result = await checkKnowledgeGraph(formData, { refresh: Boolean(refresh) });
+    return res.status(200).json(result);
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Knowledge graph error:", error);
+    return res.status(500).json({ 
+      error: "Knowledge graph check failed", 
+      message: error.message 
+    });
+  }
+};
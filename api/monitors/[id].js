@@ -0,0 +1,53 @@
+// Report Monitor
+// GET    /api/monitors/:id - monitor plus its scheduled run and delivery history
+// PATCH  /api/monitors/:id - update cadence, recipients, active, ...
+// DELETE /api/monitors/:id - remove the monitor (run history is kept)
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { getMonitor, updateMonitor, deleteMonitor, listMonitorRuns } = require("../_lib/monitors");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, PATCH, DELETE, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  const { id } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const monitor = await getMonitor(id, auth.workspace.id);
+      if (!monitor) return res.status(404).json({ error: "Monitor not found" });
+      return res.status(200).json({ monitor, runs: await listMonitorRuns(id) });
+    }
+
+    if (req.method === "PATCH") {
+      const monitor = await updateMonitor(id, req.body || {}, auth.workspace.id);
+      if (!monitor) return res.status(404).json({ error: "Monitor not found" });
+      return res.status(200).json(monitor);
+    }
+
+    if (req.method === "DELETE") {
+      if (!(await deleteMonitor(id, auth.workspace.id))) {
+        return res.status(404).json({ error: "Monitor not found" });
+      }
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Monitor API error:", error);
+    return res.status(500).json({ 
+      error: "Monitor request failed", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,40 @@
+// Report Monitors API
+// GET  /api/monitors - the workspace's saved monitors
+// POST /api/monitors - create { formData, selectedLLMs, cadence, recipients, recipientName? }
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { createMonitor, listMonitors } = require("../_lib/monitors");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    if (req.method === "GET") {
+      return res.status(200).json({ monitors: await listMonitors(auth.workspace.id) });
+    }
+
+    if (req.method === "POST") {
+      const monitor = await createMonitor(req.body || {}, auth.workspace.id);
+      return res.status(201).json(monitor);
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Monitors API error:", error);
+    return res.status(500).json({ 
+      error: "Monitors request failed", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,53 @@
+// Prompt Set
+// GET    /api/prompts/:id - latest version (?version=N for an earlier one)
+// PATCH  /api/prompts/:id - update name, description or prompts; saves a new version
+// DELETE /api/prompts/:id - remove the set (stored versions are kept)
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { getPromptSet, updatePromptSet, deletePromptSet } = require("../_lib/prompts");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, PATCH, DELETE, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  const { id, version } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const promptSet = await getPromptSet(id, { version, workspaceId: auth.workspace.id });
+      if (!promptSet) return res.status(404).json({ error: "Prompt set not found" });
+      return res.status(200).json(promptSet);
+    }
+
+    if (req.method === "PATCH") {
+      const promptSet = await updatePromptSet(id, req.body || {}, auth.workspace.id);
+      if (!promptSet) return res.status(404).json({ error: "Prompt set not found" });
+      return res.status(200).json(promptSet);
+    }
+
+    if (req.method === "DELETE") {
+      if (!(await deletePromptSet(id, auth.workspace.id))) {
+        return res.status(404).json({ error: "Prompt set not found" });
+      }
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Prompt set API error:", error);
+    return res.status(500).json({ 
+      error: "Prompt set request failed", 
+      message: error.message 
+    });
+  }
+};
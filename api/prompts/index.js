@@ -0,0 +1,44 @@
+// Prompt Library API
+// GET  /api/prompts - every prompt set (built-in default first) plus the template variables
+// POST /api/prompts - create { name, description?, prompts: { entity, leadership, press, social, podcast, competitor } }
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { PROMPT_KEYS, PROMPT_VARIABLES, createPromptSet, listPromptSets } = require("../_lib/prompts");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    if (req.method === "GET") {
+      return res.status(200).json({
+        promptSets: await listPromptSets(auth.workspace.id),
+        keys: PROMPT_KEYS,
+        variables: PROMPT_VARIABLES
+      });
+    }
+
+    if (req.method === "POST") {
+      const promptSet = await createPromptSet(req.body || {}, auth.workspace.id);
+      return res.status(201).json(promptSet);
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Prompt library API error:", error);
+    return res.status(500).json({ 
+      error: "Prompt library request failed", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,24 @@
+// Public mode settings for the landing page
+// GET /api/public/config - { publicMode: false }, or { publicMode: true, engine, analysisTypes }
+// when signed-out visitors can run the free report
+
+const { applyCors } = require("../_lib/cors");
+const { getPublicConfig } = require("../_lib/public-mode");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    return res.status(200).json(getPublicConfig());
+
+  } catch (error) {
+    console.error("Public config error:", error);
+    return res.status(500).json({ 
+      error: "Failed to load public mode settings", 
+      message: error.message 
+    });
+  }
+};
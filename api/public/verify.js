@@ -0,0 +1,21 @@
+// Free report email confirmation
+// GET /api/public/verify?token= - emails the held PDF and redirects to /?report=sent;
+// a used or expired link redirects to /?report=expired, a failed send to /?report=failed
+
+const { confirmReportDelivery } = require("../_lib/public-mode");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    await confirmReportDelivery(req, req.query.token);
+    res.setHeader("Location", "/?report=sent");
+    return res.status(302).end();
+
+  } catch (error) {
+    const expired = error.status === 400 || error.status === 401;
+    if (!expired) console.error("Free report confirmation error:", error);
+    res.setHeader("Location", `/?report=${expired ? "expired" : "failed"}`);
+    return res.status(302).end();
+  }
+};
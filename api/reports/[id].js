@@ -0,0 +1,37 @@
+// Saved Report
+// GET /api/reports/:id - the report's results for the read-only /report/:id view,
+//                        with its workspace's AI Visibility Index weights
+// No sign-in: the random report id is the share link's credential
+
+const { applyCors } = require("../_lib/cors");
+const { getReport, toSharedReport } = require("../_lib/reports");
+const { getVisibilityWeights } = require("../_lib/workspaces");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    const report = await getReport(req.query.id);
+
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+
+    const visibilityWeights = await getVisibilityWeights(report.workspaceId);
+    return res.status(200).json({ ...toSharedReport(report), visibilityWeights });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Report load error:", error);
+    return res.status(500).json({ 
+      error: "Failed to load report", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,62 @@
+// Report Comparison
+// GET /api/reports/compare?ids=a,b,c - line up two or more runs of the same company
+// GET /api/reports/compare?id=a       - compare a report with the previous run
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { getWorkspaceReport } = require("../_lib/reports");
+const { compareReports, findPreviousReport, isSameCompany } = require("../_lib/compare");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    const { ids, id } = req.query || {};
+    let reports;
+
+    if (ids) {
+      reports = await Promise.all(String(ids).split(",").map((reportId) => getWorkspaceReport(reportId.trim(), auth.workspace.id)));
+      if (reports.some((report) => !report)) {
+        return res.status(404).json({ error: "Report not found" });
+      }
+    } else if (id) {
+      const report = await getWorkspaceReport(id, auth.workspace.id);
+      if (!report) {
+        return res.status(404).json({ error: "Report not found" });
+      }
+      const previous = await findPreviousReport(report);
+      if (!previous) {
+        return res.status(404).json({ error: "No earlier report for this company" });
+      }
+      reports = [previous, report];
+    } else {
+      return res.status(400).json({ error: "ids or id is required" });
+    }
+
+    if (reports.length < 2) {
+      return res.status(400).json({ error: "At least two reports are required" });
+    }
+    if (!reports.every((report) => isSameCompany(report, reports[0]))) {
+      return res.status(400).json({ error: "Reports must be for the same company" });
+    }
+
+    return res.status(200).json(compareReports(reports));
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Report comparison error:", error);
+    return res.status(500).json({ 
+      error: "Failed to compare reports", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,43 @@
+// Saved Reports API
+// GET  /api/reports - the workspace's report history, newest first (?companyName= / ?website= to filter)
+// POST /api/reports - save a finished report to the workspace, returns its id
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { saveReport, listReports, toSummary } = require("../_lib/reports");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    if (req.method === "GET") {
+      const { companyName, website } = req.query || {};
+      const reports = await listReports({ workspaceId: auth.workspace.id, companyName, website });
+      return res.status(200).json({ reports });
+    }
+
+    if (req.method === "POST") {
+      const { results, formData, selectedLLMs } = req.body || {};
+      const report = await saveReport({ results, formData, selectedLLMs, workspaceId: auth.workspace.id });
+      return res.status(201).json(toSummary(report));
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Reports API error:", error);
+    return res.status(500).json({ 
+      error: "Reports request failed", 
+      message: error.message 
+    });
+  }
+};
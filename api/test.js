@@ -1,10 +1,19 @@
 // API Diagnostics Endpoint
 // Tests all API keys and connectivity
 
+const { applyCors } = require("./_lib/cors");
+const { authenticate } = require("./_lib/auth");
+
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
+  applyCors(req, res, "GET, OPTIONS");
   res.setHeader("Content-Type", "application/json");
 
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  // Shows key prefixes and spends a little of each provider's quota
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
   const results = {
     timestamp: new Date().toISOString(),
     checks: {}
@@ -105,6 +114,20 @@ module.exports = async function handler(req, res) {
     }
   }
 
+  // Check 4: AI engine providers (engines without keys are simulated by Claude)
+  const { providers } = require("./_lib/providers");
+  results.checks.engines = {
+    status: "PASS",
+    engines: {}
+  };
+  Object.values(providers).forEach(provider => {
+    const configured = provider.isConfigured();
+    results.checks.engines.engines[provider.id] = {
+      mode: configured ? "live" : (anthropicKey ? "simulated" : "unavailable"),
+      keys: provider.envKeys
+    };
+  });
+
   // Summary
   const allPassed = Object.values(results.checks).every(
     c => c.status === "PASS" || c.status === "NOT_SET"
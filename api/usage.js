@@ -0,0 +1,57 @@
+// Usage API
+// GET /api/usage              - this month's metered spend and budget for the workspace (?month=YYYY-MM)
+// GET /api/usage?jobId=       - every metered call made for one job, with totals
+// GET /api/usage?reportId=    - the same, for the job that produced a saved report
+
+const { applyCors } = require("./_lib/cors");
+const { authenticate } = require("./_lib/auth");
+const { getWorkspaceReport } = require("./_lib/reports");
+const { listUsage, summarizeUsage, getMonthlyUsage, getBudgetStatus } = require("./_lib/usage");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    const { month, reportId } = req.query || {};
+    let { jobId } = req.query || {};
+    const workspaceId = auth.workspace.id;
+
+    if (reportId) {
+      const report = await getWorkspaceReport(reportId, workspaceId);
+      if (!report) return res.status(404).json({ error: "Report not found" });
+      if (!report.jobId) return res.status(404).json({ error: "This report was not produced by a metered job" });
+      jobId = report.jobId;
+    }
+
+    if (jobId) {
+      const events = await listUsage({ workspaceId, jobId });
+      return res.status(200).json({ jobId, totals: summarizeUsage(events), events });
+    }
+
+    if (month && !/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({ error: "month must look like 2026-01" });
+    }
+
+    return res.status(200).json({
+      ...(await getMonthlyUsage(workspaceId, month || undefined)),
+      budget: await getBudgetStatus(workspaceId)
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Usage API error:", error);
+    return res.status(500).json({ 
+      error: "Usage request failed", 
+      message: error.message 
+    });
+  }
+};
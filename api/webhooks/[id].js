@@ -0,0 +1,71 @@
+// Webhook
+// GET    /api/webhooks/:id - webhook plus its latest deliveries
+// PATCH  /api/webhooks/:id - update url, events, description, active; { rotateSecret: true }
+//                            issues a new signing secret and returns it
+// POST   /api/webhooks/:id - { deliveryId } sends a logged delivery again now
+// DELETE /api/webhooks/:id - remove the webhook (its delivery log is kept)
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const {
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  toPublicWebhook,
+  listDeliveries,
+  redeliver
+} = require("../_lib/webhooks");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, PATCH, POST, DELETE, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  const { id } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const webhook = await getWebhook(id, auth.workspace.id);
+      if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+      return res.status(200).json({ webhook: toPublicWebhook(webhook), deliveries: await listDeliveries(id) });
+    }
+
+    if (req.method === "PATCH") {
+      const changes = req.body || {};
+      const webhook = await updateWebhook(id, changes, auth.workspace.id);
+      if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+      return res.status(200).json(toPublicWebhook(webhook, { withSecret: Boolean(changes.rotateSecret) }));
+    }
+
+    if (req.method === "POST") {
+      const webhook = await getWebhook(id, auth.workspace.id);
+      if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+      const delivery = await redeliver((req.body || {}).deliveryId, webhook);
+      if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+      return res.status(200).json(delivery);
+    }
+
+    if (req.method === "DELETE") {
+      if (!(await deleteWebhook(id, auth.workspace.id))) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Webhook API error:", error);
+    return res.status(500).json({ 
+      error: "Webhook request failed", 
+      message: error.message 
+    });
+  }
+};
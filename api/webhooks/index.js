@@ -0,0 +1,42 @@
+// Webhooks API
+// GET  /api/webhooks - the workspace's webhooks and the events they can subscribe to
+// POST /api/webhooks - create { url, events, description? }; the reply is the only
+//                      time the signing secret is shown (until it is rotated)
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { EVENTS, createWebhook, listWebhooks, toPublicWebhook } = require("../_lib/webhooks");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    if (req.method === "GET") {
+      const webhooks = await listWebhooks(auth.workspace.id);
+      return res.status(200).json({ events: EVENTS, webhooks: webhooks.map((webhook) => toPublicWebhook(webhook)) });
+    }
+
+    if (req.method === "POST") {
+      const webhook = await createWebhook(req.body || {}, auth.workspace.id);
+      return res.status(201).json(toPublicWebhook(webhook, { withSecret: true }));
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Webhooks API error:", error);
+    return res.status(500).json({ 
+      error: "Webhooks request failed", 
+      message: error.message 
+    });
+  }
+};
@@ -0,0 +1,74 @@
+// Workspace
+// GET    /api/workspaces/:id - workspace and its members
+// PATCH  /api/workspaces/:id - { name, monthlyBudgetUsd } rename / set the monthly budget (owners);
+//                              { visibilityWeights } set the AI Visibility Index weights (members)
+// POST   /api/workspaces/:id - { email, role } adds a member and emails them a sign-in link (owners)
+// DELETE /api/workspaces/:id - { userId } removes a member (owners) or leaves (your own userId)
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate, sendInvite } = require("../_lib/auth");
+const {
+  memberRole,
+  getWorkspace,
+  renameWorkspace,
+  setMonthlyBudget,
+  setVisibilityWeights,
+  addMember,
+  removeMember,
+  toPublicWorkspace
+} = require("../_lib/workspaces");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, PATCH, POST, DELETE, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (!["GET", "PATCH", "POST", "DELETE"].includes(req.method)) {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    const workspace = await getWorkspace(req.query.id);
+
+    // Non-members get the same 404 as a missing workspace
+    if (!memberRole(workspace, auth.user.id)) {
+      return res.status(404).json({ error: "Workspace not found" });
+    }
+
+    if (req.method === "GET") {
+      return res.status(200).json(toPublicWorkspace(workspace, auth.user.id));
+    }
+
+    if (req.method === "PATCH") {
+      const { name, monthlyBudgetUsd, visibilityWeights } = req.body || {};
+      let updated = workspace;
+      if (name !== undefined) updated = await renameWorkspace(updated, name, auth.user.id);
+      if (monthlyBudgetUsd !== undefined) updated = await setMonthlyBudget(updated, monthlyBudgetUsd, auth.user.id);
+      if (visibilityWeights !== undefined) updated = await setVisibilityWeights(updated, visibilityWeights);
+      return res.status(200).json(toPublicWorkspace(updated, auth.user.id));
+    }
+
+    if (req.method === "POST") {
+      const { email, role } = req.body || {};
+      const { workspace: updated, user } = await addMember(workspace, { email, role }, auth.user.id);
+      await sendInvite(req, { email: user.email, workspace: updated, invitedBy: auth.user });
+      return res.status(201).json(toPublicWorkspace(updated, auth.user.id));
+    }
+
+    const updated = await removeMember(workspace, req.body?.userId, auth.user.id);
+    return res.status(200).json(toPublicWorkspace(updated, auth.user.id));
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 403 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("Workspace API error:", error);
+    return res.status(500).json({ 
+      error: "Workspace request failed", 
+      message: error.message 
+    });
+  }
+};
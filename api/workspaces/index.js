@@ -0,0 +1,40 @@
+// Workspaces API
+// GET  /api/workspaces - the signed-in user's workspaces
+// POST /api/workspaces - { name } creates a workspace owned by the signed-in user
+
+const { applyCors } = require("../_lib/cors");
+const { authenticate } = require("../_lib/auth");
+const { createWorkspace, listWorkspacesForUser, toPublicWorkspace } = require("../_lib/workspaces");
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res, "GET, POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const auth = await authenticate(req, res);
+  if (!auth) return;
+
+  try {
+    if (req.method === "GET") {
+      const workspaces = await listWorkspacesForUser(auth.user.id);
+      return res.status(200).json({ workspaces: workspaces.map((ws) => toPublicWorkspace(ws, auth.user.id)) });
+    }
+
+    const workspace = await createWorkspace({ name: req.body?.name, owner: auth.user });
+    return res.status(201).json(toPublicWorkspace(workspace, auth.user.id));
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Workspaces API error:", error);
+    return res.status(500).json({ 
+      error: "Workspaces request failed", 
+      message: error.message 
+    });
+  }
+};
@@ -1,8 +1,59 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import EntitySEOChecker from './EntitySEOChecker';
+import SignIn from './SignIn';
+import FreeReport from './FreeReport';
+
+// Saved reports are shared as /report/:id and open read-only
+const getReportIdFromPath = () => {
+  const match = window.location.pathname.match(/^\/report\/([A-Za-z0-9_-]+)\/?$/);
+  return match ? match[1] : null;
+};
 
 function App() {
-  return <EntitySEOChecker />;
+  const reportId = getReportIdFromPath();
+  // undefined while checking, null when signed out
+  const [session, setSession] = useState(undefined);
+  // Public mode settings; null while checking
+  const [publicConfig, setPublicConfig] = useState(null);
+  // Public mode shows the free report first; team members switch to sign-in
+  const [showSignIn, setShowSignIn] = useState(() => new URLSearchParams(window.location.search).has('signin'));
+
+  const loadSession = async () => {
+    try {
+      const response = await fetch('/api/auth/session');
+      setSession(response.ok ? await response.json() : null);
+    } catch (err) {
+      setSession(null);
+    }
+  };
+
+  const loadPublicConfig = async () => {
+    try {
+      const response = await fetch('/api/public/config');
+      setPublicConfig(response.ok ? await response.json() : { publicMode: false });
+    } catch (err) {
+      setPublicConfig({ publicMode: false });
+    }
+  };
+
+  useEffect(() => {
+    // Share links open without signing in
+    if (!reportId) {
+      loadSession();
+      loadPublicConfig();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  if (reportId) return <EntitySEOChecker reportId={reportId} />;
+  if (session === undefined || (!session && !publicConfig)) return null;
+  if (!session && publicConfig.publicMode && !showSignIn) {
+    return <FreeReport engine={publicConfig.engine} onSignIn={() => setShowSignIn(true)} />;
+  }
+  if (!session) {
+    return <SignIn onSignedIn={loadSession} onBack={publicConfig.publicMode ? () => setShowSignIn(false) : null} />;
+  }
+  return <EntitySEOChecker session={session} />;
 }
 
 export default App;
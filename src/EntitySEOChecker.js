@@ -1,12 +1,33 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import llmOptions from './lib/engines';
+import regionOptions from './lib/regions';
+import factFields from './lib/facts';
+import { VISIBILITY_COMPONENTS, resolveWeights, calculateVisibilityIndex } from './lib/visibility';
+import { getScoreColor, getScoreLabel, engineScore, averageScore, dominantSentiment, formatScore } from './lib/scoring';
+
+// localStorage key for the job this browser is waiting on
+const ACTIVE_JOB_KEY = 'activeJobId';
+// How often to refresh progress while the server works through a batch
+const PROGRESS_POLL_MS = 2000;
+// Wait for typing to pause before re-estimating the run's cost
+const ESTIMATE_DEBOUNCE_MS = 600;
+
+const formatUsd = (value) => `$${value < 1 ? value.toFixed(3) : value.toFixed(2)}`;
+
+const EntitySEOChecker = ({ reportId = null, session = null }) => {
+  // Opened from a /report/:id link: show the stored report, no form or re-run
+  const readOnly = Boolean(reportId);
 
-const EntitySEOChecker = () => {
   // Form state
   const [formData, setFormData] = useState({
     companyName: '',
     website: '',
     industry: '',
     keywords: '',
+    database: 'us',
+    regions: [],
+    promptSetId: 'default',
+    facts: Object.fromEntries(factFields.map(field => [field.id, ''])),
     leadership: [{ name: '', title: '' }],
     competitors: [{ name: '', website: '', leadership: { name: '', title: '' } }]
   });
@@ -25,6 +46,8 @@ const EntitySEOChecker = () => {
   const [loading, setLoading] = useState(false);
   const [progress, setProgress] = useState({ current: 0, total: 0, message: '' });
   const [error, setError] = useState(null);
+  const [forceRefresh, setForceRefresh] = useState(false);
+  const [factsStatus, setFactsStatus] = useState(null);
 
   // SEMRush state
   const [semrushData, setSemrushData] = useState(null);
@@ -32,6 +55,11 @@ const EntitySEOChecker = () => {
   // Tab state
   const [activeTab, setActiveTab] = useState('overview');
 
+  // AI Visibility Index weights, saved on the workspace so PDFs, webhooks, CRM
+  // leads and share links score the index the same way
+  const [visibilityWeights, setVisibilityWeights] = useState(() => resolveWeights(session?.workspace?.visibilityWeights));
+  const [showWeights, setShowWeights] = useState(false);
+
   // Email modal state
   const [showEmailModal, setShowEmailModal] = useState(false);
   const [emailForm, setEmailForm] = useState({
@@ -46,26 +74,47 @@ const EntitySEOChecker = () => {
   const [debugMode, setDebugMode] = useState(false);
   const [debugLogs, setDebugLogs] = useState([]);
 
+  // Job this component is currently polling, so reattach and run never double up
+  const followingJobRef = useRef(null);
+
+  // Saved report history and share link state
+  const [reportHistory, setReportHistory] = useState([]);
+  const [shareStatus, setShareStatus] = useState(null);
+  const [snippetCopied, setSnippetCopied] = useState(false);
+
+  // Trend comparison against earlier runs for the same company
+  const [trendRuns, setTrendRuns] = useState(null);
+  const [trendSelection, setTrendSelection] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [includeProgress, setIncludeProgress] = useState(true);
+
+  // Recurring report monitors
+  const [monitors, setMonitors] = useState([]);
+  const [monitorForm, setMonitorForm] = useState({ cadence: 'monthly', recipients: '' });
+  const [monitorStatus, setMonitorStatus] = useState(null);
+
+  // Cost estimate for the current form and the workspace's monthly budget
+  const [costEstimate, setCostEstimate] = useState(null);
+
+  // Prompt library: saved prompt sets and the one being edited
+  const [promptLibrary, setPromptLibrary] = useState({ promptSets: [], keys: [], variables: [] });
+  const [promptEditor, setPromptEditor] = useState(null);
+  const [promptStatus, setPromptStatus] = useState(null);
+
   // Brand colors
   const brandOrange = '#F46F0A';
   const bgDark = '#333333';
   const bgLight = '#EFEFEF';
 
-  const llmOptions = [
-    { id: 'chatgpt', name: 'ChatGPT', color: '#10a37f' },
-    { id: 'gemini', name: 'Google Gemini', color: '#4285f4' },
-    { id: 'claude', name: 'Claude', color: '#cc785c' },
-    { id: 'perplexity', name: 'Perplexity', color: '#20808d' },
-    { id: 'copilot', name: 'Microsoft Copilot', color: '#00bcf2' }
-  ];
-
   const tabs = [
     { id: 'overview', label: 'Overview', icon: '📊' },
     { id: 'company', label: 'Company', icon: '🏢' },
     { id: 'leaders', label: 'Leaders', icon: '👤' },
     { id: 'gap', label: 'Gap Analysis', icon: '⚔️' },
+    { id: 'voice', label: 'Share of Voice', icon: '📣' },
     { id: 'podcasts', label: 'Podcast Opportunities', icon: '🎙️' },
-    { id: 'sentiment', label: 'Social Sentiment', icon: '💬' }
+    { id: 'sentiment', label: 'Social Sentiment', icon: '💬' },
+    { id: 'trends', label: 'Trends', icon: '📈', savedOnly: true }
   ];
 
   // Debug logging
@@ -81,6 +130,42 @@ const EntitySEOChecker = () => {
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  // Extra SEMRush databases for the per-country overview table
+  const toggleRegion = (id) => {
+    setFormData(prev => {
+      const regions = prev.regions || [];
+      return { ...prev, regions: regions.includes(id) ? regions.filter(r => r !== id) : [...regions, id] };
+    });
+  };
+
+  const handleFactChange = (id, value) => {
+    setFormData(prev => ({ ...prev, facts: { ...prev.facts, [id]: value } }));
+  };
+
+  // Pre-fill empty brand facts from the Organization markup on the company's site
+  const pullFactsFromSite = async () => {
+    setFactsStatus({ type: 'info', message: 'Reading website...' });
+    try {
+      const response = await fetch('/api/facts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ website: formData.website })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || data.error || `HTTP ${response.status}`);
+      const filled = data.found.filter(id => !formData.facts?.[id]);
+      setFormData(prev => ({
+        ...prev,
+        facts: { ...prev.facts, ...Object.fromEntries(filled.map(id => [id, data.profile[id]])) }
+      }));
+      setFactsStatus(filled.length > 0
+        ? { type: 'success', message: `Filled ${filled.length} field${filled.length === 1 ? '' : 's'} from ${data.source} - please review` }
+        : { type: 'error', message: `No new facts found on ${data.source}` });
+    } catch (err) {
+      setFactsStatus({ type: 'error', message: err.message });
+    }
+  };
+
   const handleLeadershipChange = (index, field, value) => {
     const updated = [...formData.leadership];
     updated[index][field] = value;
@@ -132,59 +217,385 @@ const EntitySEOChecker = () => {
     }));
   };
 
-  // SEMRush API call
-  const fetchSemrushData = async (domain) => {
-    if (!domain) return null;
-    addLog(`Fetching SEMRush data for: ${domain}`);
+  // Create a server-side analysis job for the current form
+  const createJob = async (selected) => {
+    const response = await fetch('/api/jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ formData, selectedLLMs: selected, refresh: forceRefresh })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || data.error || `HTTP ${response.status}`);
+    }
+    return data;
+  };
+
+  // Drive a job to completion. Each POST runs tasks on the server for a
+  // bounded time and returns progress; the job survives reloads, so this is
+  // also how a reopened tab reattaches to a running job.
+  const followJob = async (jobId) => {
+    if (followingJobRef.current === jobId) return;
+    followingJobRef.current = jobId;
+    setLoading(true);
+    setError(null);
+
+    let failures = 0;
     try {
-      const response = await fetch('/api/semrush', {
-        method: 'POST',
+      while (followingJobRef.current === jobId) {
+        // Tasks run several at a time inside the POST below; poll the status
+        // meanwhile so the counter moves as each one finishes
+        const watcher = setInterval(async () => {
+          try {
+            const statusResponse = await fetch(`/api/jobs/${jobId}`);
+            if (statusResponse.ok && followingJobRef.current === jobId) {
+              setProgress((await statusResponse.json()).progress);
+            }
+          } catch (err) {
+            // The next tick or the POST result will catch up
+          }
+        }, PROGRESS_POLL_MS);
+
+        let response;
+        let job;
+        try {
+          response = await fetch(`/api/jobs/${jobId}`, { method: 'POST' });
+          job = await response.json();
+        } catch (err) {
+          // Network blips and function timeouts: the job is still on the server, try again
+          failures++;
+          addLog(`Job poll failed: ${err.message}`);
+          if (failures >= 3) throw err;
+          await new Promise(resolve => setTimeout(resolve, 3000));
+          continue;
+        } finally {
+          clearInterval(watcher);
+        }
+
+        if (response.status === 404) {
+          localStorage.removeItem(ACTIVE_JOB_KEY);
+          throw new Error('Analysis job no longer exists');
+        }
+        if (!response.ok) {
+          throw new Error(job.message || job.error || `HTTP ${response.status}`);
+        }
+        failures = 0;
+
+        setProgress(job.progress);
+
+        if (job.status === 'completed' || job.status === 'stopped') {
+          addLog(job.status === 'stopped' ? `Analysis stopped: ${job.stopReason}` : 'Analysis complete', job.results);
+          if (job.stopReason === 'budget') {
+            setError('The workspace reached its monthly budget, so this report only includes the tasks that ran before that.');
+          }
+          localStorage.removeItem(ACTIVE_JOB_KEY);
+          // Prefer the stored copy so this view matches the share link exactly
+          const report = job.reportId ? await fetchReport(job.reportId) : null;
+          const finalResults = report ? report.results : job.results;
+          setResults(finalResults);
+          setSemrushData(finalResults.semrushData);
+          setActiveTab('overview');
+          if (report) {
+            window.history.replaceState(null, '', `/report/${report.id}`);
+          }
+          return;
+        }
+
+        // A task still running means another tab holds the job; wait instead of hammering the server
+        if (job.tasks.some(task => task.status === 'running')) {
+          await new Promise(resolve => setTimeout(resolve, 3000));
+        }
+      }
+    } catch (err) {
+      addLog(`Analysis error: ${err.message}`);
+      setError(`Analysis failed: ${err.message}`);
+    } finally {
+      if (followingJobRef.current === jobId) {
+        followingJobRef.current = null;
+        setLoading(false);
+        setProgress({ current: 0, total: 0, message: '' });
+      }
+    }
+  };
+
+  // Load a saved report; null when it can't be fetched
+  const fetchReport = async (id) => {
+    try {
+      const response = await fetch(`/api/reports/${id}`);
+      if (!response.ok) return null;
+      return await response.json();
+    } catch (err) {
+      addLog(`Report load failed: ${err.message}`);
+      return null;
+    }
+  };
+
+  const fetchReportHistory = async () => {
+    try {
+      const response = await fetch('/api/reports');
+      if (!response.ok) return;
+      const data = await response.json();
+      setReportHistory(data.reports || []);
+    } catch (err) {
+      addLog(`Report history load failed: ${err.message}`);
+    }
+  };
+
+  const fetchMonitors = async () => {
+    try {
+      const response = await fetch('/api/monitors');
+      if (!response.ok) return;
+      const data = await response.json();
+      setMonitors(data.monitors || []);
+    } catch (err) {
+      addLog(`Monitor list load failed: ${err.message}`);
+    }
+  };
+
+  const fetchPromptSets = async () => {
+    try {
+      const response = await fetch('/api/prompts');
+      if (!response.ok) return;
+      setPromptLibrary(await response.json());
+    } catch (err) {
+      addLog(`Prompt library load failed: ${err.message}`);
+    }
+  };
+
+  // Edit the selected set, or start a new one from a copy of its prompts
+  const openPromptEditor = (asCopy) => {
+    const selected = promptLibrary.promptSets.find(set => set.id === formData.promptSetId) || promptLibrary.promptSets[0];
+    if (!selected) return;
+    setPromptStatus(null);
+    setPromptEditor(asCopy
+      ? { id: null, name: `${selected.name} (copy)`, description: selected.description, prompts: { ...selected.prompts } }
+      : { id: selected.id, name: selected.name, description: selected.description, prompts: { ...selected.prompts } });
+  };
+
+  const savePromptSet = async () => {
+    setPromptStatus(null);
+    try {
+      const response = await fetch(promptEditor.id ? `/api/prompts/${promptEditor.id}` : '/api/prompts', {
+        method: promptEditor.id ? 'PATCH' : 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ domain, type: 'all' })
+        body: JSON.stringify({ name: promptEditor.name, description: promptEditor.description, prompts: promptEditor.prompts })
       });
-      if (!response.ok) return null;
       const data = await response.json();
-      addLog('SEMRush data received', data);
-      return data;
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setPromptStatus({ type: 'success', message: `Saved ${data.name} v${data.version}` });
+      setPromptEditor(null);
+      setFormData(prev => ({ ...prev, promptSetId: data.id }));
+      fetchPromptSets();
     } catch (err) {
-      addLog('SEMRush fetch failed', err.message);
-      return null;
+      setPromptStatus({ type: 'error', message: err.message });
     }
   };
 
-  // AI Analysis API call
-  const analyzeQuery = async (query, llmName, analysisType = 'entity') => {
-    addLog(`Analyzing: ${query.substring(0, 50)}... on ${llmName}`);
+  const deletePromptSet = async (id) => {
     try {
-      const response = await fetch('/api/analyze', {
+      await fetch(`/api/prompts/${id}`, { method: 'DELETE' });
+      setFormData(prev => ({ ...prev, promptSetId: 'default' }));
+      setPromptEditor(null);
+      fetchPromptSets();
+    } catch (err) {
+      addLog(`Prompt set delete failed: ${err.message}`);
+    }
+  };
+
+  // Save the current form as a monitor that re-runs and emails on a cadence
+  const createMonitor = async () => {
+    const recipients = monitorForm.recipients.split(',').map(email => email.trim()).filter(Boolean);
+    setMonitorStatus(null);
+    try {
+      const response = await fetch('/api/monitors', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query, llmName, analysisType })
+        body: JSON.stringify({ formData, selectedLLMs, cadence: monitorForm.cadence, recipients })
       });
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || `HTTP ${response.status}`);
-      }
-      return await response.json();
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setMonitorStatus({ type: 'success', message: `${monitorForm.cadence === 'weekly' ? 'Weekly' : 'Monthly'} report scheduled for ${formData.companyName}` });
+      setMonitorForm(prev => ({ ...prev, recipients: '' }));
+      fetchMonitors();
     } catch (err) {
-      addLog(`Analysis error: ${err.message}`);
-      return {
-        error: true,
-        errorMessage: err.message,
-        summary: `Error: ${err.message}`,
-        entityFound: false,
-        confidenceScore: 0,
-        sentimentScore: 0,
-        sentiment: 'unknown',
-        topSources: [],
-        recommendations: 'Analysis failed'
-      };
+      setMonitorStatus({ type: 'error', message: err.message });
+    }
+  };
+
+  const deleteMonitor = async (id) => {
+    try {
+      await fetch(`/api/monitors/${id}`, { method: 'DELETE' });
+      setMonitors(prev => prev.filter(m => m.id !== id));
+    } catch (err) {
+      addLog(`Monitor delete failed: ${err.message}`);
+    }
+  };
+
+  // On load: open the shared report, or reattach to a job that was running
+  // when the page was closed or reloaded
+  useEffect(() => {
+    if (readOnly) {
+      setLoading(true);
+      fetchReport(reportId).then(report => {
+        if (report) {
+          setResults(report.results);
+          setSemrushData(report.results.semrushData);
+          setVisibilityWeights(resolveWeights(report.visibilityWeights));
+        } else {
+          setError('This report could not be found.');
+        }
+        setLoading(false);
+      });
+      return;
+    }
+
+    fetchReportHistory();
+    fetchMonitors();
+    fetchPromptSets();
+    const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+    if (jobId) {
+      addLog(`Reattaching to job ${jobId}`);
+      followJob(jobId);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Account bar: reports, monitors and prompt sets all belong to the current
+  // workspace, so switching reloads the page rather than patching every list
+  const switchWorkspace = async (workspaceId) => {
+    try {
+      const response = await fetch('/api/auth/session', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workspaceId })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      localStorage.removeItem(ACTIVE_JOB_KEY);
+      window.location.reload();
+    } catch (err) {
+      setError(`Could not switch workspace: ${err.message}`);
+    }
+  };
+
+  const signOut = async () => {
+    try {
+      await fetch('/api/auth/session', { method: 'DELETE' });
+    } catch (err) {
+      addLog(`Sign out failed: ${err.message}`);
+    }
+    localStorage.removeItem(ACTIVE_JOB_KEY);
+    window.location.assign('/');
+  };
+
+  const copyShareLink = async () => {
+    const url = `${window.location.origin}/report/${results.reportId}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus('Link copied!');
+    } catch (err) {
+      setShareStatus(url);
+    }
+    setTimeout(() => setShareStatus(null), 4000);
+  };
+
+  const copyJsonLdSnippet = async () => {
+    try {
+      await navigator.clipboard.writeText(results.entityAudit.snippet);
+      setSnippetCopied(true);
+      setTimeout(() => setSnippetCopied(false), 3000);
+    } catch (err) {
+      addLog(`Copy failed: ${err.message}`);
+    }
+  };
+
+  const exportBacklinkGapCsv = () => {
+    const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    const rows = [
+      ['Domain', 'Authority Score', 'Competitor Count', 'Links To'],
+      ...results.backlinkGap.prospects.map(p => [p.domain, p.authorityScore, p.competitors.length, p.competitors.join('; ')])
+    ];
+    const csv = rows.map(row => row.map(quote).join(',')).join('\n');
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${results.backlinkGap.domain}-backlink-gap.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    addLog(`Exported ${results.backlinkGap.prospects.length} backlink gap prospects`);
+  };
+
+  const loadComparison = async (ids) => {
+    setTrendSelection(ids);
+    setComparison(null);
+    if (ids.length < 2) return;
+    try {
+      const response = await fetch(`/api/reports/compare?ids=${ids.join(',')}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setComparison(data);
+    } catch (err) {
+      addLog(`Comparison failed: ${err.message}`);
+      setComparison({ error: err.message });
     }
   };
 
+  // First visit to the Trends tab: find earlier runs and compare with the latest one
+  useEffect(() => {
+    if (activeTab !== 'trends' || !results?.reportId || trendRuns) return;
+    fetch(`/api/reports?companyName=${encodeURIComponent(results.companyName)}`)
+      .then(response => response.json())
+      .then(data => {
+        const runs = data.reports || [];
+        setTrendRuns(runs);
+        const previous = runs.find(run => run.id !== results.reportId && run.createdAt < results.generatedAt);
+        if (previous) loadComparison([previous.id, results.reportId]);
+      })
+      .catch(err => addLog(`Trend history failed: ${err.message}`));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeTab, results?.reportId]);
+
+  const toggleTrendRun = (id) => {
+    const ids = trendSelection.includes(id)
+      ? trendSelection.filter(runId => runId !== id)
+      : [...trendSelection, id];
+    loadComparison(ids);
+  };
+
+  const startNewReport = () => {
+    setResults(null);
+    setSemrushData(null);
+    setTrendRuns(null);
+    setComparison(null);
+    window.history.replaceState(null, '', '/');
+    fetchReportHistory();
+  };
+
+  // Re-estimate the run's cost whenever the form or engine selection changes
+  useEffect(() => {
+    if (readOnly || results || !formData.companyName) {
+      setCostEstimate(null);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/jobs/estimate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ formData, selectedLLMs })
+        });
+        const data = await response.json();
+        setCostEstimate(response.ok ? data : { error: data.error || `HTTP ${response.status}` });
+      } catch (err) {
+        setCostEstimate({ error: err.message });
+      }
+    }, ESTIMATE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [formData, selectedLLMs, results]);
+
   // Main analysis function
   const runAnalysis = async () => {
-    setLoading(true);
     setError(null);
     setResults(null);
     setSemrushData(null);
@@ -193,170 +604,22 @@ const EntitySEOChecker = () => {
 
     addLog('Starting analysis...');
 
-    const selectedLLMList = Object.entries(selectedLLMs)
-      .filter(([_, selected]) => selected)
-      .map(([id]) => llmOptions.find(l => l.id === id));
-
-    if (selectedLLMList.length === 0) {
+    if (!Object.values(selectedLLMs).some(Boolean)) {
       setError('Please select at least one AI search engine');
-      setLoading(false);
       return;
     }
 
-    const allResults = {
-      companyName: formData.companyName,
-      website: formData.website,
-      industry: formData.industry,
-      company: {},
-      leadership: [],
-      competitors: [],
-      semrushData: null,
-      podcastOpportunities: [],
-      socialSentiment: []
-    };
-
     try {
-      // Calculate total queries
-      const leaderCount = formData.leadership.filter(l => l.name).length;
-      const competitorCount = formData.competitors.filter(c => c.name).length;
-      let totalQueries = selectedLLMList.length; // company
-      totalQueries += selectedLLMList.length * leaderCount; // leadership
-      totalQueries += selectedLLMList.length * leaderCount; // leadership press opportunities
-      totalQueries += selectedLLMList.length * leaderCount; // social sentiment
-      totalQueries += selectedLLMList.length * competitorCount; // competitors
-      totalQueries += selectedLLMList.length; // podcast opportunities
-      
-      let currentQuery = 0;
-
-      // Fetch SEMRush data for main company
-      if (formData.website) {
-        setProgress({ current: 0, total: totalQueries, message: 'Fetching SEMRush data...' });
-        const mainSemrush = await fetchSemrushData(formData.website);
-        allResults.semrushData = mainSemrush?.data || null;
-        setSemrushData(mainSemrush?.data || null);
-      }
-
-      // Analyze company on each LLM
-      for (const llm of selectedLLMList) {
-        currentQuery++;
-        setProgress({ 
-          current: currentQuery, 
-          total: totalQueries, 
-          message: `Analyzing ${formData.companyName} on ${llm.name}...` 
-        });
-        
-        const query = `Tell me about ${formData.companyName}${formData.industry ? ` in the ${formData.industry} industry` : ''}. ${formData.website ? `Their website is ${formData.website}.` : ''} ${formData.keywords ? `Focus on: ${formData.keywords}` : ''}`;
-        
-        const result = await analyzeQuery(query, llm.name, 'entity');
-        allResults.company[llm.id] = { llm, results: result };
-      }
-
-      // Analyze leadership (reputation + press opportunities + social sentiment)
-      for (const leader of formData.leadership.filter(l => l.name)) {
-        const leaderResults = { 
-          name: leader.name, 
-          title: leader.title, 
-          byLLM: {},
-          pressOpportunities: {},
-          socialSentiment: {}
-        };
-        
-        for (const llm of selectedLLMList) {
-          // Leadership reputation
-          currentQuery++;
-          setProgress({ 
-            current: currentQuery, 
-            total: totalQueries, 
-            message: `Analyzing ${leader.name}'s reputation on ${llm.name}...` 
-          });
-          
-          const query = `Tell me about ${leader.name}${leader.title ? `, ${leader.title}` : ''} at ${formData.companyName}. What is their reputation, thought leadership, and online presence?`;
-          const result = await analyzeQuery(query, llm.name, 'leadership');
-          leaderResults.byLLM[llm.id] = { llm, results: result };
-
-          // Press opportunities for this leader
-          currentQuery++;
-          setProgress({ 
-            current: currentQuery, 
-            total: totalQueries, 
-            message: `Finding press opportunities for ${leader.name}...` 
-          });
-          
-          const pressQuery = `What press opportunities, media outlets, industry publications, and speaking engagements would be good for ${leader.name}${leader.title ? `, ${leader.title}` : ''} at ${formData.companyName}${formData.industry ? ` in the ${formData.industry} industry` : ''}? Focus on publications and outlets where they could contribute articles, be interviewed, or be featured.`;
-          const pressResult = await analyzeQuery(pressQuery, llm.name, 'press');
-          leaderResults.pressOpportunities[llm.id] = { llm, results: pressResult };
-
-          // Social sentiment analysis
-          currentQuery++;
-          setProgress({ 
-            current: currentQuery, 
-            total: totalQueries, 
-            message: `Analyzing social sentiment for ${leader.name}...` 
-          });
-          
-          const socialQuery = `Analyze the social media sentiment and online reputation of ${leader.name}${leader.title ? `, ${leader.title}` : ''} at ${formData.companyName}. Look at LinkedIn presence, Twitter/X mentions, industry forums, and any social media discussions. What is the overall sentiment? Are there any concerns or particularly positive mentions?`;
-          const socialResult = await analyzeQuery(socialQuery, llm.name, 'social');
-          leaderResults.socialSentiment[llm.id] = { llm, results: socialResult };
-        }
-        
-        allResults.leadership.push(leaderResults);
-      }
-
-      // Podcast opportunities
-      for (const llm of selectedLLMList) {
-        currentQuery++;
-        setProgress({ 
-          current: currentQuery, 
-          total: totalQueries, 
-          message: `Finding podcast opportunities on ${llm.name}...` 
-        });
-        
-        const podcastQuery = `What podcasts would be good for executives from ${formData.companyName}${formData.industry ? ` in the ${formData.industry} industry` : ''} to appear on as guests? List specific podcasts with their audience size, topics covered, and why they would be a good fit. Include both industry-specific podcasts and broader business podcasts.`;
-        const podcastResult = await analyzeQuery(podcastQuery, llm.name, 'podcast');
-        allResults.podcastOpportunities.push({ llm, results: podcastResult });
-      }
-
-      // Analyze competitors
-      for (const competitor of formData.competitors.filter(c => c.name)) {
-        const competitorResults = { 
-          name: competitor.name, 
-          website: competitor.website,
-          byLLM: {},
-          leadership: null,
-          semrushData: null
-        };
-
-        // Fetch SEMRush for competitor
-        if (competitor.website) {
-          const compSemrush = await fetchSemrushData(competitor.website);
-          competitorResults.semrushData = compSemrush?.data || null;
-        }
-        
-        for (const llm of selectedLLMList) {
-          currentQuery++;
-          setProgress({ 
-            current: currentQuery, 
-            total: totalQueries, 
-            message: `Analyzing ${competitor.name} on ${llm.name}...` 
-          });
-          
-          const query = `Analyze ${competitor.name}${competitor.website ? ` (${competitor.website})` : ''} as a competitor. What is their online presence, backlink profile, and content strategy?`;
-          const result = await analyzeQuery(query, llm.name, 'competitor');
-          competitorResults.byLLM[llm.id] = { llm, results: result };
-        }
-        
-        allResults.competitors.push(competitorResults);
-      }
-
-      addLog('Analysis complete', allResults);
-      setResults(allResults);
-      
+      setLoading(true);
+      const job = await createJob(selectedLLMs);
+      addLog(`Created job ${job.id}`, job.progress);
+      localStorage.setItem(ACTIVE_JOB_KEY, job.id);
+      setProgress(job.progress);
+      await followJob(job.id);
     } catch (err) {
       addLog(`Analysis error: ${err.message}`);
       setError(`Analysis failed: ${err.message}`);
-    } finally {
       setLoading(false);
-      setProgress({ current: 0, total: 0, message: '' });
     }
   };
 
@@ -387,7 +650,8 @@ const EntitySEOChecker = () => {
           reportData: {
             ...results,
             semrushData: semrushData
-          }
+          },
+          includeProgress: Boolean(results.reportId) && includeProgress
         })
       });
 
@@ -411,46 +675,41 @@ const EntitySEOChecker = () => {
     }
   };
 
-  // Helper functions
-  const getScoreColor = (score) => {
-    if (score >= 8) return '#22c55e';
-    if (score >= 6) return '#3b82f6';
-    if (score >= 4) return '#eab308';
-    if (score >= 2) return '#f97316';
-    return '#ef4444';
-  };
+  // Helper functions (score colors, labels and averages come from ./lib/scoring)
+  const getVisibilityIndex = () => calculateVisibilityIndex(results ? { ...results, semrushData } : null, visibilityWeights);
 
-  const getScoreLabel = (score) => {
-    if (score >= 8) return 'Excellent';
-    if (score >= 6) return 'Good';
-    if (score >= 4) return 'Needs Work';
-    if (score >= 2) return 'Poor';
-    return 'Critical';
+  const updateVisibilityWeight = (id, value) => {
+    setVisibilityWeights(resolveWeights({ ...visibilityWeights, [id]: value === '' ? 0 : value }));
   };
 
-  const calculateAvgScore = (byLLM) => {
-    const scores = Object.values(byLLM || {})
-      .map(r => r.results?.confidenceScore || r.results?.sentimentScore || 0)
-      .filter(s => s > 0);
-    if (scores.length === 0) return 0;
-    return (scores.reduce((a, b) => a + b, 0) / scores.length).toFixed(1);
+  // weights: the edited weights, or null to go back to the defaults
+  const saveVisibilityWeights = async (weights) => {
+    try {
+      const response = await fetch(`/api/workspaces/${session.workspace.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ visibilityWeights: weights })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setVisibilityWeights(resolveWeights(data.visibilityWeights));
+      setShowWeights(false);
+    } catch (err) {
+      setError(`Could not save the index weights: ${err.message}`);
+    }
   };
 
-  const getOverallScore = () => {
-    if (!results?.company) return 0;
-    return calculateAvgScore(results.company);
+  const hasSimulatedResults = () => {
+    if (!results?.company) return false;
+    return Object.values(results.company).some(r => r.results?.simulated);
   };
 
-  const getOverallSentiment = () => {
-    if (!results?.company) return 'N/A';
-    const sentiments = Object.values(results.company)
-      .map(r => r.results?.sentiment)
-      .filter(Boolean);
-    if (sentiments.length === 0) return 'N/A';
-    const counts = { positive: 0, neutral: 0, negative: 0 };
-    sentiments.forEach(s => counts[s.toLowerCase()] = (counts[s.toLowerCase()] || 0) + 1);
-    return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
-  };
+  const getOverallSentiment = () => dominantSentiment(results?.company) || 'N/A';
+
+  // Average score colored by band, or a muted N/A when no engine has one
+  const renderAverageScore = (score) => (
+    <span style={{ color: score === null ? 'rgba(239,239,239,0.4)' : getScoreColor(score) }}>{formatScore(score)}</span>
+  );
 
   // Styles with new branding
   const styles = {
@@ -559,6 +818,403 @@ const EntitySEOChecker = () => {
     }
   };
 
+  // Pre-run estimate: Claude calls, SEMRush units and cost against the monthly budget
+  const renderCostEstimate = () => {
+    if (!costEstimate || costEstimate.error) return null;
+    const { anthropic, semrush, costUsd, budget } = costEstimate;
+    const capped = budget && budget.budgetUsd !== null;
+    const overBudget = capped && costUsd > budget.remainingUsd;
+
+    return (
+      <p style={{ fontSize: '14px', color: overBudget ? '#eab308' : 'rgba(239,239,239,0.6)', margin: '0 0 12px 0' }}>
+        Estimated cost: up to {formatUsd(costUsd)} ({anthropic.calls} Claude calls, {semrush.units.toLocaleString()} SEMRush units)
+        {capped && ` • ${formatUsd(budget.spentUsd)} of ${formatUsd(budget.budgetUsd)} monthly budget used`}
+        {overBudget && ' • the run will stop early when the budget runs out'}
+      </p>
+    );
+  };
+
+  // Badge for engines answered by Claude because their own API key is missing
+  const renderSimulatedBadge = (result) => result?.simulated ? (
+    <span
+      title="No API key configured for this engine - answer simulated by Claude"
+      style={{
+        marginLeft: '8px',
+        padding: '2px 6px',
+        borderRadius: '4px',
+        fontSize: '10px',
+        fontWeight: '600',
+        textTransform: 'uppercase',
+        letterSpacing: '0.5px',
+        background: 'rgba(234,179,8,0.2)',
+        color: '#eab308'
+      }}
+    >
+      Simulated
+    </span>
+  ) : null;
+
+  // Badge for replies that still failed schema validation after the repair re-prompt
+  const renderInvalidBadge = (result) => result?.invalid ? (
+    <span
+      title={`Reply did not match the expected format and is excluded from scoring: ${(result.validationErrors || []).join('; ')}`}
+      style={{
+        marginLeft: '8px',
+        padding: '2px 6px',
+        borderRadius: '4px',
+        fontSize: '10px',
+        fontWeight: '600',
+        textTransform: 'uppercase',
+        letterSpacing: '0.5px',
+        background: 'rgba(239,68,68,0.2)',
+        color: '#ef4444'
+      }}
+    >
+      Invalid
+    </span>
+  ) : null;
+
+  // Organic keywords/traffic per SEMRush database; a single row outside multi-region mode
+  const renderOrganicByRegion = () => {
+    const regionName = (id) => regionOptions.find(region => region.id === id)?.name || id?.toUpperCase();
+    const rows = semrushData.regions || (semrushData.overview && !semrushData.overview.error
+      ? [{ database: semrushData.database || 'us', name: regionName(semrushData.database || 'us'), ...semrushData.overview }]
+      : []);
+    if (rows.length === 0) return null;
+
+    const format = (value) => value && !isNaN(value) ? Number(value).toLocaleString() : '-';
+
+    return (
+      <>
+        <h4 style={{ marginBottom: '8px', fontSize: '14px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Organic Search by Region</h4>
+        <div style={{ overflowX: 'auto', marginBottom: '16px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid rgba(239,239,239,0.2)' }}>
+                <th style={{ padding: '8px', textAlign: 'left', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Region</th>
+                <th style={{ padding: '8px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Keywords</th>
+                <th style={{ padding: '8px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Traffic</th>
+                <th style={{ padding: '8px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Traffic Cost</th>
+                <th style={{ padding: '8px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Rank</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.database} style={{ borderBottom: '1px solid rgba(239,239,239,0.1)', background: row.database === semrushData.database ? `${brandOrange}15` : 'transparent' }}>
+                  <td style={{ padding: '8px' }}>{row.name}</td>
+                  {row.error ? (
+                    <td colSpan={4} style={{ padding: '8px', textAlign: 'center', color: 'rgba(239,239,239,0.5)' }}>No data</td>
+                  ) : (
+                    <>
+                      <td style={{ padding: '8px', textAlign: 'center' }}>{format(row.organic_keywords)}</td>
+                      <td style={{ padding: '8px', textAlign: 'center' }}>{format(row.organic_traffic)}</td>
+                      <td style={{ padding: '8px', textAlign: 'center' }}>{row.organic_cost ? `$${format(row.organic_cost)}` : '-'}</td>
+                      <td style={{ padding: '8px', textAlign: 'center' }}>{format(row.rank)}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </>
+    );
+  };
+
+  // Target keywords from the form: where we rank, where we don't, and which
+  // trigger AI answer features (AI Overview, featured snippet, ...)
+  const renderKeywordRankings = () => {
+    const rankings = results.keywordRankings;
+    if (!rankings) return null;
+
+    const stats = [
+      { label: 'Ranking', value: rankings.summary.ranking, color: '#22c55e' },
+      { label: 'Not Ranking', value: rankings.summary.notRanking, color: '#ef4444' },
+      { label: 'AI Features', value: rankings.summary.withAiFeatures, color: '#a855f7' }
+    ];
+
+    return (
+      <div style={{ ...styles.card, marginBottom: '24px' }}>
+        <h3 style={{ ...styles.heading, marginBottom: rankings.cachedAt ? '4px' : '16px', fontSize: '18px' }}>🎯 TARGET KEYWORD RANKINGS</h3>
+        {rankings.cachedAt && (
+          <p style={{ fontSize: '12px', color: 'rgba(239,239,239,0.5)', marginBottom: '16px' }}>
+            SEMRush {(regionOptions.find(region => region.id === rankings.database)?.name || rankings.database)} data as of {new Date(rankings.cachedAt).toLocaleString()}
+          </p>
+        )}
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))', gap: '12px', marginBottom: '16px' }}>
+          {stats.map(stat => (
+            <div key={stat.label} style={{ textAlign: 'center' }}>
+              <div style={{ fontSize: '24px', fontWeight: '700', color: stat.color }}>{stat.value}</div>
+              <div style={{ fontSize: '11px', color: 'rgba(239,239,239,0.5)', textTransform: 'uppercase' }}>{stat.label}</div>
+            </div>
+          ))}
+        </div>
+
+        {rankings.targets.length > 0 && (
+          <div style={{ overflowX: 'auto', marginBottom: '16px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid rgba(239,239,239,0.2)' }}>
+                  <th style={{ padding: '8px', textAlign: 'left', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Keyword</th>
+                  <th style={{ padding: '8px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Position</th>
+                  <th style={{ padding: '8px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Volume</th>
+                  <th style={{ padding: '8px', textAlign: 'left', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Ranking URL</th>
+                  <th style={{ padding: '8px', textAlign: 'left', textTransform: 'uppercase', letterSpacing: '0.5px' }}>AI Features</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rankings.targets.map(target => (
+                  <tr key={target.keyword} style={{ borderBottom: '1px solid rgba(239,239,239,0.1)' }}>
+                    <td style={{ padding: '8px' }}>
+                      {target.keyword}
+                      {target.ranking && !target.exact && (
+                        <div style={{ fontSize: '11px', color: 'rgba(239,239,239,0.5)' }}>via "{target.matchedKeyword}"</div>
+                      )}
+                    </td>
+                    <td style={{ padding: '8px', textAlign: 'center', fontWeight: '600', color: target.ranking ? (target.position <= 10 ? '#22c55e' : '#eab308') : '#ef4444' }}>
+                      {target.ranking ? `#${target.position}` : 'Not ranking'}
+                    </td>
+                    <td style={{ padding: '8px', textAlign: 'center' }}>{target.volume !== null ? target.volume.toLocaleString() : '-'}</td>
+                    <td style={{ padding: '8px', maxWidth: '240px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {target.url ? <a href={target.url} target="_blank" rel="noopener noreferrer" style={{ color: '#3b82f6' }}>{target.url}</a> : '-'}
+                    </td>
+                    <td style={{ padding: '8px' }}>
+                      {target.aiFeatures.length > 0 ? target.aiFeatures.map(feature => (
+                        <span key={feature} style={{ display: 'inline-block', margin: '2px 4px 2px 0', padding: '2px 6px', borderRadius: '4px', fontSize: '11px', background: 'rgba(168,85,247,0.2)', color: '#a855f7' }}>{feature}</span>
+                      )) : <span style={{ color: 'rgba(239,239,239,0.4)' }}>None</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {rankings.topKeywords.length > 0 && (
+          <>
+            <h4 style={{ marginBottom: '8px', fontSize: '14px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Top Organic Keywords</h4>
+            <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '8px' }}>
+              {rankings.topKeywords.slice(0, 10).map((k, i) => (
+                <div key={k.keyword} style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', padding: '8px', borderBottom: i < Math.min(rankings.topKeywords.length, 10) - 1 ? '1px solid rgba(239,239,239,0.1)' : 'none', fontSize: '13px' }}>
+                  <span>
+                    {k.keyword}
+                    {k.aiFeatures.length > 0 && <span style={{ marginLeft: '8px', fontSize: '11px', color: '#a855f7' }}>✨ {k.aiFeatures.join(', ')}</span>}
+                  </span>
+                  <span style={{ color: 'rgba(239,239,239,0.5)', flexShrink: 0 }}>#{k.position} · {k.volume.toLocaleString()}/mo</span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // Entity signals in the site's own JSON-LD / Microdata, plus markup to paste in
+  const renderEntityAudit = () => {
+    const audit = results.entityAudit;
+    if (!audit) return null;
+    const checkIcons = { pass: '✅', info: 'ℹ️', warning: '⚠️', error: '❌' };
+
+    return (
+      <div style={{ ...styles.card, marginBottom: '24px' }}>
+        <h3 style={{ ...styles.heading, marginBottom: '4px', fontSize: '18px' }}>🧩 STRUCTURED DATA AUDIT</h3>
+        {audit.error ? (
+          <p style={{ color: '#ef4444', fontSize: '14px' }}>❌ {audit.error}</p>
+        ) : (
+          <>
+            <p style={{ fontSize: '12px', color: 'rgba(239,239,239,0.5)', marginBottom: '16px' }}>
+              {audit.url} • {audit.found.jsonLd} JSON-LD and {audit.found.microdata} Microdata items{audit.found.types.length > 0 && ` (${audit.found.types.join(', ')})`}
+            </p>
+            <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '8px', marginBottom: '16px' }}>
+              {audit.checks.map((check, i) => (
+                <div key={check.id} style={{ padding: '6px 8px', borderBottom: i < audit.checks.length - 1 ? '1px solid rgba(239,239,239,0.1)' : 'none', fontSize: '13px', color: check.passed ? 'rgba(239,239,239,0.7)' : bgLight }}>
+                  {checkIcons[check.severity]} {check.message}
+                </div>
+              ))}
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+              <h4 style={{ fontSize: '14px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Suggested JSON-LD</h4>
+              <button onClick={copyJsonLdSnippet} style={{ ...styles.buttonSecondary, padding: '6px 12px', fontSize: '12px' }}>
+                {snippetCopied ? '✅ COPIED' : '📋 COPY'}
+              </button>
+            </div>
+            <pre style={{ background: 'rgba(0,0,0,0.4)', borderRadius: '8px', padding: '12px', fontSize: '12px', overflowX: 'auto', maxHeight: '320px', margin: 0 }}>{audit.snippet}</pre>
+            <p style={{ marginTop: '8px', fontSize: '12px', color: 'rgba(239,239,239,0.5)' }}>
+              💡 Paste into the home page &lt;head&gt;. Add the logo URL and sameAs links (LinkedIn, Wikidata, ...) where the audit flags them.
+            </p>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // One Wikidata match: status, links, confidence and which properties it has
+  const renderKnowledgeGraphMatch = (match) => {
+    const statusStyles = {
+      matched: { label: 'MATCHED', color: '#22c55e' },
+      possible: { label: 'POSSIBLE MATCH', color: '#eab308' },
+      'not-found': { label: 'NOT FOUND', color: '#ef4444' }
+    };
+    const status = statusStyles[match.status] || statusStyles['not-found'];
+
+    return (
+      <>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '8px' }}>
+          <span style={{ background: status.color, padding: '4px 12px', borderRadius: '12px', fontSize: '12px', fontWeight: '600' }}>{status.label}</span>
+          {match.entity && (
+            <>
+              <a href={match.entity.url} target="_blank" rel="noopener noreferrer" style={{ color: brandOrange, fontSize: '13px' }}>Wikidata {match.entity.id}</a>
+              {match.entity.wikipedia ? (
+                <a href={match.entity.wikipedia} target="_blank" rel="noopener noreferrer" style={{ color: brandOrange, fontSize: '13px' }}>Wikipedia</a>
+              ) : (
+                <span style={{ fontSize: '13px', color: 'rgba(239,239,239,0.5)' }}>No English Wikipedia article</span>
+              )}
+              <span style={{ fontSize: '12px', color: 'rgba(239,239,239,0.5)' }}>{match.confidence}% confidence{match.reasons.length > 0 && ` (${match.reasons.join(', ')})`}</span>
+            </>
+          )}
+        </div>
+        {match.entity ? (
+          <>
+            <p style={{ fontSize: '14px', color: 'rgba(239,239,239,0.8)', marginBottom: '8px' }}>
+              <strong>{match.entity.label}</strong>{match.entity.description && ` - ${match.entity.description}`}
+            </p>
+            {match.entity.properties.map(property => (
+              <div key={property.id} style={{ fontSize: '13px', color: 'rgba(239,239,239,0.7)', marginBottom: '2px' }}>
+                ✅ {property.label}: {property.values.join(', ')}
+              </div>
+            ))}
+            {match.entity.missing.map(label => (
+              <div key={label} style={{ fontSize: '13px', color: bgLight, marginBottom: '2px' }}>⚠️ Missing: {label}</div>
+            ))}
+          </>
+        ) : (
+          <p style={{ fontSize: '13px', color: 'rgba(239,239,239,0.6)' }}>No Wikidata item for "{match.query}" was found with enough confidence.</p>
+        )}
+        {match.candidates.filter(c => c.id !== match.entity?.id).length > 0 && (
+          <p style={{ marginTop: '8px', fontSize: '12px', color: 'rgba(239,239,239,0.5)' }}>
+            Other candidates: {match.candidates.filter(c => c.id !== match.entity?.id).map(c => `${c.label || c.id} (${c.id}, ${c.confidence}%)`).join(' • ')}
+          </p>
+        )}
+      </>
+    );
+  };
+
+  // Whether the company has a Wikidata item / Wikipedia page, and where it
+  // disagrees with the form
+  const renderKnowledgeGraph = () => {
+    const knowledgeGraph = results.knowledgeGraph;
+    if (!knowledgeGraph) return null;
+
+    return (
+      <div style={{ ...styles.card, marginBottom: '24px' }}>
+        <h3 style={{ ...styles.heading, marginBottom: '12px', fontSize: '18px' }}>🌐 KNOWLEDGE GRAPH</h3>
+        {knowledgeGraph.error ? (
+          <p style={{ color: '#ef4444', fontSize: '14px' }}>❌ {knowledgeGraph.error}</p>
+        ) : (
+          <>
+            {renderKnowledgeGraphMatch(knowledgeGraph.company)}
+            {knowledgeGraph.company.mismatches.map(mismatch => (
+              <div key={mismatch.property} style={{ marginTop: '8px', fontSize: '13px', color: '#ef4444' }}>
+                ❌ {mismatch.property}: Wikidata says {mismatch.wikidata}; the form says {mismatch.form}
+              </div>
+            ))}
+            <p style={{ marginTop: '12px', fontSize: '11px', color: 'rgba(239,239,239,0.4)' }}>Wikidata as of {new Date(knowledgeGraph.cachedAt).toLocaleString()}</p>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // Claims in each engine's company answer that contradict the brand facts,
+  // are out of date or could not be verified
+  const renderMisinformation = () => {
+    const factCheck = results.factCheck;
+    if (!factCheck) return null;
+    const statusColors = { incorrect: '#ef4444', outdated: '#eab308', unverifiable: 'rgba(239,239,239,0.5)' };
+
+    return (
+      <div style={{ ...styles.card, marginTop: '24px' }}>
+        <h3 style={{ ...styles.heading, marginBottom: '4px', fontSize: '18px' }}>🚩 MISINFORMATION</h3>
+        {factCheck.profile && (
+          <p style={{ fontSize: '12px', color: 'rgba(239,239,239,0.5)', marginBottom: '16px' }}>
+            Checked against: {factFields.filter(field => factCheck.profile[field.id]).map(field => `${field.label}: ${factCheck.profile[field.id]}`).join(' • ')}
+          </p>
+        )}
+        {Object.entries(factCheck.byLLM).map(([llmId, data]) => (
+          <div key={llmId} style={{ padding: '12px 0', borderTop: '1px solid rgba(239,239,239,0.1)' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+              <strong style={{ color: data.llm.color, textTransform: 'uppercase', letterSpacing: '0.5px' }}>{data.llm.name}{renderSimulatedBadge(data.results)}{renderInvalidBadge(data.results)}</strong>
+              {!data.results?.error && !data.results?.invalid && (
+                <span style={{ fontSize: '12px', color: data.issues.length > 0 ? '#ef4444' : '#22c55e' }}>
+                  {data.issues.length} of {data.checked} claims flagged
+                </span>
+              )}
+            </div>
+            {data.results?.error ? (
+              <p style={{ color: 'rgba(239,239,239,0.6)', fontSize: '13px' }}>Could not be checked: {data.results.errorMessage}</p>
+            ) : data.results?.invalid ? (
+              <p style={{ color: 'rgba(239,239,239,0.6)', fontSize: '13px' }}>⚠️ {data.results.summary}</p>
+            ) : data.issues.length === 0 ? (
+              <p style={{ color: '#22c55e', fontSize: '13px' }}>✅ No inaccurate claims found</p>
+            ) : (
+              data.issues.map((issue, i) => (
+                <div key={i} style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '6px', padding: '10px', marginBottom: '8px', fontSize: '13px' }}>
+                  <span style={{ marginRight: '8px', padding: '2px 6px', borderRadius: '4px', fontSize: '10px', fontWeight: '600', textTransform: 'uppercase', letterSpacing: '0.5px', color: statusColors[issue.status], border: `1px solid ${statusColors[issue.status]}` }}>{issue.status}</span>
+                  "{issue.claim}"
+                  {issue.correctValue && <div style={{ marginTop: '4px', color: '#22c55e' }}>Actually: {issue.correctValue}</div>}
+                  {issue.explanation && <div style={{ marginTop: '4px', color: 'rgba(239,239,239,0.6)' }}>{issue.explanation}</div>}
+                </div>
+              ))
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // URLs the engine reported, flagged by whether its web search actually returned them
+  const renderSourceList = (result) => {
+    const reported = [...(result?.topSources || []), ...(result?.backlinks || [])].filter(item => item.url);
+    const citations = result?.citations || [];
+    if (reported.length === 0 && citations.length === 0) return null;
+
+    return (
+      <div style={{ marginTop: '12px', fontSize: '12px' }}>
+        {reported.length > 0 && (
+          <>
+            <strong style={{ color: brandOrange, textTransform: 'uppercase', letterSpacing: '0.5px' }}>🔎 Sources</strong>
+            {reported.slice(0, 8).map((item, i) => (
+              <div key={i} style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', padding: '4px 0', borderBottom: '1px solid rgba(239,239,239,0.1)' }}>
+                <a href={item.url} target="_blank" rel="noopener noreferrer" style={{ color: '#3b82f6', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {item.title || item.url}
+                </a>
+                {item.verified !== undefined && (
+                  <span
+                    title={item.verified ? 'Returned by the engine\'s web search' : 'Not among the engine\'s web search results - may be inaccurate'}
+                    style={{ flexShrink: 0, fontWeight: '600', textTransform: 'uppercase', color: item.verified ? '#22c55e' : '#eab308' }}
+                  >
+                    {item.verified ? '✓ Verified' : 'Unverified'}
+                  </span>
+                )}
+              </div>
+            ))}
+          </>
+        )}
+        {citations.length > 0 && (
+          <details style={{ marginTop: '8px', color: 'rgba(239,239,239,0.6)' }}>
+            <summary style={{ cursor: 'pointer' }}>{citations.length} web search result{citations.length === 1 ? '' : 's'}</summary>
+            {citations.map((citation, i) => (
+              <div key={i} style={{ padding: '2px 0', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                <a href={citation.url} target="_blank" rel="noopener noreferrer" style={{ color: 'rgba(239,239,239,0.7)' }}>{citation.title || citation.url}</a>
+              </div>
+            ))}
+          </details>
+        )}
+      </div>
+    );
+  };
+
   // Render tab content
   const renderTabContent = () => {
     switch (activeTab) {
@@ -570,91 +1226,156 @@ const EntitySEOChecker = () => {
         return renderLeadersTab();
       case 'gap':
         return renderGapAnalysisTab();
+      case 'voice':
+        return renderShareOfVoiceTab();
       case 'podcasts':
         return renderPodcastsTab();
       case 'sentiment':
         return renderSentimentTab();
+      case 'trends':
+        return renderTrendsTab();
       default:
         return null;
     }
   };
 
-  // Overview Tab
-  const renderOverviewTab = () => (
-    <div>
-      <h2 style={{ ...styles.heading, marginBottom: '24px', color: brandOrange, fontSize: '24px' }}>📊 EXECUTIVE SUMMARY</h2>
-      
-      {/* Quick Stats */}
-      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px', marginBottom: '24px' }}>
-        <div style={{ background: 'rgba(0,0,0,0.4)', padding: '20px', borderRadius: '12px', textAlign: 'center' }}>
-          <div style={{ fontSize: '36px', fontWeight: '700', color: getScoreColor(getOverallScore()) }}>
-            {getOverallScore()}/10
-          </div>
-          <div style={{ fontSize: '14px', color: 'rgba(239,239,239,0.6)', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Overall AI Visibility</div>
-        </div>
-        <div style={{ background: 'rgba(0,0,0,0.4)', padding: '20px', borderRadius: '12px', textAlign: 'center' }}>
-          <div style={{ fontSize: '36px', fontWeight: '700', color: '#3b82f6', textTransform: 'capitalize' }}>
-            {getOverallSentiment()}
+  // What each component contributes to the AI Visibility Index, with editable weights
+  const renderVisibilityBreakdown = (index) => (
+    <div style={{ ...styles.card, marginBottom: '24px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
+        <h3 style={{ ...styles.heading, fontSize: '18px' }}>AI VISIBILITY INDEX BREAKDOWN</h3>
+        {!readOnly && (
+          <button onClick={() => (showWeights ? saveVisibilityWeights(visibilityWeights) : setShowWeights(true))} style={{ ...styles.buttonSecondary, padding: '6px 12px', fontSize: '12px' }}>
+            {showWeights ? 'DONE' : '⚖️ ADJUST WEIGHTS'}
+          </button>
+        )}
+      </div>
+      <p style={{ fontSize: '12px', color: 'rgba(239,239,239,0.5)', marginBottom: '16px' }}>
+        Each component is scored 0-100 and weighted. Components without data are not counted; their weight is shared among the rest.
+      </p>
+      <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '8px' }}>
+        {index.components.map((component, i) => (
+          <div key={component.id} title={component.description} style={{ display: 'grid', gridTemplateColumns: '160px 1fr 70px 90px', gap: '12px', alignItems: 'center', padding: '8px', borderBottom: i < index.components.length - 1 ? '1px solid rgba(239,239,239,0.1)' : 'none', fontSize: '13px', opacity: component.value === null ? 0.5 : 1 }}>
+            <div>
+              <strong style={{ textTransform: 'uppercase', letterSpacing: '0.5px' }}>{component.label}</strong>
+              <div style={{ fontSize: '11px', color: 'rgba(239,239,239,0.5)' }}>{component.detail}</div>
+            </div>
+            <div style={{ background: 'rgba(239,239,239,0.1)', borderRadius: '4px', height: '8px', overflow: 'hidden' }}>
+              <div style={{ width: `${component.value || 0}%`, height: '100%', background: getScoreColor((component.value || 0) / 10) }} />
+            </div>
+            <div style={{ textAlign: 'right', fontWeight: '600' }}>{component.value === null ? 'N/A' : `${component.value}/100`}</div>
+            {showWeights ? (
+              <input
+                type="number"
+                min="0"
+                value={visibilityWeights[component.id]}
+                onChange={(e) => updateVisibilityWeight(component.id, e.target.value)}
+                style={{ ...styles.input, padding: '4px 8px', fontSize: '13px' }}
+              />
+            ) : (
+              <div style={{ textAlign: 'right', color: 'rgba(239,239,239,0.6)' }}>{component.share}% → {component.points} pts</div>
+            )}
           </div>
-          <div style={{ fontSize: '14px', color: 'rgba(239,239,239,0.6)', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Overall Sentiment</div>
+        ))}
+      </div>
+      {showWeights && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '12px' }}>
+          <span style={{ fontSize: '12px', color: 'rgba(239,239,239,0.5)' }}>
+            Defaults: {VISIBILITY_COMPONENTS.map(c => `${c.label} ${c.weight}`).join(' • ')}
+          </span>
+          <button onClick={() => saveVisibilityWeights(null)} style={{ ...styles.buttonSecondary, padding: '6px 12px', fontSize: '12px' }}>RESET</button>
         </div>
-        {semrushData?.authorityScore !== undefined && (
+      )}
+    </div>
+  );
+
+  // Overview Tab
+  const renderOverviewTab = () => {
+    const visibilityIndex = getVisibilityIndex();
+
+    return (
+      <div>
+        <h2 style={{ ...styles.heading, marginBottom: '24px', color: brandOrange, fontSize: '24px' }}>📊 EXECUTIVE SUMMARY</h2>
+      
+        {/* Quick Stats */}
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px', marginBottom: '24px' }}>
           <div style={{ background: 'rgba(0,0,0,0.4)', padding: '20px', borderRadius: '12px', textAlign: 'center' }}>
-            <div style={{ fontSize: '36px', fontWeight: '700', color: getScoreColor(semrushData.authorityScore / 10) }}>
-              {semrushData.authorityScore}
+            <div style={{ fontSize: '36px', fontWeight: '700', color: visibilityIndex.score === null ? 'rgba(239,239,239,0.4)' : getScoreColor(visibilityIndex.score / 10) }}>
+              {visibilityIndex.score === null ? 'N/A' : `${visibilityIndex.score}/100`}
             </div>
-            <div style={{ fontSize: '14px', color: 'rgba(239,239,239,0.6)', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Domain Authority</div>
+            <div style={{ fontSize: '14px', color: 'rgba(239,239,239,0.6)', textTransform: 'uppercase', letterSpacing: '0.5px' }}>AI Visibility Index</div>
           </div>
-        )}
-        {semrushData?.backlinks && (
           <div style={{ background: 'rgba(0,0,0,0.4)', padding: '20px', borderRadius: '12px', textAlign: 'center' }}>
-            <div style={{ fontSize: '36px', fontWeight: '700', color: '#22c55e' }}>
-              {semrushData.backlinks.referringDomains?.toLocaleString() || 0}
+            <div style={{ fontSize: '36px', fontWeight: '700', color: '#3b82f6', textTransform: 'capitalize' }}>
+              {getOverallSentiment()}
             </div>
-            <div style={{ fontSize: '14px', color: 'rgba(239,239,239,0.6)', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Referring Domains</div>
+            <div style={{ fontSize: '14px', color: 'rgba(239,239,239,0.6)', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Overall Sentiment</div>
           </div>
+          {semrushData?.authorityScore !== undefined && (
+            <div style={{ background: 'rgba(0,0,0,0.4)', padding: '20px', borderRadius: '12px', textAlign: 'center' }}>
+              <div style={{ fontSize: '36px', fontWeight: '700', color: getScoreColor(semrushData.authorityScore / 10) }}>
+                {semrushData.authorityScore}
+              </div>
+              <div style={{ fontSize: '14px', color: 'rgba(239,239,239,0.6)', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Domain Authority</div>
+            </div>
+          )}
+          {semrushData?.backlinks && (
+            <div style={{ background: 'rgba(0,0,0,0.4)', padding: '20px', borderRadius: '12px', textAlign: 'center' }}>
+              <div style={{ fontSize: '36px', fontWeight: '700', color: '#22c55e' }}>
+                {semrushData.backlinks.referringDomains?.toLocaleString() || 0}
+              </div>
+              <div style={{ fontSize: '14px', color: 'rgba(239,239,239,0.6)', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Referring Domains</div>
+            </div>
+          )}
+        </div>
+
+        {renderVisibilityBreakdown(visibilityIndex)}
+
+        {/* AI Engine Breakdown */}
+        <h3 style={{ ...styles.heading, marginBottom: '16px', color: bgLight, fontSize: '18px' }}>AI SEARCH ENGINE VISIBILITY</h3>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '12px', marginBottom: '24px' }}>
+          {Object.entries(results.company).map(([llmId, data]) => {
+            const score = engineScore(data.results);
+            return (
+              <div key={llmId} style={{ 
+                background: 'rgba(0,0,0,0.4)', 
+                padding: '16px', 
+                borderRadius: '8px',
+                borderLeft: `4px solid ${data.llm.color}`
+              }}>
+                <div style={{ fontSize: '12px', color: data.llm.color, marginBottom: '4px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{data.llm.name}{renderSimulatedBadge(data.results)}{renderInvalidBadge(data.results)}</div>
+                <div style={{ fontSize: '24px', fontWeight: '700', color: score === null ? 'rgba(239,239,239,0.4)' : getScoreColor(score) }}>{formatScore(score)}</div>
+              </div>
+            );
+          })}
+        </div>
+        {hasSimulatedResults() && (
+          <p style={{ marginTop: '-12px', marginBottom: '24px', fontSize: '12px', color: 'rgba(239,239,239,0.5)' }}>
+            Engines marked <span style={{ color: '#eab308' }}>SIMULATED</span> have no API key configured; their answers were generated by Claude imitating that engine.
+          </p>
         )}
-      </div>
 
-      {/* AI Engine Breakdown */}
-      <h3 style={{ ...styles.heading, marginBottom: '16px', color: bgLight, fontSize: '18px' }}>AI SEARCH ENGINE VISIBILITY</h3>
-      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '12px', marginBottom: '24px' }}>
-        {Object.entries(results.company).map(([llmId, data]) => {
-          const score = data.results?.confidenceScore || 0;
-          return (
-            <div key={llmId} style={{ 
-              background: 'rgba(0,0,0,0.4)', 
-              padding: '16px', 
-              borderRadius: '8px',
-              borderLeft: `4px solid ${data.llm.color}`
-            }}>
-              <div style={{ fontSize: '12px', color: data.llm.color, marginBottom: '4px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{data.llm.name}</div>
-              <div style={{ fontSize: '24px', fontWeight: '700', color: getScoreColor(score) }}>{score}/10</div>
+        {/* Leadership Summary */}
+        {results.leadership.length > 0 && (
+          <>
+            <h3 style={{ ...styles.heading, marginBottom: '16px', color: bgLight, fontSize: '18px' }}>LEADERSHIP REPUTATION SUMMARY</h3>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px' }}>
+              {results.leadership.map((leader, i) => {
+                const avgScore = averageScore(leader.byLLM, 'sentimentScore');
+                return (
+                  <div key={i} style={{ background: 'rgba(0,0,0,0.4)', padding: '16px', borderRadius: '8px' }}>
+                    <div style={{ fontWeight: '600', marginBottom: '4px' }}>{leader.name}</div>
+                    <div style={{ fontSize: '12px', color: 'rgba(239,239,239,0.5)', marginBottom: '8px' }}>{leader.title}</div>
+                    <div style={{ fontSize: '20px', fontWeight: '700' }}>{renderAverageScore(avgScore)}</div>
+                  </div>
+                );
+              })}
             </div>
-          );
-        })}
+          </>
+        )}
       </div>
-
-      {/* Leadership Summary */}
-      {results.leadership.length > 0 && (
-        <>
-          <h3 style={{ ...styles.heading, marginBottom: '16px', color: bgLight, fontSize: '18px' }}>LEADERSHIP REPUTATION SUMMARY</h3>
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px' }}>
-            {results.leadership.map((leader, i) => {
-              const avgScore = calculateAvgScore(leader.byLLM);
-              return (
-                <div key={i} style={{ background: 'rgba(0,0,0,0.4)', padding: '16px', borderRadius: '8px' }}>
-                  <div style={{ fontWeight: '600', marginBottom: '4px' }}>{leader.name}</div>
-                  <div style={{ fontSize: '12px', color: 'rgba(239,239,239,0.5)', marginBottom: '8px' }}>{leader.title}</div>
-                  <div style={{ fontSize: '20px', fontWeight: '700', color: getScoreColor(avgScore) }}>{avgScore}/10</div>
-                </div>
-              );
-            })}
-          </div>
-        </>
-      )}
-    </div>
-  );
+    );
+  };
 
   // Company Tab
   const renderCompanyTab = () => (
@@ -664,7 +1385,10 @@ const EntitySEOChecker = () => {
       {/* SEMRush Data */}
       {semrushData && (
         <div style={{ ...styles.card, marginBottom: '24px' }}>
-          <h3 style={{ ...styles.heading, marginBottom: '16px', fontSize: '18px' }}>SEMRUSH BACKLINK PROFILE</h3>
+          <h3 style={{ ...styles.heading, marginBottom: semrushData.cachedAt ? '4px' : '16px', fontSize: '18px' }}>SEMRUSH BACKLINK PROFILE</h3>
+          {semrushData.cachedAt && (
+            <p style={{ fontSize: '12px', color: 'rgba(239,239,239,0.5)', marginBottom: '16px' }}>Data as of {new Date(semrushData.cachedAt).toLocaleString()}</p>
+          )}
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))', gap: '12px', marginBottom: '16px' }}>
             <div style={{ textAlign: 'center' }}>
               <div style={{ fontSize: '24px', fontWeight: '700', color: '#3b82f6' }}>{semrushData.backlinks?.total?.toLocaleString() || 0}</div>
@@ -680,6 +1404,8 @@ const EntitySEOChecker = () => {
             </div>
           </div>
           
+          {renderOrganicByRegion()}
+
           {semrushData.topBacklinks && semrushData.topBacklinks.length > 0 && (
             <>
               <h4 style={{ marginBottom: '8px', fontSize: '14px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Top Referring Domains</h4>
@@ -696,22 +1422,32 @@ const EntitySEOChecker = () => {
         </div>
       )}
 
+      {/* Target Keyword Rankings */}
+      {renderKeywordRankings()}
+
+      {/* Structured Data Audit */}
+      {renderEntityAudit()}
+
+      {/* Wikidata / Wikipedia */}
+      {renderKnowledgeGraph()}
+
       {/* LLM Results */}
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(350px, 1fr))', gap: '16px' }}>
         {Object.entries(results.company).map(([llmId, data]) => {
-          const score = data.results?.confidenceScore || 0;
+          const score = engineScore(data.results);
           const hasError = data.results?.error;
+          const isInvalid = data.results?.invalid;
           
           return (
             <div key={llmId} style={{ 
               background: 'rgba(0,0,0,0.4)', 
               padding: '20px', 
               borderRadius: '12px',
-              borderLeft: `4px solid ${hasError ? '#ef4444' : data.llm.color}`
+              borderLeft: `4px solid ${hasError || isInvalid ? '#ef4444' : data.llm.color}`
             }}>
               <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '12px' }}>
-                <strong style={{ color: data.llm.color, textTransform: 'uppercase', letterSpacing: '0.5px' }}>{data.llm.name}</strong>
-                {!hasError && (
+                <strong style={{ color: data.llm.color, textTransform: 'uppercase', letterSpacing: '0.5px' }}>{data.llm.name}{renderSimulatedBadge(data.results)}{renderInvalidBadge(data.results)}</strong>
+                {score !== null && (
                   <span style={{ 
                     background: getScoreColor(score),
                     padding: '4px 12px',
@@ -726,6 +1462,8 @@ const EntitySEOChecker = () => {
               
               {hasError ? (
                 <p style={{ color: '#ef4444' }}>❌ {data.results.errorMessage}</p>
+              ) : isInvalid ? (
+                <p style={{ color: 'rgba(239,239,239,0.6)', fontSize: '14px' }}>⚠️ {data.results.summary}</p>
               ) : (
                 <>
                   <p style={{ fontSize: '14px', marginBottom: '12px', color: 'rgba(239,239,239,0.8)', lineHeight: '1.5' }}>
@@ -737,12 +1475,18 @@ const EntitySEOChecker = () => {
                       {data.results.recommendations}
                     </div>
                   )}
+                  {renderSourceList(data.results)}
+                  {data.results?.cachedAt && (
+                    <p style={{ marginTop: '8px', fontSize: '11px', color: 'rgba(239,239,239,0.4)' }}>Answer as of {new Date(data.results.cachedAt).toLocaleString()}</p>
+                  )}
                 </>
               )}
             </div>
           );
         })}
       </div>
+
+      {renderMisinformation()}
     </div>
   );
 
@@ -770,20 +1514,30 @@ const EntitySEOChecker = () => {
                   borderLeft: `3px solid ${data.llm.color}`,
                   minWidth: '120px'
                 }}>
-                  <div style={{ fontSize: '11px', color: data.llm.color, textTransform: 'uppercase' }}>{data.llm.name}</div>
-                  <div style={{ fontSize: '20px', fontWeight: '700', color: getScoreColor(data.results?.sentimentScore || 5) }}>
-                    {data.results?.sentimentScore || 5}/10
+                  <div style={{ fontSize: '11px', color: data.llm.color, textTransform: 'uppercase' }}>{data.llm.name}{renderSimulatedBadge(data.results)}{renderInvalidBadge(data.results)}</div>
+                  <div style={{ fontSize: '20px', fontWeight: '700' }}>
+                    {renderAverageScore(engineScore(data.results, 'sentimentScore'))}
                   </div>
                 </div>
               ))}
             </div>
 
+            {/* Knowledge Graph */}
+            {results.knowledgeGraph?.leaders?.[idx] && (
+              <>
+                <h4 style={{ ...styles.heading, marginBottom: '12px', color: brandOrange, fontSize: '16px' }}>🌐 KNOWLEDGE GRAPH</h4>
+                <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '16px', marginBottom: '20px' }}>
+                  {renderKnowledgeGraphMatch(results.knowledgeGraph.leaders[idx])}
+                </div>
+              </>
+            )}
+
             {/* Press Opportunities */}
             <h4 style={{ ...styles.heading, marginBottom: '12px', color: brandOrange, fontSize: '16px' }}>🎤 PRESS & MEDIA OPPORTUNITIES</h4>
             <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '16px', marginBottom: '16px' }}>
               {Object.entries(leader.pressOpportunities || {}).map(([llmId, data]) => (
                 <div key={llmId} style={{ marginBottom: '16px' }}>
-                  <div style={{ fontSize: '12px', color: data.llm?.color, marginBottom: '8px', textTransform: 'uppercase' }}>{data.llm?.name}</div>
+                  <div style={{ fontSize: '12px', color: data.llm?.color, marginBottom: '8px', textTransform: 'uppercase' }}>{data.llm?.name}{renderSimulatedBadge(data.results)}{renderInvalidBadge(data.results)}</div>
                   <p style={{ fontSize: '13px', lineHeight: '1.6', color: 'rgba(239,239,239,0.8)' }}>
                     {data.results?.summary || data.results?.recommendations || 'No press opportunities found.'}
                   </p>
@@ -834,9 +1588,7 @@ const EntitySEOChecker = () => {
                   <td style={{ padding: '12px', textAlign: 'center' }}>{semrushData?.backlinks?.total?.toLocaleString() || '-'}</td>
                   <td style={{ padding: '12px', textAlign: 'center' }}>{semrushData?.backlinks?.referringDomains?.toLocaleString() || '-'}</td>
                   <td style={{ padding: '12px', textAlign: 'center' }}>
-                    <span style={{ color: getScoreColor(calculateAvgScore(results.company)) }}>
-                      {calculateAvgScore(results.company)}/10
-                    </span>
+                    {renderAverageScore(averageScore(results.company))}
                   </td>
                 </tr>
                 {/* Competitor rows */}
@@ -847,9 +1599,7 @@ const EntitySEOChecker = () => {
                     <td style={{ padding: '12px', textAlign: 'center' }}>{comp.semrushData?.backlinks?.total?.toLocaleString() || '-'}</td>
                     <td style={{ padding: '12px', textAlign: 'center' }}>{comp.semrushData?.backlinks?.referringDomains?.toLocaleString() || '-'}</td>
                     <td style={{ padding: '12px', textAlign: 'center' }}>
-                      <span style={{ color: getScoreColor(calculateAvgScore(comp.byLLM)) }}>
-                        {calculateAvgScore(comp.byLLM)}/10
-                      </span>
+                      {renderAverageScore(averageScore(comp.byLLM))}
                     </td>
                   </tr>
                 ))}
@@ -857,7 +1607,103 @@ const EntitySEOChecker = () => {
             </table>
           </div>
 
-          {/* Competitor Details & Backlink Gaps */}
+          {/* Leader vs Leader */}
+          {(results.leaderComparison || []).some(row => row.isCompetitor) && (
+            <div style={{ ...styles.card, marginBottom: '24px' }}>
+              <h3 style={{ ...styles.heading, marginBottom: '16px', color: brandOrange, fontSize: '18px' }}>👔 LEADER VS LEADER</h3>
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                  <thead>
+                    <tr style={{ borderBottom: `2px solid rgba(239,239,239,0.2)` }}>
+                      <th style={{ padding: '12px', textAlign: 'left', color: brandOrange, textTransform: 'uppercase', letterSpacing: '0.5px' }}>Leader</th>
+                      <th style={{ padding: '12px', textAlign: 'left', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Company</th>
+                      <th style={{ padding: '12px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Reputation</th>
+                      <th style={{ padding: '12px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Media Appearances</th>
+                      <th style={{ padding: '12px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Sentiment</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.leaderComparison.map((row, i) => (
+                      <tr key={i} style={row.isCompetitor ? { borderBottom: '1px solid rgba(239,239,239,0.1)' } : { background: `${brandOrange}15` }}>
+                        <td style={{ padding: '12px', fontWeight: row.isCompetitor ? '400' : '600' }}>
+                          {row.name}
+                          {row.title && <div style={{ fontSize: '12px', color: 'rgba(239,239,239,0.5)' }}>{row.title}</div>}
+                        </td>
+                        <td style={{ padding: '12px' }}>{row.company}{!row.isCompetitor && ' (You)'}</td>
+                        <td style={{ padding: '12px', textAlign: 'center' }}>
+                          {row.reputationScore !== null ? (
+                            <span style={{ color: getScoreColor(row.reputationScore) }}>{row.reputationScore}/10</span>
+                          ) : '-'}
+                        </td>
+                        <td style={{ padding: '12px', textAlign: 'center' }}>{row.mediaAppearances}</td>
+                        <td style={{ padding: '12px', textAlign: 'center' }}>
+                          <span style={{
+                            padding: '4px 10px',
+                            borderRadius: '12px',
+                            fontSize: '12px',
+                            textTransform: 'uppercase',
+                            background: row.sentiment === 'positive' ? 'rgba(34,197,94,0.2)' : row.sentiment === 'negative' ? 'rgba(239,68,68,0.2)' : 'rgba(234,179,8,0.2)',
+                            color: row.sentiment === 'positive' ? '#22c55e' : row.sentiment === 'negative' ? '#ef4444' : '#eab308'
+                          }}>
+                            {row.sentiment}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Backlink Gap Prospects */}
+          {results.backlinkGap && (
+            <div style={{ ...styles.card, marginBottom: '24px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px', flexWrap: 'wrap', gap: '12px' }}>
+                <h3 style={{ ...styles.heading, color: brandOrange, fontSize: '18px' }}>🔗 BACKLINK GAP PROSPECTS</h3>
+                {results.backlinkGap.prospects.length > 0 && (
+                  <button onClick={exportBacklinkGapCsv} style={styles.buttonSecondary}>Export CSV</button>
+                )}
+              </div>
+              <p style={{ color: 'rgba(239,239,239,0.5)', fontSize: '13px', marginBottom: '16px' }}>
+                Domains linking to {results.backlinkGap.minCompetitors > 1 ? `${results.backlinkGap.minCompetitors} or more competitors` : 'your competitor'} but not to {results.backlinkGap.domain}, ranked by authority score.
+              </p>
+              {results.backlinkGap.minCompetitors < 2 && (
+                <p style={{ color: '#eab308', fontSize: '13px', marginBottom: '16px' }}>
+                  ⚠️ Only one competitor has a website, so this is every domain linking to it rather than domains shared by two or more competitors. Add another competitor website for a stronger shortlist.
+                </p>
+              )}
+              {results.backlinkGap.unconfirmed > 0 && (
+                <p style={{ color: 'rgba(239,239,239,0.5)', fontSize: '13px', marginBottom: '16px' }}>
+                  {results.backlinkGap.unconfirmed} lower-authority domain{results.backlinkGap.unconfirmed === 1 ? ' was' : 's were'} left out: your own referring domain list was too long to check whether they already link to you.
+                </p>
+              )}
+              {results.backlinkGap.prospects.length === 0 ? (
+                <p style={{ color: 'rgba(239,239,239,0.6)', fontSize: '14px' }}>No gap found in the referring domains SEMRush returned.</p>
+              ) : (
+                <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '12px', maxHeight: '400px', overflowY: 'auto' }}>
+                  {results.backlinkGap.prospects.map((prospect, j) => (
+                    <div key={prospect.domain} style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      gap: '12px',
+                      padding: '8px 0',
+                      borderBottom: j < results.backlinkGap.prospects.length - 1 ? '1px solid rgba(239,239,239,0.1)' : 'none',
+                      fontSize: '13px'
+                    }}>
+                      <span>
+                        <span style={{ color: '#3b82f6' }}>{prospect.domain}</span>
+                        <span style={{ color: 'rgba(239,239,239,0.5)', marginLeft: '8px' }}>(AS: {prospect.authorityScore})</span>
+                      </span>
+                      <span style={{ color: 'rgba(239,239,239,0.6)', textAlign: 'right' }}>{prospect.competitors.join(', ')}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Competitor Details & Top Backlinks */}
           {results.competitors.map((comp, i) => (
             <div key={i} style={{ ...styles.card, marginBottom: '16px' }}>
               <h3 style={{ ...styles.heading, marginBottom: '8px', fontSize: '18px' }}>{comp.name}</h3>
@@ -865,7 +1711,7 @@ const EntitySEOChecker = () => {
               
               {comp.semrushData?.topBacklinks && comp.semrushData.topBacklinks.length > 0 && (
                 <>
-                  <h4 style={{ ...styles.heading, marginBottom: '8px', color: brandOrange, fontSize: '14px' }}>🔗 THEIR TOP BACKLINKS (GAP OPPORTUNITIES)</h4>
+                  <h4 style={{ ...styles.heading, marginBottom: '8px', color: brandOrange, fontSize: '14px' }}>🔗 THEIR TOP BACKLINKS</h4>
                   <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '12px' }}>
                     {comp.semrushData.topBacklinks.slice(0, 8).map((link, j) => (
                       <div key={j} style={{ 
@@ -887,6 +1733,102 @@ const EntitySEOChecker = () => {
     </div>
   );
 
+  // Share of Voice Tab
+  const renderShareOfVoiceTab = () => {
+    const sov = results.shareOfVoice;
+    const framingColor = (framing) => framing === 'positive' ? '#22c55e' : framing === 'negative' ? '#ef4444' : '#eab308';
+
+    return (
+      <div>
+        <h2 style={{ ...styles.heading, marginBottom: '24px', color: brandOrange, fontSize: '24px' }}>📣 SHARE OF VOICE</h2>
+
+        {!sov ? (
+          <p style={{ color: 'rgba(239,239,239,0.6)' }}>No category prompts were run. Add an industry or target keywords to the form to see whether AI engines recommend you.</p>
+        ) : (
+          <>
+            <p style={{ color: 'rgba(239,239,239,0.6)', fontSize: '14px', marginBottom: '8px' }}>
+              Each engine answered these category questions without being told your name. Share of voice is the percentage of all companies it recommended that were you or a competitor.
+            </p>
+            <ul style={{ marginBottom: '24px', paddingLeft: '20px', fontSize: '13px', color: 'rgba(239,239,239,0.7)' }}>
+              {sov.queries.map((query, i) => <li key={i} style={{ marginBottom: '4px' }}>"{query}"</li>)}
+            </ul>
+
+            {/* Overall */}
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '12px', marginBottom: '24px' }}>
+              {sov.overall.map(brand => (
+                <div key={brand.name} style={{
+                  background: brand.isCompetitor ? 'rgba(0,0,0,0.4)' : `${brandOrange}20`,
+                  padding: '16px',
+                  borderRadius: '8px',
+                  borderLeft: `4px solid ${brand.isCompetitor ? 'rgba(239,239,239,0.3)' : brandOrange}`
+                }}>
+                  <div style={{ fontSize: '12px', marginBottom: '4px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{brand.name}{!brand.isCompetitor && ' (You)'}</div>
+                  <div style={{ fontSize: '28px', fontWeight: '700', color: brand.isCompetitor ? bgLight : brandOrange }}>{brand.shareOfVoice}%</div>
+                  <div style={{ fontSize: '11px', color: 'rgba(239,239,239,0.5)' }}>Mentioned in {brand.mentionRate}% of answers</div>
+                </div>
+              ))}
+            </div>
+
+            {/* Per engine */}
+            {sov.engines.map(engine => (
+              <div key={engine.llmId} style={{ ...styles.card, marginBottom: '16px', borderLeft: `4px solid ${engine.llm.color}` }}>
+                <h3 style={{ ...styles.heading, marginBottom: '12px', fontSize: '18px', color: engine.llm.color }}>{engine.llm.name}</h3>
+                <div style={{ overflowX: 'auto', marginBottom: '16px' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                    <thead>
+                      <tr style={{ borderBottom: '2px solid rgba(239,239,239,0.2)' }}>
+                        <th style={{ padding: '8px', textAlign: 'left', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Company</th>
+                        <th style={{ padding: '8px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Share of Voice</th>
+                        <th style={{ padding: '8px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Mentioned</th>
+                        <th style={{ padding: '8px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Avg. Rank</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {engine.brands.map(brand => (
+                        <tr key={brand.name} style={{ borderBottom: '1px solid rgba(239,239,239,0.1)', background: brand.isCompetitor ? 'transparent' : `${brandOrange}15` }}>
+                          <td style={{ padding: '8px', fontWeight: brand.isCompetitor ? '400' : '600' }}>{brand.name}{!brand.isCompetitor && ' (You)'}</td>
+                          <td style={{ padding: '8px', textAlign: 'center' }}>{brand.shareOfVoice}%</td>
+                          <td style={{ padding: '8px', textAlign: 'center' }}>{brand.mentions}/{engine.answered}</td>
+                          <td style={{ padding: '8px', textAlign: 'center' }}>{brand.averageRank ? `#${brand.averageRank}` : '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {engine.prompts.map((prompt, i) => {
+                  const ours = prompt.mentions[0];
+                  const theirs = prompt.mentions.slice(1).filter(m => m.mentioned);
+                  return (
+                    <div key={i} style={{ padding: '8px 0', borderTop: '1px solid rgba(239,239,239,0.1)', fontSize: '13px' }}>
+                      <div style={{ color: 'rgba(239,239,239,0.6)', marginBottom: '4px' }}>"{prompt.query}"</div>
+                      {prompt.failed ? (
+                        <span style={{ color: '#ef4444' }}>No usable answer from this engine</span>
+                      ) : ours.mentioned ? (
+                        <span>
+                          <strong style={{ color: brandOrange }}>You: {ours.rank ? `#${ours.rank}` : 'mentioned'}</strong>
+                          {ours.framing && <span style={{ marginLeft: '8px', textTransform: 'uppercase', fontSize: '11px', color: framingColor(ours.framing) }}>{ours.framing}</span>}
+                          {ours.reason && <span style={{ marginLeft: '8px', color: 'rgba(239,239,239,0.6)' }}>{ours.reason}</span>}
+                        </span>
+                      ) : (
+                        <span style={{ color: '#ef4444' }}>You were not mentioned</span>
+                      )}
+                      {theirs.length > 0 && (
+                        <div style={{ marginTop: '4px', color: 'rgba(239,239,239,0.6)' }}>
+                          Competitors: {theirs.map(m => `${m.brand}${m.rank ? ` (#${m.rank})` : ''}`).join(', ')}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    );
+  };
+
   // Podcasts Tab
   const renderPodcastsTab = () => (
     <div>
@@ -903,7 +1845,7 @@ const EntitySEOChecker = () => {
               borderRadius: '12px',
               borderLeft: `4px solid ${item.llm.color}`
             }}>
-              <div style={{ fontSize: '12px', color: item.llm.color, marginBottom: '12px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{item.llm.name}</div>
+              <div style={{ fontSize: '12px', color: item.llm.color, marginBottom: '12px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{item.llm.name}{renderSimulatedBadge(item.results)}{renderInvalidBadge(item.results)}</div>
               <p style={{ fontSize: '14px', lineHeight: '1.6', color: 'rgba(239,239,239,0.8)' }}>
                 {item.results?.summary || 'No summary available.'}
               </p>
@@ -952,8 +1894,8 @@ const EntitySEOChecker = () => {
             {/* Social Sentiment by LLM */}
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '16px' }}>
               {Object.entries(leader.socialSentiment || {}).map(([llmId, data]) => {
-                const sentimentScore = data.results?.sentimentScore || 5;
-                const sentiment = data.results?.sentiment || 'neutral';
+                const sentimentScore = engineScore(data.results, 'sentimentScore');
+                const sentiment = data.results?.sentiment || 'unknown';
                 
                 return (
                   <div key={llmId} style={{ 
@@ -963,14 +1905,14 @@ const EntitySEOChecker = () => {
                     borderLeft: `3px solid ${data.llm?.color}`
                   }}>
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
-                      <span style={{ fontSize: '12px', color: data.llm?.color, textTransform: 'uppercase' }}>{data.llm?.name}</span>
+                      <span style={{ fontSize: '12px', color: data.llm?.color, textTransform: 'uppercase' }}>{data.llm?.name}{renderSimulatedBadge(data.results)}{renderInvalidBadge(data.results)}</span>
                       <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
                         <span style={{ 
                           fontSize: '18px',
                           fontWeight: '700',
-                          color: getScoreColor(sentimentScore)
+                          color: sentimentScore === null ? 'rgba(239,239,239,0.4)' : getScoreColor(sentimentScore)
                         }}>
-                          {sentimentScore}/10
+                          {formatScore(sentimentScore)}
                         </span>
                         <span style={{ 
                           padding: '4px 8px', 
@@ -1006,6 +1948,119 @@ const EntitySEOChecker = () => {
     </div>
   );
 
+  // Trends Tab
+  const formatMetric = (value) => value === null ? '-' : value.toLocaleString();
+
+  const renderDelta = (delta) => {
+    if (delta === null) return <span style={{ color: 'rgba(239,239,239,0.4)' }}>-</span>;
+    const color = delta > 0 ? '#22c55e' : delta < 0 ? '#ef4444' : 'rgba(239,239,239,0.6)';
+    return <span style={{ color, fontWeight: '600' }}>{delta > 0 ? '+' : ''}{delta.toLocaleString()}</span>;
+  };
+
+  const renderMetricRows = (metrics, prefix = '') => metrics.map(metric => (
+    <tr key={`${prefix}${metric.key}`} style={{ borderBottom: '1px solid rgba(239,239,239,0.1)' }}>
+      <td style={{ padding: '10px 12px' }}>{metric.label}</td>
+      {metric.values.map((value, i) => (
+        <td key={i} style={{ padding: '10px 12px', textAlign: 'center' }}>{formatMetric(value)}</td>
+      ))}
+      <td style={{ padding: '10px 12px', textAlign: 'center' }}>{renderDelta(metric.delta)}</td>
+    </tr>
+  ));
+
+  const renderUrlChanges = (title, changes) => (
+    <div style={{ ...styles.card, marginBottom: '16px' }}>
+      <h3 style={{ ...styles.heading, marginBottom: '12px', fontSize: '16px' }}>{title}</h3>
+      {changes.appeared.length === 0 && changes.disappeared.length === 0 ? (
+        <p style={{ color: 'rgba(239,239,239,0.6)', fontSize: '13px' }}>No changes.</p>
+      ) : (
+        <>
+          {changes.appeared.slice(0, 10).map((url, i) => (
+            <div key={`a${i}`} style={{ fontSize: '13px', padding: '4px 0' }}>
+              <span style={{ color: '#22c55e', marginRight: '8px' }}>+ NEW</span>{url}
+            </div>
+          ))}
+          {changes.disappeared.slice(0, 10).map((url, i) => (
+            <div key={`d${i}`} style={{ fontSize: '13px', padding: '4px 0' }}>
+              <span style={{ color: '#ef4444', marginRight: '8px' }}>− GONE</span>{url}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+
+  const renderTrendsTab = () => (
+    <div>
+      <h2 style={{ ...styles.heading, marginBottom: '24px', color: brandOrange, fontSize: '24px' }}>📈 PROGRESS OVER TIME</h2>
+
+      {!trendRuns ? (
+        <p style={{ color: 'rgba(239,239,239,0.6)' }}>Loading earlier reports...</p>
+      ) : trendRuns.length < 2 ? (
+        <p style={{ color: 'rgba(239,239,239,0.6)' }}>
+          No earlier reports for {results.companyName} yet. Run this report again next month to track progress.
+        </p>
+      ) : (
+        <>
+          {/* Run selection */}
+          <h3 style={{ ...styles.heading, marginBottom: '12px', color: bgLight, fontSize: '16px' }}>COMPARE RUNS</h3>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '24px' }}>
+            {trendRuns.map(run => (
+              <label key={run.id} style={{
+                padding: '8px 12px',
+                borderRadius: '8px',
+                background: trendSelection.includes(run.id) ? `${brandOrange}25` : 'rgba(0,0,0,0.3)',
+                cursor: 'pointer',
+                fontSize: '13px'
+              }}>
+                <input type="checkbox" checked={trendSelection.includes(run.id)} onChange={() => toggleTrendRun(run.id)} style={{ marginRight: '6px' }} />
+                {new Date(run.createdAt).toLocaleDateString()}{run.id === results.reportId ? ' (this report)' : ''}
+              </label>
+            ))}
+          </div>
+
+          {trendSelection.length < 2 ? (
+            <p style={{ color: 'rgba(239,239,239,0.6)' }}>Select at least two runs to compare.</p>
+          ) : !comparison ? (
+            <p style={{ color: 'rgba(239,239,239,0.6)' }}>Comparing...</p>
+          ) : comparison.error ? (
+            <p style={{ color: '#ef4444' }}>❌ {comparison.error}</p>
+          ) : (
+            <>
+              <div style={{ overflowX: 'auto', marginBottom: '24px' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                  <thead>
+                    <tr style={{ borderBottom: `2px solid rgba(239,239,239,0.2)` }}>
+                      <th style={{ padding: '12px', textAlign: 'left', color: brandOrange, textTransform: 'uppercase', letterSpacing: '0.5px' }}>Metric</th>
+                      {comparison.runs.map(run => (
+                        <th key={run.id} style={{ padding: '12px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>
+                          {new Date(run.createdAt).toLocaleDateString()}
+                        </th>
+                      ))}
+                      <th style={{ padding: '12px', textAlign: 'center', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr><td colSpan={comparison.runs.length + 2} style={{ padding: '12px 12px 4px', color: brandOrange, fontSize: '12px', textTransform: 'uppercase' }}>SEMRush</td></tr>
+                    {renderMetricRows(comparison.semrush)}
+                    {comparison.engines.map(engine => (
+                      <React.Fragment key={engine.id}>
+                        <tr><td colSpan={comparison.runs.length + 2} style={{ padding: '12px 12px 4px', color: engine.color || brandOrange, fontSize: '12px', textTransform: 'uppercase' }}>{engine.name}</td></tr>
+                        {renderMetricRows(engine.metrics, engine.id)}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {renderUrlChanges('🔎 AI CITED SOURCES', comparison.sources)}
+              {renderUrlChanges('🔗 TOP BACKLINKS', comparison.backlinks)}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+
   // CTA Section for end of report
   const renderCTASection = () => (
     <div style={styles.ctaSection}>
@@ -1040,7 +2095,30 @@ const EntitySEOChecker = () => {
       </style>
       
       <div style={{ maxWidth: '1400px', margin: '0 auto' }}>
-        
+
+        {/* Account bar */}
+        {session && (
+          <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '12px', marginBottom: '12px', fontSize: '14px' }}>
+            <span style={{ color: 'rgba(239,239,239,0.6)' }}>{session.user.email}</span>
+            {session.workspaces.length > 1 ? (
+              <select
+                value={session.workspace.id}
+                onChange={(e) => switchWorkspace(e.target.value)}
+                style={{ ...styles.input, width: 'auto', marginTop: 0, padding: '6px 10px' }}
+              >
+                {session.workspaces.map(ws => (
+                  <option key={ws.id} value={ws.id}>{ws.name}</option>
+                ))}
+              </select>
+            ) : (
+              <span>{session.workspace.name}</span>
+            )}
+            <button onClick={signOut} style={{ ...styles.buttonSecondary, padding: '6px 14px' }}>
+              SIGN OUT
+            </button>
+          </div>
+        )}
+
         {/* Header with Logo */}
         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '20px', marginBottom: '40px' }}>
           <img 
@@ -1078,8 +2156,13 @@ const EntitySEOChecker = () => {
           </div>
         )}
 
+        {/* Shared report still loading */}
+        {readOnly && !results && loading && (
+          <p style={{ textAlign: 'center', color: brandOrange }}>Loading report...</p>
+        )}
+
         {/* Input Form (only show when no results) */}
-        {!results && (
+        {!results && !readOnly && (
           <>
             {/* Intro Section - Why AI Search Matters */}
             <div style={styles.introCard}>
@@ -1117,6 +2200,69 @@ const EntitySEOChecker = () => {
                   <label style={{ textTransform: 'uppercase', fontSize: '12px', letterSpacing: '0.5px' }}>Target Keywords</label>
                   <input type="text" name="keywords" value={formData.keywords} onChange={handleInputChange} placeholder="e.g., SEO, lead generation" style={styles.input} />
                 </div>
+                <div>
+                  <label style={{ textTransform: 'uppercase', fontSize: '12px', letterSpacing: '0.5px' }}>SEMRush Region</label>
+                  <select name="database" value={formData.database} onChange={handleInputChange} style={styles.input}>
+                    {regionOptions.map(region => (
+                      <option key={region.id} value={region.id}>{region.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div style={{ marginTop: '16px' }}>
+                <label style={{ textTransform: 'uppercase', fontSize: '12px', letterSpacing: '0.5px' }}>Compare Other Regions (optional)</label>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '8px' }}>
+                  {regionOptions.filter(region => region.id !== formData.database).map(region => {
+                    const selected = (formData.regions || []).includes(region.id);
+                    return (
+                      <div
+                        key={region.id}
+                        onClick={() => toggleRegion(region.id)}
+                        style={{
+                          padding: '6px 12px',
+                          borderRadius: '16px',
+                          border: `1px solid ${selected ? brandOrange : 'rgba(239,239,239,0.25)'}`,
+                          background: selected ? `${brandOrange}20` : 'transparent',
+                          color: selected ? brandOrange : 'rgba(239,239,239,0.6)',
+                          cursor: 'pointer',
+                          fontSize: '12px',
+                          textTransform: 'uppercase',
+                          letterSpacing: '0.5px'
+                        }}
+                      >
+                        {selected ? '✓ ' : ''}{region.name}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+              <div style={{ marginTop: '24px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+                  <label style={{ textTransform: 'uppercase', fontSize: '12px', letterSpacing: '0.5px' }}>Brand Facts (ground truth for the fact-check)</label>
+                  <button
+                    onClick={pullFactsFromSite}
+                    disabled={!formData.website}
+                    style={{ ...styles.buttonSecondary, padding: '6px 12px', fontSize: '12px', opacity: formData.website ? 1 : 0.5 }}
+                  >
+                    🌐 PULL FROM WEBSITE
+                  </button>
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '12px' }}>
+                  {factFields.map(field => (
+                    <div key={field.id}>
+                      <label style={{ fontSize: '11px', color: 'rgba(239,239,239,0.6)', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{field.label}</label>
+                      <input type="text" value={formData.facts?.[field.id] || ''} onChange={(e) => handleFactChange(field.id, e.target.value)} placeholder={field.placeholder} style={styles.input} />
+                    </div>
+                  ))}
+                </div>
+                <p style={{ marginTop: '8px', fontSize: '12px', color: 'rgba(239,239,239,0.5)' }}>
+                  💡 When any fact is filled in, each engine's company answer is checked against them for wrong, outdated or unverifiable claims.
+                </p>
+                {factsStatus && (
+                  <p style={{ marginTop: '8px', fontSize: '13px', color: factsStatus.type === 'error' ? '#ef4444' : factsStatus.type === 'success' ? '#22c55e' : 'rgba(239,239,239,0.6)' }}>
+                    {factsStatus.type === 'success' ? '✅ ' : factsStatus.type === 'error' ? '❌ ' : ''}{factsStatus.message}
+                  </p>
+                )}
               </div>
             </div>
 
@@ -1208,10 +2354,174 @@ const EntitySEOChecker = () => {
               <p style={{ marginTop: '12px', fontSize: '12px', color: 'rgba(239,239,239,0.5)' }}>
                 💡 Fewer LLMs = lower API costs. ChatGPT + Gemini recommended for most analyses.
               </p>
+              <label style={{ display: 'block', marginTop: '12px', fontSize: '14px', cursor: 'pointer' }}>
+                <input type="checkbox" checked={forceRefresh} onChange={(e) => setForceRefresh(e.target.checked)} style={{ marginRight: '8px' }} />
+                Force refresh (ignore cached SEMRush and AI results)
+              </label>
+            </div>
+
+            {/* Prompt Library */}
+            <div style={styles.card}>
+              <h2 style={{ ...styles.heading, marginBottom: '20px', color: brandOrange, fontSize: '20px' }}>PROMPT LIBRARY</h2>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr auto auto', gap: '12px', alignItems: 'end' }}>
+                <div>
+                  <label style={{ textTransform: 'uppercase', fontSize: '12px', letterSpacing: '0.5px' }}>Prompt Set</label>
+                  <select name="promptSetId" value={formData.promptSetId} onChange={handleInputChange} style={styles.input}>
+                    {promptLibrary.promptSets.map(set => (
+                      <option key={set.id} value={set.id}>{set.name} (v{set.version})</option>
+                    ))}
+                  </select>
+                </div>
+                <button
+                  onClick={() => openPromptEditor(false)}
+                  disabled={formData.promptSetId === 'default'}
+                  style={{ ...styles.buttonSecondary, padding: '12px 16px', opacity: formData.promptSetId === 'default' ? 0.5 : 1 }}
+                >
+                  ✏️ EDIT
+                </button>
+                <button onClick={() => openPromptEditor(true)} style={{ ...styles.buttonSecondary, padding: '12px 16px' }}>
+                  ➕ COPY
+                </button>
+              </div>
+              <p style={{ marginTop: '12px', fontSize: '12px', color: 'rgba(239,239,239,0.5)' }}>
+                💡 The selected set's queries are sent to every engine. Each save creates a new version, and reports record the version they ran with.
+              </p>
+              {promptEditor && (
+                <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '16px', marginTop: '16px' }}>
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '12px', marginBottom: '12px' }}>
+                    <div>
+                      <label style={{ textTransform: 'uppercase', fontSize: '12px', letterSpacing: '0.5px' }}>Name</label>
+                      <input type="text" value={promptEditor.name} onChange={(e) => setPromptEditor(prev => ({ ...prev, name: e.target.value }))} placeholder="e.g., SaaS Vertical" style={styles.input} />
+                    </div>
+                    <div>
+                      <label style={{ textTransform: 'uppercase', fontSize: '12px', letterSpacing: '0.5px' }}>Description</label>
+                      <input type="text" value={promptEditor.description} onChange={(e) => setPromptEditor(prev => ({ ...prev, description: e.target.value }))} style={styles.input} />
+                    </div>
+                  </div>
+                  {promptLibrary.keys.map(key => (
+                    <div key={key} style={{ marginBottom: '12px' }}>
+                      <label style={{ textTransform: 'uppercase', fontSize: '12px', letterSpacing: '0.5px' }}>{key} prompt</label>
+                      <textarea
+                        value={promptEditor.prompts[key] || ''}
+                        onChange={(e) => setPromptEditor(prev => ({ ...prev, prompts: { ...prev.prompts, [key]: e.target.value } }))}
+                        rows={3}
+                        style={{ ...styles.input, fontFamily: 'monospace', fontSize: '13px', resize: 'vertical' }}
+                      />
+                    </div>
+                  ))}
+                  <p style={{ fontSize: '12px', color: 'rgba(239,239,239,0.5)', marginBottom: '12px' }}>
+                    Variables: {promptLibrary.variables.map(v => `{${v}}`).join(' ')}. Wrap text in [[ ]] to drop it when a variable inside is empty, e.g. [[ in the {'{industry}'} industry]].
+                  </p>
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <button onClick={savePromptSet} disabled={!promptEditor.name} style={{ ...styles.button, padding: '10px 16px', opacity: promptEditor.name ? 1 : 0.5 }}>
+                      💾 {promptEditor.id ? 'SAVE NEW VERSION' : 'SAVE PROMPT SET'}
+                    </button>
+                    <button onClick={() => setPromptEditor(null)} style={{ ...styles.buttonSecondary, padding: '10px 16px' }}>CANCEL</button>
+                    {promptEditor.id && (
+                      <button onClick={() => deletePromptSet(promptEditor.id)} style={{ ...styles.buttonSecondary, padding: '10px 16px', marginLeft: 'auto' }}>🗑️ DELETE</button>
+                    )}
+                  </div>
+                </div>
+              )}
+              {promptStatus && (
+                <p style={{ marginTop: '8px', fontSize: '13px', color: promptStatus.type === 'error' ? '#ef4444' : '#22c55e' }}>
+                  {promptStatus.type === 'success' ? '✅' : '❌'} {promptStatus.message}
+                </p>
+              )}
+            </div>
+
+            {/* Recurring Reports */}
+            <div style={styles.card}>
+              <h2 style={{ ...styles.heading, marginBottom: '20px', color: brandOrange, fontSize: '20px' }}>RECURRING REPORTS</h2>
+              <div style={{ display: 'grid', gridTemplateColumns: '160px 1fr auto', gap: '12px', alignItems: 'end' }}>
+                <div>
+                  <label style={{ textTransform: 'uppercase', fontSize: '12px', letterSpacing: '0.5px' }}>Cadence</label>
+                  <select value={monitorForm.cadence} onChange={(e) => setMonitorForm(prev => ({ ...prev, cadence: e.target.value }))} style={styles.input}>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                  </select>
+                </div>
+                <div>
+                  <label style={{ textTransform: 'uppercase', fontSize: '12px', letterSpacing: '0.5px' }}>Recipients (comma-separated)</label>
+                  <input type="text" value={monitorForm.recipients} onChange={(e) => setMonitorForm(prev => ({ ...prev, recipients: e.target.value }))} placeholder="client@company.com, am@abstraktmg.com" style={styles.input} />
+                </div>
+                <button
+                  onClick={createMonitor}
+                  disabled={!formData.companyName || !monitorForm.recipients}
+                  style={{ ...styles.buttonSecondary, padding: '12px 16px', opacity: (!formData.companyName || !monitorForm.recipients) ? 0.5 : 1 }}
+                >
+                  📅 SCHEDULE
+                </button>
+              </div>
+              <p style={{ marginTop: '12px', fontSize: '12px', color: 'rgba(239,239,239,0.5)' }}>
+                💡 Saves the company, leaders, competitors and engines above. The report re-runs automatically and the PDF is emailed to each recipient.
+              </p>
+              {monitorStatus && (
+                <p style={{ marginTop: '8px', fontSize: '13px', color: monitorStatus.type === 'error' ? '#ef4444' : '#22c55e' }}>
+                  {monitorStatus.type === 'success' ? '✅' : '❌'} {monitorStatus.message}
+                </p>
+              )}
+              {monitors.length > 0 && (
+                <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '8px', marginTop: '16px' }}>
+                  {monitors.map((monitor, i) => (
+                    <div key={monitor.id} style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      gap: '12px',
+                      padding: '8px',
+                      borderBottom: i < monitors.length - 1 ? '1px solid rgba(239,239,239,0.1)' : 'none',
+                      fontSize: '13px'
+                    }}>
+                      <span>
+                        <strong>{monitor.formData.companyName}</strong>
+                        <span style={{ color: brandOrange, marginLeft: '8px', textTransform: 'uppercase' }}>{monitor.cadence}</span>
+                        <span style={{ color: 'rgba(239,239,239,0.5)', marginLeft: '8px' }}>→ {monitor.recipients.join(', ')}</span>
+                      </span>
+                      <span style={{ color: 'rgba(239,239,239,0.5)', whiteSpace: 'nowrap' }}>
+                        {monitor.lastRunAt && `Last: ${new Date(monitor.lastRunAt).toLocaleDateString()} (${monitor.lastRunStatus}) • `}
+                        {monitor.currentRunId ? 'Running now' : `Next: ${new Date(monitor.nextRunAt).toLocaleDateString()}`}
+                        <button onClick={() => deleteMonitor(monitor.id)} style={{ ...styles.buttonSecondary, padding: '4px 8px', marginLeft: '8px' }}>✕</button>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
 
+            {/* Report History */}
+            {reportHistory.length > 0 && (
+              <div style={styles.card}>
+                <h2 style={{ ...styles.heading, marginBottom: '16px', color: brandOrange, fontSize: '20px' }}>REPORT HISTORY</h2>
+                <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '8px' }}>
+                  {reportHistory.slice(0, 10).map((report, i) => (
+                    <a
+                      key={report.id}
+                      href={`/report/${report.id}`}
+                      style={{
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        padding: '8px',
+                        borderBottom: i < Math.min(reportHistory.length, 10) - 1 ? '1px solid rgba(239,239,239,0.1)' : 'none',
+                        fontSize: '14px',
+                        color: bgLight,
+                        textDecoration: 'none'
+                      }}
+                    >
+                      <span>
+                        <strong>{report.companyName}</strong>
+                        {report.website && <span style={{ color: 'rgba(239,239,239,0.5)', marginLeft: '8px' }}>{report.website}</span>}
+                      </span>
+                      <span style={{ color: 'rgba(239,239,239,0.5)' }}>{new Date(report.createdAt).toLocaleDateString()}</span>
+                    </a>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Run Button */}
             <div style={{ textAlign: 'center', marginBottom: '40px' }}>
+              {renderCostEstimate()}
               <button
                 onClick={runAnalysis}
                 disabled={loading || !formData.companyName}
@@ -1242,7 +2552,8 @@ const EntitySEOChecker = () => {
                 AI REPUTATION REPORT
               </h2>
               <p style={{ color: 'rgba(239,239,239,0.6)', textTransform: 'uppercase', letterSpacing: '1px' }}>
-                {results.companyName} • Generated {new Date().toLocaleDateString()}
+                {results.companyName} • Generated {(results.generatedAt ? new Date(results.generatedAt) : new Date()).toLocaleDateString()}
+                {results.promptSet && ` • Prompts: ${results.promptSet.name} v${results.promptSet.version}`}
               </p>
             </div>
 
@@ -1251,14 +2562,25 @@ const EntitySEOChecker = () => {
               <button onClick={() => setShowEmailModal(true)} style={styles.button}>
                 📧 EMAIL MY REPORT
               </button>
-              <button onClick={() => setResults(null)} style={styles.buttonSecondary}>
-                ← NEW REPORT
-              </button>
+              {results.reportId && (
+                <button onClick={copyShareLink} style={styles.buttonSecondary}>
+                  🔗 {shareStatus || 'COPY SHARE LINK'}
+                </button>
+              )}
+              {readOnly ? (
+                <a href="/" style={{ ...styles.buttonSecondary, textDecoration: 'none' }}>
+                  ← RUN A NEW REPORT
+                </a>
+              ) : (
+                <button onClick={startNewReport} style={styles.buttonSecondary}>
+                  ← NEW REPORT
+                </button>
+              )}
             </div>
 
             {/* Tabs */}
             <div style={{ display: 'flex', flexWrap: 'wrap', marginBottom: '0', borderBottom: `1px solid rgba(239,239,239,0.15)` }}>
-              {tabs.map(tab => (
+              {tabs.filter(tab => !tab.savedOnly || (results.reportId && !readOnly)).map(tab => (
                 <button
                   key={tab.id}
                   onClick={() => setActiveTab(tab.id)}
@@ -1317,6 +2639,13 @@ const EntitySEOChecker = () => {
                 <input type="email" value={emailForm.email} onChange={(e) => setEmailForm(prev => ({ ...prev, email: e.target.value }))} placeholder="you@company.com" style={styles.input} />
               </div>
 
+              {results?.reportId && (
+                <label style={{ display: 'block', marginBottom: '16px', fontSize: '14px', cursor: 'pointer' }}>
+                  <input type="checkbox" checked={includeProgress} onChange={(e) => setIncludeProgress(e.target.checked)} style={{ marginRight: '8px' }} />
+                  Include "Progress since last report" page
+                </label>
+              )}
+
               {emailStatus && (
                 <div style={{ 
                   padding: '12px', 
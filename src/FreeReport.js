@@ -0,0 +1,292 @@
+import React, { useState } from 'react';
+import { calculateVisibilityIndex } from './lib/visibility';
+import { getScoreColor, getScoreLabel, engineScore, formatScore } from './lib/scoring';
+
+// Brand colors (same as EntitySEOChecker)
+const brandOrange = '#F46F0A';
+const bgDark = '#333333';
+const bgLight = '#EFEFEF';
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    background: `linear-gradient(135deg, ${bgDark} 0%, #2a2a2a 50%, #3d3d3d 100%)`,
+    fontFamily: '"Barlow Condensed", sans-serif',
+    color: bgLight,
+    padding: '20px'
+  },
+  inner: {
+    maxWidth: '720px',
+    margin: '0 auto'
+  },
+  card: {
+    background: 'rgba(239,239,239,0.08)',
+    borderRadius: '12px',
+    border: '1px solid rgba(239,239,239,0.15)',
+    padding: '24px',
+    marginBottom: '20px'
+  },
+  input: {
+    width: '100%',
+    padding: '12px 16px',
+    borderRadius: '8px',
+    border: '1px solid rgba(239,239,239,0.25)',
+    background: 'rgba(0,0,0,0.4)',
+    color: bgLight,
+    fontSize: '15px',
+    fontFamily: '"Barlow Condensed", sans-serif',
+    marginTop: '8px',
+    marginBottom: '16px',
+    boxSizing: 'border-box'
+  },
+  button: {
+    background: brandOrange,
+    color: '#fff',
+    border: 'none',
+    padding: '14px 28px',
+    borderRadius: '8px',
+    fontSize: '16px',
+    fontWeight: '600',
+    fontFamily: '"Barlow Condensed", sans-serif',
+    cursor: 'pointer',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  },
+  link: {
+    background: 'none',
+    border: 'none',
+    color: brandOrange,
+    cursor: 'pointer',
+    fontFamily: '"Barlow Condensed", sans-serif',
+    fontSize: '14px',
+    padding: 0
+  },
+  heading: {
+    fontFamily: '"Barlow Condensed", sans-serif',
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    letterSpacing: '1px',
+    color: brandOrange,
+    margin: '0 0 16px 0'
+  },
+  row: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr',
+    gap: '16px'
+  }
+};
+
+// Where the confirmation link lands: /?report=sent|expired|failed
+const DELIVERY_MESSAGES = {
+  sent: { message: 'Email confirmed - your report is on its way.' },
+  expired: { error: 'That confirmation link has expired or was already used. Run the report again to get a new one.' },
+  failed: { error: 'We could not send your report. Please try the link again in a few minutes.' }
+};
+
+const postJson = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+  return data;
+};
+
+// Free report for signed-out visitors in public mode: the company and one
+// leader on a single engine, with the PDF emailed once the address is confirmed
+const FreeReport = ({ engine, onSignIn }) => {
+  const [form, setForm] = useState({
+    name: '',
+    email: '',
+    companyName: '',
+    website: '',
+    industry: '',
+    leaderName: '',
+    leaderTitle: ''
+  });
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [status, setStatus] = useState(() =>
+    DELIVERY_MESSAGES[new URLSearchParams(window.location.search).get('report')] || null
+  );
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const runReport = async (e) => {
+    e.preventDefault();
+    setRunning(true);
+    setStatus(null);
+    setReport(null);
+    try {
+      const { email, companyName, website, industry, leaderName, leaderTitle } = form;
+      const company = await postJson('/api/analyze', { email, analysisType: 'entity', companyName, website, industry });
+      const leader = leaderName.trim()
+        ? await postJson('/api/analyze', { email, analysisType: 'leadership', companyName, website, industry, leaderName, leaderTitle })
+        : null;
+
+      setReport({
+        companyName,
+        website,
+        industry,
+        company: { [engine.id]: { llm: engine, results: company } },
+        leadership: leader ? [{
+          name: leaderName,
+          title: leaderTitle,
+          byLLM: { [engine.id]: { llm: engine, results: leader } },
+          pressOpportunities: {},
+          socialSentiment: {}
+        }] : [],
+        competitors: [],
+        podcastOpportunities: []
+      });
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+    setRunning(false);
+  };
+
+  const sendReport = async () => {
+    setSending(true);
+    setStatus(null);
+    try {
+      const data = await postJson('/api/send-report', {
+        recipientName: form.name,
+        recipientCompany: form.companyName,
+        recipientEmail: form.email,
+        reportData: report
+      });
+      setStatus({ message: data.message });
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+    setSending(false);
+  };
+
+  const renderResult = (title, results) => {
+    const sentimentScore = engineScore(results, 'sentimentScore');
+    return (
+      <div style={styles.card}>
+        <h3 style={{ ...styles.heading, fontSize: '18px' }}>{title}</h3>
+        {results.invalid || results.error ? (
+          <p style={{ color: 'rgba(239,239,239,0.7)' }}>{engine.name} could not give a usable answer this time.</p>
+        ) : (
+          <>
+            {sentimentScore !== null && (
+              <p style={{ color: getScoreColor(sentimentScore), fontWeight: '600' }}>
+                Sentiment: {formatScore(sentimentScore)} ({getScoreLabel(sentimentScore)}) - {results.sentiment || 'unknown'}
+              </p>
+            )}
+            <p>{results.summary}</p>
+            {results.recommendations && (
+              <p style={{ color: 'rgba(239,239,239,0.8)' }}><strong>Recommendation:</strong> {results.recommendations}</p>
+            )}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const visibility = report ? calculateVisibilityIndex(report) : null;
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.inner}>
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '12px' }}>
+          <button type="button" style={styles.link} onClick={onSignIn}>Team sign in</button>
+        </div>
+
+        <form style={styles.card} onSubmit={runReport}>
+          <h1 style={styles.heading}>Free AI Reputation Report</h1>
+          <p style={{ color: 'rgba(239,239,239,0.8)', marginTop: 0 }}>
+            See how {engine.name} describes your company and one of your leaders.
+          </p>
+
+          <div style={styles.row}>
+            <label>
+              Your name
+              <input name="name" required value={form.name} onChange={handleChange} style={styles.input} autoComplete="name" />
+            </label>
+            <label>
+              Work email
+              <input name="email" type="email" required value={form.email} onChange={handleChange} style={styles.input} autoComplete="email" />
+            </label>
+            <label>
+              Company name
+              <input name="companyName" required value={form.companyName} onChange={handleChange} style={styles.input} autoComplete="organization" />
+            </label>
+            <label>
+              Website
+              <input name="website" value={form.website} onChange={handleChange} placeholder="e.g., abstraktmg.com" style={styles.input} />
+            </label>
+            <label>
+              Industry
+              <input name="industry" value={form.industry} onChange={handleChange} style={styles.input} />
+            </label>
+            <span />
+            <label>
+              Leader name (optional)
+              <input name="leaderName" value={form.leaderName} onChange={handleChange} style={styles.input} />
+            </label>
+            <label>
+              Leader title
+              <input name="leaderTitle" value={form.leaderTitle} onChange={handleChange} style={styles.input} />
+            </label>
+          </div>
+
+          <button type="submit" style={{ ...styles.button, width: '100%', opacity: running ? 0.6 : 1 }} disabled={running}>
+            {running ? `Asking ${engine.name}...` : 'Run My Free Report'}
+          </button>
+        </form>
+
+        {status?.error && <p style={{ color: '#ef4444' }}>❌ {status.error}</p>}
+        {status?.message && <p style={{ color: '#22c55e' }}>✅ {status.message}</p>}
+
+        {report && (
+          <>
+            {visibility.score !== null && (
+              <div style={{ ...styles.card, textAlign: 'center' }}>
+                <h2 style={{ ...styles.heading, marginBottom: '8px' }}>AI Visibility Index</h2>
+                <div style={{ fontSize: '48px', fontWeight: '700', color: getScoreColor(visibility.score / 10) }}>{visibility.score}/100</div>
+                <p style={{ color: 'rgba(239,239,239,0.6)', margin: 0 }}>Based on {engine.name} only</p>
+              </div>
+            )}
+
+            {renderResult(`${report.companyName} on ${engine.name}`, report.company[engine.id].results)}
+            {report.leadership.map(leader => (
+              <React.Fragment key={leader.name}>
+                {renderResult(`${leader.name} on ${engine.name}`, leader.byLLM[engine.id].results)}
+              </React.Fragment>
+            ))}
+
+            <div style={{ ...styles.card, textAlign: 'center' }}>
+              <p style={{ marginTop: 0 }}>Get this report as a PDF. We'll email {form.email} a link to confirm it's you first.</p>
+              <button type="button" style={{ ...styles.button, opacity: sending ? 0.6 : 1 }} onClick={sendReport} disabled={sending}>
+                {sending ? 'Sending...' : 'Email Me the PDF'}
+              </button>
+            </div>
+
+            <div style={{ ...styles.card, textAlign: 'center', border: `2px solid ${brandOrange}` }}>
+              <h3 style={{ ...styles.heading, fontSize: '20px' }}>Want every engine, your competitors and SEMRush data?</h3>
+              <a
+                href="https://www.abstraktmg.com/inbound-ai-visibility-tool/"
+                target="_blank"
+                rel="noopener noreferrer"
+                style={{ ...styles.button, display: 'inline-block', textDecoration: 'none' }}
+              >
+                Get Your Personalized Strategy →
+              </a>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FreeReport;
@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+
+// Brand colors (same as EntitySEOChecker)
+const brandOrange = '#F46F0A';
+const bgDark = '#333333';
+const bgLight = '#EFEFEF';
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    background: `linear-gradient(135deg, ${bgDark} 0%, #2a2a2a 50%, #3d3d3d 100%)`,
+    fontFamily: '"Barlow Condensed", sans-serif',
+    color: bgLight,
+    padding: '20px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+  card: {
+    background: 'rgba(239,239,239,0.08)',
+    borderRadius: '12px',
+    border: '1px solid rgba(239,239,239,0.15)',
+    padding: '32px',
+    maxWidth: '420px',
+    width: '100%'
+  },
+  input: {
+    width: '100%',
+    padding: '12px 16px',
+    borderRadius: '8px',
+    border: '1px solid rgba(239,239,239,0.25)',
+    background: 'rgba(0,0,0,0.4)',
+    color: bgLight,
+    fontSize: '15px',
+    fontFamily: '"Barlow Condensed", sans-serif',
+    marginTop: '8px',
+    marginBottom: '16px',
+    boxSizing: 'border-box'
+  },
+  button: {
+    width: '100%',
+    background: brandOrange,
+    color: '#fff',
+    border: 'none',
+    padding: '14px 28px',
+    borderRadius: '8px',
+    fontSize: '16px',
+    fontWeight: '600',
+    fontFamily: '"Barlow Condensed", sans-serif',
+    cursor: 'pointer',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  },
+  link: {
+    background: 'none',
+    border: 'none',
+    color: brandOrange,
+    cursor: 'pointer',
+    fontFamily: '"Barlow Condensed", sans-serif',
+    fontSize: '14px',
+    padding: 0
+  },
+  heading: {
+    fontFamily: '"Barlow Condensed", sans-serif',
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    letterSpacing: '1px',
+    color: brandOrange,
+    margin: '0 0 24px 0'
+  }
+};
+
+const MODES = {
+  login: { title: 'Sign In', submit: 'Sign In', endpoint: '/api/auth/login' },
+  signup: { title: 'Create Account', submit: 'Create Account', endpoint: '/api/auth/signup' },
+  link: { title: 'Email Me a Sign-In Link', submit: 'Send Link', endpoint: '/api/auth/magic-link' }
+};
+
+// Sign-in gate for the app: password login, sign-up, or a one-time emailed link.
+// onBack, when given, returns to the public free report.
+const SignIn = ({ onSignedIn, onBack = null }) => {
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [status, setStatus] = useState(() =>
+    new URLSearchParams(window.location.search).get('signin') === 'expired'
+      ? { error: 'That sign-in link has expired or was already used. Request a new one.' }
+      : null
+  );
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const switchMode = (next) => {
+    setMode(next);
+    setStatus(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setStatus(null);
+    try {
+      const response = await fetch(MODES[mode].endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form)
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      if (mode === 'link') {
+        setStatus({ message: `If ${form.email} can sign in, a link is on its way. It works once and expires in 15 minutes.` });
+      } else {
+        onSignedIn();
+      }
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <div style={styles.container}>
+      <form style={styles.card} onSubmit={handleSubmit}>
+        <h1 style={styles.heading}>{MODES[mode].title}</h1>
+
+        {mode === 'signup' && (
+          <label>
+            Name
+            <input name="name" value={form.name} onChange={handleChange} style={styles.input} autoComplete="name" />
+          </label>
+        )}
+
+        <label>
+          Email
+          <input name="email" type="email" required value={form.email} onChange={handleChange} style={styles.input} autoComplete="email" />
+        </label>
+
+        {mode !== 'link' && (
+          <label>
+            Password
+            <input
+              name="password"
+              type="password"
+              required
+              minLength={mode === 'signup' ? 8 : undefined}
+              value={form.password}
+              onChange={handleChange}
+              style={styles.input}
+              autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+            />
+          </label>
+        )}
+
+        <button type="submit" style={{ ...styles.button, opacity: submitting ? 0.6 : 1 }} disabled={submitting}>
+          {submitting ? 'Please wait...' : MODES[mode].submit}
+        </button>
+
+        {status?.error && <p style={{ color: '#ef4444', marginTop: '16px' }}>❌ {status.error}</p>}
+        {status?.message && <p style={{ color: '#22c55e', marginTop: '16px' }}>✅ {status.message}</p>}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '20px' }}>
+          {mode !== 'login' && <button type="button" style={styles.link} onClick={() => switchMode('login')}>Sign in with password</button>}
+          {mode !== 'link' && <button type="button" style={styles.link} onClick={() => switchMode('link')}>Email me a link instead</button>}
+          {mode !== 'signup' && <button type="button" style={styles.link} onClick={() => switchMode('signup')}>Create an account</button>}
+        </div>
+
+        {onBack && (
+          <div style={{ textAlign: 'center', marginTop: '20px' }}>
+            <button type="button" style={styles.link} onClick={onBack}>← Back to the free report</button>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default SignIn;
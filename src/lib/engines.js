@@ -0,0 +1,10 @@
+// AI search engines offered in the form.
+// CommonJS so the API functions can require the same list the UI renders.
+
+module.exports = [
+  { id: 'chatgpt', name: 'ChatGPT', color: '#10a37f' },
+  { id: 'gemini', name: 'Google Gemini', color: '#4285f4' },
+  { id: 'claude', name: 'Claude', color: '#cc785c' },
+  { id: 'perplexity', name: 'Perplexity', color: '#20808d' },
+  { id: 'copilot', name: 'Microsoft Copilot', color: '#00bcf2' }
+];
@@ -0,0 +1,12 @@
+// Ground-truth brand facts entered in the form (or pulled from the company's site).
+// CommonJS so the API fact-check builds its profile from the same fields the UI renders.
+
+module.exports = [
+  { id: 'founded', label: 'Founded', placeholder: 'e.g., 2005' },
+  { id: 'headquarters', label: 'Headquarters', placeholder: 'e.g., St. Louis, MO' },
+  { id: 'ceo', label: 'CEO', placeholder: 'e.g., Jane Smith' },
+  { id: 'employees', label: 'Employees', placeholder: 'e.g., 200-250' },
+  { id: 'ownership', label: 'Ownership / Parent Company', placeholder: 'e.g., Independent, privately held' },
+  { id: 'offerings', label: 'Products & Services', placeholder: 'e.g., SEO, PPC, outsourced sales' },
+  { id: 'other', label: 'Other Facts', placeholder: 'e.g., Not affiliated with Abstrakt Inc.' }
+];
@@ -0,0 +1,17 @@
+// SEMRush regional databases offered in the form.
+// CommonJS so the API functions can validate against the same list the UI renders.
+
+module.exports = [
+  { id: 'us', name: 'United States' },
+  { id: 'uk', name: 'United Kingdom' },
+  { id: 'ca', name: 'Canada' },
+  { id: 'au', name: 'Australia' },
+  { id: 'ie', name: 'Ireland' },
+  { id: 'nz', name: 'New Zealand' },
+  { id: 'de', name: 'Germany' },
+  { id: 'fr', name: 'France' },
+  { id: 'es', name: 'Spain' },
+  { id: 'it', name: 'Italy' },
+  { id: 'nl', name: 'Netherlands' },
+  { id: 'in', name: 'India' }
+];
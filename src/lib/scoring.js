@@ -0,0 +1,81 @@
+// Score helpers shared by the UI and the emailed PDF, so both show the same
+// numbers, colors and labels. CommonJS so the API can require it.
+//
+// An engine result is "usable" when it is neither errored nor invalid. Only
+// usable results have scores; the rest are left out of every average rather
+// than counted as 0. A confidenceScore of 0 from a usable result is a real
+// score ("not found at all") and is averaged in; sentiment scores run 1-10, so
+// a 0 or missing sentiment score means the engine gave none.
+
+const SCORE_BANDS = [
+  { min: 8, color: '#22c55e', label: 'Excellent' },
+  { min: 6, color: '#3b82f6', label: 'Good' },
+  { min: 4, color: '#eab308', label: 'Needs Work' },
+  { min: 2, color: '#f97316', label: 'Poor' },
+  { min: -Infinity, color: '#ef4444', label: 'Critical' }
+];
+
+// Lowest score a field can hold; anything below it means "no score"
+const FIELD_MINIMUMS = {
+  confidenceScore: 0,
+  sentimentScore: 1
+};
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+// Band for a 0-10 score; scores that aren't numbers fall in the lowest band
+const scoreBand = (score) => SCORE_BANDS.find((band) => Number(score) >= band.min) || SCORE_BANDS[SCORE_BANDS.length - 1];
+
+const getScoreColor = (score) => scoreBand(score).color;
+const getScoreLabel = (score) => scoreBand(score).label;
+
+function isUsableResult(results) {
+  return Boolean(results) && !results.error && !results.invalid;
+}
+
+// One engine's score for a field, or null when it has none
+function engineScore(results, field = 'confidenceScore') {
+  if (!isUsableResult(results)) return null;
+  const value = results[field];
+  if (value === null || value === undefined || value === '') return null;
+  const score = Number(value);
+  return Number.isFinite(score) && score >= (FIELD_MINIMUMS[field] ?? 0) ? score : null;
+}
+
+// Average of a field across a { [llmId]: { llm, results } } map, to one decimal;
+// null when no engine has a score
+function averageScore(byLLM, field = 'confidenceScore') {
+  const scores = Object.values(byLLM || {})
+    .map((entry) => engineScore(entry?.results, field))
+    .filter((score) => score !== null);
+  if (scores.length === 0) return null;
+  return Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 10) / 10;
+}
+
+// Most common sentiment across engines; ties go to the more positive one.
+// null when no usable result has a sentiment.
+function dominantSentiment(byLLM) {
+  const counts = Object.fromEntries(SENTIMENTS.map((sentiment) => [sentiment, 0]));
+  Object.values(byLLM || {}).forEach((entry) => {
+    if (!isUsableResult(entry?.results)) return;
+    const sentiment = String(entry.results.sentiment || '').toLowerCase();
+    if (sentiment in counts) counts[sentiment]++;
+  });
+  const [top, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? top : null;
+}
+
+// "7.5/10", or "N/A" for a missing score
+function formatScore(score) {
+  return score === null || score === undefined ? 'N/A' : `${score}/10`;
+}
+
+module.exports = {
+  getScoreColor,
+  getScoreLabel,
+  isUsableResult,
+  engineScore,
+  averageScore,
+  dominantSentiment,
+  formatScore
+};
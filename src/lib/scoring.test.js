@@ -0,0 +1,159 @@
+import {
+  getScoreColor,
+  getScoreLabel,
+  isUsableResult,
+  engineScore,
+  averageScore,
+  dominantSentiment,
+  formatScore
+} from './scoring';
+import { calculateVisibilityIndex } from './visibility';
+
+const entry = (results) => ({ llm: { id: 'x', name: 'X' }, results });
+
+describe('isUsableResult', () => {
+  it('rejects missing, errored and invalid results', () => {
+    expect(isUsableResult(null)).toBe(false);
+    expect(isUsableResult(undefined)).toBe(false);
+    expect(isUsableResult({ error: 'timeout' })).toBe(false);
+    expect(isUsableResult({ invalid: true, confidenceScore: 8 })).toBe(false);
+  });
+
+  it('accepts a plain result', () => {
+    expect(isUsableResult({ confidenceScore: 5 })).toBe(true);
+  });
+});
+
+describe('engineScore', () => {
+  it('has no score for errored or invalid results', () => {
+    expect(engineScore({ error: 'boom', confidenceScore: 9 })).toBeNull();
+    expect(engineScore({ invalid: true, confidenceScore: 9 })).toBeNull();
+  });
+
+  it('parses numeric strings', () => {
+    expect(engineScore({ confidenceScore: '7.5' })).toBe(7.5);
+  });
+
+  it('has no score for missing or unparseable values', () => {
+    expect(engineScore({})).toBeNull();
+    expect(engineScore({ confidenceScore: null })).toBeNull();
+    expect(engineScore({ confidenceScore: '' })).toBeNull();
+    expect(engineScore({ confidenceScore: 'high' })).toBeNull();
+    expect(engineScore({ confidenceScore: NaN })).toBeNull();
+    expect(engineScore({ confidenceScore: -1 })).toBeNull();
+  });
+
+  it('keeps a confidence score of 0 but not a sentiment score of 0', () => {
+    expect(engineScore({ confidenceScore: 0 })).toBe(0);
+    expect(engineScore({ sentimentScore: 0 }, 'sentimentScore')).toBeNull();
+    expect(engineScore({ sentimentScore: 1 }, 'sentimentScore')).toBe(1);
+  });
+});
+
+describe('averageScore', () => {
+  it('is null when no engine has a score', () => {
+    expect(averageScore(null)).toBeNull();
+    expect(averageScore({})).toBeNull();
+    expect(averageScore({ a: entry({ error: 'x' }), b: entry({ confidenceScore: 'n/a' }) })).toBeNull();
+  });
+
+  it('leaves unusable results out instead of counting them as 0', () => {
+    const byLLM = {
+      a: entry({ confidenceScore: 8 }),
+      b: entry({ error: 'rate limited' }),
+      c: entry({ invalid: true, confidenceScore: 1 }),
+      d: entry({ confidenceScore: 'garbage' })
+    };
+    expect(averageScore(byLLM)).toBe(8);
+  });
+
+  it('averages zero confidence scores in', () => {
+    expect(averageScore({ a: entry({ confidenceScore: 0 }), b: entry({ confidenceScore: 9 }) })).toBe(4.5);
+  });
+
+  it('rounds to one decimal', () => {
+    const byLLM = { a: entry({ confidenceScore: 7 }), b: entry({ confidenceScore: 8 }), c: entry({ confidenceScore: 8 }) };
+    expect(averageScore(byLLM)).toBe(7.7);
+  });
+
+  it('averages the requested field', () => {
+    const byLLM = { a: entry({ sentimentScore: 4 }), b: entry({ sentimentScore: 0 }), c: entry({ sentimentScore: 8 }) };
+    expect(averageScore(byLLM, 'sentimentScore')).toBe(6);
+  });
+});
+
+describe('dominantSentiment', () => {
+  it('is null without usable sentiments', () => {
+    expect(dominantSentiment({})).toBeNull();
+    expect(dominantSentiment({ a: entry({ error: 'x', sentiment: 'positive' }), b: entry({ sentiment: 'meh' }) })).toBeNull();
+  });
+
+  it('picks the most common sentiment, case-insensitively', () => {
+    const byLLM = {
+      a: entry({ sentiment: 'Negative' }),
+      b: entry({ sentiment: 'negative' }),
+      c: entry({ sentiment: 'positive' })
+    };
+    expect(dominantSentiment(byLLM)).toBe('negative');
+  });
+
+  it('breaks ties toward the more positive sentiment', () => {
+    expect(dominantSentiment({ a: entry({ sentiment: 'neutral' }), b: entry({ sentiment: 'negative' }) })).toBe('neutral');
+    expect(dominantSentiment({ a: entry({ sentiment: 'negative' }), b: entry({ sentiment: 'positive' }) })).toBe('positive');
+  });
+});
+
+describe('score colors and labels', () => {
+  it.each([
+    [10, 'Excellent', '#22c55e'],
+    [8, 'Excellent', '#22c55e'],
+    [7.9, 'Good', '#3b82f6'],
+    [6, 'Good', '#3b82f6'],
+    [5.9, 'Needs Work', '#eab308'],
+    [4, 'Needs Work', '#eab308'],
+    [3.9, 'Poor', '#f97316'],
+    [2, 'Poor', '#f97316'],
+    [1.9, 'Critical', '#ef4444'],
+    [0, 'Critical', '#ef4444']
+  ])('%p is %s', (score, label, color) => {
+    expect(getScoreLabel(score)).toBe(label);
+    expect(getScoreColor(score)).toBe(color);
+  });
+
+  it('puts scores that are not numbers in the lowest band', () => {
+    expect(getScoreLabel(null)).toBe('Critical');
+    expect(getScoreLabel('n/a')).toBe('Critical');
+    expect(getScoreColor(undefined)).toBe('#ef4444');
+  });
+
+  it('reads numeric strings', () => {
+    expect(getScoreLabel('8.2')).toBe('Excellent');
+  });
+});
+
+describe('formatScore', () => {
+  it('formats scores out of 10', () => {
+    expect(formatScore(7.5)).toBe('7.5/10');
+    expect(formatScore(0)).toBe('0/10');
+  });
+
+  it('shows N/A for a missing score', () => {
+    expect(formatScore(null)).toBe('N/A');
+    expect(formatScore(undefined)).toBe('N/A');
+  });
+});
+
+describe('AI Visibility Index', () => {
+  it('scores sentiment with the same rules as averageScore', () => {
+    const report = {
+      company: {
+        a: entry({ entityFound: true, sentimentScore: 8 }),
+        b: entry({ entityFound: true, sentimentScore: 0 }),
+        c: entry({ error: 'timeout', sentimentScore: 1 })
+      }
+    };
+    const sentiment = calculateVisibilityIndex(report).components.find((component) => component.id === 'sentiment');
+    expect(averageScore(report.company, 'sentimentScore')).toBe(8);
+    expect(sentiment.value).toBe(80);
+  });
+});
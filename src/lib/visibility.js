@@ -0,0 +1,138 @@
+// AI Visibility Index: a 0-100 score built from weighted components of a report.
+// CommonJS so the UI and the emailed PDF score a report with the same code.
+// A component with no data (e.g. no SEMRush key, no share-of-voice prompts) is
+// left out and the remaining weights are scaled up to fill its share.
+
+const { isUsableResult, engineScore } = require('./scoring');
+
+const VISIBILITY_COMPONENTS = [
+  { id: 'entityFound', label: 'Entity Found', weight: 20, description: 'Engines that recognize the company' },
+  { id: 'sentiment', label: 'Sentiment', weight: 15, description: 'Average sentiment score across engines' },
+  { id: 'citations', label: 'Verified Citations', weight: 15, description: 'Sources confirmed by each engine\'s web search (3 per engine = full marks)' },
+  { id: 'shareOfVoice', label: 'Share of Voice', weight: 15, description: 'Category prompts that mention the company' },
+  { id: 'authority', label: 'Authority Score', weight: 15, description: 'SEMRush Authority Score' },
+  { id: 'referringDomains', label: 'Referring Domains', weight: 10, description: 'SEMRush referring domains, log scale (10,000+ = full marks)' },
+  { id: 'knowledgeGraph', label: 'Knowledge Graph', weight: 10, description: 'Wikidata item, Wikipedia article and key properties' }
+];
+
+const VERIFIED_SOURCES_FOR_FULL_MARKS = 3;
+const REFERRING_DOMAINS_FOR_FULL_MARKS = 10000;
+
+const clamp = (value) => Math.max(0, Math.min(100, value));
+const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// Default weights with any overrides applied; bad values fall back to the default
+function resolveWeights(overrides) {
+  return Object.fromEntries(VISIBILITY_COMPONENTS.map((component) => {
+    const value = Number(overrides?.[component.id]);
+    return [component.id, Number.isFinite(value) && value >= 0 ? value : component.weight];
+  }));
+}
+
+// Company answers that can be scored: not errored and not invalid
+function usableAnswers(report) {
+  return Object.values(report.company || {})
+    .map((entry) => entry.results)
+    .filter(isUsableResult);
+}
+
+// Each scorer returns { value: 0-100, detail } or null when there is no data
+const scorers = {
+  entityFound: (report) => {
+    const answers = usableAnswers(report);
+    if (answers.length === 0) return null;
+    const found = answers.filter((r) => (r.entityFound !== undefined ? r.entityFound : r.confidenceScore > 0)).length;
+    return { value: (found / answers.length) * 100, detail: `${found} of ${answers.length} engines` };
+  },
+
+  sentiment: (report) => {
+    const scores = usableAnswers(report).map((r) => engineScore(r, 'sentimentScore')).filter((s) => s !== null);
+    if (scores.length === 0) return null;
+    const avg = average(scores);
+    return { value: avg * 10, detail: `${avg.toFixed(1)}/10 average` };
+  },
+
+  citations: (report) => {
+    const answers = usableAnswers(report);
+    if (answers.length === 0) return null;
+    const verified = answers.map((r) => [...(r.topSources || []), ...(r.backlinks || [])].filter((item) => item.verified).length);
+    const total = verified.reduce((a, b) => a + b, 0);
+    return {
+      value: average(verified.map((count) => Math.min(count, VERIFIED_SOURCES_FOR_FULL_MARKS) / VERIFIED_SOURCES_FOR_FULL_MARKS)) * 100,
+      detail: `${total} verified source${total === 1 ? '' : 's'} across ${answers.length} engines`
+    };
+  },
+
+  shareOfVoice: (report) => {
+    const brand = report.shareOfVoice?.overall?.find((b) => !b.isCompetitor);
+    const answered = (report.shareOfVoice?.engines || []).reduce((sum, engine) => sum + engine.answered, 0);
+    if (!brand || answered === 0) return null;
+    return { value: brand.mentionRate, detail: `Mentioned in ${brand.mentionRate}% of category answers (${brand.shareOfVoice}% share)` };
+  },
+
+  authority: (report) => {
+    const score = report.semrushData?.authorityScore;
+    if (typeof score !== 'number') return null;
+    return { value: score, detail: `${score}/100` };
+  },
+
+  referringDomains: (report) => {
+    const count = report.semrushData?.backlinks?.referringDomains;
+    if (typeof count !== 'number') return null;
+    return {
+      value: (Math.log10(count + 1) / Math.log10(REFERRING_DOMAINS_FOR_FULL_MARKS + 1)) * 100,
+      detail: `${count.toLocaleString()} domains`
+    };
+  },
+
+  // Matched item: 50, +25 for a Wikipedia article, +25 scaled by properties present
+  knowledgeGraph: (report) => {
+    const company = report.knowledgeGraph?.company;
+    if (!company) return null;
+    if (company.status === 'not-found') return { value: 0, detail: 'No Wikidata item' };
+    if (company.status === 'possible') return { value: 25, detail: `Possible match (${company.entity.id})` };
+
+    const { properties, missing, wikipedia, id } = company.entity;
+    const checked = properties.length + missing.length;
+    return {
+      value: 50 + (wikipedia ? 25 : 0) + (checked > 0 ? (properties.length / checked) * 25 : 0),
+      detail: `${id}${wikipedia ? ' + Wikipedia' : ', no Wikipedia'}, ${properties.length} of ${checked} properties`
+    };
+  }
+};
+
+// { score, components } for a report. score is null when no component has data.
+// Each component carries its weight, its 0-100 value (null = not counted) and the
+// points it adds to the index.
+function calculateVisibilityIndex(report, weightOverrides) {
+  const weights = resolveWeights(weightOverrides);
+  const components = VISIBILITY_COMPONENTS.map((component) => {
+    const result = report ? scorers[component.id](report) : null;
+    return {
+      id: component.id,
+      label: component.label,
+      description: component.description,
+      weight: weights[component.id],
+      value: result ? Math.round(clamp(result.value)) : null,
+      detail: result ? result.detail : 'No data - not counted'
+    };
+  });
+
+  const counted = components.filter((c) => c.value !== null && c.weight > 0);
+  const totalWeight = counted.reduce((sum, c) => sum + c.weight, 0);
+  if (totalWeight === 0) {
+    return { score: null, components: components.map((c) => ({ ...c, share: 0, points: 0 })) };
+  }
+
+  const withPoints = components.map((c) => {
+    const share = c.value !== null ? c.weight / totalWeight : 0;
+    return { ...c, share: Math.round(share * 1000) / 10, points: Math.round(c.value * share * 10) / 10 || 0 };
+  });
+
+  return {
+    score: Math.round(counted.reduce((sum, c) => sum + c.value * (c.weight / totalWeight), 0)),
+    components: withPoints
+  };
+}
+
+module.exports = { VISIBILITY_COMPONENTS, resolveWeights, calculateVisibilityIndex };